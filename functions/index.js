@@ -0,0 +1,168 @@
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { defineInt, defineString, defineSecret } = require('firebase-functions/params');
+const { initializeApp } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore } = require('firebase-admin/firestore');
+const { NPC_LIMIT_DEFAULTS } = require('./src/autonomy');
+const { handleChatMessage, handleJoinEvent, handleSceneCreated, handleRollRequest, runAmbientTick } = require('./src/handlers');
+const { mergeUserData } = require('./src/accounts');
+const { handleMessageNotifications, handleWikiRevision } = require('./src/notifications');
+const { handleTravelRequest } = require('./src/travel');
+const { CONFLICT_MODES, validateArchive, exportCampaign, importCampaign } = require('./src/campaigns');
+
+initializeApp();
+const db = getFirestore();
+
+// --- LLM Configuration ---
+// Deployment-wide defaults for AI NPCs, set through functions/.env (or .env.<project>).
+// API keys are secrets: `firebase functions:secrets:set GEMINI_API_KEY`.
+// NPC wiki entries can still override provider, model and endpoint individually.
+// Set LLM_PROVIDER=mock to run NPCs offline, e.g. in the emulator.
+const LLM_PROVIDER = defineString('LLM_PROVIDER', { default: 'gemini' });
+const LLM_MODEL = defineString('LLM_MODEL', { default: '' });
+const LLM_ENDPOINT = defineString('LLM_ENDPOINT', { default: '' });
+const GEMINI_API_KEY = defineSecret('GEMINI_API_KEY');
+const OPENAI_API_KEY = defineSecret('OPENAI_API_KEY');
+
+// Bounds on what NPC owners can ask for, since every NPC line is a paid LLM call.
+const NPC_MIN_COOLDOWN_SECONDS = defineInt('NPC_MIN_COOLDOWN_SECONDS', { default: NPC_LIMIT_DEFAULTS.minCooldownSeconds });
+const NPC_MAX_LINES_PER_HOUR = defineInt('NPC_MAX_LINES_PER_HOUR', { default: NPC_LIMIT_DEFAULTS.maxPerHour });
+const NPC_MAX_MENTIONS = defineInt('NPC_MAX_MENTIONS', { default: NPC_LIMIT_DEFAULTS.maxMentions });
+
+const getLlmConfig = () => ({
+    provider: LLM_PROVIDER.value(),
+    model: LLM_MODEL.value(),
+    endpoint: LLM_ENDPOINT.value(),
+    apiKeys: { gemini: GEMINI_API_KEY.value(), openai: OPENAI_API_KEY.value() },
+    limits: {
+        minCooldownSeconds: NPC_MIN_COOLDOWN_SECONDS.value(),
+        maxPerHour: NPC_MAX_LINES_PER_HOUR.value(),
+        maxMentions: NPC_MAX_MENTIONS.value(),
+    },
+});
+
+// NPC turns stream for a while and scenes run several of them back to back.
+const npcRuntime = { secrets: [GEMINI_API_KEY, OPENAI_API_KEY], timeoutSeconds: 540, memory: '512MiB' };
+
+const chatroomPath = 'artifacts/{appId}/public/data/chatrooms/{roomId}';
+
+exports.onChatMessageCreated = onDocumentCreated({ document: `${chatroomPath}/messages/{messageId}`, ...npcRuntime }, (event) =>
+    handleChatMessage({ db, config: getLlmConfig(), ...event.params, message: event.data?.data() }));
+
+exports.onChatroomJoined = onDocumentCreated({ document: `${chatroomPath}/events/{eventId}`, ...npcRuntime }, (event) =>
+    handleJoinEvent({ db, config: getLlmConfig(), ...event.params, eventRef: event.data.ref, event: event.data.data() }));
+
+exports.onSceneCreated = onDocumentCreated({ document: `${chatroomPath}/scenes/{sceneId}`, ...npcRuntime }, (event) =>
+    handleSceneCreated({ db, config: getLlmConfig(), ...event.params, sceneRef: event.data.ref }));
+
+exports.onRollRequested = onDocumentCreated(`${chatroomPath}/rolls/{rollId}`, (event) =>
+    handleRollRequest({ db, ...event.params, rollRef: event.data.ref, request: event.data.data() }));
+
+// --- Notifications ---
+// Unread counts, and inbox entries for mentions, replies and edits to followed wiki entries.
+exports.onChatMessageNotify = onDocumentCreated(`${chatroomPath}/messages/{messageId}`, (event) =>
+    handleMessageNotifications({ db, ...event.params, message: event.data?.data() }));
+
+exports.onWikiRevisionNotify = onDocumentCreated('artifacts/{appId}/public/data/wikis/{wikiId}/revisions/{revisionId}', (event) =>
+    handleWikiRevision({ db, ...event.params, revision: event.data?.data() }));
+
+// --- Travel ---
+exports.onTravelRequested = onDocumentCreated('artifacts/{appId}/public/data/travels/{travelId}', (event) =>
+    handleTravelRequest({ db, appId: event.params.appId, travelRef: event.data.ref, request: event.data.data() }));
+
+exports.ambientNpcTick = onSchedule({ schedule: 'every 5 minutes', ...npcRuntime }, () =>
+    runAmbientTick({ db, config: getLlmConfig() }));
+
+// --- Accounts ---
+// Hands everything the account behind `sourceIdToken` owns over to the caller. Proving
+// control of both accounts is required; anonymous source accounts are deleted afterwards.
+exports.mergeAccounts = onCall(async (request) => {
+    const { appId, sourceIdToken } = request.data || {};
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Sign in to merge accounts.');
+    }
+    if (typeof appId !== 'string' || !appId || typeof sourceIdToken !== 'string') {
+        throw new HttpsError('invalid-argument', 'appId and sourceIdToken are required.');
+    }
+    let source;
+    try {
+        source = await getAuth().verifyIdToken(sourceIdToken, true);
+    } catch (error) {
+        throw new HttpsError('permission-denied', 'The account to merge could not be verified.');
+    }
+    if (source.uid === request.auth.uid) {
+        throw new HttpsError('invalid-argument', 'An account cannot be merged into itself.');
+    }
+
+    const counts = await mergeUserData({ db, appId, sourceUid: source.uid, targetUid: request.auth.uid });
+    if (source.firebase?.sign_in_provider === 'anonymous') {
+        await getAuth().deleteUser(source.uid);
+    }
+    return counts;
+});
+
+// --- Campaign Roles ---
+// Who owns a campaign is decided when deploying: the account in CAMPAIGN_OWNER_UID becomes the
+// owner of any campaign that has none yet. Clients cannot create settings/roles themselves.
+const CAMPAIGN_OWNER_UID = defineString('CAMPAIGN_OWNER_UID', { default: '' });
+
+exports.claimCampaign = onCall(async (request) => {
+    const { appId } = request.data || {};
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Sign in first.');
+    }
+    if (typeof appId !== 'string' || !appId) {
+        throw new HttpsError('invalid-argument', 'appId is required.');
+    }
+    if (!CAMPAIGN_OWNER_UID.value() || request.auth.uid !== CAMPAIGN_OWNER_UID.value()) {
+        throw new HttpsError('permission-denied', 'Only the owner set for this deployment can take over campaigns.');
+    }
+    try {
+        await db.doc(`artifacts/${appId}/public/data/settings/roles`).create({ ownerId: request.auth.uid, gameMasters: {} });
+    } catch (error) {
+        // ALREADY_EXISTS: the campaign has an owner
+        if (error.code !== 6) throw error;
+        return { claimed: false };
+    }
+    return { claimed: true };
+});
+
+// --- Campaign Archives ---
+// Only game masters of a campaign may export it, or import an archive into it.
+const requireGameMaster = async (request, appId) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Sign in first.');
+    }
+    if (typeof appId !== 'string' || !appId) {
+        throw new HttpsError('invalid-argument', 'appId is required.');
+    }
+    const roles = (await db.doc(`artifacts/${appId}/public/data/settings/roles`).get()).data();
+    if (roles?.ownerId !== request.auth.uid && roles?.gameMasters?.[request.auth.uid] === undefined) {
+        throw new HttpsError('permission-denied', 'Only game masters can do that.');
+    }
+};
+
+const archiveRuntime = { timeoutSeconds: 540, memory: '1GiB' };
+
+exports.exportCampaign = onCall(archiveRuntime, async (request) => {
+    const { appId, includeChat } = request.data || {};
+    await requireGameMaster(request, appId);
+    return exportCampaign({ db, appId, includeChat: !!includeChat });
+});
+
+// Without `dryRun: false` this only reports what an import would do.
+exports.importCampaign = onCall(archiveRuntime, async (request) => {
+    const { appId, archive, onConflict = 'skip', dryRun = true } = request.data || {};
+    await requireGameMaster(request, appId);
+    if (!CONFLICT_MODES.includes(onConflict)) {
+        throw new HttpsError('invalid-argument', `onConflict must be one of ${CONFLICT_MODES.join(', ')}.`);
+    }
+    try {
+        validateArchive(archive);
+    } catch (error) {
+        throw new HttpsError('invalid-argument', error.message);
+    }
+    return importCampaign({ db, appId, archive, onConflict, dryRun: dryRun !== false });
+});
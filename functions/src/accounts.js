@@ -0,0 +1,107 @@
+// --- Account Merging ---
+// When a player signs into an account that already exists, whatever they made under their
+// previous UID (usually an anonymous guest session) is handed over to the account they
+// are now signed into, so nothing is orphaned.
+
+// Public collections whose documents are owned through `creatorId`.
+const OWNED_COLLECTIONS = ['chatrooms', 'wikis', 'blogs', 'mappoints', 'mapregions', 'maplanes', 'locations'];
+
+const dataPath = (appId) => `artifacts/${appId}/public/data`;
+
+// Copies every document under /artifacts/{appId}/users/{sourceUid} (profile, ...) onto the
+// target user. Fields the target already has win.
+const mergeUserDocuments = async (db, writer, appId, sourceUid, targetUid) => {
+    const sourceRef = db.doc(`artifacts/${appId}/users/${sourceUid}`);
+    const targetRef = db.doc(`artifacts/${appId}/users/${targetUid}`);
+    for (const collectionRef of await sourceRef.listCollections()) {
+        const snapshot = await collectionRef.get();
+        for (const sourceDoc of snapshot.docs) {
+            const targetDocRef = targetRef.collection(collectionRef.id).doc(sourceDoc.id);
+            const targetDoc = await targetDocRef.get();
+            writer.set(targetDocRef, { ...sourceDoc.data(), ...(targetDoc.exists ? targetDoc.data() : {}) });
+        }
+    }
+};
+
+const mergeUserData = async ({ db, appId, sourceUid, targetUid }) => {
+    if (!sourceUid || !targetUid || sourceUid === targetUid) {
+        throw new Error('Merging needs two different accounts.');
+    }
+    const base = dataPath(appId);
+    const writer = db.bulkWriter();
+    const counts = { documents: 0, messages: 0 };
+
+    await mergeUserDocuments(db, writer, appId, sourceUid, targetUid);
+
+    for (const name of OWNED_COLLECTIONS) {
+        const snapshot = await db.collection(`${base}/${name}`).where('creatorId', '==', sourceUid).get();
+        snapshot.docs.forEach(d => writer.update(d.ref, { creatorId: targetUid }));
+        counts.documents += snapshot.size;
+    }
+
+    // Private channels and direct messages keep the player as a member.
+    const memberOf = await db.collection(`${base}/chatrooms`).where('members', 'array-contains', sourceUid).get();
+    memberOf.docs.forEach(d => {
+        const members = d.get('members').map(uid => (uid === sourceUid ? targetUid : uid));
+        const changes = { members: [...new Set(members)] };
+        const memberNames = d.get('memberNames');
+        if (memberNames && memberNames[sourceUid] !== undefined) {
+            changes.memberNames = { ...memberNames, [targetUid]: memberNames[targetUid] ?? memberNames[sourceUid] };
+            delete changes.memberNames[sourceUid];
+        }
+        writer.update(d.ref, changes);
+    });
+
+    // Messages, dice results and revisions keep pointing at the player.
+    const reassign = async (group, field) => {
+        const snapshot = await db.collectionGroup(group).where(field, '==', sourceUid).get();
+        const docs = snapshot.docs.filter(d => d.ref.path.startsWith(`${base}/`));
+        docs.forEach(d => writer.update(d.ref, { [field]: targetUid }));
+        return docs.length;
+    };
+    counts.messages += await reassign('messages', 'authorId');
+    await reassign('messages', 'rolledBy');
+    await reassign('revisions', 'authorId');
+
+    // Whispers stay readable by both players involved.
+    const whispers = await db.collectionGroup('whispers').where('participants', 'array-contains', sourceUid).get();
+    whispers.docs
+        .filter(d => d.ref.path.startsWith(`${base}/`))
+        .forEach(d => {
+            const changes = { participants: [...new Set(d.get('participants').map(uid => (uid === sourceUid ? targetUid : uid)))] };
+            if (d.get('authorId') === sourceUid) changes.authorId = targetUid;
+            if (d.get('recipientId') === sourceUid) changes.recipientId = targetUid;
+            writer.update(d.ref, changes);
+            counts.messages++;
+        });
+
+    // So do the wiki entries they follow.
+    const follows = await db.collectionGroup('followers').where('uid', '==', sourceUid).get();
+    follows.docs
+        .filter(d => d.ref.path.startsWith(`${base}/`))
+        .forEach(d => {
+            writer.set(d.ref.parent.doc(targetUid), { ...d.data(), uid: targetUid });
+            writer.delete(d.ref);
+        });
+
+    // Roles follow the player as well.
+    const rolesRef = db.doc(`${base}/settings/roles`);
+    const roles = await rolesRef.get();
+    if (roles.exists) {
+        const gameMasters = { ...(roles.get('gameMasters') || {}) };
+        if (gameMasters[sourceUid] !== undefined) {
+            gameMasters[targetUid] = gameMasters[targetUid] ?? gameMasters[sourceUid];
+            delete gameMasters[sourceUid];
+        }
+        const ownerId = roles.get('ownerId') === sourceUid ? targetUid : roles.get('ownerId');
+        writer.set(rolesRef, { ownerId, gameMasters });
+    }
+
+    writer.delete(db.doc(`${base}/players/${sourceUid}`));
+
+    await writer.close();
+    await db.recursiveDelete(db.doc(`artifacts/${appId}/users/${sourceUid}`));
+    return counts;
+};
+
+module.exports = { OWNED_COLLECTIONS, mergeUserData };
@@ -0,0 +1,57 @@
+// --- NPC Autonomy ---
+// NPCs can be assigned to a chatroom, or to a map location whose linked chatroom they
+// then haunt. Triggers live on the NPC's wiki entry:
+//   greetOnJoin ('yes'), triggerKeywords (comma-separated), ambientIntervalMinutes,
+//   autonomyCooldownSeconds and autonomyMaxPerHour (rate limits).
+// Channels switch individual NPCs off through `npcAutonomy: { [npcId]: false }`.
+// Any player can own an NPC, so the deployment bounds what those settings may ask for
+// (config.limits, see index.js); NPC_LIMIT_DEFAULTS apply where it sets nothing.
+const DEFAULT_AUTONOMY_COOLDOWN_SECONDS = 60;
+const DEFAULT_AUTONOMY_MAX_PER_HOUR = 10;
+const NPC_LIMIT_DEFAULTS = { minCooldownSeconds: 10, maxPerHour: 30, maxMentions: 3 };
+const HOUR_MS = 60 * 60 * 1000;
+
+const isNpcAssignedToRoom = (npc, roomId, linkedPointIds) =>
+    npc.assignedChatroomId === roomId || (!!npc.assignedMapPointId && linkedPointIds.includes(npc.assignedMapPointId));
+
+const isAutonomyEnabled = (roomData, npcId) => roomData?.npcAutonomy?.[npcId] !== false;
+
+const parseKeywords = (value) => (value || '').split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+
+const findKeywordTrigger = (npc, text) => {
+    const lower = (text || '').toLowerCase();
+    return parseKeywords(npc.triggerKeywords).find(keyword => lower.includes(keyword)) || null;
+};
+
+const getNpcLimits = (limits) => ({ ...NPC_LIMIT_DEFAULTS, ...limits });
+
+// The NPC's own cooldown and hourly maximum, kept within the deployment's limits.
+const getAutonomyRates = (npcData, limits) => {
+    const { minCooldownSeconds, maxPerHour } = getNpcLimits(limits);
+    return {
+        cooldownMs: Math.max(Number(npcData.autonomyCooldownSeconds) || DEFAULT_AUTONOMY_COOLDOWN_SECONDS, minCooldownSeconds) * 1000,
+        maxPerHour: Math.min(Math.max(Math.floor(Number(npcData.autonomyMaxPerHour)) || DEFAULT_AUTONOMY_MAX_PER_HOUR, 1), maxPerHour),
+    };
+};
+
+// Atomically checks an NPC's rate limits and records the turn, so that overlapping
+// triggers (or retried function runs) cannot make the NPC speak more than allowed.
+const claimAutonomousTurn = async (db, npcRef, npcData, channelId, { minIntervalMs = 0, limits } = {}) => {
+    const { cooldownMs, maxPerHour } = getAutonomyRates(npcData, limits);
+    const stateRef = npcRef.collection('runtime').doc('autonomy');
+    return db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(stateRef);
+        const state = snapshot.exists ? snapshot.data() : {};
+        const now = Date.now();
+
+        const lastInChannel = state.lastSpokeAt?.[channelId] || 0;
+        if (now - lastInChannel < Math.max(cooldownMs, minIntervalMs)) return false;
+        const recent = (state.recent || []).filter(t => now - t < HOUR_MS);
+        if (recent.length >= maxPerHour) return false;
+
+        transaction.set(stateRef, { lastSpokeAt: { ...state.lastSpokeAt, [channelId]: now }, recent: [...recent, now] });
+        return true;
+    });
+};
+
+module.exports = { NPC_LIMIT_DEFAULTS, getNpcLimits, getAutonomyRates, isNpcAssignedToRoom, isAutonomyEnabled, findKeywordTrigger, claimAutonomousTurn };
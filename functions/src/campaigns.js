@@ -0,0 +1,209 @@
+const { Timestamp } = require('firebase-admin/firestore');
+
+// --- Campaign Archives ---
+// A whole campaign as one JSON document, to back it up or move it to another appId:
+//   { format: 'rp-hub-campaign', version: 1, exportedAt, sourceAppId, includesChat,
+//     collections: { wikis: [{ id, data, subcollections: { memory: [{ id, data }] } }], ... } }
+// Timestamps are written as { __timestamp: ISO string }. Campaign roles, players, invites,
+// whispers and followers stay behind: they are about people, not the story.
+
+const ARCHIVE_FORMAT = 'rp-hub-campaign';
+const ARCHIVE_VERSION = 1;
+
+// Archived collections and the subcollections that come along with their documents.
+const ARCHIVED_COLLECTIONS = {
+    settings: [],
+    wikis: ['memory', 'revisions'],
+    blogs: ['revisions'],
+    chatrooms: [],
+    mappoints: [],
+    mapregions: [],
+    maplanes: [],
+    locations: [],
+};
+const CHAT_SUBCOLLECTIONS = ['messages'];
+// The settings documents that describe the story. Anything else, the roles above all, is
+// neither exported nor accepted on import.
+const ARCHIVED_SETTINGS = ['characterSheet', 'galaxyMap'];
+
+// What to do with an archived document whose ID is already taken in the target campaign.
+const CONFLICT_MODES = ['skip', 'overwrite', 'copy'];
+
+// Fields holding IDs of other archived documents, and the collection those IDs belong to.
+const REFERENCES = {
+    wikis: { assignedChatroomId: 'chatrooms', assignedMapPointId: 'mappoints' },
+    mappoints: { wikiId: 'wikis', linkedChatroomId: 'chatrooms', linkedChatroomIds: 'chatrooms' },
+    maplanes: { fromId: 'mappoints', toId: 'mappoints' },
+    locations: { pointId: 'mappoints', fromId: 'mappoints', route: 'mappoints' },
+    messages: { characterId: 'wikis', travellerId: 'wikis' },
+};
+// Character locations are kept under the ID of their character.
+const ID_FOLLOWS = { locations: 'wikis' };
+
+const dataPath = (appId) => `artifacts/${appId}/public/data`;
+
+const toPortable = (value) => {
+    if (value instanceof Timestamp) return { __timestamp: value.toDate().toISOString() };
+    if (Array.isArray(value)) return value.map(toPortable);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toPortable(v)]));
+    return value;
+};
+
+const fromPortable = (value) => {
+    if (Array.isArray(value)) return value.map(fromPortable);
+    if (value && typeof value === 'object') {
+        if (typeof value.__timestamp === 'string' && Object.keys(value).length === 1) return Timestamp.fromDate(new Date(value.__timestamp));
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, fromPortable(v)]));
+    }
+    return value;
+};
+
+const exportDocuments = async (collectionRef, subcollections) => {
+    const snapshot = await collectionRef.get();
+    return Promise.all(snapshot.docs.map(async (d) => {
+        const entry = { id: d.id, data: toPortable(d.data()) };
+        if (subcollections.length > 0) {
+            entry.subcollections = {};
+            for (const name of subcollections) {
+                entry.subcollections[name] = await exportDocuments(d.ref.collection(name), []);
+            }
+        }
+        return entry;
+    }));
+};
+
+const exportCampaign = async ({ db, appId, includeChat = false }) => {
+    const base = dataPath(appId);
+    const collections = {};
+    for (const [name, subcollections] of Object.entries(ARCHIVED_COLLECTIONS)) {
+        const withChat = name === 'chatrooms' && includeChat ? [...subcollections, ...CHAT_SUBCOLLECTIONS] : subcollections;
+        collections[name] = await exportDocuments(db.collection(`${base}/${name}`), withChat);
+    }
+    collections.settings = collections.settings.filter(entry => ARCHIVED_SETTINGS.includes(entry.id));
+    return { format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, exportedAt: new Date().toISOString(), sourceAppId: appId, includesChat: !!includeChat, collections };
+};
+
+const isValidId = (id) => typeof id === 'string' && id.length > 0 && id.length <= 1500 && !id.includes('/') && id !== '.' && id !== '..';
+
+const validateEntries = (entries, where, subcollections = []) => {
+    if (!Array.isArray(entries)) throw new Error(`${where} is not a list of documents.`);
+    entries.forEach(entry => {
+        if (!entry || !isValidId(entry.id) || !entry.data || typeof entry.data !== 'object' || Array.isArray(entry.data)) {
+            throw new Error(`${where} holds a document without a valid id and data.`);
+        }
+        Object.entries(entry.subcollections || {}).forEach(([name, subEntries]) => {
+            if (!subcollections.includes(name)) throw new Error(`${where}/${entry.id} holds an unknown subcollection "${name}".`);
+            validateEntries(subEntries, `${where}/${entry.id}/${name}`);
+        });
+    });
+};
+
+// Throws with a readable message when `archive` is not something this version can import.
+const validateArchive = (archive) => {
+    if (!archive || archive.format !== ARCHIVE_FORMAT) throw new Error('This is not a campaign archive.');
+    if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_VERSION) {
+        throw new Error(`Archives of version ${archive.version} cannot be imported here (up to version ${ARCHIVE_VERSION}).`);
+    }
+    if (!archive.collections || typeof archive.collections !== 'object') throw new Error('The archive holds no collections.');
+    Object.entries(archive.collections).forEach(([name, entries]) => {
+        if (!ARCHIVED_COLLECTIONS[name]) throw new Error(`The archive holds an unknown collection "${name}".`);
+        validateEntries(entries, name, name === 'chatrooms' ? [...ARCHIVED_COLLECTIONS[name], ...CHAT_SUBCOLLECTIONS] : ARCHIVED_COLLECTIONS[name]);
+    });
+    (archive.collections.settings || []).forEach(entry => {
+        if (!ARCHIVED_SETTINGS.includes(entry.id)) throw new Error(`The archive holds settings "${entry.id}", which cannot be imported.`);
+    });
+};
+
+// Decides what happens to every archived document, given the IDs the target campaign already
+// uses ({ collection: Set of IDs }). Returns
+//   { actions: { collection: [{ entry, action: 'create' | 'overwrite' | 'skip' | 'copy', id }] },
+//     idMaps: { collection: Map of archived ID to imported ID } }
+const planImport = (archive, existingIds, onConflict, newId) => {
+    const actions = {};
+    const idMaps = {};
+    // Collections whose IDs follow another collection's are planned after it.
+    const names = Object.keys(ARCHIVED_COLLECTIONS).filter(name => archive.collections[name])
+        .sort((a, b) => (ID_FOLLOWS[a] ? 1 : 0) - (ID_FOLLOWS[b] ? 1 : 0));
+    names.forEach(name => {
+        const taken = existingIds[name] || new Set();
+        idMaps[name] = new Map();
+        actions[name] = archive.collections[name].map(entry => {
+            const leader = ID_FOLLOWS[name] && actions[ID_FOLLOWS[name]]?.find(a => a.entry.id === entry.id);
+            let action;
+            let id = entry.id;
+            if (leader) {
+                action = leader.action === 'skip' ? 'skip' : taken.has(leader.id) ? 'overwrite' : 'create';
+                id = leader.id;
+            } else if (!taken.has(entry.id)) {
+                action = 'create';
+            } else if (onConflict === 'copy' && name !== 'settings') {
+                action = 'copy';
+                id = newId(name);
+            } else {
+                action = onConflict === 'overwrite' ? 'overwrite' : 'skip';
+            }
+            idMaps[name].set(entry.id, id);
+            return { entry, action, id };
+        });
+    });
+    return { actions, idMaps };
+};
+
+// Points the ID fields of `data` (a document of `collection`) at the imported documents.
+// Subcollection documents also get the collection of the document they belong to.
+const remapReferences = (collection, data, idMaps, parentCollection) => {
+    const result = { ...data };
+    const mapId = (target, id) => idMaps[target]?.get(id) ?? id;
+    Object.entries(REFERENCES[collection] || {}).forEach(([field, target]) => {
+        if (Array.isArray(result[field])) result[field] = result[field].map(id => mapId(target, id));
+        else if (typeof result[field] === 'string' && result[field]) result[field] = mapId(target, result[field]);
+    });
+    if (collection === 'chatrooms' && result.npcAutonomy && typeof result.npcAutonomy === 'object') {
+        result.npcAutonomy = Object.fromEntries(Object.entries(result.npcAutonomy).map(([npcId, on]) => [mapId('wikis', npcId), on]));
+    }
+    // NPC replies are written as `npc-{wikiId}`.
+    if (collection === 'messages' && result.isNpc && typeof result.authorId === 'string' && result.authorId.startsWith('npc-')) {
+        result.authorId = `npc-${mapId('wikis', result.authorId.slice(4))}`;
+    }
+    // Revisions hold an earlier copy of their document.
+    if (collection === 'revisions' && result.data && typeof result.data === 'object') {
+        result.data = remapReferences(parentCollection, result.data, idMaps);
+    }
+    return result;
+};
+
+// Imports an archive (see validateArchive) into the campaign `appId`. With `dryRun` nothing
+// is written and the report only says what would happen.
+const importCampaign = async ({ db, appId, archive, onConflict = 'skip', dryRun = true }) => {
+    const base = dataPath(appId);
+    const existingIds = {};
+    for (const name of Object.keys(archive.collections)) {
+        const refs = await db.collection(`${base}/${name}`).listDocuments();
+        existingIds[name] = new Set(refs.map(ref => ref.id));
+    }
+    const { actions, idMaps } = planImport(archive, existingIds, onConflict, (name) => db.collection(`${base}/${name}`).doc().id);
+
+    const report = { dryRun, counts: {}, subdocuments: 0, remapped: [] };
+    const writer = dryRun ? null : db.bulkWriter();
+    Object.entries(actions).forEach(([name, planned]) => {
+        const counts = { create: 0, overwrite: 0, skip: 0, copy: 0 };
+        planned.forEach(({ entry, action, id }) => {
+            counts[action]++;
+            if (action === 'copy') report.remapped.push({ collection: name, from: entry.id, to: id });
+            if (action === 'skip') return;
+            const ref = db.doc(`${base}/${name}/${id}`);
+            writer?.set(ref, fromPortable(remapReferences(name, entry.data, idMaps)));
+            Object.entries(entry.subcollections || {}).forEach(([sub, subEntries]) => {
+                subEntries.forEach(subEntry => {
+                    report.subdocuments++;
+                    writer?.set(ref.collection(sub).doc(subEntry.id), fromPortable(remapReferences(sub, subEntry.data, idMaps, name)));
+                });
+            });
+        });
+        report.counts[name] = counts;
+    });
+    if (writer) await writer.close();
+    return report;
+};
+
+module.exports = { ARCHIVE_FORMAT, ARCHIVE_VERSION, CONFLICT_MODES, toPortable, fromPortable, validateArchive, planImport, remapReferences, exportCampaign, importCampaign };
@@ -0,0 +1,63 @@
+// --- NPC Conversation Context ---
+// NPCs see the recent scene in the channel they are speaking in. Channels can tune
+// how many messages (contextWindow) and roughly how many tokens (contextTokenBudget) that covers,
+// up to a ceiling so no channel setting can make every reply read and prompt the whole history.
+const DEFAULT_CONTEXT_WINDOW = 20;
+const DEFAULT_CONTEXT_TOKEN_BUDGET = 2000;
+const MAX_CONTEXT_WINDOW = 100;
+const MAX_CONTEXT_TOKEN_BUDGET = 8000;
+
+// Rough estimate (about four characters per token) that is good enough for budgeting.
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const clampSetting = (value, fallback, max) => Math.min(Math.max(Math.floor(Number(value)) || fallback, 1), max);
+
+const getContextLimits = (room) => ({
+    window: clampSetting(room.contextWindow, DEFAULT_CONTEXT_WINDOW, MAX_CONTEXT_WINDOW),
+    tokenBudget: clampSetting(room.contextTokenBudget, DEFAULT_CONTEXT_TOKEN_BUDGET, MAX_CONTEXT_TOKEN_BUDGET),
+});
+
+// Turns channel messages (newest first) into alternating user/assistant turns from
+// the point of view of the NPC with the given author ID. Other speakers are labelled by name.
+const toConversationTurns = (newestFirst, room, npcAuthorId, excludeIds = []) => {
+    const { window, tokenBudget } = getContextLimits(room);
+    const turns = [];
+    let usedTokens = 0;
+    for (const msg of newestFirst) {
+        if (excludeIds.includes(msg.id) || msg.authorId === 'system' || !msg.text || msg.status === 'streaming' || msg.status === 'failed' || msg.style === 'ooc') continue;
+        const fromNpc = msg.authorId === npcAuthorId;
+        const text = fromNpc ? msg.text : msg.style === 'emote' ? `*${msg.authorName} ${msg.text}*` : `${msg.authorName}: ${msg.text}`;
+        usedTokens += estimateTokens(text);
+        if (usedTokens > tokenBudget || turns.length >= window) break;
+        turns.unshift({ role: fromNpc ? 'assistant' : 'user', text });
+    }
+
+    // Some providers reject consecutive turns from the same role, so merge them.
+    return turns.reduce((merged, turn) => {
+        const last = merged[merged.length - 1];
+        if (last && last.role === turn.role) {
+            last.text += `\n${turn.text}`;
+        } else {
+            merged.push({ ...turn });
+        }
+        return merged;
+    }, []);
+};
+
+const buildChannelContext = async (messagesRef, room, npcAuthorId, excludeIds = []) => {
+    const { window } = getContextLimits(room);
+    const snapshot = await messagesRef.orderBy('createdAt', 'desc').limit(window + excludeIds.length).get();
+    return toConversationTurns(snapshot.docs.map(d => ({ id: d.id, ...d.data() })), room, npcAuthorId, excludeIds);
+};
+
+// Appends the triggering line as the final user turn.
+const withLatestPrompt = (turns, speakerName, prompt) => {
+    const latest = `${speakerName}: ${prompt}`;
+    const last = turns[turns.length - 1];
+    if (last && last.role === 'user') {
+        return [...turns.slice(0, -1), { role: 'user', text: `${last.text}\n${latest}` }];
+    }
+    return [...turns, { role: 'user', text: latest }];
+};
+
+module.exports = { MAX_CONTEXT_WINDOW, getContextLimits, toConversationTurns, buildChannelContext, withLatestPrompt };
@@ -0,0 +1,100 @@
+const { randomInt } = require('node:crypto');
+
+// --- Dice ---
+// Rolls are made here rather than in the browser so nobody can fake a result. Two notations:
+//   Standard:  "2d6+3", "d20", "1d20+1d4-1"
+//   Narrative: Star Wars dice pools as counts and die letters, e.g. "2g 1y 2p 1b"
+//              g ability, y proficiency, b boost, p difficulty, r challenge, k setback, w force
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+
+const STANDARD_EXPRESSION = /^[+-]?(\d*d\d+|\d+)([+-](\d*d\d+|\d+))*$/;
+const NARRATIVE_EXPRESSION = /^(\d*[gybprkw])+$/;
+
+// Faces of each narrative die. Triumph also counts as a success and despair as a failure.
+const NARRATIVE_DICE = {
+    g: { name: 'ability', faces: [[], ['success'], ['success'], ['success', 'success'], ['advantage'], ['advantage'], ['success', 'advantage'], ['advantage', 'advantage']] },
+    y: { name: 'proficiency', faces: [[], ['success'], ['success'], ['success', 'success'], ['success', 'success'], ['advantage'], ['success', 'advantage'], ['success', 'advantage'], ['success', 'advantage'], ['advantage', 'advantage'], ['advantage', 'advantage'], ['triumph']] },
+    b: { name: 'boost', faces: [[], [], ['success'], ['success', 'advantage'], ['advantage', 'advantage'], ['advantage']] },
+    p: { name: 'difficulty', faces: [[], ['failure'], ['failure', 'failure'], ['threat'], ['threat'], ['threat'], ['threat', 'threat'], ['failure', 'threat']] },
+    r: { name: 'challenge', faces: [[], ['failure'], ['failure'], ['failure', 'failure'], ['failure', 'failure'], ['threat'], ['threat'], ['failure', 'threat'], ['failure', 'threat'], ['threat', 'threat'], ['threat', 'threat'], ['despair']] },
+    k: { name: 'setback', faces: [[], [], ['failure'], ['failure'], ['threat'], ['threat']] },
+    w: { name: 'force', faces: [['dark'], ['dark'], ['dark'], ['dark'], ['dark'], ['dark'], ['dark', 'dark'], ['light'], ['light'], ['light', 'light'], ['light', 'light'], ['light', 'light']] },
+};
+const NARRATIVE_SYMBOLS = ['success', 'failure', 'advantage', 'threat', 'triumph', 'despair', 'light', 'dark'];
+
+// Returns a number from 1 to sides.
+const rollDie = (sides) => randomInt(1, sides + 1);
+
+const checkDiceCount = (count) => {
+    if (count > MAX_DICE) throw new Error(`At most ${MAX_DICE} dice can be rolled at once.`);
+};
+
+const rollStandard = (expression, random) => {
+    let diceCount = 0;
+    const terms = expression.split(/(?=[+-])/).map(part => {
+        const sign = part.startsWith('-') ? -1 : 1;
+        const body = part.replace(/^[+-]/, '');
+        if (!body.includes('d')) return { sign, value: Number(body) };
+        const [count, sides] = body.split('d').map(n => (n === '' ? 1 : Number(n)));
+        if (count < 1 || sides < 2 || sides > MAX_SIDES) throw new Error(`Dice need 2 to ${MAX_SIDES} sides.`);
+        diceCount += count;
+        checkDiceCount(diceCount);
+        return { sign, count, sides, results: Array.from({ length: count }, () => random(sides)) };
+    });
+    const total = terms.reduce((sum, term) => sum + term.sign * (term.results ? term.results.reduce((a, b) => a + b, 0) : term.value), 0);
+    return { type: 'standard', expression, terms, total };
+};
+
+const rollNarrative = (expression, random) => {
+    const pool = [...expression.matchAll(/(\d*)([gybprkw])/g)].map(([, count, letter]) => ({ letter, count: count === '' ? 1 : Number(count) }));
+    checkDiceCount(pool.reduce((sum, { count }) => sum + count, 0));
+    const totals = Object.fromEntries(NARRATIVE_SYMBOLS.map(symbol => [symbol, 0]));
+    const dice = [];
+    pool.forEach(({ letter, count }) => {
+        const die = NARRATIVE_DICE[letter];
+        for (let i = 0; i < count; i++) {
+            const face = die.faces[random(die.faces.length) - 1];
+            face.forEach(symbol => totals[symbol]++);
+            dice.push({ die: die.name, face });
+        }
+    });
+    const net = {
+        success: totals.success + totals.triumph - totals.failure - totals.despair,
+        advantage: totals.advantage - totals.threat,
+    };
+    return { type: 'narrative', expression, dice, totals, net, outcome: net.success > 0 ? 'success' : 'failure' };
+};
+
+// Parses and rolls an expression. Throws with a readable message when it is not valid.
+const rollDice = (input, random = rollDie) => {
+    const expression = (input || '').toLowerCase().replace(/\s+/g, '');
+    if (!expression) throw new Error('Say what to roll, e.g. "2d6+3" or "2g 1y 2p".');
+    if (STANDARD_EXPRESSION.test(expression)) return rollStandard(expression, random);
+    if (NARRATIVE_EXPRESSION.test(expression)) return rollNarrative(expression, random);
+    throw new Error(`"${input}" is not a roll, try "2d6+3" or "2g 1y 2p".`);
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : word.endsWith('s') ? 'es' : 's'}`;
+
+// The roll as one line of text, for the chat history and exports.
+const describeRoll = (roll) => {
+    if (roll.type === 'standard') {
+        const parts = roll.terms.map((term, i) => {
+            const sign = term.sign < 0 ? '- ' : i > 0 ? '+ ' : '';
+            return `${sign}${term.results ? `[${term.results.join(', ')}]` : term.value}`;
+        });
+        return `${roll.expression}: ${parts.join(' ')} = **${roll.total}**`;
+    }
+    const { net, totals } = roll;
+    const parts = [
+        net.success > 0 ? plural(net.success, 'success') : plural(-net.success, 'failure'),
+        net.advantage >= 0 ? plural(net.advantage, 'advantage') : plural(-net.advantage, 'threat'),
+    ];
+    if (totals.triumph) parts.push(plural(totals.triumph, 'triumph'));
+    if (totals.despair) parts.push(`${totals.despair} despair`);
+    if (totals.light || totals.dark) parts.push(`${totals.light} light / ${totals.dark} dark side`);
+    return `${roll.expression}: **${roll.outcome === 'success' ? 'Success' : 'Failure'}** (${parts.join(', ')})`;
+};
+
+module.exports = { NARRATIVE_DICE, rollDice, describeRoll };
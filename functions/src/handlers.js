@@ -0,0 +1,289 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { runNpcTurn } = require('./npcTurn');
+const { findNpcMentions, matchMentionPrefix, joinNames } = require('./mentions');
+const { getNpcLimits, isNpcAssignedToRoom, isAutonomyEnabled, findKeywordTrigger, claimAutonomousTurn } = require('./autonomy');
+const { rollDice, describeRoll } = require('./dice');
+const { DEFAULT_SHEET_TEMPLATE, findCheck, checkExpression } = require('./sheets');
+
+// Handlers behind the Cloud Functions in index.js. They take the Firestore instance and
+// LLM config explicitly so the emulator tests can drive them directly.
+
+const DEFAULT_SCENE_TURNS = 6;
+const MAX_SCENE_TURNS = 20;
+const MAX_SCENE_NPCS = 6;
+// Ambient lines are only posted in channels where a player spoke this recently.
+const ACTIVE_CHANNEL_MS = 60 * 60 * 1000;
+
+const dataPath = (appId) => `artifacts/${appId}/public/data`;
+
+// Planets link to several channels; older ones only have a single `linkedChatroomId`.
+const linkedChatroomIdsOf = (point) => point.linkedChatroomIds || (point.linkedChatroomId ? [point.linkedChatroomId] : []);
+
+const systemMessage = (text) => ({ text, authorId: 'system', authorName: 'System', createdAt: FieldValue.serverTimestamp() });
+
+const loadRoomContext = async (db, appId, roomId) => {
+    const base = dataPath(appId);
+    const roomRef = db.doc(`${base}/chatrooms/${roomId}`);
+    const [roomSnap, npcSnap, pointsSnap, legacyPointsSnap] = await Promise.all([
+        roomRef.get(),
+        db.collection(`${base}/wikis`).where('type', '==', 'npc').get(),
+        db.collection(`${base}/mappoints`).where('linkedChatroomIds', 'array-contains', roomId).get(),
+        db.collection(`${base}/mappoints`).where('linkedChatroomId', '==', roomId).get(),
+    ]);
+    if (!roomSnap.exists) return null;
+    const linkedPointIds = [...new Set([...pointsSnap.docs, ...legacyPointsSnap.docs].map(d => d.id))];
+    const room = { id: roomSnap.id, ...roomSnap.data() };
+    // NPCs in the wiki trash stay silent
+    const npcDocs = npcSnap.docs.filter(d => !d.get('deletedAt'));
+    return {
+        roomRef,
+        room,
+        messagesRef: roomRef.collection('messages'),
+        npcDocs,
+        assignedNpcs: npcDocs.filter(d => isNpcAssignedToRoom(d.data(), roomId, linkedPointIds)),
+    };
+};
+
+// Lets an assigned NPC speak on its own, if it is switched on for this channel
+// and its rate limits allow it.
+const runAutonomousTurn = async (db, config, ctx, npcDoc, event, options) => {
+    if (!isAutonomyEnabled(ctx.room, npcDoc.id)) return null;
+    const claimed = await claimAutonomousTurn(db, npcDoc.ref, npcDoc.data(), ctx.room.id, { ...options, limits: config.limits });
+    if (!claimed) return null;
+    return runNpcTurn({ db, config, room: ctx.room, messagesRef: ctx.messagesRef, npcDoc, event });
+};
+
+// A player posted a message: mentioned NPCs answer one after another (later ones see
+// the earlier replies), up to the deployment's limit per message, then stationed NPCs
+// listening for keywords may chime in.
+const handleChatMessage = async ({ db, config, appId, roomId, messageId, message }) => {
+    // Out-of-character remarks are not addressed to NPCs.
+    if (!message || message.isNpc || message.authorId === 'system' || !message.text || message.style === 'ooc') return;
+    const ctx = await loadRoomContext(db, appId, roomId);
+    if (!ctx) return;
+
+    const text = message.text;
+    const npcByName = new Map(ctx.npcDocs.map(d => [d.data().name, d]));
+    const mentioned = findNpcMentions(text, [...npcByName.keys()]).slice(0, getNpcLimits(config.limits).maxMentions);
+    const prefix = matchMentionPrefix(text);
+
+    if (mentioned.length > 0) {
+        const prompt = prefix && mentioned.length === 1 ? text.substring(prefix[0].length).trim() : text;
+        for (let i = 0; i < mentioned.length; i++) {
+            const npcDoc = npcByName.get(mentioned[i]);
+            const turn = i === 0
+                ? { prompt, triggerMessageId: messageId }
+                : { prompt, event: `${message.authorName}'s message above was addressed to ${joinNames(mentioned)}. ${joinNames(mentioned.slice(0, i))} already answered; now give your own reply.` };
+            const result = await runNpcTurn({
+                db, config, room: ctx.room, messagesRef: ctx.messagesRef, npcDoc,
+                speakerId: message.authorId, speakerName: message.authorName,
+                companions: mentioned.filter((_, j) => j !== i),
+                replyId: `${messageId}-${npcDoc.id}`,
+                ...turn,
+            });
+            // Cancelling one reply stops the rest of the round
+            if (result?.status === 'cancelled') break;
+        }
+    } else if (prefix) {
+        await ctx.messagesRef.doc(`${messageId}-notfound`).set(systemMessage(`[System] NPC named "${prefix[1].trim()}" not found in Holo-Wiki.`));
+    }
+
+    for (const npcDoc of ctx.assignedNpcs) {
+        if (mentioned.includes(npcDoc.data().name)) continue;
+        const keyword = findKeywordTrigger(npcDoc.data(), text);
+        if (keyword) {
+            await runAutonomousTurn(db, config, ctx, npcDoc, `${message.authorName} just mentioned "${keyword}", which caught your attention. React in character.`);
+        }
+    }
+};
+
+// A player opened a channel: stationed NPCs that greet newcomers do so.
+const handleJoinEvent = async ({ db, config, appId, roomId, eventRef, event }) => {
+    try {
+        const ctx = await loadRoomContext(db, appId, roomId);
+        if (!ctx || event?.type !== 'join') return;
+        const playerName = event.displayName || 'A stranger';
+        for (const npcDoc of ctx.assignedNpcs) {
+            if (npcDoc.data().greetOnJoin === 'yes') {
+                await runAutonomousTurn(db, config, ctx, npcDoc, `${playerName} just entered ${ctx.room.name}. Greet them in character.`);
+            }
+        }
+    } finally {
+        await eventRef.delete();
+    }
+};
+
+// A scene was requested: run a bounded back-and-forth between its NPCs. Anyone in the
+// channel can stop it by setting the scene's status to 'stopped'. A channel runs one scene
+// at a time; chatrooms/{roomId}/runtime/scene holds the ID of the one running.
+const handleSceneCreated = async ({ db, config, appId, roomId, sceneRef }) => {
+    const lockRef = db.doc(`${dataPath(appId)}/chatrooms/${roomId}/runtime/scene`);
+    // Claim the scene so a retried trigger does not run it twice, and the channel so no
+    // other scene runs alongside it.
+    const claim = await db.runTransaction(async (transaction) => {
+        const [snapshot, lockSnap] = await Promise.all([transaction.get(sceneRef), transaction.get(lockRef)]);
+        if (!snapshot.exists || snapshot.get('status') !== 'running' || snapshot.get('runnerStarted')) return null;
+        const runningId = lockSnap.get('sceneId');
+        const running = runningId && runningId !== sceneRef.id ? await transaction.get(sceneRef.parent.doc(runningId)) : null;
+        if (running?.exists && running.get('status') !== 'ended') {
+            transaction.update(sceneRef, { status: 'ended', turn: 0, endedAt: FieldValue.serverTimestamp() });
+            return { busy: true };
+        }
+        transaction.update(sceneRef, { runnerStarted: true });
+        transaction.set(lockRef, { sceneId: sceneRef.id });
+        return { scene: snapshot.data() };
+    });
+    if (!claim) return;
+    if (claim.busy) {
+        await db.collection(`${dataPath(appId)}/chatrooms/${roomId}/messages`).add(systemMessage('[Scene] A scene is already running in this channel.'));
+        return;
+    }
+    const { scene } = claim;
+
+    const ctx = await loadRoomContext(db, appId, roomId);
+    if (!ctx) {
+        await lockRef.delete();
+        return;
+    }
+    const sceneNpcs = (scene.npcNames || []).slice(0, MAX_SCENE_NPCS)
+        .map(name => ctx.npcDocs.find(d => d.data().name === name))
+        .filter(Boolean);
+    const names = sceneNpcs.map(d => d.data().name);
+    const maxTurns = Math.min(Number(scene.maxTurns) || DEFAULT_SCENE_TURNS, MAX_SCENE_TURNS);
+    const premise = scene.premise || '';
+
+    const controller = new AbortController();
+    let stopped = false;
+    const unsubscribe = sceneRef.onSnapshot((snapshot) => {
+        if (snapshot.get('status') !== 'running') {
+            stopped = true;
+            controller.abort();
+        }
+    }, (error) => console.error("Error watching NPC scene:", error));
+
+    let turn = 0;
+    try {
+        if (sceneNpcs.length < 2) {
+            await ctx.messagesRef.add(systemMessage('[Scene] A scene needs at least two NPCs from the Holo-Wiki.'));
+            return;
+        }
+        await ctx.messagesRef.add(systemMessage(`[Scene] ${joinNames(names)} take the stage${premise ? `: ${premise}` : ''} (up to ${maxTurns} turns).`));
+
+        for (; turn < maxTurns && !stopped; turn++) {
+            const index = turn % sceneNpcs.length;
+            const companions = names.filter((_, j) => j !== index);
+            const event = turn === 0
+                ? `A scene begins between you and ${joinNames(companions)}${premise ? `: ${premise}` : ''}. Open the scene in character.`
+                : `Continue the scene with ${joinNames(companions)}. Respond to what was just said, in character.`;
+            const result = await runNpcTurn({ db, config, room: ctx.room, messagesRef: ctx.messagesRef, npcDoc: sceneNpcs[index], event, companions, signal: controller.signal });
+            if (result?.status !== 'complete') {
+                turn++;
+                break;
+            }
+            await sceneRef.update({ turn: turn + 1 });
+        }
+    } catch (error) {
+        console.error("Error running NPC scene:", error);
+    } finally {
+        unsubscribe();
+        await sceneRef.update({ status: 'ended', turn, endedAt: FieldValue.serverTimestamp() });
+        await lockRef.delete();
+        if (sceneNpcs.length >= 2) {
+            await ctx.messagesRef.add(systemMessage(`[Scene] The scene ends after ${turn} turn${turn === 1 ? '' : 's'}.`));
+        }
+    }
+};
+
+// Turns a check against a character sheet ("Ranged (Light)", plus extra dice) into dice.
+const resolveCheck = async (db, appId, request) => {
+    const base = dataPath(appId);
+    const [characterSnap, templateSnap] = await Promise.all([
+        db.doc(`${base}/wikis/${request.characterId || '-'}`).get(),
+        db.doc(`${base}/settings/characterSheet`).get(),
+    ]);
+    if (!characterSnap.exists || characterSnap.get('creatorId') !== request.userId) {
+        throw new Error('Checks need one of your own characters. Pick it in "Post as" first.');
+    }
+    const template = templateSnap.exists ? templateSnap.data() : DEFAULT_SHEET_TEMPLATE;
+    const check = findCheck(template, request.check);
+    if (!check) throw new Error(`"${request.check}" is not a skill or attribute on the character sheet.`);
+    return { label: check.label, characterName: characterSnap.get('name'), expression: checkExpression(template, characterSnap.get('sheet'), check, request.expression) };
+};
+
+// A player asked for a roll: post the result as a system message with the same ID as the
+// request, so a retried trigger cannot roll twice. Clients can neither write nor edit
+// system messages, which makes the posted results trustworthy, along with `rolledBy`. The
+// name shown is only a label: the character's for checks, otherwise the player's profile
+// name, which players choose themselves. It never comes from the request.
+const handleRollRequest = async ({ db, appId, roomId, rollRef, request }) => {
+    try {
+        const messageRef = db.doc(`${dataPath(appId)}/chatrooms/${roomId}/messages/${rollRef.id}`);
+        const profile = await db.doc(`artifacts/${appId}/users/${request?.userId || '-'}/profile/data`).get();
+        let name = profile.get('displayName') || 'Someone';
+        let message;
+        try {
+            const check = request?.check ? await resolveCheck(db, appId, request) : null;
+            if (check?.characterName) name = check.characterName;
+            const roll = rollDice(check ? check.expression : request?.expression);
+            message = {
+                ...systemMessage(`${name} rolled ${check ? `${check.label}: ` : ''}${describeRoll(roll)}`),
+                authorName: 'Dice',
+                roll: check ? { ...roll, check: check.label } : roll,
+                rolledBy: request.userId,
+                rolledByName: name,
+            };
+        } catch (error) {
+            message = systemMessage(`[Dice] ${name}: ${error.message}`);
+        }
+        await messageRef.create(message);
+    } catch (error) {
+        // ALREADY_EXISTS: this request was handled before
+        if (error.code !== 6) throw error;
+    } finally {
+        await rollRef.delete();
+    }
+};
+
+const hasRecentPlayerActivity = async (messagesRef) => {
+    const snapshot = await messagesRef.orderBy('createdAt', 'desc').limit(10).get();
+    const cutoff = Date.now() - ACTIVE_CHANNEL_MS;
+    return snapshot.docs.some(d => !d.get('isNpc') && d.get('authorId') !== 'system' && d.get('createdAt')?.toMillis() > cutoff);
+};
+
+// Ambient lines: every NPC with an interval speaks up in its active channels once it
+// has been quiet there for that long.
+const runAmbientTick = async ({ db, config }) => {
+    const npcSnap = await db.collectionGroup('wikis').where('type', '==', 'npc').get();
+    const contexts = new Map();
+
+    for (const npcDoc of npcSnap.docs) {
+        const npc = npcDoc.data();
+        const minutes = Number(npc.ambientIntervalMinutes);
+        if (!minutes || npc.deletedAt) continue;
+        const appId = npcDoc.ref.path.split('/')[1];
+
+        const roomIds = new Set();
+        if (npc.assignedChatroomId) roomIds.add(npc.assignedChatroomId);
+        if (npc.assignedMapPointId) {
+            const point = await db.doc(`${dataPath(appId)}/mappoints/${npc.assignedMapPointId}`).get();
+            if (point.exists) linkedChatroomIdsOf(point.data()).forEach(id => roomIds.add(id));
+        }
+
+        for (const roomId of roomIds) {
+            const key = `${appId}/${roomId}`;
+            if (!contexts.has(key)) {
+                const ctx = await loadRoomContext(db, appId, roomId);
+                contexts.set(key, ctx && (await hasRecentPlayerActivity(ctx.messagesRef)) ? ctx : null);
+            }
+            const ctx = contexts.get(key);
+            if (!ctx) continue;
+            try {
+                await runAutonomousTurn(db, config, ctx, npcDoc, 'Some time passes. Say or do something ambient, in character, that fits the scene.', { minIntervalMs: minutes * 60 * 1000 });
+            } catch (error) {
+                console.error(`Error posting ambient line for NPC ${npcDoc.id}:`, error);
+            }
+        }
+    }
+};
+
+module.exports = { handleChatMessage, handleJoinEvent, handleSceneCreated, handleRollRequest, runAmbientTick };
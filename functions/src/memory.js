@@ -0,0 +1,167 @@
+const { FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { generateNpcText } = require('./providers');
+
+// --- NPC Memory ---
+// Each NPC keeps its memory in a `memory` subcollection under its wiki document.
+// Entries record a single line: { kind: 'entry', speakerId, speakerName, channelId, channelName, text, createdAt }.
+// Once there are more than MEMORY_MAX_ENTRIES, the oldest batch is rolled into an
+// AI-written { kind: 'summary', text, entryCount, coversFrom, coversTo, createdAt } document.
+const MEMORY_MAX_ENTRIES = 40;
+const MEMORY_SUMMARY_BATCH = 20;
+const MEMORY_MAX_SUMMARIES = 5;
+const MEMORY_PROMPT_ENTRIES = 12;
+// Only one compaction per NPC may run at a time; the lease expires in case a run dies.
+const COMPACTION_LEASE_MS = 2 * 60 * 1000;
+
+const loadNpcMemory = async (npcRef) => {
+    const snapshot = await npcRef.collection('memory').orderBy('createdAt').get();
+    const all = snapshot.docs.map(d => ({ id: d.id, ref: d.ref, ...d.data() }));
+    return {
+        summaries: all.filter(m => m.kind === 'summary'),
+        entries: all.filter(m => m.kind !== 'summary'),
+    };
+};
+
+const tokenize = (text) => new Set((text || '').toLowerCase().match(/[a-z0-9']{4,}/g) || []);
+
+// Picks the entries most worth showing the model: recent ones first, with a boost
+// for lines from the same channel, the same speaker, or sharing words with the prompt.
+const selectRelevantMemory = (entries, { channelId, speakerId, prompt }) => {
+    const promptWords = tokenize(prompt);
+    const scored = entries.map((entry, index) => {
+        let score = index / Math.max(entries.length, 1);
+        if (entry.channelId === channelId) score += 0.5;
+        if (entry.speakerId === speakerId) score += 0.5;
+        for (const word of tokenize(entry.text)) {
+            if (promptWords.has(word)) score += 0.25;
+        }
+        return { entry, score, index };
+    });
+    return scored
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MEMORY_PROMPT_ENTRIES)
+        .sort((a, b) => a.index - b.index)
+        .map(s => s.entry);
+};
+
+const formatMemoryEntry = (entry) => `[${entry.channelName || 'unknown channel'}] ${entry.speakerName}: ${entry.text}`;
+
+const formatMemoryForPrompt = ({ summaries, entries }, context) => {
+    const sections = [];
+    if (summaries.length) {
+        sections.push('Summaries of older events:\n' + summaries.map(s => `- ${s.text}`).join('\n'));
+    }
+    const relevant = selectRelevantMemory(entries, context);
+    if (relevant.length) {
+        sections.push('Recent remembered lines:\n' + relevant.map(formatMemoryEntry).join('\n'));
+    }
+    return sections.join('\n\n') || 'No memories yet.';
+};
+
+const summarizeMemory = async (config, npcData, lines) => {
+    const system = `You maintain the long-term memory of a Star Wars roleplay NPC named ${npcData.name}. Summarize the given events in 2-4 sentences from the NPC's point of view. Keep names, places, promises and debts.`;
+    const text = await generateNpcText(config, npcData, { system, messages: [{ role: 'user', text: lines.join('\n') }] });
+    return text.trim();
+};
+
+const claimCompactionLease = async (db, npcRef) => {
+    const leaseRef = npcRef.collection('runtime').doc('compaction');
+    return db.runTransaction(async (transaction) => {
+        const lease = await transaction.get(leaseRef);
+        const now = Date.now();
+        if (lease.exists && lease.get('until') > now) return false;
+        transaction.set(leaseRef, { until: now + COMPACTION_LEASE_MS });
+        return true;
+    });
+};
+
+// Rolls the oldest entries (and, if needed, the oldest summaries) into new summaries
+// so the memory subcollection stays bounded.
+const compactNpcMemory = async (db, config, npcRef, npcData) => {
+    const { summaries, entries } = await loadNpcMemory(npcRef);
+    const needsWork = entries.length > MEMORY_MAX_ENTRIES || summaries.length > MEMORY_MAX_SUMMARIES;
+    if (!needsWork || !(await claimCompactionLease(db, npcRef))) return;
+
+    try {
+        if (entries.length > MEMORY_MAX_ENTRIES) {
+            const batchEntries = entries.slice(0, MEMORY_SUMMARY_BATCH);
+            const text = await summarizeMemory(config, npcData, batchEntries.map(formatMemoryEntry));
+            if (text) {
+                const batch = db.batch();
+                batch.set(npcRef.collection('memory').doc(), {
+                    kind: 'summary',
+                    text,
+                    entryCount: batchEntries.length,
+                    coversFrom: batchEntries[0].createdAt,
+                    coversTo: batchEntries[batchEntries.length - 1].createdAt,
+                    createdAt: batchEntries[batchEntries.length - 1].createdAt,
+                });
+                batchEntries.forEach(entry => batch.delete(entry.ref));
+                await batch.commit();
+                summaries.push({ text });
+            }
+        }
+
+        if (summaries.length > MEMORY_MAX_SUMMARIES) {
+            const oldest = summaries.slice(0, summaries.length - MEMORY_MAX_SUMMARIES + 1).filter(s => s.ref);
+            if (oldest.length < 2) return;
+            const text = await summarizeMemory(config, npcData, oldest.map(s => s.text));
+            if (text) {
+                const batch = db.batch();
+                batch.set(npcRef.collection('memory').doc(), {
+                    kind: 'summary',
+                    text,
+                    entryCount: oldest.reduce((sum, s) => sum + (s.entryCount || 0), 0),
+                    coversFrom: oldest[0].coversFrom || oldest[0].createdAt,
+                    coversTo: oldest[oldest.length - 1].coversTo || oldest[oldest.length - 1].createdAt,
+                    createdAt: oldest[oldest.length - 1].createdAt,
+                });
+                oldest.forEach(s => batch.delete(s.ref));
+                await batch.commit();
+            }
+        }
+    } finally {
+        await npcRef.collection('runtime').doc('compaction').delete();
+    }
+};
+
+// NPCs created before structured memory kept everything in one `interaction_history`
+// string. Move it into a single summary document and drop the field. The summary has a fixed
+// ID, so NPC turns that start at the same time import the history only once.
+const migrateLegacyHistory = async (db, npcRef, npcData) => {
+    const history = npcData.interaction_history;
+    if (typeof history !== 'string') return;
+    const batch = db.batch();
+    if (history.trim() && history.trim() !== 'NPC created.') {
+        batch.create(npcRef.collection('memory').doc('legacy-history'), {
+            kind: 'summary',
+            text: `Older interactions (imported): ${history.trim().slice(-4000)}`,
+            entryCount: 0,
+            createdAt: npcData.createdAt || Timestamp.fromMillis(0),
+        });
+    }
+    batch.update(npcRef, { interaction_history: FieldValue.delete() });
+    try {
+        await batch.commit();
+    } catch (error) {
+        // ALREADY_EXISTS: another turn imported the history first
+        if (error.code !== 6) throw error;
+        await npcRef.update({ interaction_history: FieldValue.delete() });
+    }
+};
+
+const recordNpcExchange = async (db, npcRef, entries) => {
+    const batch = db.batch();
+    entries.forEach(entry => batch.set(npcRef.collection('memory').doc(), { kind: 'entry', createdAt: Timestamp.now(), ...entry }));
+    await batch.commit();
+};
+
+module.exports = {
+    MEMORY_MAX_ENTRIES,
+    loadNpcMemory,
+    selectRelevantMemory,
+    formatMemoryForPrompt,
+    compactNpcMemory,
+    migrateLegacyHistory,
+    recordNpcExchange,
+};
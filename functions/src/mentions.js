@@ -0,0 +1,32 @@
+// --- NPC Mentions ---
+const overlapsAny = (spans, start, end) => spans.some(([spanStart, spanEnd]) => start < spanEnd && end > spanStart);
+
+// Finds every known NPC mentioned as @Name anywhere in the text, in order of
+// appearance. Longer names win, so "@Bib Fortuna" is not also read as "@Bib".
+const findNpcMentions = (text, npcNames) => {
+    const lower = text.toLowerCase();
+    const taken = [];
+    const found = [];
+    [...new Set(npcNames.filter(Boolean))].sort((a, b) => b.length - a.length).forEach(name => {
+        const needle = `@${name.toLowerCase()}`;
+        let index = lower.indexOf(needle);
+        while (index !== -1) {
+            const end = index + needle.length;
+            const boundary = end >= lower.length || !/[\w-]/.test(lower[end]);
+            if (boundary && !overlapsAny(taken, index, end)) {
+                taken.push([index, end]);
+                found.push({ name, index });
+                return;
+            }
+            index = lower.indexOf(needle, index + 1);
+        }
+    });
+    return found.sort((a, b) => a.index - b.index).map(m => m.name);
+};
+
+// The original "@NPC_Name, message" form, addressed to a single NPC.
+const matchMentionPrefix = (text) => text.match(/^@([\w\s-]+),/);
+
+const joinNames = (names) => names.length <= 1 ? (names[0] || '') : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+
+module.exports = { findNpcMentions, matchMentionPrefix, joinNames };
@@ -0,0 +1,128 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { findNpcMentions } = require('./mentions');
+
+// --- Notifications ---
+// Each player's inbox lives in /artifacts/{appId}/users/{uid}/notifications:
+//   { type: 'mention' | 'reply' | 'wiki', actorName, text?, roomId?, roomName?, messageId?,
+//     wikiId?, wikiName?, action?, read: false, createdAt }
+// Chatrooms also count their messages (`messageCount`, `lastMessageAt`) so the client can
+// compare them with the player's read markers for unread badges.
+
+const EXCERPT_LENGTH = 140;
+
+const dataPath = (appId) => `artifacts/${appId}/public/data`;
+
+const excerpt = (text) => {
+    const flat = (text || '').replace(/\s+/g, ' ').trim();
+    return flat.length > EXCERPT_LENGTH ? `${flat.substring(0, EXCERPT_LENGTH - 3)}...` : flat;
+};
+
+// Mirrors canSeeRoom in firestore.rules.
+const canSeeRoom = (room, uid, roles) => (room.visibility || 'public') === 'public'
+    || (room.members || []).includes(uid)
+    || room.creatorId === uid
+    || roles?.ownerId === uid
+    || roles?.gameMasters?.[uid] !== undefined;
+
+// Players mentioned as @DisplayName or as @CharacterName (for the player the character belongs
+// to), matched the same way NPC mentions are. Returns a Map of uid to the name used.
+const findMentionedPlayers = (text, players, characters) => {
+    const uidsByName = new Map();
+    const add = (name, uid) => {
+        if (!name || !uid) return;
+        const key = name.toLowerCase();
+        if (!uidsByName.has(key)) uidsByName.set(key, { name, uids: new Set() });
+        uidsByName.get(key).uids.add(uid);
+    };
+    players.forEach(player => add(player.displayName, player.id));
+    characters.forEach(character => add(character.name, character.creatorId));
+
+    const mentioned = new Map();
+    findNpcMentions(text || '', [...uidsByName.values()].map(entry => entry.name)).forEach(name => {
+        uidsByName.get(name.toLowerCase()).uids.forEach(uid => {
+            if (!mentioned.has(uid)) mentioned.set(uid, name);
+        });
+    });
+    return mentioned;
+};
+
+const writeNotifications = async (db, appId, notifications) => {
+    const batch = db.batch();
+    notifications.forEach(({ uid, id, ...notification }) => {
+        batch.set(db.doc(`artifacts/${appId}/users/${uid}/notifications/${id}`), { ...notification, read: false, createdAt: FieldValue.serverTimestamp() });
+    });
+    await batch.commit();
+};
+
+// A message was posted: count it for unread badges, then let players know they were
+// mentioned or replied to.
+const handleMessageNotifications = async ({ db, appId, roomId, messageId, message }) => {
+    if (!message) return;
+    const base = dataPath(appId);
+    const roomRef = db.doc(`${base}/chatrooms/${roomId}`);
+    const roomSnap = await roomRef.get();
+    if (!roomSnap.exists) return;
+    await roomRef.update({ messageCount: FieldValue.increment(1), lastMessageAt: message.createdAt || FieldValue.serverTimestamp() });
+
+    // NPC replies and system notices are not addressed to players.
+    if (message.isNpc || message.authorId === 'system' || !message.text) return;
+    const room = roomSnap.data();
+    const rolesSnap = await db.doc(`${base}/settings/roles`).get();
+    const roles = rolesSnap.exists ? rolesSnap.data() : null;
+
+    const recipients = new Map();
+    if (message.replyTo?.id) {
+        const original = await roomRef.collection('messages').doc(message.replyTo.id).get();
+        if (original.exists && !original.get('isNpc') && original.get('authorId') !== 'system') {
+            recipients.set(original.get('authorId'), 'reply');
+        }
+    }
+    if (message.text.includes('@')) {
+        const [playersSnap, charactersSnap] = await Promise.all([
+            db.collection(`${base}/players`).get(),
+            db.collection(`${base}/wikis`).where('type', '==', 'character').get(),
+        ]);
+        const players = playersSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+        const characters = charactersSnap.docs.filter(d => !d.get('deletedAt')).map(d => d.data());
+        findMentionedPlayers(message.text, players, characters).forEach((name, uid) => recipients.set(uid, 'mention'));
+    }
+
+    recipients.delete(message.authorId);
+    const notifications = [...recipients]
+        .filter(([uid]) => canSeeRoom(room, uid, roles))
+        .map(([uid, type]) => ({
+            uid,
+            id: `${messageId}-${type}`,
+            type,
+            actorName: message.authorName || 'Someone',
+            text: excerpt(message.text),
+            roomId,
+            roomName: room.name || '',
+            messageId,
+        }));
+    if (notifications.length > 0) await writeNotifications(db, appId, notifications);
+};
+
+// A wiki entry was saved: everyone following it, except whoever saved it, hears about it.
+// Followers are kept in wikis/{wikiId}/followers/{uid}.
+const handleWikiRevision = async ({ db, appId, wikiId, revisionId, revision }) => {
+    if (!revision) return;
+    const wikiRef = db.doc(`${dataPath(appId)}/wikis/${wikiId}`);
+    const [wikiSnap, followersSnap] = await Promise.all([wikiRef.get(), wikiRef.collection('followers').get()]);
+    const wikiName = revision.data?.name || wikiSnap.get('name') || 'A wiki entry';
+    const notifications = followersSnap.docs
+        .map(d => d.id)
+        .filter(uid => uid !== revision.authorId)
+        .map(uid => ({
+            uid,
+            id: `${wikiId}-${revisionId}`,
+            type: 'wiki',
+            actorName: revision.authorName || 'Someone',
+            action: revision.action || 'edit',
+            wikiId,
+            wikiName,
+        }));
+    if (notifications.length > 0) await writeNotifications(db, appId, notifications);
+};
+
+module.exports = { canSeeRoom, findMentionedPlayers, handleMessageNotifications, handleWikiRevision };
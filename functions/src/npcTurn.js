@@ -0,0 +1,111 @@
+const { FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { generateNpcText } = require('./providers');
+const { loadNpcMemory, formatMemoryForPrompt, compactNpcMemory, migrateLegacyHistory, recordNpcExchange } = require('./memory');
+const { buildChannelContext, withLatestPrompt } = require('./context');
+const { joinNames } = require('./mentions');
+
+// How often a streaming NPC reply is written back to Firestore while tokens arrive.
+const STREAM_FLUSH_INTERVAL_MS = 300;
+
+// gRPC status code Firestore uses when create() hits an existing document.
+const ALREADY_EXISTS = 6;
+
+// Runs one NPC reply in a channel and streams it into a new message document.
+// `prompt` is the line the NPC answers; for autonomous turns `event` describes what
+// prompted it instead. Passing a deterministic `replyId` makes retried triggers a no-op.
+// Anyone in the channel can cancel by setting `cancelRequested` on the streaming message.
+// Resolves with { status, text }, or null if the reply already existed.
+const runNpcTurn = async ({ db, config, room, messagesRef, npcDoc, speakerId, speakerName, prompt, event, triggerMessageId, companions = [], replyId, signal }) => {
+    const npcData = npcDoc.data();
+    const npcName = npcData.name;
+    const npcAuthorId = `npc-${npcDoc.id}`;
+    const promptedAt = Timestamp.now();
+    const replyRef = replyId ? messagesRef.doc(replyId) : messagesRef.doc();
+
+    // Create the reply up front so every participant sees it fill in live.
+    try {
+        await replyRef.create({ text: '', authorId: npcAuthorId, authorName: npcName, isNpc: true, status: 'streaming', createdAt: FieldValue.serverTimestamp() });
+    } catch (error) {
+        if (error.code === ALREADY_EXISTS) return null;
+        throw error;
+    }
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort, { once: true });
+    const unsubscribe = replyRef.onSnapshot((snapshot) => {
+        if (snapshot.get('cancelRequested')) abort();
+    }, (error) => console.error("Error watching NPC reply:", error));
+
+    let partialText = '';
+    // Flushes are chained so an older partial text can never land after a newer one.
+    let pendingFlush = Promise.resolve();
+
+    try {
+        const personality = npcData.personality || "a standard Star Wars character";
+        await migrateLegacyHistory(db, npcDoc.ref, npcData);
+        const memory = await loadNpcMemory(npcDoc.ref);
+        const memoryText = formatMemoryForPrompt(memory, { channelId: room.id, speakerId, prompt: prompt || event });
+
+        const system = `You are roleplaying as an NPC named ${npcName}.
+            Your personality is: ${personality}.
+            You are currently in the channel "${room.name}".${companions.length ? `
+            Also taking part in this exchange: ${joinNames(companions)}. Never write their lines for them.` : ''}
+            Here is your memory of past interactions (don't repeat it, just use it for context):
+            --- MEMORY START ---
+            ${memoryText}
+            --- MEMORY END ---
+            The conversation that follows is the recent scene in this channel; other speakers' lines are prefixed with their names.
+            Based on your personality, memory and the scene, respond to the latest message. Keep your response in character and concise, and reply only with your own line.`;
+
+        const context = await buildChannelContext(messagesRef, room, npcAuthorId, triggerMessageId ? [triggerMessageId] : []);
+        const conversation = event ? withLatestPrompt(context, 'Scene', event) : withLatestPrompt(context, speakerName, prompt);
+
+        let lastFlush = 0;
+        const onToken = (delta) => {
+            partialText += delta;
+            const now = Date.now();
+            if (now - lastFlush >= STREAM_FLUSH_INTERVAL_MS) {
+                lastFlush = now;
+                const text = partialText;
+                pendingFlush = pendingFlush
+                    .then(() => replyRef.update({ text }))
+                    .catch(err => console.error("Error streaming NPC reply:", err));
+            }
+        };
+
+        const generated = await generateNpcText(config, npcData, { system, messages: conversation, onToken, signal: controller.signal });
+        const aiResponse = generated || "The AI seems to be offline... try again later.";
+
+        // Commit the final text
+        await pendingFlush;
+        await replyRef.update({ text: aiResponse, status: 'complete' });
+
+        // Update NPC memory. Every player can read it and the NPC recalls it in any channel,
+        // so only exchanges in public channels are remembered.
+        if ((room.visibility || 'public') === 'public') {
+            const channel = { channelId: room.id, channelName: room.name };
+            const entries = [{ ...channel, speakerId: npcAuthorId, speakerName: npcName, text: aiResponse, createdAt: Timestamp.now() }];
+            if (prompt) {
+                entries.unshift({ ...channel, speakerId, speakerName, text: prompt, createdAt: promptedAt });
+            }
+            await recordNpcExchange(db, npcDoc.ref, entries);
+            await compactNpcMemory(db, config, npcDoc.ref, npcData);
+        }
+        return { status: 'complete', text: aiResponse };
+
+    } catch (error) {
+        const cancelled = error.name === 'AbortError';
+        if (!cancelled) console.error("Error calling/processing NPC response:", error);
+        // Keep whatever arrived and mark the reply so readers know it is incomplete.
+        await pendingFlush;
+        const status = cancelled ? 'cancelled' : 'failed';
+        await replyRef.update({ text: partialText, status, ...(cancelled ? {} : { error: error.message }) });
+        return { status, text: partialText };
+    } finally {
+        unsubscribe();
+        signal?.removeEventListener('abort', abort);
+    }
+};
+
+module.exports = { runNpcTurn };
@@ -0,0 +1,173 @@
+// --- LLM Provider Layer ---
+// Every provider exposes the same generate() signature:
+//   generate({ system, messages, model, endpoint, apiKey, onToken, signal }) => Promise<string>
+// where messages is a list of { role: 'user' | 'assistant', text }. Providers stream:
+// onToken (optional) receives each new chunk of text as it arrives, and the promise
+// resolves with the full reply. Aborting the signal rejects with an AbortError.
+
+const postForStream = async (url, body, headers = {}, signal) => {
+    const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body), signal });
+    if (!response.ok) {
+        throw new Error(`LLM request failed with status ${response.status}`);
+    }
+    return response;
+};
+
+// Reads a Server-Sent Events response and hands every `data:` payload to onData.
+const readSseStream = async (response, onData) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('data:')) {
+                onData(trimmed.substring(5).trim());
+            }
+        }
+    }
+    const rest = buffer.trim();
+    if (rest.startsWith('data:')) {
+        onData(rest.substring(5).trim());
+    }
+};
+
+// Shared by every server that speaks the OpenAI chat completions API.
+const generateOpenAiCompatible = async ({ system, messages, model, endpoint, apiKey, onToken, signal }) => {
+    const payload = {
+        model,
+        stream: true,
+        messages: [
+            { role: 'system', content: system },
+            ...messages.map(m => ({ role: m.role, content: m.text })),
+        ],
+    };
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const response = await postForStream(`${endpoint.replace(/\/$/, '')}/chat/completions`, payload, headers, signal);
+    let text = '';
+    await readSseStream(response, (data) => {
+        if (data === '[DONE]') return;
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) {
+            text += delta;
+            onToken?.(delta);
+        }
+    });
+    return text;
+};
+
+const abortError = () => new DOMException('The generation was cancelled.', 'AbortError');
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => { clearTimeout(timer); reject(abortError()); }, { once: true });
+});
+
+const MOCK_NPC_LINES = [
+    "Hmm. I have heard stranger things in this part of the galaxy.",
+    "You talk a lot for someone who hasn't paid yet.",
+    "The Force works in mysterious ways, friend.",
+    "I'd keep my voice down if I were you. The walls have ears.",
+    "That reminds me of a job I once took on Nar Shaddaa.",
+    "Interesting. Tell me more.",
+];
+
+// Small, stable string hash so the mock provider always answers the same input the same way.
+const hashString = (str) => {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        hash = ((hash << 5) - hash + str.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+};
+
+const llmProviders = {
+    gemini: {
+        label: 'Google Gemini',
+        defaultModel: 'gemini-2.0-flash',
+        defaultEndpoint: 'https://generativelanguage.googleapis.com/v1beta',
+        generate: async ({ system, messages, model, endpoint, apiKey, onToken, signal }) => {
+            const payload = {
+                systemInstruction: { parts: [{ text: system }] },
+                contents: messages.map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.text }] })),
+            };
+            const response = await postForStream(`${endpoint.replace(/\/$/, '')}/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, payload, {}, signal);
+            let text = '';
+            await readSseStream(response, (data) => {
+                const delta = JSON.parse(data).candidates?.[0]?.content?.parts?.[0]?.text;
+                if (delta) {
+                    text += delta;
+                    onToken?.(delta);
+                }
+            });
+            return text;
+        },
+    },
+    openai: {
+        label: 'OpenAI-compatible',
+        defaultModel: 'gpt-4o-mini',
+        defaultEndpoint: 'https://api.openai.com/v1',
+        generate: generateOpenAiCompatible,
+    },
+    local: {
+        // Ollama and the llama.cpp server both expose an OpenAI-compatible /v1 API.
+        label: 'Local (Ollama / llama.cpp)',
+        defaultModel: 'llama3',
+        defaultEndpoint: 'http://localhost:11434/v1',
+        generate: generateOpenAiCompatible,
+    },
+    mock: {
+        label: 'Offline mock',
+        defaultModel: 'mock',
+        defaultEndpoint: '',
+        generate: async ({ system, messages, onToken, signal, delayMs = 40 }) => {
+            const lastMessage = messages[messages.length - 1]?.text || '';
+            const line = MOCK_NPC_LINES[hashString(system + lastMessage) % MOCK_NPC_LINES.length];
+            const reply = `${line} (re: "${lastMessage.substring(0, 40)}")`;
+            // Emit word by word so streaming can be exercised without a network.
+            for (const word of reply.match(/\S+\s*/g)) {
+                await sleep(delayMs, signal);
+                onToken?.(word);
+            }
+            return reply;
+        },
+    },
+};
+
+const normalizeEndpoint = (endpoint) => (endpoint || '').trim().replace(/\/+$/, '');
+
+// Resolves which provider, model and endpoint an NPC runs on. The deployment's
+// model and endpoint only apply when the NPC uses the deployment's provider.
+// config: { provider, model, endpoint, apiKeys: { [provider]: key }, providerOptions }
+// where providerOptions (optional) is passed through to generate(), e.g. { delayMs: 0 } for the mock.
+// The deployment's API key is only sent to the deployment's endpoint or the provider's own,
+// never to a host named in an NPC entry.
+const resolveLlmSettings = (config, npcData = {}) => {
+    const provider = npcData.llmProvider || config.provider;
+    const definition = llmProviders[provider];
+    if (!definition) {
+        throw new Error(`Unknown LLM provider "${provider}".`);
+    }
+    const deploymentDefaults = provider === config.provider ? config : {};
+    const endpoint = npcData.llmEndpoint || deploymentDefaults.endpoint || definition.defaultEndpoint;
+    const trustedEndpoints = [deploymentDefaults.endpoint, definition.defaultEndpoint].map(normalizeEndpoint).filter(Boolean);
+    return {
+        provider,
+        model: npcData.llmModel || deploymentDefaults.model || definition.defaultModel,
+        endpoint,
+        apiKey: trustedEndpoints.includes(normalizeEndpoint(endpoint)) ? config.apiKeys?.[provider] || '' : '',
+    };
+};
+
+const generateNpcText = async (config, npcData, { system, messages, onToken, signal }) => {
+    const settings = resolveLlmSettings(config, npcData);
+    return llmProviders[settings.provider].generate({ ...settings, system, messages, onToken, signal, ...config.providerOptions });
+};
+
+module.exports = { llmProviders, resolveLlmSettings, generateNpcText, readSseStream, sleep };
@@ -0,0 +1,64 @@
+// --- Character Sheets ---
+// Character wiki entries carry a `sheet`; what it holds is described by the campaign's template in
+// settings/characterSheet (falling back to DEFAULT_SHEET_TEMPLATE, mirrored in src/App.js):
+//   { dice: 'narrative' | 'd20', attributes: [{ key, label }], skills: [{ key, label, attribute }] }
+// Sheets store values by key: { attributes: { brawn: 3 }, skills: { athletics: 1 }, ... }.
+const DEFAULT_SHEET_TEMPLATE = {
+    dice: 'narrative',
+    attributes: [
+        { key: 'brawn', label: 'Brawn' },
+        { key: 'agility', label: 'Agility' },
+        { key: 'intellect', label: 'Intellect' },
+        { key: 'cunning', label: 'Cunning' },
+        { key: 'willpower', label: 'Willpower' },
+        { key: 'presence', label: 'Presence' },
+    ],
+    skills: [
+        { key: 'athletics', label: 'Athletics', attribute: 'brawn' },
+        { key: 'brawl', label: 'Brawl', attribute: 'brawn' },
+        { key: 'lightsaber', label: 'Lightsaber', attribute: 'brawn' },
+        { key: 'ranged-light', label: 'Ranged (Light)', attribute: 'agility' },
+        { key: 'ranged-heavy', label: 'Ranged (Heavy)', attribute: 'agility' },
+        { key: 'piloting', label: 'Piloting', attribute: 'agility' },
+        { key: 'stealth', label: 'Stealth', attribute: 'agility' },
+        { key: 'computers', label: 'Computers', attribute: 'intellect' },
+        { key: 'mechanics', label: 'Mechanics', attribute: 'intellect' },
+        { key: 'medicine', label: 'Medicine', attribute: 'intellect' },
+        { key: 'deception', label: 'Deception', attribute: 'cunning' },
+        { key: 'perception', label: 'Perception', attribute: 'cunning' },
+        { key: 'streetwise', label: 'Streetwise', attribute: 'cunning' },
+        { key: 'discipline', label: 'Discipline', attribute: 'willpower' },
+        { key: 'vigilance', label: 'Vigilance', attribute: 'willpower' },
+        { key: 'charm', label: 'Charm', attribute: 'presence' },
+        { key: 'leadership', label: 'Leadership', attribute: 'presence' },
+        { key: 'negotiation', label: 'Negotiation', attribute: 'presence' },
+    ],
+};
+
+// Finds the skill or attribute a check names, by key or label.
+const findCheck = (template, name) => {
+    const wanted = (name || '').trim().toLowerCase();
+    const skill = (template.skills || []).find(s => s.key === wanted || s.label.toLowerCase() === wanted);
+    if (skill) return { ...skill, type: 'skill' };
+    const attribute = (template.attributes || []).find(a => a.key === wanted || a.label.toLowerCase() === wanted);
+    return attribute ? { ...attribute, type: 'attribute' } : null;
+};
+
+// The dice a character rolls for a check, plus any `extra` dice or modifiers the player added.
+// Narrative: the higher of attribute and skill rank in dice, of which the lower number is
+// upgraded to proficiency. d20: attribute plus rank.
+const checkExpression = (template, sheet, check, extra = '') => {
+    const attributeKey = check.type === 'skill' ? check.attribute : check.key;
+    const attribute = Number(sheet?.attributes?.[attributeKey]) || 0;
+    const rank = check.type === 'skill' ? (Number(sheet?.skills?.[check.key]) || 0) : 0;
+    const more = (extra || '').trim();
+    if (template.dice === 'd20') {
+        const bonus = attribute + rank;
+        return `1d20${bonus < 0 ? '' : '+'}${bonus}${more && !/^[+-]/.test(more) ? '+' : ''}${more}`;
+    }
+    const upgraded = check.type === 'skill' ? Math.min(attribute, rank) : 0;
+    const ability = Math.max(attribute, rank) - upgraded;
+    return [upgraded ? `${upgraded}y` : '', ability ? `${ability}g` : '', more].filter(Boolean).join(' ');
+};
+
+module.exports = { DEFAULT_SHEET_TEMPLATE, findCheck, checkExpression };
@@ -0,0 +1,145 @@
+const { FieldValue } = require('firebase-admin/firestore');
+
+// --- Travel ---
+// Characters and NPCs travel between planets (mappoints) along the map's hyperspace lanes
+// (maplanes: { fromId, toId, travelHours }). A player asks to go by adding travels/{id}:
+//   { characterId, toId, direct?, userId, createdAt }
+// Player characters are tracked in locations/{characterId}:
+//   { pointId, characterName, creatorId, fromId, route, travelHours, arrivedAt }
+// NPCs keep their `assignedMapPointId`, which is what places them in a planet's chatrooms.
+// Arrivals and departures are announced in each planet's main channel (`linkedChatroomId`,
+// the first of its `linkedChatroomIds`).
+// Game masters may move anyone `direct`ly, ignoring the lanes.
+
+const dataPath = (appId) => `artifacts/${appId}/public/data`;
+
+const TRAVELLER_TYPES = ['character', 'npc'];
+
+// The quickest way from one planet to another over the lanes, as { path: [pointIds], hours },
+// or null when there is none. Mirrored in src/App.js.
+const findRoute = (lanes, fromId, toId) => {
+    const neighbours = new Map();
+    const link = (a, b, hours) => {
+        if (!neighbours.has(a)) neighbours.set(a, []);
+        neighbours.get(a).push({ id: b, hours });
+    };
+    lanes.forEach(lane => {
+        const hours = Math.max(0, Number(lane.travelHours) || 0);
+        link(lane.fromId, lane.toId, hours);
+        link(lane.toId, lane.fromId, hours);
+    });
+
+    const best = new Map([[fromId, { hours: 0, previous: null }]]);
+    const done = new Set();
+    for (;;) {
+        let current = null;
+        best.forEach((entry, id) => {
+            if (!done.has(id) && (current === null || entry.hours < best.get(current).hours)) current = id;
+        });
+        if (current === null) return null;
+        if (current === toId) break;
+        done.add(current);
+        (neighbours.get(current) || []).forEach(({ id, hours }) => {
+            const total = best.get(current).hours + hours;
+            if (!best.has(id) || total < best.get(id).hours) best.set(id, { hours: total, previous: current });
+        });
+    }
+    const path = [];
+    for (let id = toId; id !== null; id = best.get(id).previous) path.unshift(id);
+    return { path, hours: best.get(toId).hours };
+};
+
+// Same wording as formatTravelTime in src/App.js.
+const formatTravelTime = (hours) => {
+    const total = Number(hours) || 0;
+    if (total < 24) return `${total}h`;
+    const days = Math.floor(total / 24);
+    return total % 24 ? `${days}d ${total % 24}h` : `${days}d`;
+};
+
+const travelMessage = (text, request, characterId) => ({
+    text,
+    authorId: 'system',
+    authorName: 'Travel',
+    travellerId: characterId,
+    travelledBy: request.userId,
+    createdAt: FieldValue.serverTimestamp(),
+});
+
+// Moves the character and announces the departure in the chatroom of the planet it leaves and
+// the arrival in the one it reaches. Requests that are not allowed, or have no route, are
+// dropped; the request is consumed either way.
+const handleTravelRequest = async ({ db, appId, travelRef, request }) => {
+    try {
+        const base = dataPath(appId);
+        const characterRef = db.doc(`${base}/wikis/${request?.characterId}`);
+        const locationRef = db.doc(`${base}/locations/${request?.characterId}`);
+        const [characterSnap, rolesSnap, locationSnap, destinationSnap] = await Promise.all([
+            characterRef.get(),
+            db.doc(`${base}/settings/roles`).get(),
+            locationRef.get(),
+            db.doc(`${base}/mappoints/${request?.toId}`).get(),
+        ]);
+        const character = characterSnap.data();
+        if (!character || character.deletedAt || !TRAVELLER_TYPES.includes(character.type) || !destinationSnap.exists) return;
+
+        const roles = rolesSnap.data();
+        const isGameMaster = roles?.ownerId === request.userId || roles?.gameMasters?.[request.userId] !== undefined;
+        if (character.creatorId !== request.userId && !isGameMaster) return;
+
+        const isNpc = character.type === 'npc';
+        const placedAt = isNpc ? character.assignedMapPointId : locationSnap.get('pointId');
+        const originSnap = placedAt ? await db.doc(`${base}/mappoints/${placedAt}`).get() : null;
+        const origin = originSnap?.exists ? originSnap.data() : null;
+        // A planet removed from the map strands nobody: its travellers count as not placed yet.
+        const fromId = origin ? placedAt : null;
+        if (fromId === request.toId) return;
+
+        // A character without a location yet may start anywhere.
+        let route = { path: [request.toId], hours: 0 };
+        if (fromId && !(request.direct && isGameMaster)) {
+            const lanesSnap = await db.collection(`${base}/maplanes`).get();
+            route = findRoute(lanesSnap.docs.map(d => d.data()), fromId, request.toId);
+            if (!route) return;
+        } else if (fromId) {
+            route = { path: [fromId, request.toId], hours: 0 };
+        }
+
+        const destination = destinationSnap.data();
+        const name = character.name || 'Someone';
+        const duration = route.hours ? ` after ${formatTravelTime(route.hours)} in hyperspace` : '';
+
+        const batch = db.batch();
+        if (isNpc) {
+            batch.update(characterRef, { assignedMapPointId: request.toId });
+        } else {
+            batch.set(locationRef, {
+                pointId: request.toId,
+                characterName: name,
+                creatorId: character.creatorId || null,
+                fromId: fromId || null,
+                route: route.path,
+                travelHours: route.hours,
+                arrivedAt: FieldValue.serverTimestamp(),
+            });
+        }
+        // Messages take the request's ID, so a retried trigger cannot announce twice.
+        if (origin?.linkedChatroomId) {
+            const via = route.path.length > 2 ? ` via ${route.path.length - 2} stop${route.path.length > 3 ? 's' : ''}` : '';
+            batch.create(db.doc(`${base}/chatrooms/${origin.linkedChatroomId}/messages/${travelRef.id}-departure`),
+                travelMessage(`${name} departs for ${destination.name}${via}.`, request, characterSnap.id));
+        }
+        if (destination.linkedChatroomId) {
+            batch.create(db.doc(`${base}/chatrooms/${destination.linkedChatroomId}/messages/${travelRef.id}-arrival`),
+                travelMessage(origin ? `${name} arrives from ${origin.name}${duration}.` : `${name} arrives.`, request, characterSnap.id));
+        }
+        await batch.commit();
+    } catch (error) {
+        // ALREADY_EXISTS: this request was handled before
+        if (error.code !== 6) throw error;
+    } finally {
+        await travelRef.delete();
+    }
+};
+
+module.exports = { findRoute, formatTravelTime, handleTravelRequest };
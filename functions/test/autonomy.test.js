@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NPC_LIMIT_DEFAULTS, getAutonomyRates } = require('../src/autonomy');
+
+test('uses the NPC rates within the deployment limits', () => {
+    assert.deepStrictEqual(getAutonomyRates({ autonomyCooldownSeconds: 120, autonomyMaxPerHour: 5 }, { minCooldownSeconds: 10, maxPerHour: 30 }), { cooldownMs: 120000, maxPerHour: 5 });
+    assert.deepStrictEqual(getAutonomyRates({}), { cooldownMs: 60000, maxPerHour: 10 });
+});
+
+test('keeps NPC rates from going past the deployment limits', () => {
+    assert.deepStrictEqual(getAutonomyRates({ autonomyCooldownSeconds: 0.001, autonomyMaxPerHour: 1e6 }, { minCooldownSeconds: 20, maxPerHour: 12 }), { cooldownMs: 20000, maxPerHour: 12 });
+    assert.deepStrictEqual(getAutonomyRates({ autonomyCooldownSeconds: 0.001, autonomyMaxPerHour: -3 }), { cooldownMs: NPC_LIMIT_DEFAULTS.minCooldownSeconds * 1000, maxPerHour: 1 });
+});
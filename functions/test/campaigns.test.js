@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Timestamp } = require('firebase-admin/firestore');
+const { ARCHIVE_FORMAT, toPortable, fromPortable, validateArchive, planImport, remapReferences } = require('../src/campaigns');
+
+const archive = (collections) => ({ format: ARCHIVE_FORMAT, version: 1, collections });
+
+test('timestamps survive the trip through JSON', () => {
+    const createdAt = Timestamp.fromMillis(Date.UTC(2024, 4, 4));
+    const portable = JSON.parse(JSON.stringify(toPortable({ createdAt, tags: [{ at: createdAt }], name: 'Hoth' })));
+    assert.deepStrictEqual(portable.createdAt, { __timestamp: '2024-05-04T00:00:00.000Z' });
+    const restored = fromPortable(portable);
+    assert.ok(restored.createdAt.isEqual(createdAt));
+    assert.ok(restored.tags[0].at.isEqual(createdAt));
+    assert.strictEqual(restored.name, 'Hoth');
+});
+
+test('refuses files that are not importable archives', () => {
+    assert.throws(() => validateArchive({ hello: 'there' }), /not a campaign archive/);
+    assert.throws(() => validateArchive({ ...archive({}), version: 99 }), /version 99/);
+    assert.throws(() => validateArchive(archive({ players: [] })), /unknown collection "players"/);
+    assert.throws(() => validateArchive(archive({ wikis: [{ id: 'a/b', data: {} }] })), /valid id/);
+    assert.doesNotThrow(() => validateArchive(archive({ wikis: [{ id: 'luke', data: {}, subcollections: { memory: [{ id: 'm1', data: {} }] } }] })));
+});
+
+test('accepts only the story settings and known subcollections', () => {
+    assert.throws(() => validateArchive(archive({ settings: [{ id: 'roles', data: { ownerId: 'mallory', gameMasters: {} } }] })), /settings "roles"/);
+    assert.throws(() => validateArchive(archive({ chatrooms: [{ id: 'cantina', data: {}, subcollections: { whispers: [] } }] })), /unknown subcollection "whispers"/);
+    assert.doesNotThrow(() => validateArchive(archive({ settings: [{ id: 'galaxyMap', data: {} }, { id: 'characterSheet', data: {} }] })));
+    assert.doesNotThrow(() => validateArchive(archive({ chatrooms: [{ id: 'cantina', data: {}, subcollections: { messages: [] } }] })));
+});
+
+test('handles taken IDs as asked and moves locations along with their characters', () => {
+    const data = archive({
+        wikis: [{ id: 'luke', data: {} }, { id: 'leia', data: {} }],
+        locations: [{ id: 'luke', data: {} }],
+        settings: [{ id: 'galaxyMap', data: {} }],
+    });
+    const existing = { wikis: new Set(['luke']), locations: new Set(['luke']), settings: new Set(['galaxyMap']) };
+    const plan = (mode) => planImport(data, existing, mode, (name) => `new-${name}`);
+    const summary = ({ actions }) => Object.fromEntries(Object.entries(actions).map(([name, list]) => [name, list.map(a => `${a.entry.id}:${a.action}:${a.id}`)]));
+
+    assert.deepStrictEqual(summary(plan('skip')), { settings: ['galaxyMap:skip:galaxyMap'], wikis: ['luke:skip:luke', 'leia:create:leia'], locations: ['luke:skip:luke'] });
+    assert.deepStrictEqual(summary(plan('overwrite')).locations, ['luke:overwrite:luke']);
+    const copied = plan('copy');
+    assert.deepStrictEqual(summary(copied), { settings: ['galaxyMap:skip:galaxyMap'], wikis: ['luke:copy:new-wikis', 'leia:create:leia'], locations: ['luke:create:new-wikis'] });
+    assert.strictEqual(copied.idMaps.wikis.get('luke'), 'new-wikis');
+});
+
+test('points references at the imported documents', () => {
+    const idMaps = { wikis: new Map([['jabba', 'jabba-2']]), chatrooms: new Map([['cantina', 'cantina-2']]), mappoints: new Map() };
+    assert.deepStrictEqual(remapReferences('mappoints', { linkedChatroomIds: ['cantina', 'gone'], linkedChatroomId: 'cantina', wikiId: 'jabba' }, idMaps),
+        { linkedChatroomIds: ['cantina-2', 'gone'], linkedChatroomId: 'cantina-2', wikiId: 'jabba-2' });
+    assert.deepStrictEqual(remapReferences('chatrooms', { npcAutonomy: { jabba: false } }, idMaps), { npcAutonomy: { 'jabba-2': false } });
+    assert.strictEqual(remapReferences('messages', { isNpc: true, authorId: 'npc-jabba' }, idMaps).authorId, 'npc-jabba-2');
+    assert.deepStrictEqual(remapReferences('revisions', { action: 'edit', data: { assignedChatroomId: 'cantina' } }, idMaps, 'wikis').data, { assignedChatroomId: 'cantina-2' });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_CONTEXT_WINDOW, getContextLimits, toConversationTurns, withLatestPrompt } = require('../src/context');
+const { selectRelevantMemory } = require('../src/memory');
+
+test('labels other speakers and merges consecutive turns', () => {
+    const newestFirst = [
+        { id: '4', authorId: 'npc-1', authorName: 'Jabba', text: 'Ho ho ho.' },
+        { id: '3', authorId: 'u2', authorName: 'Leia', text: 'Let him go.' },
+        { id: '2', authorId: 'system', authorName: 'System', text: 'ignored' },
+        { id: '1', authorId: 'u1', authorName: 'Han', text: 'Hi.' },
+    ];
+    assert.deepStrictEqual(toConversationTurns(newestFirst, {}, 'npc-1'), [
+        { role: 'user', text: 'Han: Hi.\nLeia: Let him go.' },
+        { role: 'assistant', text: 'Ho ho ho.' },
+    ]);
+});
+
+test('reads emotes as actions and leaves out-of-character remarks out', () => {
+    const newestFirst = [
+        { id: '2', authorId: 'u1', authorName: 'Han', text: 'brb, pizza', style: 'ooc' },
+        { id: '1', authorId: 'u1', authorName: 'Han', text: 'draws his blaster', style: 'emote' },
+    ];
+    assert.deepStrictEqual(toConversationTurns(newestFirst, {}, 'npc-1'), [{ role: 'user', text: '*Han draws his blaster*' }]);
+});
+
+test('respects the channel window and token budget', () => {
+    const newestFirst = Array.from({ length: 10 }, (_, i) => ({ id: String(i), authorId: 'u', authorName: 'P', text: 'x'.repeat(40) }));
+    const byWindow = toConversationTurns(newestFirst, { contextWindow: 3 }, 'npc-1');
+    assert.strictEqual(byWindow[0].text.split('\n').length, 3);
+    const byBudget = toConversationTurns(newestFirst, { contextTokenBudget: 25 }, 'npc-1');
+    assert.strictEqual(byBudget[0].text.split('\n').length, 2);
+});
+
+test('appends the latest prompt as a user turn', () => {
+    assert.deepStrictEqual(withLatestPrompt([{ role: 'assistant', text: 'Yes?' }], 'Han', 'Hello'), [
+        { role: 'assistant', text: 'Yes?' },
+        { role: 'user', text: 'Han: Hello' },
+    ]);
+});
+
+test('memory selection favours the current channel and speaker', () => {
+    const entries = Array.from({ length: 30 }, (_, i) => ({ channelId: 'other', speakerId: 'x', text: `line ${i}` }));
+    entries[0] = { channelId: 'cantina', speakerId: 'han', text: 'Han owes me money' };
+    const selected = selectRelevantMemory(entries, { channelId: 'cantina', speakerId: 'han', prompt: 'about that money' });
+    assert.strictEqual(selected[0], entries[0]);
+    assert.strictEqual(selected.length, 12);
+});
+
+test('caps the channel window and token budget', () => {
+    assert.deepStrictEqual(getContextLimits({ contextWindow: 1e9, contextTokenBudget: 1e9 }), { window: MAX_CONTEXT_WINDOW, tokenBudget: 8000 });
+    assert.deepStrictEqual(getContextLimits({ contextWindow: -5, contextTokenBudget: 'lots' }), { window: 1, tokenBudget: 2000 });
+});
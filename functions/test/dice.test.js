@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NARRATIVE_DICE, rollDice, describeRoll } = require('../src/dice');
+
+// Always lands on the given face (1-based), or the highest one.
+const fixed = (face) => (sides) => Math.min(face, sides);
+
+test('rolls standard notation with modifiers', () => {
+    const roll = rollDice('2d6 + 3', fixed(4));
+    assert.strictEqual(roll.total, 11);
+    assert.strictEqual(describeRoll(roll), '2d6+3: [4, 4] + 3 = **11**');
+    assert.strictEqual(rollDice('d20-1d4-2', fixed(20)).total, 14);
+});
+
+test('rejects rolls that are not dice or are too large', () => {
+    assert.throws(() => rollDice('hello'), /is not a roll/);
+    assert.throws(() => rollDice(''), /Say what to roll/);
+    assert.throws(() => rollDice('500d6'), /At most 100 dice/);
+    assert.throws(() => rollDice('1d1'), /2 to 1000 sides/);
+});
+
+test('nets narrative symbols, with triumph and despair counting as success and failure', () => {
+    const roll = rollDice('1y 1r', fixed(12));
+    assert.deepStrictEqual(roll.dice.map(d => d.face), [['triumph'], ['despair']]);
+    assert.deepStrictEqual(roll.net, { success: 0, advantage: 0 });
+    assert.strictEqual(roll.outcome, 'failure');
+    assert.match(describeRoll(roll), /\*\*Failure\*\*.*1 triumph, 1 despair/);
+});
+
+test('a narrative pool succeeds on net successes', () => {
+    const roll = rollDice('2g1p', fixed(4));
+    assert.deepStrictEqual(roll.totals.success, 4);
+    assert.deepStrictEqual(roll.totals.threat, 1);
+    assert.deepStrictEqual(roll.net, { success: 4, advantage: -1 });
+    assert.strictEqual(describeRoll(roll), '2g1p: **Success** (4 successes, 1 threat)');
+});
+
+test('narrative dice have the faces of the physical dice', () => {
+    assert.deepStrictEqual(Object.fromEntries(Object.values(NARRATIVE_DICE).map(d => [d.name, d.faces.length])),
+        { ability: 8, proficiency: 12, boost: 6, difficulty: 8, challenge: 12, setback: 6, force: 12 });
+});
@@ -0,0 +1,85 @@
+// Runs the account merge against the Firestore emulator:
+//   npm run test:emulator
+const { describe, test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { mergeUserData } = require('../../src/accounts');
+
+const skip = !process.env.FIRESTORE_EMULATOR_HOST && 'FIRESTORE_EMULATOR_HOST is not set';
+const projectId = process.env.GCLOUD_PROJECT || 'demo-rp-hub';
+
+describe('Account merging', { skip }, () => {
+    let db;
+    let appId;
+    let base;
+
+    before(() => {
+        db = getFirestore(initializeApp({ projectId }));
+    });
+
+    beforeEach(async () => {
+        // A fresh appId per test keeps the data of each test apart
+        appId = `test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        base = `artifacts/${appId}/public/data`;
+    });
+
+    test('hands content, messages and profile over to the target account', async () => {
+        await db.doc(`artifacts/${appId}/users/guest/profile/data`).set({ displayName: 'Han', photoURL: 'guest.png' });
+        await db.doc(`artifacts/${appId}/users/real/profile/data`).set({ photoURL: 'real.png' });
+        await db.doc(`${base}/wikis/falcon`).set({ name: 'Falcon', creatorId: 'guest' });
+        await db.doc(`${base}/blogs/other`).set({ name: 'Other', creatorId: 'someone' });
+        await db.doc(`${base}/chatrooms/cantina/messages/m1`).set({ text: 'hi', authorId: 'guest' });
+
+        const counts = await mergeUserData({ db, appId, sourceUid: 'guest', targetUid: 'real' });
+
+        assert.deepStrictEqual(counts, { documents: 1, messages: 1 });
+        assert.strictEqual((await db.doc(`${base}/wikis/falcon`).get()).get('creatorId'), 'real');
+        assert.strictEqual((await db.doc(`${base}/blogs/other`).get()).get('creatorId'), 'someone');
+        assert.strictEqual((await db.doc(`${base}/chatrooms/cantina/messages/m1`).get()).get('authorId'), 'real');
+        assert.deepStrictEqual((await db.doc(`artifacts/${appId}/users/real/profile/data`).get()).data(), { displayName: 'Han', photoURL: 'real.png' });
+        assert.strictEqual((await db.doc(`artifacts/${appId}/users/guest/profile/data`).get()).exists, false);
+    });
+
+    test('keeps whispers, dice results and revisions with the player', async () => {
+        await db.doc(`${base}/chatrooms/cantina/whispers/w1`).set({ text: 'psst', authorId: 'guest', recipientId: 'leia', participants: ['guest', 'leia'] });
+        await db.doc(`${base}/chatrooms/cantina/whispers/w2`).set({ text: 'hi', authorId: 'leia', recipientId: 'guest', participants: ['leia', 'guest'] });
+        await db.doc(`${base}/chatrooms/cantina/messages/roll`).set({ text: 'Han rolled 1d20: [20] = **20**', authorId: 'system', rolledBy: 'guest' });
+        await db.doc(`${base}/wikis/falcon/revisions/r1`).set({ action: 'create', authorId: 'guest', data: {} });
+
+        const counts = await mergeUserData({ db, appId, sourceUid: 'guest', targetUid: 'real' });
+
+        assert.strictEqual(counts.messages, 2);
+        assert.deepStrictEqual((await db.doc(`${base}/chatrooms/cantina/whispers/w1`).get()).data(), { text: 'psst', authorId: 'real', recipientId: 'leia', participants: ['real', 'leia'] });
+        assert.deepStrictEqual((await db.doc(`${base}/chatrooms/cantina/whispers/w2`).get()).data(), { text: 'hi', authorId: 'leia', recipientId: 'real', participants: ['leia', 'real'] });
+        assert.strictEqual((await db.doc(`${base}/chatrooms/cantina/messages/roll`).get()).get('rolledBy'), 'real');
+        assert.strictEqual((await db.doc(`${base}/wikis/falcon/revisions/r1`).get()).get('authorId'), 'real');
+    });
+
+    test('carries campaign roles over', async () => {
+        await db.doc(`${base}/settings/roles`).set({ ownerId: 'guest', gameMasters: { guest: 'Han', leia: 'Leia' } });
+        await mergeUserData({ db, appId, sourceUid: 'guest', targetUid: 'real' });
+        assert.deepStrictEqual((await db.doc(`${base}/settings/roles`).get()).data(), { ownerId: 'real', gameMasters: { real: 'Han', leia: 'Leia' } });
+    });
+
+    test('keeps the player in their private channels and direct messages', async () => {
+        await db.doc(`${base}/chatrooms/dm`).set({ kind: 'dm', members: ['guest', 'leia'], memberNames: { guest: 'Han', leia: 'Leia' }, creatorId: 'leia' });
+        await db.doc(`${base}/players/guest`).set({ displayName: 'Han' });
+        await mergeUserData({ db, appId, sourceUid: 'guest', targetUid: 'real' });
+        const dm = (await db.doc(`${base}/chatrooms/dm`).get()).data();
+        assert.deepStrictEqual(dm.members, ['real', 'leia']);
+        assert.deepStrictEqual(dm.memberNames, { leia: 'Leia', real: 'Han' });
+        assert.strictEqual((await db.doc(`${base}/players/guest`).get()).exists, false);
+    });
+
+    test('keeps following the same wiki entries', async () => {
+        await db.doc(`${base}/wikis/falcon/followers/guest`).set({ uid: 'guest', followedAt: new Date() });
+        await mergeUserData({ db, appId, sourceUid: 'guest', targetUid: 'real' });
+        assert.strictEqual((await db.doc(`${base}/wikis/falcon/followers/guest`).get()).exists, false);
+        assert.strictEqual((await db.doc(`${base}/wikis/falcon/followers/real`).get()).get('uid'), 'real');
+    });
+
+    test('refuses to merge an account into itself', async () => {
+        await assert.rejects(mergeUserData({ db, appId, sourceUid: 'real', targetUid: 'real' }));
+    });
+});
@@ -0,0 +1,78 @@
+// Exports and imports campaigns against the Firestore emulator:
+//   npm run test:emulator
+const { describe, test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const { validateArchive, exportCampaign, importCampaign } = require('../../src/campaigns');
+
+const skip = !process.env.FIRESTORE_EMULATOR_HOST && 'FIRESTORE_EMULATOR_HOST is not set';
+const projectId = process.env.GCLOUD_PROJECT || 'demo-rp-hub';
+
+describe('Campaign archives', { skip }, () => {
+    let db;
+    let sourceAppId;
+    let targetAppId;
+
+    const data = (appId) => `artifacts/${appId}/public/data`;
+    const newAppId = () => `test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    before(() => {
+        db = getFirestore(initializeApp({ projectId }));
+    });
+
+    beforeEach(async () => {
+        // Fresh appIds per test keep the data of each test apart
+        sourceAppId = newAppId();
+        targetAppId = newAppId();
+        const base = data(sourceAppId);
+        await db.doc(`${base}/settings/roles`).set({ ownerId: 'owner', gameMasters: {} });
+        await db.doc(`${base}/settings/galaxyMap`).set({ imageUrl: 'https://example.com/map.png', aspectRatio: 2 });
+        await db.doc(`${base}/chatrooms/cantina`).set({ name: 'Cantina', creatorId: 'owner', npcAutonomy: { jabba: false } });
+        await db.doc(`${base}/chatrooms/cantina/messages/m1`).set({ text: 'Hello', authorId: 'npc-jabba', isNpc: true, createdAt: Timestamp.now() });
+        await db.doc(`${base}/wikis/jabba`).set({ name: 'Jabba', type: 'npc', assignedChatroomId: 'cantina', creatorId: 'owner' });
+        await db.doc(`${base}/wikis/jabba/memory/e1`).set({ kind: 'entry', text: 'Han owes money', createdAt: Timestamp.now() });
+        await db.doc(`${base}/mappoints/tatooine`).set({ name: 'Tatooine', wikiId: 'jabba', linkedChatroomIds: ['cantina'], linkedChatroomId: 'cantina', x: 10, y: 20 });
+    });
+
+    test('exports everything but the roles, and chat only when asked', async () => {
+        const withoutChat = await exportCampaign({ db, appId: sourceAppId });
+        assert.deepStrictEqual(withoutChat.collections.settings.map(e => e.id), ['galaxyMap']);
+        assert.strictEqual(withoutChat.collections.wikis[0].subcollections.memory.length, 1);
+        assert.strictEqual(withoutChat.collections.chatrooms[0].subcollections, undefined);
+        const withChat = await exportCampaign({ db, appId: sourceAppId, includeChat: true });
+        assert.strictEqual(withChat.collections.chatrooms[0].subcollections.messages.length, 1);
+    });
+
+    test('a dry run writes nothing, an import brings the campaign over', async () => {
+        const archive = JSON.parse(JSON.stringify(await exportCampaign({ db, appId: sourceAppId, includeChat: true })));
+        const preview = await importCampaign({ db, appId: targetAppId, archive });
+        assert.deepStrictEqual(preview.counts.wikis, { create: 1, overwrite: 0, skip: 0, copy: 0 });
+        assert.strictEqual((await db.doc(`${data(targetAppId)}/wikis/jabba`).get()).exists, false);
+
+        await importCampaign({ db, appId: targetAppId, archive, dryRun: false });
+        const memory = await db.doc(`${data(targetAppId)}/wikis/jabba/memory/e1`).get();
+        assert.ok(memory.get('createdAt') instanceof Timestamp);
+        assert.strictEqual((await db.doc(`${data(targetAppId)}/chatrooms/cantina/messages/m1`).get()).get('text'), 'Hello');
+        assert.strictEqual((await db.doc(`${data(targetAppId)}/settings/roles`).get()).exists, false);
+    });
+
+    test('archives that would hand out the roles are refused', async () => {
+        const archive = JSON.parse(JSON.stringify(await exportCampaign({ db, appId: sourceAppId })));
+        archive.collections.settings.push({ id: 'roles', data: { ownerId: 'mallory', gameMasters: {} } });
+        assert.throws(() => validateArchive(archive), /settings "roles"/);
+    });
+
+    test('copies get new IDs and keep pointing at each other', async () => {
+        const archive = JSON.parse(JSON.stringify(await exportCampaign({ db, appId: sourceAppId, includeChat: true })));
+        const report = await importCampaign({ db, appId: sourceAppId, archive, onConflict: 'copy', dryRun: false });
+        const newId = (collection, id) => report.remapped.find(r => r.collection === collection && r.from === id).to;
+        const base = data(sourceAppId);
+        const point = (await db.doc(`${base}/mappoints/${newId('mappoints', 'tatooine')}`).get()).data();
+        assert.strictEqual(point.wikiId, newId('wikis', 'jabba'));
+        assert.deepStrictEqual(point.linkedChatroomIds, [newId('chatrooms', 'cantina')]);
+        const room = (await db.doc(`${base}/chatrooms/${newId('chatrooms', 'cantina')}`).get()).data();
+        assert.deepStrictEqual(room.npcAutonomy, { [newId('wikis', 'jabba')]: false });
+        assert.strictEqual(report.counts.settings.skip, 1);
+    });
+});
@@ -0,0 +1,313 @@
+// Checks firestore.rules against the Firestore emulator:
+//   npm run test:emulator
+const { describe, test, before, after, beforeEach } = require('node:test');
+const fs = require('node:fs');
+const path = require('node:path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+
+const skip = !process.env.FIRESTORE_EMULATOR_HOST && 'FIRESTORE_EMULATOR_HOST is not set';
+const projectId = process.env.GCLOUD_PROJECT || 'demo-rp-hub';
+
+describe('Firestore rules', { skip }, () => {
+    let testEnv;
+    let base;
+
+    const as = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+
+    // Wiki entries and data logs are saved like saveWithRevision in src/App.js does
+    const REVISIONED = ['wikis', 'blogs'];
+    const save = (uid, collection, id, changes, { revision = true } = {}) => {
+        const firestore = as(uid);
+        const itemRef = id ? firestore.doc(`${base}/${collection}/${id}`) : firestore.collection(`${base}/${collection}`).doc();
+        if (!REVISIONED.includes(collection) || !revision) {
+            return id ? itemRef.update(changes) : itemRef.set(changes);
+        }
+        const revisionRef = itemRef.collection('revisions').doc();
+        const batch = firestore.batch();
+        batch.set(itemRef, { ...changes, revisionId: revisionRef.id }, { merge: true });
+        batch.set(revisionRef, { action: id ? 'edit' : 'create', data: changes, authorId: uid, createdAt: new Date() });
+        return batch.commit();
+    };
+
+    // Seeds data with the rules switched off
+    const seed = (docPath, data) => testEnv.withSecurityRulesDisabled(context => context.firestore().doc(`${base}/${docPath}`).set(data));
+
+    before(async () => {
+        const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+        testEnv = await initializeTestEnvironment({
+            projectId,
+            firestore: { host, port: Number(port), rules: fs.readFileSync(path.join(__dirname, '../../../firestore.rules'), 'utf8') },
+        });
+    });
+
+    after(async () => {
+        await testEnv?.cleanup();
+    });
+
+    beforeEach(async () => {
+        // A fresh appId per test keeps the data of each test apart
+        base = `artifacts/test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}/public/data`;
+        await seed('settings/roles', { ownerId: 'owner', gameMasters: { gm: 'Game Master' } });
+        for (const collection of ['chatrooms', 'wikis', 'blogs', 'mappoints']) {
+            await seed(`${collection}/mine`, { name: 'Mine', creatorId: 'alice' });
+        }
+        await seed('wikis/legacy', { name: 'Legacy', type: 'wiki' });
+        await seed('wikis/mine/memory/entry', { kind: 'entry', text: 'hello' });
+    });
+
+    test('signed-out visitors can read nothing', async () => {
+        await assertFails(as(null).doc(`${base}/chatrooms/mine`).get());
+    });
+
+    test('players create content only in their own name', async () => {
+        await assertSucceeds(save('alice', 'blogs', null, { name: 'Log', creatorId: 'alice' }));
+        await assertFails(save('alice', 'blogs', null, { name: 'Log', creatorId: 'bob' }));
+        await assertFails(as('alice').collection(`${base}/mappoints`).add({ name: 'Hoth', x: 1, y: 1 }));
+    });
+
+    for (const collection of ['chatrooms', 'wikis', 'blogs', 'mappoints']) {
+        test(`only the creator or a game master may change ${collection}`, async () => {
+            await assertFails(save('bob', collection, 'mine', { name: 'Stolen' }));
+            await assertFails(as('bob').doc(`${base}/${collection}/mine`).delete());
+            await assertSucceeds(save('alice', collection, 'mine', { name: 'Renamed' }));
+            await assertSucceeds(save('gm', collection, 'mine', { name: 'Moderated' }));
+            if (REVISIONED.includes(collection)) {
+                await assertSucceeds(save('owner', collection, 'mine', { deletedAt: new Date() }));
+            }
+            await assertSucceeds(as('owner').doc(`${base}/${collection}/mine`).delete());
+        });
+    }
+
+    test('nobody can take over content by rewriting its creator', async () => {
+        await assertFails(save('alice', 'wikis', 'mine', { creatorId: 'bob' }));
+        await assertFails(save('gm', 'wikis', 'mine', { creatorId: 'gm' }));
+    });
+
+    test('content without a creator is left to game masters', async () => {
+        await assertFails(save('alice', 'wikis', 'legacy', { name: 'Mine now' }));
+        await assertSucceeds(save('gm', 'wikis', 'legacy', { name: 'Tidied' }));
+    });
+
+    test('only whoever may edit an NPC may delete its memories', async () => {
+        await assertFails(as('bob').doc(`${base}/wikis/mine/memory/entry`).delete());
+        await assertSucceeds(as('alice').doc(`${base}/wikis/mine/memory/entry`).delete());
+    });
+
+    test('chat messages are deleted by their author or a game master', async () => {
+        await seed('chatrooms/mine/messages/m1', { text: 'hi', authorId: 'bob' });
+        await seed('chatrooms/mine/messages/m2', { text: 'hi', authorId: 'bob' });
+        await assertFails(as('alice').doc(`${base}/chatrooms/mine/messages/m1`).delete());
+        await assertSucceeds(as('bob').doc(`${base}/chatrooms/mine/messages/m1`).delete());
+        await assertSucceeds(as('gm').doc(`${base}/chatrooms/mine/messages/m2`).delete());
+    });
+
+    test('players may only speak as their own characters', async () => {
+        await seed('wikis/luke', { name: 'Luke', type: 'character', creatorId: 'alice' });
+        const post = (uid, characterId) => as(uid).collection(`${base}/chatrooms/mine/messages`).add({ text: 'hi', authorId: uid, authorName: 'Luke', characterId });
+        await assertSucceeds(post('alice', 'luke'));
+        await assertFails(post('bob', 'luke'));
+        await assertFails(post('alice', 'mine'));
+    });
+
+    test('only the author may edit a message, and only its text', async () => {
+        await seed('chatrooms/mine/messages/m1', { text: 'hi', authorId: 'bob', authorName: 'Bob' });
+        const message = (uid) => as(uid).doc(`${base}/chatrooms/mine/messages/m1`);
+        await assertFails(message('alice').update({ text: 'forged', editedAt: new Date() }));
+        await assertFails(message('bob').update({ authorName: 'Han', editedAt: new Date() }));
+        await assertSucceeds(message('bob').update({ text: 'hello', editedAt: new Date() }));
+    });
+
+    test('dice results cannot be posted or removed by players', async () => {
+        await seed('chatrooms/mine/messages/roll', { text: 'Han rolled 2d6: [6, 6] = **12**', authorId: 'system', roll: { total: 12 } });
+        await assertFails(as('alice').collection(`${base}/chatrooms/mine/messages`).add({ text: 'Nat 20', authorId: 'system' }));
+        await assertFails(as('alice').doc(`${base}/chatrooms/mine/messages/roll`).delete());
+        await assertSucceeds(as('gm').doc(`${base}/chatrooms/mine/messages/roll`).delete());
+        await assertSucceeds(as('alice').collection(`${base}/chatrooms/mine/rolls`).add({ userId: 'alice', expression: '1d20' }));
+        await assertFails(as('alice').collection(`${base}/chatrooms/mine/rolls`).add({ userId: 'bob', expression: '1d20' }));
+        await seed('wikis/luke', { name: 'Luke', type: 'character', creatorId: 'bob' });
+        await assertFails(as('alice').collection(`${base}/chatrooms/mine/rolls`).add({ userId: 'alice', expression: '', check: 'Brawl', characterId: 'luke' }));
+    });
+
+    test('whispers are only visible to the two players involved', async () => {
+        await seed('chatrooms/mine/whispers/w1', { text: 'psst', authorId: 'alice', recipientId: 'bob', participants: ['alice', 'bob'] });
+        await assertSucceeds(as('bob').doc(`${base}/chatrooms/mine/whispers/w1`).get());
+        await assertFails(as('gm').doc(`${base}/chatrooms/mine/whispers/w1`).get());
+        await assertFails(as('alice').collection(`${base}/chatrooms/mine/whispers`).add({ text: 'hi', authorId: 'alice', recipientId: 'bob', participants: ['alice', 'bob', 'gm'] }));
+    });
+
+    test('players change only their own reactions', async () => {
+        await seed('chatrooms/mine/messages/m1', { text: 'hi', authorId: 'bob', reactions: { bob: ['👍'] } });
+        const message = (uid) => as(uid).doc(`${base}/chatrooms/mine/messages/m1`);
+        await assertSucceeds(message('alice').update({ 'reactions.alice': ['❤️'] }));
+        await assertFails(message('alice').update({ 'reactions.bob': [] }));
+        await assertFails(message('alice').update({ 'reactions.alice': ['❤️'], text: 'forged' }));
+    });
+
+    test('only game masters start NPC scenes, and anyone in the channel may stop them', async () => {
+        const scene = (uid) => ({ npcNames: ['Jabba', 'Bib Fortuna'], premise: '', maxTurns: 6, turn: 0, status: 'running', startedBy: uid, createdAt: new Date() });
+        await assertFails(as('alice').collection(`${base}/chatrooms/mine/scenes`).add(scene('alice')));
+        await assertSucceeds(as('gm').doc(`${base}/chatrooms/mine/scenes/s1`).set(scene('gm')));
+        await assertSucceeds(as('alice').doc(`${base}/chatrooms/mine/scenes/s1`).update({ status: 'stopped' }));
+    });
+
+    test('only game masters choose the LLM an NPC runs on', async () => {
+        const npc = { name: 'Greedo', type: 'npc', creatorId: 'alice', llmProvider: '', llmModel: '', llmEndpoint: '' };
+        await assertSucceeds(save('alice', 'wikis', null, npc));
+        await assertFails(save('alice', 'wikis', null, { ...npc, llmProvider: 'openai', llmEndpoint: 'https://attacker.example/v1' }));
+        await seed('wikis/greedo', npc);
+        await assertFails(save('alice', 'wikis', 'greedo', { llmEndpoint: 'https://attacker.example/v1' }));
+        await assertSucceeds(save('alice', 'wikis', 'greedo', { personality: 'Twitchy.' }));
+        await assertSucceeds(save('gm', 'wikis', 'greedo', { llmProvider: 'local', llmEndpoint: 'http://ollama.internal:11434/v1' }));
+        await assertSucceeds(save('alice', 'wikis', 'greedo', { personality: 'Very twitchy.', llmProvider: 'local', llmEndpoint: 'http://ollama.internal:11434/v1' }));
+    });
+
+    test('private channels are only visible to their members, the creator and game masters', async () => {
+        await seed('chatrooms/secret', { name: 'Secret', visibility: 'private', members: ['bob'], creatorId: 'alice' });
+        await seed('chatrooms/secret/messages/m1', { text: 'hi', authorId: 'bob' });
+        const room = (uid) => as(uid).doc(`${base}/chatrooms/secret`);
+        await assertSucceeds(room('alice').get());
+        await assertSucceeds(room('bob').get());
+        await assertSucceeds(room('gm').get());
+        await assertFails(room('carol').get());
+        await assertFails(as('carol').doc(`${base}/chatrooms/secret/messages/m1`).get());
+        await assertFails(as('carol').collection(`${base}/chatrooms/secret/messages`).add({ text: 'hi', authorId: 'carol' }));
+        await assertSucceeds(as('bob').collection(`${base}/chatrooms/secret/messages`).add({ text: 'hi', authorId: 'bob' }));
+    });
+
+    test('players list exactly the channels they may see', async () => {
+        await seed('chatrooms/open', { name: 'Open', visibility: 'public', creatorId: 'bob' });
+        await seed('chatrooms/secret', { name: 'Secret', visibility: 'private', members: ['alice'], creatorId: 'bob' });
+        const chatrooms = as('carol').collection(`${base}/chatrooms`);
+        await assertSucceeds(chatrooms.where('visibility', '==', 'public').get());
+        await assertSucceeds(chatrooms.where('members', 'array-contains', 'carol').get());
+        await assertSucceeds(chatrooms.where('creatorId', '==', 'carol').get());
+        await assertFails(chatrooms.get());
+        await assertSucceeds(as('gm').collection(`${base}/chatrooms`).get());
+    });
+
+    test('only game masters set up GM-only channels', async () => {
+        const chatrooms = (uid) => as(uid).collection(`${base}/chatrooms`);
+        await assertFails(chatrooms('alice').add({ name: 'Plots', visibility: 'gm', creatorId: 'alice' }));
+        await assertSucceeds(chatrooms('gm').add({ name: 'Plots', visibility: 'gm', creatorId: 'gm' }));
+        await assertFails(save('alice', 'chatrooms', 'mine', { visibility: 'gm' }));
+    });
+
+    test('players join private channels only with an invite, and only themselves', async () => {
+        await seed('chatrooms/secret', { name: 'Secret', visibility: 'private', members: [], creatorId: 'alice' });
+        const room = (uid) => as(uid).doc(`${base}/chatrooms/secret`);
+        await assertFails(as('bob').doc(`${base}/chatrooms/secret/invites/code1`).set({ createdBy: 'bob', createdAt: new Date() }));
+        await assertSucceeds(as('alice').doc(`${base}/chatrooms/secret/invites/code1`).set({ createdBy: 'alice', createdAt: new Date() }));
+        await assertFails(as('bob').collection(`${base}/chatrooms/secret/invites`).get());
+        await assertFails(room('bob').update({ members: ['bob'], usedInvite: 'guessed' }));
+        await assertFails(room('bob').update({ members: ['bob', 'carol'], usedInvite: 'code1' }));
+        await assertSucceeds(room('bob').update({ members: ['bob'], usedInvite: 'code1' }));
+        await assertSucceeds(room('bob').get());
+        await assertFails(room('bob').update({ name: 'Mine now' }));
+        await assertSucceeds(room('bob').update({ members: [] }));
+    });
+
+    test('members cannot remove anyone but themselves', async () => {
+        await seed('chatrooms/dm', { name: 'Alice and Bob', kind: 'dm', visibility: 'private', members: ['alice', 'bob', 'carol'], creatorId: 'alice' });
+        await assertFails(as('bob').doc(`${base}/chatrooms/dm`).update({ members: ['bob', 'carol'] }));
+        await assertSucceeds(as('alice').doc(`${base}/chatrooms/dm`).update({ members: ['alice', 'bob'] }));
+    });
+
+    test('players keep only their own directory entry', async () => {
+        await assertSucceeds(as('alice').doc(`${base}/players/alice`).set({ displayName: 'Alice' }));
+        await assertFails(as('alice').doc(`${base}/players/bob`).set({ displayName: 'Bob' }));
+        await assertSucceeds(as('bob').doc(`${base}/players/alice`).get());
+    });
+
+    test('players follow wiki entries only for themselves', async () => {
+        await assertSucceeds(as('bob').doc(`${base}/wikis/mine/followers/bob`).set({ uid: 'bob' }));
+        await assertFails(as('bob').doc(`${base}/wikis/mine/followers/alice`).set({ uid: 'alice' }));
+        await assertFails(as('bob').doc(`${base}/wikis/mine/followers/bob`).set({ uid: 'alice' }));
+        await assertFails(as('alice').doc(`${base}/wikis/mine/followers/bob`).get());
+    });
+
+    test('the owner manages game masters', async () => {
+        const roles = (uid) => as(uid).doc(`${base}/settings/roles`);
+        await assertFails(roles('gm').update({ 'gameMasters.bob': 'Bob' }));
+        await assertFails(roles('alice').update({ ownerId: 'alice' }));
+        await assertSucceeds(roles('owner').update({ 'gameMasters.bob': 'Bob' }));
+        await assertSucceeds(save('bob', 'blogs', 'mine', { name: 'Moderated' }));
+    });
+
+    test('nobody can claim an unowned campaign from the client', async () => {
+        await testEnv.withSecurityRulesDisabled(context => context.firestore().doc(`${base}/settings/roles`).delete());
+        const roles = (uid) => as(uid).doc(`${base}/settings/roles`);
+        await assertFails(roles('alice').set({ ownerId: 'alice', gameMasters: {} }));
+        await assertFails(roles('alice').set({ ownerId: 'bob', gameMasters: {} }));
+    });
+
+    test('game masters set up the character sheet template', async () => {
+        const template = (uid) => as(uid).doc(`${base}/settings/characterSheet`);
+        await assertFails(template('alice').set({ dice: 'd20', attributes: [], skills: [] }));
+        await assertSucceeds(template('gm').set({ dice: 'd20', attributes: [], skills: [] }));
+        await assertSucceeds(template('alice').get());
+    });
+
+    test('only game masters draw regions and lanes or change the base map', async () => {
+        const region = { name: 'Outer Rim', color: '#f87171', points: [{ x: 1, y: 1 }, { x: 2, y: 1 }, { x: 2, y: 2 }] };
+        await assertFails(as('alice').collection(`${base}/mapregions`).add({ ...region, creatorId: 'alice' }));
+        await assertFails(as('gm').collection(`${base}/mapregions`).add({ ...region, creatorId: 'owner' }));
+        const regionRef = await assertSucceeds(as('gm').collection(`${base}/mapregions`).add({ ...region, creatorId: 'gm' }));
+        await assertSucceeds(as('alice').doc(regionRef.path).get());
+        await assertFails(as('alice').doc(regionRef.path).update({ name: 'Mine' }));
+        await assertSucceeds(as('owner').doc(regionRef.path).update({ name: 'Mid Rim' }));
+
+        const lane = { name: '', fromId: 'a', toId: 'b', travelHours: 12 };
+        await assertFails(as('alice').collection(`${base}/maplanes`).add({ ...lane, creatorId: 'alice' }));
+        const laneRef = await assertSucceeds(as('gm').collection(`${base}/maplanes`).add({ ...lane, creatorId: 'gm' }));
+        await assertFails(as('alice').doc(laneRef.path).delete());
+        await assertSucceeds(as('gm').doc(laneRef.path).delete());
+
+        const galaxyMap = (uid) => as(uid).doc(`${base}/settings/galaxyMap`);
+        await assertFails(galaxyMap('alice').set({ imageUrl: 'https://example.com/map.png', aspectRatio: 2 }));
+        await assertSucceeds(galaxyMap('gm').set({ imageUrl: 'https://example.com/map.png', aspectRatio: 2 }));
+        await assertSucceeds(galaxyMap('alice').get());
+    });
+
+    test('players ask to travel only with their own characters, and only game masters skip the lanes', async () => {
+        await seed('wikis/luke', { name: 'Luke', type: 'character', creatorId: 'alice' });
+        await seed('locations/luke', { pointId: 'tatooine', creatorId: 'alice' });
+        const travel = (uid, changes = {}) => as(uid).collection(`${base}/travels`).add({ characterId: 'luke', toId: 'hoth', userId: uid, createdAt: new Date(), ...changes });
+        await assertSucceeds(travel('alice'));
+        await assertFails(travel('bob'));
+        await assertFails(travel('alice', { direct: true }));
+        await assertFails(travel('alice', { userId: 'bob' }));
+        await assertSucceeds(travel('gm', { direct: true }));
+        await assertSucceeds(as('bob').doc(`${base}/locations/luke`).get());
+        await assertFails(as('alice').doc(`${base}/locations/luke`).set({ pointId: 'hoth', creatorId: 'alice' }));
+    });
+
+    test('lanes may be removed along with a planet they connect', async () => {
+        await seed('mappoints/theirs', { name: 'Hoth', creatorId: 'bob' });
+        await seed('maplanes/lane', { fromId: 'mine', toId: 'theirs', travelHours: 5, creatorId: 'gm' });
+        await assertFails(as('alice').doc(`${base}/maplanes/lane`).delete());
+        const alice = as('alice');
+        const batch = alice.batch();
+        batch.delete(alice.doc(`${base}/mappoints/mine`));
+        batch.delete(alice.doc(`${base}/maplanes/lane`));
+        await assertSucceeds(batch.commit());
+    });
+
+    test('wiki entries and data logs cannot be saved without a revision', async () => {
+        await assertFails(save('alice', 'wikis', 'mine', { name: 'Untracked' }, { revision: false }));
+        await assertFails(save('alice', 'blogs', null, { name: 'Untracked', creatorId: 'alice' }, { revision: false }));
+    });
+
+    test('revisions are immutable and cannot be forged for other entries', async () => {
+        await save('alice', 'wikis', 'mine', { name: 'Renamed' });
+        const revisions = await as('alice').collection(`${base}/wikis/mine/revisions`).get();
+        await assertFails(revisions.docs[0].ref.update({ authorId: 'bob' }));
+        await assertFails(revisions.docs[0].ref.delete());
+        await assertFails(as('bob').collection(`${base}/wikis/mine/revisions`).add({ action: 'edit', data: {}, authorId: 'bob' }));
+    });
+
+    test('only trashed entries can be deleted for good', async () => {
+        await assertFails(as('alice').doc(`${base}/wikis/mine`).delete());
+        await save('alice', 'wikis', 'mine', { deletedAt: new Date() });
+        await assertSucceeds(as('alice').doc(`${base}/wikis/mine`).delete());
+    });
+});
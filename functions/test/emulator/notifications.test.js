@@ -0,0 +1,71 @@
+// Runs unread counting and notifications against the Firestore emulator:
+//   npm run test:emulator
+const { describe, test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { handleMessageNotifications, handleWikiRevision } = require('../../src/notifications');
+
+const skip = !process.env.FIRESTORE_EMULATOR_HOST && 'FIRESTORE_EMULATOR_HOST is not set';
+const projectId = process.env.GCLOUD_PROJECT || 'demo-rp-hub';
+
+describe('Notifications', { skip }, () => {
+    let db;
+    let appId;
+    let base;
+
+    const post = async (roomId, messageId, message) => {
+        await db.doc(`${base}/chatrooms/${roomId}/messages/${messageId}`).set({ createdAt: new Date(), ...message });
+        await handleMessageNotifications({ db, appId, roomId, messageId, message });
+    };
+
+    const inbox = async (uid) => (await db.collection(`artifacts/${appId}/users/${uid}/notifications`).get()).docs.map(d => d.data());
+
+    before(() => {
+        db = getFirestore(initializeApp({ projectId }));
+    });
+
+    beforeEach(async () => {
+        // A fresh appId per test keeps the data of each test apart
+        appId = `test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        base = `artifacts/${appId}/public/data`;
+        await db.doc(`${base}/chatrooms/cantina`).set({ name: 'Mos Eisley Cantina', visibility: 'public' });
+        await db.doc(`${base}/players/alice`).set({ displayName: 'Alice' });
+        await db.doc(`${base}/players/bob`).set({ displayName: 'Bob' });
+        await db.doc(`${base}/wikis/han`).set({ name: 'Han', type: 'character', creatorId: 'bob' });
+    });
+
+    test('counts every message for unread badges', async () => {
+        await post('cantina', 'm1', { text: 'hi', authorId: 'alice', authorName: 'Alice' });
+        await post('cantina', 'm2', { text: 'Welcome', authorId: 'npc', authorName: 'Wuher', isNpc: true });
+        assert.strictEqual((await db.doc(`${base}/chatrooms/cantina`).get()).get('messageCount'), 2);
+    });
+
+    test('tells players about mentions of them or their characters, and about replies', async () => {
+        await post('cantina', 'm1', { text: 'Where is @Han?', authorId: 'alice', authorName: 'Alice' });
+        await post('cantina', 'm2', { text: 'Right here', authorId: 'bob', authorName: 'Han', replyTo: { id: 'm1' } });
+        const bob = await inbox('bob');
+        assert.strictEqual(bob.length, 1);
+        assert.strictEqual(bob[0].type, 'mention');
+        assert.strictEqual(bob[0].messageId, 'm1');
+        const alice = await inbox('alice');
+        assert.strictEqual(alice[0].type, 'reply');
+        assert.strictEqual(alice[0].read, false);
+    });
+
+    test('does not notify players who cannot see the channel', async () => {
+        await db.doc(`${base}/chatrooms/secret`).set({ name: 'Secret', visibility: 'private', members: ['alice'], creatorId: 'alice' });
+        await post('secret', 'm1', { text: 'Do not tell @Bob', authorId: 'alice', authorName: 'Alice' });
+        assert.deepStrictEqual(await inbox('bob'), []);
+    });
+
+    test('tells followers about edits by someone else', async () => {
+        await db.doc(`${base}/wikis/han/followers/bob`).set({ uid: 'bob' });
+        await db.doc(`${base}/wikis/han/followers/alice`).set({ uid: 'alice' });
+        await handleWikiRevision({ db, appId, wikiId: 'han', revisionId: 'r1', revision: { action: 'edit', data: { name: 'Han' }, authorId: 'alice', authorName: 'Alice' } });
+        const bob = await inbox('bob');
+        assert.strictEqual(bob.length, 1);
+        assert.strictEqual(bob[0].wikiName, 'Han');
+        assert.deepStrictEqual(await inbox('alice'), []);
+    });
+});
@@ -0,0 +1,191 @@
+// Runs the NPC handlers against the Firestore emulator with the offline mock provider:
+//   npm run test:emulator
+const { describe, test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const { handleChatMessage, handleJoinEvent, handleSceneCreated } = require('../../src/handlers');
+const { migrateLegacyHistory } = require('../../src/memory');
+
+const skip = !process.env.FIRESTORE_EMULATOR_HOST && 'FIRESTORE_EMULATOR_HOST is not set';
+const projectId = process.env.GCLOUD_PROJECT || 'demo-rp-hub';
+const config = { provider: 'mock', providerOptions: { delayMs: 5 } };
+
+describe('NPC execution', { skip }, () => {
+    let db;
+    let appId;
+    let base;
+
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    const postMessage = async (text, extra = {}) => {
+        const message = { text, authorId: 'player-1', authorName: 'Han', createdAt: Timestamp.now(), ...extra };
+        const ref = await db.collection(`${base}/chatrooms/cantina/messages`).add(message);
+        return { messageId: ref.id, message };
+    };
+
+    const getMessages = async () => {
+        const snapshot = await db.collection(`${base}/chatrooms/cantina/messages`).orderBy('createdAt').get();
+        return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    };
+
+    before(() => {
+        db = getFirestore(initializeApp({ projectId }));
+    });
+
+    beforeEach(async () => {
+        // A fresh appId per test keeps the data of each test apart
+        appId = `test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        base = `artifacts/${appId}/public/data`;
+        await db.doc(`${base}/chatrooms/cantina`).set({ name: 'Mos Eisley Cantina' });
+        await db.doc(`${base}/wikis/jabba`).set({ name: 'Jabba', type: 'npc', personality: 'A crime lord.' });
+        await db.doc(`${base}/wikis/bib`).set({ name: 'Bib Fortuna', type: 'npc', personality: 'A majordomo.' });
+    });
+
+    test('a mention produces a completed NPC reply and memory entries', async () => {
+        const { messageId, message } = await postMessage('@Jabba, where is my ship?');
+        await handleChatMessage({ db, config, appId, roomId: 'cantina', messageId, message });
+
+        const reply = (await getMessages()).find(m => m.isNpc);
+        assert.strictEqual(reply.authorId, 'npc-jabba');
+        assert.strictEqual(reply.status, 'complete');
+        assert.match(reply.text, /where is my ship/);
+
+        const memory = await db.collection(`${base}/wikis/jabba/memory`).orderBy('createdAt').get();
+        assert.deepStrictEqual(memory.docs.map(d => d.get('speakerName')), ['Han', 'Jabba']);
+        assert.strictEqual(memory.docs[0].get('channelId'), 'cantina');
+    });
+
+    test('exchanges in private channels are not remembered', async () => {
+        await db.doc(`${base}/chatrooms/cantina`).set({ visibility: 'private', members: ['player-1'] }, { merge: true });
+        const { messageId, message } = await postMessage('@Jabba, the plans are in the droid.');
+        await handleChatMessage({ db, config, appId, roomId: 'cantina', messageId, message });
+
+        assert.strictEqual((await getMessages()).find(m => m.isNpc).status, 'complete');
+        assert.strictEqual((await db.collection(`${base}/wikis/jabba/memory`).get()).size, 0);
+    });
+
+    test('legacy history is imported once, even by turns starting together', async () => {
+        const npcRef = db.doc(`${base}/wikis/jabba`);
+        await npcRef.update({ interaction_history: 'Han still owes me.' });
+        const npcData = (await npcRef.get()).data();
+        await Promise.all([migrateLegacyHistory(db, npcRef, npcData), migrateLegacyHistory(db, npcRef, npcData)]);
+
+        const memory = await npcRef.collection('memory').get();
+        assert.deepStrictEqual(memory.docs.map(d => d.id), ['legacy-history']);
+        assert.strictEqual((await npcRef.get()).get('interaction_history'), undefined);
+    });
+
+    test('several mentioned NPCs reply in order, and a retried trigger adds nothing', async () => {
+        const { messageId, message } = await postMessage('@Bib Fortuna and @Jabba, hello!');
+        await handleChatMessage({ db, config, appId, roomId: 'cantina', messageId, message });
+        await handleChatMessage({ db, config, appId, roomId: 'cantina', messageId, message });
+
+        const replies = (await getMessages()).filter(m => m.isNpc);
+        assert.deepStrictEqual(replies.map(m => m.authorName), ['Bib Fortuna', 'Jabba']);
+    });
+
+    test('only as many mentioned NPCs answer as the deployment allows', async () => {
+        const { messageId, message } = await postMessage('@Bib Fortuna and @Jabba, hello!');
+        await handleChatMessage({ db, config: { ...config, limits: { maxMentions: 1 } }, appId, roomId: 'cantina', messageId, message });
+
+        const replies = (await getMessages()).filter(m => m.isNpc);
+        assert.deepStrictEqual(replies.map(m => m.authorName), ['Bib Fortuna']);
+    });
+
+    test('an unknown NPC gets a system notice', async () => {
+        const { messageId, message } = await postMessage('@Greedo, hi');
+        await handleChatMessage({ db, config, appId, roomId: 'cantina', messageId, message });
+
+        const notice = (await getMessages()).find(m => m.authorId === 'system');
+        assert.match(notice.text, /"Greedo" not found/);
+    });
+
+    test('cancelling mid-stream keeps the partial text', async () => {
+        const { messageId, message } = await postMessage('@Jabba, tell me a long story');
+        const slowConfig = { provider: 'mock', providerOptions: { delayMs: 100 } };
+        const running = handleChatMessage({ db, config: slowConfig, appId, roomId: 'cantina', messageId, message });
+
+        const replyRef = db.doc(`${base}/chatrooms/cantina/messages/${messageId}-jabba`);
+        while (!(await replyRef.get()).exists) await sleep(20);
+        await sleep(500);
+        await replyRef.update({ cancelRequested: true });
+        await running;
+
+        const reply = (await replyRef.get()).data();
+        assert.strictEqual(reply.status, 'cancelled');
+        assert.ok(reply.text.length > 0);
+    });
+
+    test('keyword triggers respect the NPC cooldown', async () => {
+        await db.doc(`${base}/wikis/jabba`).update({ assignedChatroomId: 'cantina', triggerKeywords: 'spice', autonomyCooldownSeconds: 600 });
+        for (const text of ['Any spice here?', 'I smell spice.']) {
+            const { messageId, message } = await postMessage(text);
+            await handleChatMessage({ db, config, appId, roomId: 'cantina', messageId, message });
+        }
+        assert.strictEqual((await getMessages()).filter(m => m.isNpc).length, 1);
+    });
+
+    test('stationed NPCs greet players who join, unless switched off', async () => {
+        await db.doc(`${base}/wikis/jabba`).update({ assignedChatroomId: 'cantina', greetOnJoin: 'yes' });
+        await db.doc(`${base}/wikis/bib`).update({ assignedChatroomId: 'cantina', greetOnJoin: 'yes' });
+        await db.doc(`${base}/chatrooms/cantina`).set({ npcAutonomy: { bib: false } }, { merge: true });
+
+        const eventRef = await db.collection(`${base}/chatrooms/cantina/events`).add({ type: 'join', userId: 'player-1', displayName: 'Han' });
+        await handleJoinEvent({ db, config, appId, roomId: 'cantina', eventRef, event: (await eventRef.get()).data() });
+
+        assert.deepStrictEqual((await getMessages()).filter(m => m.isNpc).map(m => m.authorName), ['Jabba']);
+        assert.strictEqual((await eventRef.get()).exists, false);
+    });
+
+    test('NPCs stationed at a planet greet players in any of its channels', async () => {
+        await db.doc(`${base}/mappoints/tatooine`).set({ name: 'Tatooine', linkedChatroomId: 'spaceport', linkedChatroomIds: ['spaceport', 'cantina'] });
+        await db.doc(`${base}/wikis/jabba`).update({ assignedMapPointId: 'tatooine', greetOnJoin: 'yes' });
+
+        const eventRef = await db.collection(`${base}/chatrooms/cantina/events`).add({ type: 'join', userId: 'player-1', displayName: 'Han' });
+        await handleJoinEvent({ db, config, appId, roomId: 'cantina', eventRef, event: (await eventRef.get()).data() });
+
+        assert.deepStrictEqual((await getMessages()).filter(m => m.isNpc).map(m => m.authorName), ['Jabba']);
+    });
+
+    test('a scene runs at most its turn limit', async () => {
+        const sceneRef = await db.collection(`${base}/chatrooms/cantina/scenes`).add({ npcNames: ['Jabba', 'Bib Fortuna'], premise: 'a debt', maxTurns: 3, turn: 0, status: 'running', startedBy: 'gm' });
+        await handleSceneCreated({ db, config, appId, roomId: 'cantina', sceneRef });
+
+        const replies = (await getMessages()).filter(m => m.isNpc);
+        assert.deepStrictEqual(replies.map(m => m.authorName), ['Jabba', 'Bib Fortuna', 'Jabba']);
+        const scene = (await sceneRef.get()).data();
+        assert.strictEqual(scene.status, 'ended');
+        assert.strictEqual(scene.turn, 3);
+    });
+
+    test('a channel runs one scene at a time', async () => {
+        const scenes = db.collection(`${base}/chatrooms/cantina/scenes`);
+        const first = await scenes.add({ npcNames: ['Jabba', 'Bib Fortuna'], maxTurns: 20, turn: 0, status: 'running', startedBy: 'gm' });
+        const running = handleSceneCreated({ db, config, appId, roomId: 'cantina', sceneRef: first });
+        while (((await first.get()).get('turn') || 0) < 1) await sleep(20);
+
+        const second = await scenes.add({ npcNames: ['Jabba', 'Bib Fortuna'], maxTurns: 3, turn: 0, status: 'running', startedBy: 'gm' });
+        await handleSceneCreated({ db, config, appId, roomId: 'cantina', sceneRef: second });
+        assert.strictEqual((await second.get()).get('status'), 'ended');
+        assert.ok((await getMessages()).some(m => m.text === '[Scene] A scene is already running in this channel.'));
+
+        await first.update({ status: 'stopped' });
+        await running;
+        const third = await scenes.add({ npcNames: ['Jabba', 'Bib Fortuna'], maxTurns: 1, turn: 0, status: 'running', startedBy: 'gm' });
+        await handleSceneCreated({ db, config, appId, roomId: 'cantina', sceneRef: third });
+        assert.strictEqual((await third.get()).get('turn'), 1);
+    });
+
+    test('stopping a scene ends it early', async () => {
+        const sceneRef = await db.collection(`${base}/chatrooms/cantina/scenes`).add({ npcNames: ['Jabba', 'Bib Fortuna'], maxTurns: 20, turn: 0, status: 'running', startedBy: 'gm' });
+        const running = handleSceneCreated({ db, config, appId, roomId: 'cantina', sceneRef });
+        while (((await sceneRef.get()).get('turn') || 0) < 1) await sleep(20);
+        await sceneRef.update({ status: 'stopped' });
+        await running;
+
+        const scene = (await sceneRef.get()).data();
+        assert.strictEqual(scene.status, 'ended');
+        assert.ok(scene.turn < 20);
+    });
+});
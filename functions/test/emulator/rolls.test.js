@@ -0,0 +1,60 @@
+// Runs dice roll requests against the Firestore emulator:
+//   npm run test:emulator
+const { describe, test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { handleRollRequest } = require('../../src/handlers');
+
+const skip = !process.env.FIRESTORE_EMULATOR_HOST && 'FIRESTORE_EMULATOR_HOST is not set';
+const projectId = process.env.GCLOUD_PROJECT || 'demo-rp-hub';
+
+describe('Dice rolls', { skip }, () => {
+    let db;
+    let appId;
+    let base;
+
+    const requestRoll = async (expression, extra = {}) => {
+        const rollRef = await db.collection(`${base}/chatrooms/cantina/rolls`).add({ userId: 'player-1', expression, ...extra });
+        const request = (await rollRef.get()).data();
+        await handleRollRequest({ db, appId, roomId: 'cantina', rollRef, request });
+        await handleRollRequest({ db, appId, roomId: 'cantina', rollRef, request });
+        return rollRef;
+    };
+
+    before(() => {
+        db = getFirestore(initializeApp({ projectId }));
+    });
+
+    beforeEach(async () => {
+        // A fresh appId per test keeps the data of each test apart
+        appId = `test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        base = `artifacts/${appId}/public/data`;
+        await db.doc(`${base}/chatrooms/cantina`).set({ name: 'Mos Eisley Cantina' });
+        await db.doc(`artifacts/${appId}/users/player-1/profile/data`).set({ displayName: 'Han' });
+    });
+
+    test('posts one system message per request and consumes the request', async () => {
+        const rollRef = await requestRoll('2d6+3');
+        const messages = await db.collection(`${base}/chatrooms/cantina/messages`).get();
+        assert.strictEqual(messages.size, 1);
+        const result = messages.docs[0].data();
+        assert.strictEqual(result.authorId, 'system');
+        assert.strictEqual(result.rolledBy, 'player-1');
+        assert.ok(result.roll.total >= 5 && result.roll.total <= 15);
+        assert.strictEqual((await rollRef.get()).exists, false);
+    });
+
+    test('explains rolls it cannot make', async () => {
+        await requestRoll('a fistful of dice');
+        const messages = await db.collection(`${base}/chatrooms/cantina/messages`).get();
+        assert.match(messages.docs[0].get('text'), /\[Dice\] Han: .* is not a roll/);
+    });
+
+    test('names the roller from their profile, not from the request', async () => {
+        await requestRoll('1d20', { displayName: 'Game Master' });
+        const result = (await db.collection(`${base}/chatrooms/cantina/messages`).get()).docs[0].data();
+        assert.strictEqual(result.rolledByName, 'Han');
+        assert.match(result.text, /^Han rolled/);
+    });
+});
@@ -0,0 +1,78 @@
+// Runs travel requests against the Firestore emulator:
+//   npm run test:emulator
+const { describe, test, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { handleTravelRequest } = require('../../src/travel');
+
+const skip = !process.env.FIRESTORE_EMULATOR_HOST && 'FIRESTORE_EMULATOR_HOST is not set';
+const projectId = process.env.GCLOUD_PROJECT || 'demo-rp-hub';
+
+describe('Travel', { skip }, () => {
+    let db;
+    let appId;
+    let base;
+
+    const travel = async (request) => {
+        const travelRef = await db.collection(`${base}/travels`).add(request);
+        const data = (await travelRef.get()).data();
+        await handleTravelRequest({ db, appId, travelRef, request: data });
+        await handleTravelRequest({ db, appId, travelRef, request: data });
+        return travelRef;
+    };
+
+    const messages = async (roomId) => (await db.collection(`${base}/chatrooms/${roomId}/messages`).get()).docs.map(d => d.get('text'));
+
+    before(() => {
+        db = getFirestore(initializeApp({ projectId }));
+    });
+
+    beforeEach(async () => {
+        // A fresh appId per test keeps the data of each test apart
+        appId = `test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        base = `artifacts/${appId}/public/data`;
+        await db.doc(`${base}/settings/roles`).set({ ownerId: 'owner', gameMasters: {} });
+        await db.doc(`${base}/mappoints/tatooine`).set({ name: 'Tatooine', linkedChatroomId: 'cantina' });
+        await db.doc(`${base}/mappoints/naboo`).set({ name: 'Naboo', linkedChatroomId: 'theed' });
+        await db.doc(`${base}/mappoints/hoth`).set({ name: 'Hoth' });
+        await db.doc(`${base}/maplanes/lane`).set({ fromId: 'tatooine', toId: 'naboo', travelHours: 30 });
+        await db.doc(`${base}/wikis/han`).set({ name: 'Han Solo', type: 'character', creatorId: 'player-1' });
+        await db.doc(`${base}/wikis/greedo`).set({ name: 'Greedo', type: 'npc', creatorId: 'owner', assignedMapPointId: 'tatooine' });
+        await db.doc(`${base}/locations/han`).set({ pointId: 'tatooine', creatorId: 'player-1' });
+    });
+
+    test('moves a character along the lanes and announces it once at both ends', async () => {
+        const travelRef = await travel({ characterId: 'han', toId: 'naboo', userId: 'player-1' });
+        assert.strictEqual((await db.doc(`${base}/locations/han`).get()).get('pointId'), 'naboo');
+        assert.deepStrictEqual(await messages('cantina'), ['Han Solo departs for Naboo.']);
+        assert.deepStrictEqual(await messages('theed'), ['Han Solo arrives from Tatooine after 1d 6h in hyperspace.']);
+        assert.strictEqual((await travelRef.get()).exists, false);
+    });
+
+    test('refuses trips without a route and characters of other players', async () => {
+        await travel({ characterId: 'han', toId: 'hoth', userId: 'player-1' });
+        await travel({ characterId: 'han', toId: 'naboo', userId: 'player-2' });
+        assert.strictEqual((await db.doc(`${base}/locations/han`).get()).get('pointId'), 'tatooine');
+        assert.deepStrictEqual(await messages('cantina'), []);
+    });
+
+    test('lets game masters move NPCs anywhere directly', async () => {
+        await travel({ characterId: 'greedo', toId: 'hoth', userId: 'player-1', direct: true });
+        assert.strictEqual((await db.doc(`${base}/wikis/greedo`).get()).get('assignedMapPointId'), 'tatooine');
+        await travel({ characterId: 'greedo', toId: 'hoth', userId: 'owner', direct: true });
+        assert.strictEqual((await db.doc(`${base}/wikis/greedo`).get()).get('assignedMapPointId'), 'hoth');
+        assert.deepStrictEqual(await messages('cantina'), ['Greedo departs for Hoth.']);
+    });
+
+    test('characters on a removed planet may start anywhere', async () => {
+        await db.doc(`${base}/mappoints/tatooine`).delete();
+        await travel({ characterId: 'han', toId: 'hoth', userId: 'player-1' });
+        await travel({ characterId: 'greedo', toId: 'naboo', userId: 'owner' });
+        const location = (await db.doc(`${base}/locations/han`).get()).data();
+        assert.strictEqual(location.pointId, 'hoth');
+        assert.strictEqual(location.fromId, null);
+        assert.strictEqual((await db.doc(`${base}/wikis/greedo`).get()).get('assignedMapPointId'), 'naboo');
+        assert.deepStrictEqual(await messages('theed'), ['Greedo arrives.']);
+    });
+});
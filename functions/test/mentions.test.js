@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findNpcMentions, matchMentionPrefix, joinNames } = require('../src/mentions');
+
+test('finds several mentions anywhere in a message, in order', () => {
+    assert.deepStrictEqual(
+        findNpcMentions('Hey @Jabba and @Bib Fortuna, what now?', ['Bib Fortuna', 'Jabba']),
+        ['Jabba', 'Bib Fortuna'],
+    );
+});
+
+test('prefers the longest matching name', () => {
+    assert.deepStrictEqual(findNpcMentions('@Bib Fortuna, hello', ['Bib', 'Bib Fortuna']), ['Bib Fortuna']);
+});
+
+test('ignores partial names and unknown NPCs', () => {
+    assert.deepStrictEqual(findNpcMentions('@Jabbas palace, ask @Greedo', ['Jabba']), []);
+});
+
+test('still understands the "@Name," prefix form', () => {
+    assert.strictEqual(matchMentionPrefix('@Unknown Person, hello')[1], 'Unknown Person');
+});
+
+test('joins names for prompts', () => {
+    assert.strictEqual(joinNames(['A', 'B', 'C']), 'A, B and C');
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { canSeeRoom, findMentionedPlayers } = require('../src/notifications');
+
+const players = [{ id: 'alice', displayName: 'Alice' }, { id: 'bob', displayName: 'Bob' }, { id: 'guest' }];
+const characters = [{ name: 'Han Solo', creatorId: 'bob' }, { name: 'Leia', creatorId: 'alice' }];
+
+test('finds players mentioned by name or through their characters', () => {
+    const mentioned = findMentionedPlayers('@Alice, did @Han Solo pay you?', players, characters);
+    assert.deepStrictEqual([...mentioned], [['alice', 'Alice'], ['bob', 'Han Solo']]);
+});
+
+test('mentions one player once and ignores partial names', () => {
+    assert.deepStrictEqual([...findMentionedPlayers('@Leia and @Alice', players, characters)], [['alice', 'Leia']]);
+    assert.strictEqual(findMentionedPlayers('@Bobby @Han', players, characters).size, 0);
+});
+
+test('only counts who can see the channel', () => {
+    const roles = { ownerId: 'owner', gameMasters: { gm: 'GM' } };
+    const secret = { visibility: 'private', members: ['alice'], creatorId: 'bob' };
+    assert.ok(canSeeRoom({ name: 'Legacy' }, 'carol', roles));
+    assert.ok(canSeeRoom(secret, 'alice', roles));
+    assert.ok(canSeeRoom(secret, 'bob', roles));
+    assert.ok(canSeeRoom(secret, 'gm', roles));
+    assert.ok(!canSeeRoom(secret, 'carol', roles));
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { llmProviders, resolveLlmSettings, generateNpcText } = require('../src/providers');
+
+const sseResponse = (lines) => {
+    const encoder = new TextEncoder();
+    return {
+        ok: true,
+        body: new ReadableStream({
+            start(controller) {
+                // Split mid-line to make sure partial chunks are buffered correctly
+                const payload = lines.join('\n') + '\n';
+                controller.enqueue(encoder.encode(payload.slice(0, 17)));
+                controller.enqueue(encoder.encode(payload.slice(17)));
+                controller.close();
+            },
+        }),
+    };
+};
+
+test('resolveLlmSettings uses deployment defaults for the deployment provider', () => {
+    const config = { provider: 'openai', model: 'gpt-test', endpoint: 'https://llm.example/v1', apiKeys: { openai: 'k' } };
+    assert.deepStrictEqual(resolveLlmSettings(config, {}), { provider: 'openai', model: 'gpt-test', endpoint: 'https://llm.example/v1', apiKey: 'k' });
+});
+
+test('resolveLlmSettings falls back to provider defaults when an NPC overrides the provider', () => {
+    const config = { provider: 'openai', model: 'gpt-test', endpoint: 'https://llm.example/v1', apiKeys: {} };
+    const settings = resolveLlmSettings(config, { llmProvider: 'local', llmModel: 'mistral' });
+    assert.strictEqual(settings.model, 'mistral');
+    assert.strictEqual(settings.endpoint, llmProviders.local.defaultEndpoint);
+});
+
+test('resolveLlmSettings keeps the deployment key away from endpoints set on an NPC', () => {
+    const config = { provider: 'openai', model: 'gpt-test', endpoint: 'https://llm.example/v1', apiKeys: { openai: 'k', gemini: 'g' } };
+    assert.strictEqual(resolveLlmSettings(config, { llmEndpoint: 'https://attacker.example/v1' }).apiKey, '');
+    assert.strictEqual(resolveLlmSettings(config, { llmProvider: 'gemini', llmEndpoint: 'http://169.254.169.254' }).apiKey, '');
+    assert.strictEqual(resolveLlmSettings(config, { llmEndpoint: 'https://llm.example/v1/' }).apiKey, 'k');
+    assert.strictEqual(resolveLlmSettings(config, { llmProvider: 'gemini' }).apiKey, 'g');
+    assert.strictEqual(resolveLlmSettings(config, { llmProvider: 'openai', llmEndpoint: llmProviders.openai.defaultEndpoint }).apiKey, 'k');
+});
+
+test('resolveLlmSettings rejects unknown providers', () => {
+    assert.throws(() => resolveLlmSettings({ provider: 'nope' }), /Unknown LLM provider/);
+});
+
+test('mock provider is deterministic and streams its reply', async () => {
+    const config = { provider: 'mock', providerOptions: { delayMs: 0 } };
+    const request = { system: 'You are Jabba.', messages: [{ role: 'user', text: 'Han: I have your money.' }] };
+    const chunks = [];
+    const first = await generateNpcText(config, {}, { ...request, onToken: (t) => chunks.push(t) });
+    const second = await generateNpcText(config, {}, request);
+    assert.strictEqual(first, second);
+    assert.ok(chunks.length > 1);
+    assert.strictEqual(chunks.join(''), first);
+});
+
+test('mock provider stops with an AbortError when cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(
+        generateNpcText({ provider: 'mock' }, {}, { system: '', messages: [{ role: 'user', text: 'hi' }], signal: controller.signal }),
+        { name: 'AbortError' },
+    );
+});
+
+test('OpenAI-compatible provider parses streamed deltas', async (t) => {
+    t.mock.method(global, 'fetch', async () => sseResponse([
+        'data: {"choices":[{"delta":{"content":"Hello"}}]}',
+        'data: {"choices":[{"delta":{"content":" there"}}]}',
+        'data: [DONE]',
+    ]));
+    const chunks = [];
+    const text = await generateNpcText({ provider: 'local' }, {}, { system: 's', messages: [{ role: 'user', text: 'hi' }], onToken: (c) => chunks.push(c) });
+    assert.strictEqual(text, 'Hello there');
+    assert.deepStrictEqual(chunks, ['Hello', ' there']);
+});
+
+test('Gemini provider parses streamed candidates', async (t) => {
+    const fetchMock = t.mock.method(global, 'fetch', async () => sseResponse([
+        'data: {"candidates":[{"content":{"parts":[{"text":"Bo shuda"}]}}]}',
+        '',
+        'data: {"candidates":[{"content":{"parts":[{"text":"!"}]}}]}',
+    ]));
+    const text = await generateNpcText({ provider: 'gemini', apiKeys: { gemini: 'secret' } }, {}, { system: 's', messages: [{ role: 'user', text: 'hi' }] });
+    assert.strictEqual(text, 'Bo shuda!');
+    assert.match(fetchMock.mock.calls[0].arguments[0], /gemini-2\.0-flash:streamGenerateContent\?alt=sse&key=secret$/);
+});
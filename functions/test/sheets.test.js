@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_SHEET_TEMPLATE, findCheck, checkExpression } = require('../src/sheets');
+
+const sheet = { attributes: { agility: 3, brawn: 2 }, skills: { 'ranged-light': 2 } };
+
+test('finds checks by label or key', () => {
+    assert.strictEqual(findCheck(DEFAULT_SHEET_TEMPLATE, 'ranged (light)').key, 'ranged-light');
+    assert.strictEqual(findCheck(DEFAULT_SHEET_TEMPLATE, 'Brawn').type, 'attribute');
+    assert.strictEqual(findCheck(DEFAULT_SHEET_TEMPLATE, 'Sabacc'), null);
+});
+
+test('upgrades the lower of attribute and rank to proficiency dice', () => {
+    const check = findCheck(DEFAULT_SHEET_TEMPLATE, 'Ranged (Light)');
+    assert.strictEqual(checkExpression(DEFAULT_SHEET_TEMPLATE, sheet, check, '2p'), '2y 1g 2p');
+    assert.strictEqual(checkExpression(DEFAULT_SHEET_TEMPLATE, sheet, findCheck(DEFAULT_SHEET_TEMPLATE, 'Brawl')), '2g');
+});
+
+test('adds attribute and rank to a d20 in d20 campaigns', () => {
+    const template = { ...DEFAULT_SHEET_TEMPLATE, dice: 'd20' };
+    const check = findCheck(template, 'ranged-light');
+    assert.strictEqual(checkExpression(template, sheet, check), '1d20+5');
+    assert.strictEqual(checkExpression(template, sheet, check, '1d4'), '1d20+5+1d4');
+});
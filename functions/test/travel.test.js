@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findRoute, formatTravelTime } = require('../src/travel');
+
+const lanes = [
+    { fromId: 'tatooine', toId: 'geonosis', travelHours: 10 },
+    { fromId: 'geonosis', toId: 'coruscant', travelHours: 30 },
+    { fromId: 'tatooine', toId: 'naboo', travelHours: 12 },
+    { fromId: 'coruscant', toId: 'naboo', travelHours: 14 },
+];
+
+test('takes the quickest way, in either direction of a lane', () => {
+    assert.deepStrictEqual(findRoute(lanes, 'tatooine', 'coruscant'), { path: ['tatooine', 'naboo', 'coruscant'], hours: 26 });
+    assert.deepStrictEqual(findRoute(lanes, 'coruscant', 'geonosis'), { path: ['coruscant', 'geonosis'], hours: 30 });
+});
+
+test('finds no route to planets without lanes', () => {
+    assert.strictEqual(findRoute(lanes, 'tatooine', 'hoth'), null);
+    assert.strictEqual(findRoute([], 'tatooine', 'naboo'), null);
+});
+
+test('formats travel times in days and hours', () => {
+    assert.strictEqual(formatTravelTime(5), '5h');
+    assert.strictEqual(formatTravelTime(48), '2d');
+    assert.strictEqual(formatTravelTime(26), '1d 2h');
+});
@@ -1,8 +1,11 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useMemo, useCallback, useRef, createContext, useContext } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
 import { initializeApp } from 'firebase/app';
-import { getAuth, onAuthStateChanged, signInAnonymously, signInWithCustomToken } from 'firebase/auth';
-import { getFirestore, collection, doc, addDoc, setDoc, onSnapshot, query, deleteDoc, getDoc, where, getDocs, updateDoc } from 'firebase/firestore';
-import { ChevronRight, Plus, Hash, BookOpen, MessageSquare, Newspaper, Trash2, User, X, Settings, Bot, Map, UserSquare, Library, Edit, BrainCircuit } from 'lucide-react';
+import { getAuth, onAuthStateChanged, onIdTokenChanged, signInAnonymously, signInWithCustomToken, connectAuthEmulator, signOut, linkWithCredential, linkWithPopup, signInWithPopup, signInWithCredential, signInWithEmailAndPassword, createUserWithEmailAndPassword, sendSignInLinkToEmail, isSignInWithEmailLink, EmailAuthProvider, GoogleAuthProvider } from 'firebase/auth';
+import { getFunctions, httpsCallable, connectFunctionsEmulator } from 'firebase/functions';
+import { getStorage, ref as storageRef, uploadBytes, getDownloadURL, connectStorageEmulator } from 'firebase/storage';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, collection, doc, addDoc, setDoc, onSnapshot, query, deleteDoc, getDoc, where, updateDoc, orderBy, deleteField, writeBatch, getDocs, getDocsFromCache, limit, startAfter, endAt, arrayUnion, arrayRemove } from 'firebase/firestore';
+import { ChevronRight, Plus, Hash, BookOpen, MessageSquare, Newspaper, Trash2, User, X, Settings, Bot, Map as MapIcon, UserSquare, Library, Edit, BrainCircuit, Shield, KeyRound, LogIn, LogOut, Mail, History, RotateCcw, Search, Reply, SmilePlus, Dices, Users, Lock, EyeOff, UserPlus, Bell, BellOff, FileText } from 'lucide-react';
 
 // --- Firebase Configuration ---
 // This configuration is provided by the environment.
@@ -12,55 +15,1192 @@ const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 // --- Firebase Initialization ---
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
-const db = getFirestore(app);
+// The local cache keeps every section, and the search index built from it, usable offline.
+const db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+const functions = getFunctions(app);
+const storage = getStorage(app);
+
+// Local development against the Firebase Local Emulator Suite (see firebase.json)
+const useEmulators = process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true';
+if (useEmulators) {
+    connectAuthEmulator(auth, 'http://localhost:9099');
+    connectFirestoreEmulator(db, 'localhost', 8080);
+    connectFunctionsEmulator(functions, 'localhost', 5001);
+    connectStorageEmulator(storage, 'localhost', 9199);
+}
 
 // --- Helper Functions ---
 const getUserId = () => auth.currentUser?.uid;
 
-// --- Text Formatter Component ---
-const TextFormatter = ({ text }) => {
-    if (!text) return null;
+const toMillis = (value) => value?.toMillis?.() ?? (value instanceof Date ? value.getTime() : 0);
+
+const downloadFile = (fileName, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// --- Roles ---
+// Content belongs to whoever is in its `creatorId`. The campaign owner and the game masters
+// in settings/roles ({ ownerId, gameMasters: { [uid]: displayName } }) may moderate
+// everything. firestore.rules enforces the same model; the UI only hides what would be refused.
+const settingsCollectionPath = `/artifacts/${appId}/public/data/settings`;
+
+const getRole = (roles, userId = getUserId()) => {
+    if (roles?.ownerId && roles.ownerId === userId) return 'owner';
+    if (roles?.gameMasters?.[userId] !== undefined) return 'gm';
+    return 'player';
+};
+
+const ROLE_LABELS = { owner: 'Campaign Owner', gm: 'Game Master', player: 'Player' };
+
+const isGameMaster = (roles) => getRole(roles) !== 'player';
+
+const canModify = (item, roles) => !!item && ((item.creatorId && item.creatorId === getUserId()) || isGameMaster(roles));
+
+const claimCampaign = httpsCallable(functions, 'claimCampaign');
+
+// --- Accounts ---
+// Everyone starts as an anonymous guest. Signing up links the new credential to the guest's
+// UID, so their profile and content simply stay theirs. Signing into an account that already
+// exists switches UIDs instead, and the mergeAccounts function hands the guest's things over.
+const EMAIL_FOR_SIGN_IN_KEY = 'rpHubEmailForSignIn';
+const CREDENTIAL_IN_USE_CODES = ['auth/credential-already-in-use', 'auth/email-already-in-use'];
+
+const mergeAccounts = httpsCallable(functions, 'mergeAccounts');
+
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': 'That email address is not valid.',
+    'auth/invalid-credential': 'Wrong email or password.',
+    'auth/wrong-password': 'Wrong email or password.',
+    'auth/user-not-found': 'No account uses that email. Create one instead.',
+    'auth/email-already-in-use': 'An account already uses that email. Sign in instead.',
+    'auth/weak-password': 'Passwords need at least 6 characters.',
+    'auth/popup-closed-by-user': 'The sign-in window was closed.',
+    'auth/invalid-action-code': 'This sign-in link has expired or was already used.',
+};
+
+const describeAuthError = (error) => AUTH_ERROR_MESSAGES[error.code] || error.message;
+
+// Runs `signIn` and, if that left a guest session behind, merges the guest into the new account.
+const signInMergingGuest = async (signIn) => {
+    const guest = auth.currentUser?.isAnonymous ? auth.currentUser : null;
+    const guestToken = guest ? await guest.getIdToken() : null;
+    const result = await signIn();
+    if (guestToken && result.user.uid !== guest.uid) {
+        await mergeAccounts({ appId, sourceIdToken: guestToken });
+    }
+    return result;
+};
+
+// Links `credential` to the current guest, or signs into its account if it already has one.
+const upgradeGuestWith = async (credential) => {
+    if (auth.currentUser?.isAnonymous) {
+        try {
+            return await linkWithCredential(auth.currentUser, credential);
+        } catch (error) {
+            if (!CREDENTIAL_IN_USE_CODES.includes(error.code)) throw error;
+        }
+    }
+    return signInMergingGuest(() => signInWithCredential(auth, credential));
+};
+
+const signUpWithEmail = (email, password) => auth.currentUser?.isAnonymous
+    ? linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password))
+    : createUserWithEmailAndPassword(auth, email, password);
+
+const signInWithEmail = (email, password) => signInMergingGuest(() => signInWithEmailAndPassword(auth, email, password));
+
+const signInWithGoogle = async () => {
+    const provider = new GoogleAuthProvider();
+    if (!auth.currentUser?.isAnonymous) return signInWithPopup(auth, provider);
+    try {
+        return await linkWithPopup(auth.currentUser, provider);
+    } catch (error) {
+        const credential = GoogleAuthProvider.credentialFromError(error);
+        if (!CREDENTIAL_IN_USE_CODES.includes(error.code) || !credential) throw error;
+        return signInMergingGuest(() => signInWithCredential(auth, credential));
+    }
+};
+
+const sendEmailSignInLink = async (email) => {
+    await sendSignInLinkToEmail(auth, email, { url: window.location.origin + window.location.pathname, handleCodeInApp: true });
+    window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+};
+
+const completeEmailLinkSignIn = async (email) => {
+    const result = await upgradeGuestWith(EmailAuthProvider.credentialWithLink(email, window.location.href));
+    window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+    return result;
+};
+
+// Merging a second real account means signing into it as well. That happens on a separate
+// Auth instance so the current session stays untouched.
+let mergeAuth = null;
+const getMergeAuth = () => {
+    if (!mergeAuth) {
+        mergeAuth = getAuth(initializeApp(firebaseConfig, 'account-merge'));
+        if (useEmulators) connectAuthEmulator(mergeAuth, 'http://localhost:9099');
+    }
+    return mergeAuth;
+};
+
+const mergeOtherAccount = async (signInOther) => {
+    const otherAuth = getMergeAuth();
+    try {
+        const { user: other } = await signInOther(otherAuth);
+        if (other.uid === getUserId()) throw new Error('That is the account you are signed into.');
+        const { data } = await mergeAccounts({ appId, sourceIdToken: await other.getIdToken() });
+        return data;
+    } finally {
+        await signOut(otherAuth);
+    }
+};
+
+// --- AI NPCs ---
+// NPC replies, memory, autonomy and scenes run in the Cloud Functions under /functions.
+// The client only posts messages, requests scenes and edits NPC settings; the constants
+// below mirror the backend defaults so the forms can show them.
+const NPC_PROVIDER_OPTIONS = [
+    { value: 'gemini', label: 'Google Gemini' },
+    { value: 'openai', label: 'OpenAI-compatible' },
+    { value: 'local', label: 'Local (Ollama / llama.cpp)' },
+    { value: 'mock', label: 'Offline mock' },
+];
+const DEFAULT_CONTEXT_WINDOW = 20;
+const DEFAULT_CONTEXT_TOKEN_BUDGET = 2000;
+// Mirrors the ceilings in functions/src/context.js.
+const MAX_CONTEXT_WINDOW = 100;
+const MAX_CONTEXT_TOKEN_BUDGET = 8000;
+const DEFAULT_AUTONOMY_COOLDOWN_SECONDS = 60;
+const DEFAULT_AUTONOMY_MAX_PER_HOUR = 10;
+const DEFAULT_SCENE_TURNS = 6;
+const MAX_SCENE_TURNS = 20;
+
+const isNpcAssignedToRoom = (npc, roomId, linkedPointIds) =>
+    npc.assignedChatroomId === roomId || (!!npc.assignedMapPointId && linkedPointIds.includes(npc.assignedMapPointId));
+
+const isAutonomyEnabled = (roomData, npcId) => roomData?.npcAutonomy?.[npcId] !== false;
+
+const overlapsAny = (spans, start, end) => spans.some(([spanStart, spanEnd]) => start < spanEnd && end > spanStart);
+
+// Finds every known NPC mentioned as @Name anywhere in the text, in order of
+// appearance. Longer names win, so "@Bib Fortuna" is not also read as "@Bib".
+// Same matching as functions/src/mentions.js.
+const findNpcMentions = (text, npcNames) => {
+    const lower = text.toLowerCase();
+    const taken = [];
+    const found = [];
+    [...new Set(npcNames.filter(Boolean))].sort((a, b) => b.length - a.length).forEach(name => {
+        const needle = `@${name.toLowerCase()}`;
+        let index = lower.indexOf(needle);
+        while (index !== -1) {
+            const end = index + needle.length;
+            const boundary = end >= lower.length || !/[\w-]/.test(lower[end]);
+            if (boundary && !overlapsAny(taken, index, end)) {
+                taken.push([index, end]);
+                found.push({ name, index });
+                return;
+            }
+            index = lower.indexOf(needle, index + 1);
+        }
+    });
+    return found.sort((a, b) => a.index - b.index).map(m => m.name);
+};
+
+// Parses "/scene [turns] @NpcA @NpcB premise..." into its parts.
+const parseSceneCommand = (text, npcNames) => {
+    const match = text.match(/^\/scene\b\s*(\d+)?/i);
+    if (!match) return null;
+    const rest = text.substring(match[0].length);
+    const names = findNpcMentions(rest, npcNames);
+    let premise = rest;
+    names.forEach(name => { premise = premise.replace(new RegExp(`@${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i'), ''); });
+    const turns = Math.min(Number(match[1]) || DEFAULT_SCENE_TURNS, MAX_SCENE_TURNS);
+    return { names, turns, premise: premise.replace(/\s+/g, ' ').replace(/^[\s,]+|[\s,]+$/g, '').replace(/^and\b\s*/i, '') };
+};
+
+const joinNames = (names) => names.length <= 1 ? (names[0] || '') : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+
+// --- Character Sheets ---
+// Character entries carry a `sheet`. Which attributes and skills it has, and whether checks
+// use narrative dice or a d20, is set per campaign in settings/characterSheet by the game
+// masters. Checks are rolled by the backend from the sheet (functions/src/sheets.js, whose
+// default template this mirrors).
+const DEFAULT_SHEET_TEMPLATE = {
+    dice: 'narrative',
+    attributes: [
+        { key: 'brawn', label: 'Brawn' },
+        { key: 'agility', label: 'Agility' },
+        { key: 'intellect', label: 'Intellect' },
+        { key: 'cunning', label: 'Cunning' },
+        { key: 'willpower', label: 'Willpower' },
+        { key: 'presence', label: 'Presence' },
+    ],
+    skills: [
+        { key: 'athletics', label: 'Athletics', attribute: 'brawn' },
+        { key: 'brawl', label: 'Brawl', attribute: 'brawn' },
+        { key: 'lightsaber', label: 'Lightsaber', attribute: 'brawn' },
+        { key: 'ranged-light', label: 'Ranged (Light)', attribute: 'agility' },
+        { key: 'ranged-heavy', label: 'Ranged (Heavy)', attribute: 'agility' },
+        { key: 'piloting', label: 'Piloting', attribute: 'agility' },
+        { key: 'stealth', label: 'Stealth', attribute: 'agility' },
+        { key: 'computers', label: 'Computers', attribute: 'intellect' },
+        { key: 'mechanics', label: 'Mechanics', attribute: 'intellect' },
+        { key: 'medicine', label: 'Medicine', attribute: 'intellect' },
+        { key: 'deception', label: 'Deception', attribute: 'cunning' },
+        { key: 'perception', label: 'Perception', attribute: 'cunning' },
+        { key: 'streetwise', label: 'Streetwise', attribute: 'cunning' },
+        { key: 'discipline', label: 'Discipline', attribute: 'willpower' },
+        { key: 'vigilance', label: 'Vigilance', attribute: 'willpower' },
+        { key: 'charm', label: 'Charm', attribute: 'presence' },
+        { key: 'leadership', label: 'Leadership', attribute: 'presence' },
+        { key: 'negotiation', label: 'Negotiation', attribute: 'presence' },
+    ],
+};
+const SHEET_DICE_OPTIONS = [
+    { value: 'narrative', label: 'Narrative dice (attribute and skill build a pool)' },
+    { value: 'd20', label: 'd20 + attribute + skill rank' },
+];
+
+const slugify = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const emptySheet = (template) => ({
+    species: '', faction: '', forceSensitive: false,
+    attributes: Object.fromEntries(template.attributes.map(a => [a.key, 1])),
+    skills: Object.fromEntries(template.skills.map(s => [s.key, 0])),
+    wounds: 0, woundThreshold: 10, strain: 0, strainThreshold: 10,
+    credits: 0, inventory: [],
+});
+
+// Template text for the editor: one attribute per line, skills as "Skill: Attribute".
+const templateToText = (template) => ({
+    attributes: template.attributes.map(a => a.label).join('\n'),
+    skills: template.skills.map(s => `${s.label}: ${template.attributes.find(a => a.key === s.attribute)?.label || s.attribute}`).join('\n'),
+});
+
+const textToTemplate = (dice, attributesText, skillsText) => {
+    const attributes = attributesText.split('\n').map(line => line.trim()).filter(Boolean).map(label => ({ key: slugify(label), label }));
+    const skills = skillsText.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+        const [label, attributeLabel = ''] = line.split(/:(?=[^:]*$)/).map(part => part.trim());
+        const attribute = attributes.find(a => a.label.toLowerCase() === attributeLabel.toLowerCase() || a.key === slugify(attributeLabel));
+        return { key: slugify(label), label, attribute: attribute ? attribute.key : (attributes[0]?.key || '') };
+    });
+    return { dice, attributes, skills };
+};
+
+// "Ranged (Light) 2p" -> the Ranged (Light) skill with "2p" extra dice.
+const matchCheck = (text, template) => {
+    const lower = text.toLowerCase();
+    const checks = [...template.skills, ...template.attributes].flatMap(c => [{ name: c.label.toLowerCase(), check: c }, { name: c.key, check: c }]);
+    const found = checks
+        .sort((a, b) => b.name.length - a.name.length)
+        .find(({ name }) => lower.startsWith(name) && !/[\w-]/.test(lower[name.length] || ''));
+    return found ? { check: found.check, extra: text.substring(found.name.length).trim() } : null;
+};
+
+const useSheetTemplate = () => {
+    const [template, setTemplate] = useState(DEFAULT_SHEET_TEMPLATE);
+    useEffect(() => onSnapshot(doc(db, settingsCollectionPath, 'characterSheet'), (d) => {
+        setTemplate(d.exists() ? { ...DEFAULT_SHEET_TEMPLATE, ...d.data() } : DEFAULT_SHEET_TEMPLATE);
+    }, (error) => console.error("Error loading the character sheet template:", error)), []);
+    return template;
+};
+
+// --- Chat Commands ---
+// Messages starting with "/name" run the registered command instead of being posted.
+// `run(args, chat)` gets the rest of the line and what the Chatroom offers commands:
+//   chat.post({ text, style })           post as the current speaker (style: 'emote' | 'ooc')
+//   chat.requestRoll(expression)         ask the backend for a dice roll
+//   chat.whisper(recipient, text)        send a private message
+//   chat.startScene({ names, turns, premise })  game masters only (chat.isGameMaster)
+//   chat.notice(text)                    show a hint to this player only
+//   chat.requestCheck(check, extra)      roll a sheet check for the character being played
+//   chat.npcNames, chat.recipients ([{ id, name }]), chat.activeScene, chat.speakingAs, chat.sheetTemplate
+// Returning false keeps the typed text so the player can fix it.
+const CHAT_COMMANDS = new Map();
+
+const registerChatCommand = (name, command) => {
+    [name, ...(command.aliases || [])].forEach(key => CHAT_COMMANDS.set(key.toLowerCase(), { name, ...command }));
+};
+
+const parseChatCommand = (text) => {
+    const match = text.match(/^\/(\w+)\b\s*([\s\S]*)$/);
+    return match ? { name: match[1].toLowerCase(), args: match[2].trim() } : null;
+};
+
+// Picks the recipient whose name the text starts with ("@Han Solo meet me outside").
+const matchRecipient = (text, recipients) => {
+    const lower = text.toLowerCase();
+    const recipient = [...recipients]
+        .sort((a, b) => b.name.length - a.name.length)
+        .find(r => lower.startsWith(`@${r.name.toLowerCase()}`) && !/[\w-]/.test(lower[r.name.length + 1] || ''));
+    return recipient ? { recipient, text: text.substring(recipient.name.length + 1).trim() } : null;
+};
+
+registerChatCommand('help', {
+    usage: '/help',
+    description: 'List the chat commands.',
+    run: (args, chat) => {
+        const commands = [...new Set(CHAT_COMMANDS.values())];
+        chat.notice(commands.map(c => c.usage).join('   '));
+    },
+});
+
+registerChatCommand('roll', {
+    aliases: ['r'],
+    usage: '/roll 2d6+3 or /roll 2g 1y 2p',
+    description: 'Roll dice. Narrative dice: g ability, y proficiency, b boost, p difficulty, r challenge, k setback, w force.',
+    run: (args, chat) => {
+        if (!args) {
+            chat.notice('Say what to roll, e.g. "/roll 2d6+3" or "/roll 2g 1y 2p".');
+            return false;
+        }
+        return chat.requestRoll(args);
+    },
+});
+
+registerChatCommand('check', {
+    usage: '/check Ranged (Light) 2p',
+    description: 'Roll a skill or attribute from the sheet of the character you post as, plus any extra dice.',
+    run: (args, chat) => {
+        if (!chat.speakingAs) {
+            chat.notice('Pick one of your characters under "Post as" to roll checks from their sheet.');
+            return false;
+        }
+        const match = matchCheck(args, chat.sheetTemplate);
+        if (!match) {
+            chat.notice(`Name a skill or attribute from the character sheet, e.g. "/check ${chat.sheetTemplate.skills[0]?.label || 'Brawn'}".`);
+            return false;
+        }
+        return chat.requestCheck(match.check, match.extra);
+    },
+});
+
+registerChatCommand('me', {
+    usage: '/me draws a blaster',
+    description: 'Describe what your character does.',
+    run: (args, chat) => args ? chat.post({ text: args, style: 'emote' }) : false,
+});
+
+registerChatCommand('ooc', {
+    usage: '/ooc brb',
+    description: 'Speak out of character. NPCs ignore these.',
+    run: (args, chat) => args ? chat.post({ text: args, style: 'ooc' }) : false,
+});
+
+registerChatCommand('whisper', {
+    aliases: ['w'],
+    usage: '/whisper @Player text',
+    description: 'Send a message only that player can see.',
+    run: (args, chat) => {
+        const match = matchRecipient(args, chat.recipients);
+        if (!match || !match.text) {
+            chat.notice('Whisper to someone who has posted in this channel, e.g. "/whisper @Han meet me outside".');
+            return false;
+        }
+        return chat.whisper(match.recipient, match.text);
+    },
+});
+
+registerChatCommand('scene', {
+    usage: '/scene 6 @NpcA @NpcB premise',
+    description: 'Let NPCs play out a scene (game masters).',
+    run: (args, chat) => {
+        if (!chat.isGameMaster) {
+            chat.notice('Only game masters can start NPC scenes.');
+            return false;
+        }
+        const scene = parseSceneCommand(`/scene ${args}`, chat.npcNames);
+        if (scene.names.length < 2) {
+            chat.notice('A scene needs at least two NPCs, e.g. "/scene 6 @Jabba @Bib Fortuna haggle over a debt".');
+            return false;
+        }
+        if (chat.activeScene) {
+            chat.notice('A scene is already running in this channel.');
+            return false;
+        }
+        return chat.startScene(scene);
+    },
+});
+
+// --- Channels ---
+// Chatrooms are `public` (the default), `private` (seen by their `members` and creator) or
+// `gm` (hidden channels game masters set up). Direct messages are private rooms with
+// `kind: 'dm'` and a `memberNames` map. Firestore only runs queries it can prove are allowed,
+// so players list channels with one query per way they may see one; game masters see all.
+const chatroomsCollectionPath = `/artifacts/${appId}/public/data/chatrooms`;
+const playersCollectionPath = `/artifacts/${appId}/public/data/players`;
+const MAX_CHANNEL_MEMBERS = 20;
+const MAX_DM_MEMBERS = 8;
+
+const CHANNEL_VISIBILITY_OPTIONS = [
+    { value: 'public', label: 'Public: everyone can see and join' },
+    { value: 'private', label: 'Private: members and invited players only' },
+    { value: 'gm', label: 'GM only: hidden from players unless added' },
+];
+
+const isDirectMessage = (room) => room?.kind === 'dm';
+
+const isPrivateRoom = (room) => (room?.visibility || 'public') !== 'public';
+
+const visibleChatroomQueries = (seesAll) => {
+    const chatrooms = collection(db, chatroomsCollectionPath);
+    if (seesAll) return [query(chatrooms)];
+    return [
+        query(chatrooms, where('visibility', '==', 'public')),
+        query(chatrooms, where('members', 'array-contains', getUserId())),
+        query(chatrooms, where('creatorId', '==', getUserId())),
+    ];
+};
+
+const mergeChatroomSnapshots = (snapshots) => {
+    const byId = new Map();
+    snapshots.forEach(snapshot => snapshot?.docs.forEach(d => byId.set(d.id, { id: d.id, ...d.data() })));
+    return [...byId.values()];
+};
+
+// Calls `onChange` with every chatroom the player may see; `seesAll` is true for game masters.
+const subscribeToVisibleChatrooms = (seesAll, onChange) => {
+    const queries = visibleChatroomQueries(seesAll);
+    const snapshots = queries.map(() => null);
+    const unsubscribes = queries.map((q, i) => onSnapshot(q, (snapshot) => {
+        snapshots[i] = snapshot;
+        onChange(mergeChatroomSnapshots(snapshots));
+    }, (error) => console.error("Error listening to chatrooms:", error)));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+};
+
+const loadVisibleChatrooms = async (seesAll) => mergeChatroomSnapshots(await Promise.all(visibleChatroomQueries(seesAll).map(q => getDocs(q))));
+
+// Direct messages are named after everyone else still in them.
+const chatroomTitle = (room) => {
+    if (!isDirectMessage(room)) return room.name || 'Untitled';
+    const others = Object.entries(room.memberNames || {})
+        .filter(([id]) => id !== getUserId() && (room.members || []).includes(id))
+        .map(([, name]) => name);
+    return joinNames(others) || 'Direct Message';
+};
+
+const playerLabel = (player) => player?.displayName || `Anonymous (${player?.id?.substring(0, 8)})`;
+
+// Every player who has signed in, from players/{uid} ({ displayName, photoURL }).
+const usePlayers = () => {
+    const [players, setPlayers] = useState([]);
+    useEffect(() => {
+        const unsub = onSnapshot(query(collection(db, playersCollectionPath)), (snapshot) => {
+            setPlayers(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => console.error("Error listening to players:", error));
+        return () => unsub();
+    }, []);
+    return players;
+};
+
+// Invite links look like ?invite=<roomId>.<code>; the code is the id of a document in the
+// channel's invites subcollection and stops working once that is deleted.
+const createInviteCode = () => Array.from(window.crypto.getRandomValues(new Uint8Array(12)), b => b.toString(16).padStart(2, '0')).join('');
+
+const inviteLink = (roomId, code) => `${window.location.origin}${window.location.pathname}?invite=${roomId}.${code}`;
+
+const joinWithInvite = async (roomId, code) => {
+    const roomRef = doc(db, chatroomsCollectionPath, roomId);
+    await updateDoc(roomRef, { members: arrayUnion(getUserId()), usedInvite: code });
+    const room = await getDoc(roomRef);
+    return { id: room.id, ...room.data() };
+};
+
+// --- Notifications ---
+// The backend counts each chatroom's messages (`messageCount`) and fills every player's inbox
+// in users/{uid}/notifications with mentions, replies and edits to wiki entries they follow
+// (see functions/src/notifications.js). Read markers in users/{uid}/readMarkers/{roomId}
+// ({ readCount, readAt }) remember how many messages a channel had when the player last looked.
+const NOTIFICATION_INBOX_LIMIT = 50;
+const BROWSER_NOTIFICATIONS_KEY = 'rpHubBrowserNotifications';
+
+const userDataPath = (uid = getUserId()) => `/artifacts/${appId}/users/${uid}`;
+
+// Unread counts by room id, for channels the player has opened before and private rooms they belong to.
+const countUnread = (rooms, readMarkers) => {
+    const counts = {};
+    rooms.forEach(room => {
+        const marker = readMarkers[room.id];
+        if (!marker && !(room.members || []).includes(getUserId())) return;
+        const unread = (room.messageCount || 0) - (marker?.readCount || 0);
+        if (unread > 0) counts[room.id] = unread;
+    });
+    return counts;
+};
+
+const markRoomRead = (room) => setDoc(doc(db, userDataPath(), 'readMarkers', room.id), { readCount: room.messageCount || 0, readAt: new Date() });
+
+const describeNotification = (notification) => {
+    const where = notification.roomName ? ` in ${notification.roomName}` : '';
+    if (notification.type === 'mention') return `${notification.actorName} mentioned you${where}`;
+    if (notification.type === 'reply') return `${notification.actorName} replied to you${where}`;
+    return `${notification.wikiName}: ${REVISION_ACTION_LABELS[notification.action] || 'Edited'} by ${notification.actorName}`;
+};
+
+const browserNotificationsSupported = () => typeof window.Notification !== 'undefined';
+
+const browserNotificationsEnabled = () => browserNotificationsSupported()
+    && window.Notification.permission === 'granted'
+    && window.localStorage.getItem(BROWSER_NOTIFICATIONS_KEY) === 'on';
+
+const setBrowserNotifications = async (enabled) => {
+    if (enabled && (await window.Notification.requestPermission()) !== 'granted') return false;
+    window.localStorage.setItem(BROWSER_NOTIFICATIONS_KEY, enabled ? 'on' : 'off');
+    return enabled;
+};
+
+// --- Galaxy Map ---
+// Planets (mappoints), sector regions (mapregions: { name, color, points: [{ x, y }] }) and
+// hyperspace lanes (maplanes: { fromId, toId, travelHours, name }) place everything in percent
+// of the base map. Game masters may upload their own base map; settings/galaxyMap then holds
+// { imageUrl, storagePath, aspectRatio }.
+const DEFAULT_GALAXY_MAP = {
+    imageUrl: 'https://cdna.artstation.com/p/assets/images/images/027/099/014/large/alex-jay-perfect-galaxy-map-no-grid.jpg?1590597368',
+    aspectRatio: 16 / 9,
+};
+const MAP_WIDTH = 1000;
+const MAP_MAX_ZOOM = 8;
+// Pointer movement below this many pixels is a click, not a drag
+const MAP_DRAG_THRESHOLD_PX = 4;
+// Characters and NPCs drawn around a planet; the rest are listed in its tooltip
+const MAP_PRESENCE_MARKERS = 8;
+// Estimated lane travel time per percent of the map's width travelled
+const HYPERSPACE_HOURS_PER_UNIT = 0.5;
+const MAX_BASE_MAP_BYTES = 10 * 1024 * 1024;
+
+const REGION_COLORS = [
+    { value: '#38bdf8', label: 'Blue' },
+    { value: '#4ade80', label: 'Green' },
+    { value: '#facc15', label: 'Yellow' },
+    { value: '#f87171', label: 'Red' },
+    { value: '#c084fc', label: 'Purple' },
+    { value: '#94a3b8', label: 'Grey' },
+];
+
+const clampPercent = (value) => Math.min(100, Math.max(0, value));
+
+// Distance in percent of the map's width, whatever the map's shape
+const mapDistance = (a, b, aspectRatio) => Math.hypot(a.x - b.x, (a.y - b.y) / aspectRatio);
+
+const estimateTravelHours = (a, b, aspectRatio) => Math.max(1, Math.round(mapDistance(a, b, aspectRatio) * HYPERSPACE_HOURS_PER_UNIT));
 
+const formatTravelTime = (hours) => {
+    const total = Number(hours) || 0;
+    if (total < 24) return `${total}h`;
+    const days = Math.floor(total / 24);
+    return total % 24 ? `${days}d ${total % 24}h` : `${days}d`;
+};
+
+const regionCentroid = (points) => ({
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+});
+
+const useGalaxyMapSettings = () => {
+    const [settings, setSettings] = useState(DEFAULT_GALAXY_MAP);
+    useEffect(() => onSnapshot(doc(db, settingsCollectionPath, 'galaxyMap'), (d) => {
+        setSettings(d.exists() ? { ...DEFAULT_GALAXY_MAP, ...d.data() } : DEFAULT_GALAXY_MAP);
+    }, (error) => console.error("Error loading the galaxy map settings:", error)), []);
+    return settings;
+};
+
+const readImageAspectRatio = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new window.Image();
+    image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image.naturalWidth / image.naturalHeight);
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('That file could not be read as an image.'));
+    };
+    image.src = url;
+});
+
+// Stores the image in Cloud Storage (see storage.rules) and points the campaign's map at it.
+const uploadBaseMap = async (file) => {
+    if (!file.type.startsWith('image/')) throw new Error('Choose an image file.');
+    if (file.size > MAX_BASE_MAP_BYTES) throw new Error(`Base maps can be at most ${MAX_BASE_MAP_BYTES / 1024 / 1024} MB.`);
+    const aspectRatio = await readImageAspectRatio(file);
+    const storagePath = `artifacts/${appId}/maps/${Date.now()}-${file.name.replace(/[^\w.-]/g, '_')}`;
+    const fileRef = storageRef(storage, storagePath);
+    await uploadBytes(fileRef, file, { contentType: file.type });
+    await setDoc(doc(db, settingsCollectionPath, 'galaxyMap'), { imageUrl: await getDownloadURL(fileRef), storagePath, aspectRatio, updatedBy: getUserId(), updatedAt: new Date() });
+};
+
+const resetBaseMap = () => deleteDoc(doc(db, settingsCollectionPath, 'galaxyMap'));
+
+// Player characters are placed by locations/{characterId}, NPCs by their `assignedMapPointId`.
+// Only the backend moves them, when it carries out a travel request (functions/src/travel.js).
+const locationsCollectionPath = `/artifacts/${appId}/public/data/locations`;
+const travelsCollectionPath = `/artifacts/${appId}/public/data/travels`;
+
+// Planets link to several channels; older ones only have a single `linkedChatroomId`. The
+// first is the main channel, where arrivals and departures are announced.
+const linkedChatroomIdsOf = (point) => point.linkedChatroomIds || (point.linkedChatroomId ? [point.linkedChatroomId] : []);
+
+const PLANET_ACTIVITY_LIMIT = 5;
+
+const locationOf = (traveller, locations) => (traveller.type === 'npc' ? traveller.assignedMapPointId : locations[traveller.id]?.pointId) || null;
+
+// The quickest way between two planets over the lanes, as { path: [pointIds], hours }, or
+// null when there is none. Mirrors findRoute in functions/src/travel.js.
+const findRoute = (lanes, fromId, toId) => {
+    const neighbours = new Map();
+    const link = (a, b, hours) => {
+        if (!neighbours.has(a)) neighbours.set(a, []);
+        neighbours.get(a).push({ id: b, hours });
+    };
+    lanes.forEach(lane => {
+        const hours = Math.max(0, Number(lane.travelHours) || 0);
+        link(lane.fromId, lane.toId, hours);
+        link(lane.toId, lane.fromId, hours);
+    });
+
+    const best = new Map([[fromId, { hours: 0, previous: null }]]);
+    const done = new Set();
+    for (;;) {
+        let current = null;
+        best.forEach((entry, id) => {
+            if (!done.has(id) && (current === null || entry.hours < best.get(current).hours)) current = id;
+        });
+        if (current === null) return null;
+        if (current === toId) break;
+        done.add(current);
+        (neighbours.get(current) || []).forEach(({ id, hours }) => {
+            const total = best.get(current).hours + hours;
+            if (!best.has(id) || total < best.get(id).hours) best.set(id, { hours: total, previous: current });
+        });
+    }
+    const path = [];
+    for (let id = toId; id !== null; id = best.get(id).previous) path.unshift(id);
+    return { path, hours: best.get(toId).hours };
+};
+
+// --- Revisions ---
+// Wiki entries and data logs never change in place without a trace: every save also writes
+// an immutable { action, data, authorId, authorName, createdAt } document to the item's
+// `revisions` subcollection, and the item points at it through `revisionId` (firestore.rules
+// refuses saves without one). Deleting only moves an item to the trash via `deletedAt`.
+const REVISION_META_FIELDS = ['id', 'revisionId', 'creatorId', 'createdAt', 'updatedAt', 'updatedBy', 'deletedAt', 'deletedBy'];
+
+const REVISION_ACTION_LABELS = { create: 'Created', edit: 'Edited', restore: 'Restored a revision', delete: 'Moved to trash', undelete: 'Restored from trash' };
+
+const isDeleteSentinel = (value) => typeof value?.isEqual === 'function' && value.isEqual(deleteField());
+
+// The content part of an item; fields being deleted in this save are left out.
+const revisionSnapshot = (data) => Object.fromEntries(Object.entries(data).filter(([key, value]) => !REVISION_META_FIELDS.includes(key) && !isDeleteSentinel(value)));
+
+// Structured fields such as character sheets are compared and shown as JSON.
+const revisionFieldText = (value) => (value !== null && typeof value === 'object' && !value.toMillis ? JSON.stringify(value, null, 2) : String(value ?? ''));
+
+// Writes `changes` to the item (a new one when itemId is null) and records the resulting
+// content as a revision in the same batch. `previous` is the item as it was before.
+const saveWithRevision = async (collectionPath, itemId, changes, { action, previous = {}, authorName = '' }) => {
+    const itemRef = itemId ? doc(db, collectionPath, itemId) : doc(collection(db, collectionPath));
+    const revisionRef = doc(collection(itemRef, 'revisions'));
+    const batch = writeBatch(db);
+    batch.set(itemRef, { ...changes, revisionId: revisionRef.id, updatedAt: new Date(), updatedBy: getUserId() }, { merge: true });
+    batch.set(revisionRef, { action, data: revisionSnapshot({ ...previous, ...changes }), authorId: getUserId(), authorName, createdAt: new Date() });
+    await batch.commit();
+    return itemRef;
+};
+
+const moveToTrash = (collectionPath, item, authorName) =>
+    saveWithRevision(collectionPath, item.id, { deletedAt: new Date(), deletedBy: getUserId() }, { action: 'delete', previous: item, authorName });
+
+const restoreFromTrash = (collectionPath, item, authorName) =>
+    saveWithRevision(collectionPath, item.id, { deletedAt: deleteField(), deletedBy: deleteField() }, { action: 'undelete', previous: item, authorName });
+
+// Line diff via longest common subsequence: [{ type: 'same' | 'removed' | 'added', text }]
+const diffLines = (before, after) => {
+    const a = (before || '').split('\n');
+    const b = (after || '').split('\n');
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            result.push({ type: 'removed', text: a[i++] });
+        } else {
+            result.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) result.push({ type: 'added', text: b[j++] });
+    return result;
+};
+
+// Pairs a diff up into side-by-side rows, lining removed lines up with the lines that replaced them.
+const toSideBySide = (diff) => {
+    const rows = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            rows.push({ left: removed[k] ?? null, right: added[k] ?? null, changed: true });
+        }
+        removed = [];
+        added = [];
+    };
+    diff.forEach(line => {
+        if (line.type === 'removed') removed.push(line.text);
+        else if (line.type === 'added') added.push(line.text);
+        else {
+            flush();
+            rows.push({ left: line.text, right: line.text, changed: false });
+        }
+    });
+    flush();
+    return rows;
+};
+
+// --- Search ---
+// A small in-browser full-text index over everything the client can read, so search works
+// offline straight from the Firestore cache. Each indexed document is
+//   { type, id, title, fields: [{ text, weight }], target }
+// where `target` tells App what to open when the result is clicked.
+const SEARCH_MESSAGES_PER_ROOM = 300;
+const SEARCH_RESULTS_PER_TYPE = 5;
+const SEARCH_TYPE_LABELS = { wiki: 'Holo-Wiki', npc: 'NPCs', blog: 'Data Logs', message: 'Messages', mappoint: 'Map' };
+
+const tokenizeSearch = (text) => (text || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .match(/[a-z0-9']+/g) || [];
+
+const buildSearchIndex = (documents) => {
+    const postings = new Map();
+    documents.forEach((document, docIndex) => {
+        document.fields.forEach(({ text, weight }) => {
+            tokenizeSearch(text).forEach(term => {
+                if (!postings.has(term)) postings.set(term, new Map());
+                const scores = postings.get(term);
+                scores.set(docIndex, (scores.get(docIndex) || 0) + weight);
+            });
+        });
+    });
+    return { documents, postings, terms: [...postings.keys()] };
+};
+
+// Every query word has to match; the last one may be a prefix since it is still being typed.
+// Rarer words and matches in titles count for more.
+const searchIndex = (index, queryText) => {
+    const queryTerms = tokenizeSearch(queryText);
+    if (!index || queryTerms.length === 0) return [];
+    let scores = null;
+    queryTerms.forEach((term, i) => {
+        const isLast = i === queryTerms.length - 1;
+        const matching = isLast ? index.terms.filter(t => t.startsWith(term)) : (index.postings.has(term) ? [term] : []);
+        const termScores = new Map();
+        matching.forEach(t => {
+            const postings = index.postings.get(t);
+            const rarity = Math.log(1 + index.documents.length / postings.size);
+            const exactness = t === term ? 1 : 0.5;
+            postings.forEach((weight, docIndex) => termScores.set(docIndex, (termScores.get(docIndex) || 0) + weight * rarity * exactness));
+        });
+        scores = scores === null
+            ? termScores
+            : new Map([...scores].filter(([docIndex]) => termScores.has(docIndex)).map(([docIndex, score]) => [docIndex, score + termScores.get(docIndex)]));
+    });
+    const phrase = queryText.trim().toLowerCase();
+    return [...scores]
+        .map(([docIndex, score]) => {
+            const document = index.documents[docIndex];
+            const bonus = document.fields.some(f => (f.text || '').toLowerCase().includes(phrase)) ? 2 : 1;
+            return { ...document, score: score * bonus };
+        })
+        .sort((a, b) => b.score - a.score);
+};
+
+const groupSearchResults = (results) => Object.keys(SEARCH_TYPE_LABELS)
+    .map(type => ({ type, results: results.filter(r => r.type === type).slice(0, SEARCH_RESULTS_PER_TYPE) }))
+    .filter(group => group.results.length > 0);
+
+// A short excerpt around the first query word found in the document.
+const searchSnippet = (document, queryText) => {
+    const words = tokenizeSearch(queryText);
+    const text = document.fields.map(f => f.text || '').find(t => words.some(w => t.toLowerCase().includes(w))) || document.fields[0]?.text || '';
+    const at = Math.max(0, ...words.map(w => text.toLowerCase().indexOf(w)));
+    const start = Math.max(0, at - 40);
+    return `${start > 0 ? '...' : ''}${text.substring(start, start + 120).replace(/\s+/g, ' ')}${start + 120 < text.length ? '...' : ''}`;
+};
+
+const loadSearchDocuments = async (wikis, seesAllChannels) => {
+    const base = `/artifacts/${appId}/public/data`;
+    const [blogsSnap, chatrooms, pointsSnap] = await Promise.all([
+        getDocs(query(collection(db, `${base}/blogs`))),
+        loadVisibleChatrooms(seesAllChannels),
+        getDocs(query(collection(db, `${base}/mappoints`))),
+    ]);
+    const documents = wikis.map(w => ({
+        type: w.type === 'npc' ? 'npc' : 'wiki',
+        id: w.id,
+        title: w.name || 'Untitled',
+        fields: [{ text: w.name, weight: 5 }, { text: w.tags, weight: 2 }, { text: w.content, weight: 1 }, { text: w.personality, weight: 1 }],
+        target: { view: 'wiki', item: w },
+    }));
+    blogsSnap.docs.filter(d => !d.data().deletedAt).forEach(d => documents.push({
+        type: 'blog',
+        id: d.id,
+        title: d.data().name || 'Untitled',
+        fields: [{ text: d.data().name, weight: 5 }, { text: d.data().content, weight: 1 }],
+        target: { view: 'blogs', item: { id: d.id, ...d.data() } },
+    }));
+    pointsSnap.docs.forEach(d => documents.push({
+        type: 'mappoint',
+        id: d.id,
+        title: d.data().name || 'Unnamed',
+        fields: [{ text: d.data().name, weight: 5 }],
+        target: { view: 'map', pointId: d.id },
+    }));
+    // Other players' direct messages stay out of search, even for game masters.
+    const rooms = chatrooms.filter(room => !isDirectMessage(room) || (room.members || []).includes(getUserId()));
+    // Messages come from the local cache only: whatever the player has already seen, with no
+    // server reads every time the index is rebuilt.
+    const messageSnaps = await Promise.all(rooms.map(room =>
+        getDocsFromCache(query(collection(db, `${base}/chatrooms/${room.id}/messages`), orderBy('createdAt', 'desc'), limit(SEARCH_MESSAGES_PER_ROOM)))
+            .catch(error => {
+                console.error("Error reading cached messages for search:", error);
+                return { docs: [] };
+            })));
+    messageSnaps.forEach((snapshot, i) => snapshot.docs.forEach(d => {
+        const message = d.data();
+        if (!message.text || message.authorId === 'system') return;
+        documents.push({
+            type: 'message',
+            id: d.id,
+            title: `${message.authorName || 'Unknown'} in ${isDirectMessage(rooms[i]) ? '' : '#'}${chatroomTitle(rooms[i])}`,
+            fields: [{ text: message.text, weight: 1 }, { text: message.authorName, weight: 0.5 }],
+            target: { view: 'chat', room: rooms[i], messageId: d.id },
+        });
+    }));
+    return documents;
+};
+
+// --- Wiki Links ---
+// [[Entry Name]] (or [[Entry Name|shown text]]) points at the Holo-Wiki entry with that
+// name, case-insensitively; [[Category:Name]] points at a category index. Categories come
+// from the comma-separated `tags` of each entry. App provides the entries and navigation
+// through WikiContext, so links work anywhere rich text is shown.
+const WIKI_LINK = /\[\[([^\]|\n]+)(?:\|([^\]\n]+))?\]\]/;
+const CATEGORY_PREFIX = /^category:\s*/i;
+
+const WikiContext = createContext({ wikis: [], openWiki: () => {}, openCategory: () => {}, createWiki: () => {} });
+
+const normalizeWikiName = (name) => (name || '').trim().toLowerCase();
+
+const parseTags = (value) => (value || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+const findWikiByName = (wikis, name) => wikis.find(w => normalizeWikiName(w.name) === normalizeWikiName(name));
+
+const extractWikiLinks = (text) => [...(text || '').matchAll(new RegExp(WIKI_LINK.source, 'g'))].map(m => m[1].trim());
+
+const findBacklinks = (wikis, entry) => wikis.filter(w => w.id !== entry.id
+    && [w.content, w.personality].some(text => extractWikiLinks(text).some(name => normalizeWikiName(name) === normalizeWikiName(entry.name))));
+
+const getCategoryEntries = (wikis, category) => wikis.filter(w => parseTags(w.tags).some(tag => normalizeWikiName(tag) === normalizeWikiName(category)));
+
+const getAllCategories = (wikis) => {
+    const counts = {};
+    wikis.forEach(w => parseTags(w.tags).forEach(tag => {
+        const existing = Object.keys(counts).find(name => normalizeWikiName(name) === normalizeWikiName(tag));
+        counts[existing || tag] = (counts[existing || tag] || 0) + 1;
+    }));
+    return Object.entries(counts).sort(([a], [b]) => a.localeCompare(b));
+};
+
+const WikiLink = ({ target, label }) => {
+    const { wikis, openWiki, openCategory, createWiki } = useContext(WikiContext);
+    if (CATEGORY_PREFIX.test(target)) {
+        const category = target.replace(CATEGORY_PREFIX, '');
+        return <button type="button" onClick={(e) => { e.stopPropagation(); openCategory(category); }} className="text-cyan-400 hover:underline">{label || category}</button>;
+    }
+    const entry = findWikiByName(wikis, target);
+    if (!entry) {
+        return <button type="button" onClick={(e) => { e.stopPropagation(); createWiki(target); }} title={`"${target}" does not exist yet - click to create it`} className="text-red-400 underline decoration-dashed hover:text-red-300">{label || target}</button>;
+    }
+    return <button type="button" onClick={(e) => { e.stopPropagation(); openWiki(entry); }} className="text-cyan-400 hover:underline">{label || entry.name}</button>;
+};
+
+// --- Rich Text ---
+// Renders the formatting writers use in chat, wiki entries and data logs:
+//   Markdown:  **bold**, *italic*, ~~strike~~, `code`, [link](url), ![image](url),
+//              # headings, - / 1. lists, > quotes, --- rules and ``` code blocks
+//   BBCode:    [b] [i] [u] [s] [url=...] [img] [spoiler] [ooc] [ic] [center] [quote]
+//   RP:        ((out of character)) and ||spoilers||
+//   Wiki:      [[Entry Name]], [[Entry Name|label]] and [[Category:Name]]
+//   Legacy:    a [BCIU] prefix styles the whole line, e.g. "[BC]Chapter One"
+// Everything becomes React elements (never raw HTML) and only http(s)/mailto URLs are
+// kept, so user text cannot inject markup or scripts.
+
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const safeUrl = (url) => {
+    try {
+        const parsed = new URL(url.trim(), window.location.href);
+        return SAFE_URL_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const Spoiler = ({ children }) => {
+    const [revealed, setRevealed] = useState(false);
+    return (
+        <span onClick={(e) => { e.stopPropagation(); setRevealed(true); }} title={revealed ? undefined : 'Spoiler - click to reveal'}
+            className={`rounded px-1 transition-colors ${revealed ? 'bg-slate-700/60' : 'bg-slate-600 text-transparent cursor-pointer select-none'}`}>
+            {children}
+        </span>
+    );
+};
+
+const renderLink = (url, children, key, raw) => {
+    const href = safeUrl(url);
+    if (!href) return raw;
+    return <a key={key} href={href} target="_blank" rel="noopener noreferrer nofollow" className="text-cyan-400 underline hover:text-cyan-300">{children}</a>;
+};
+
+const renderImage = (url, alt, key, raw) => {
+    const src = safeUrl(url);
+    if (!src || src.startsWith('mailto:')) return raw;
+    return <img key={key} src={src} alt={alt} loading="lazy" referrerPolicy="no-referrer" className="inline-block max-w-full max-h-96 rounded-md my-1" onError={(e) => { e.target.style.display = 'none'; }} />;
+};
+
+const renderOoc = (children, key) => (
+    <span key={key} className="text-slate-400 text-sm"><span className="text-xs font-bold uppercase mr-1 text-slate-500">OOC</span>{children}</span>
+);
+
+// Inline rules, tried at every position; the earliest match wins and ties go to the
+// rule listed first. `inner` names the capture group that may hold further formatting.
+const INLINE_RULES = [
+    { pattern: /`([^`\n]+)`/, render: (m, key) => <code key={key} className="bg-slate-900 text-yellow-200 px-1 rounded">{m[1]}</code> },
+    { pattern: WIKI_LINK, render: (m, key) => <WikiLink key={key} target={m[1].trim()} label={m[2]?.trim()} /> },
+    { pattern: /!\[([^\]\n]*)\]\(([^)\s]+)\)/, render: (m, key) => renderImage(m[2], m[1], key, m[0]) },
+    { pattern: /\[img\]([^[\s]+)\[\/img\]/i, render: (m, key) => renderImage(m[1], '', key, m[0]) },
+    { pattern: /\[([^\]\n]+)\]\(([^)\s]+)\)/, inner: 1, render: (m, key, inner) => renderLink(m[2], inner, key, m[0]) },
+    { pattern: /\[url=([^\]\s]+)\]([\s\S]*?)\[\/url\]/i, inner: 2, render: (m, key, inner) => renderLink(m[1], inner, key, m[0]) },
+    { pattern: /\[url\]([^[\s]+)\[\/url\]/i, render: (m, key) => renderLink(m[1], m[1], key, m[0]) },
+    { pattern: /\*\*([\s\S]+?)\*\*/, inner: 1, render: (m, key, inner) => <strong key={key}>{inner}</strong> },
+    { pattern: /__([\s\S]+?)__/, inner: 1, render: (m, key, inner) => <strong key={key}>{inner}</strong> },
+    { pattern: /\[b\]([\s\S]*?)\[\/b\]/i, inner: 1, render: (m, key, inner) => <strong key={key}>{inner}</strong> },
+    { pattern: /\*([^*\s][^*]*?)\*/, inner: 1, render: (m, key, inner) => <em key={key}>{inner}</em> },
+    { pattern: /\b_([^_\n]+)_\b/, inner: 1, render: (m, key, inner) => <em key={key}>{inner}</em> },
+    { pattern: /\[i\]([\s\S]*?)\[\/i\]/i, inner: 1, render: (m, key, inner) => <em key={key}>{inner}</em> },
+    { pattern: /\[u\]([\s\S]*?)\[\/u\]/i, inner: 1, render: (m, key, inner) => <u key={key}>{inner}</u> },
+    { pattern: /~~([\s\S]+?)~~/, inner: 1, render: (m, key, inner) => <s key={key}>{inner}</s> },
+    { pattern: /\[s\]([\s\S]*?)\[\/s\]/i, inner: 1, render: (m, key, inner) => <s key={key}>{inner}</s> },
+    { pattern: /\|\|([\s\S]+?)\|\|/, inner: 1, render: (m, key, inner) => <Spoiler key={key}>{inner}</Spoiler> },
+    { pattern: /\[spoiler\]([\s\S]*?)\[\/spoiler\]/i, inner: 1, render: (m, key, inner) => <Spoiler key={key}>{inner}</Spoiler> },
+    { pattern: /\(\(([\s\S]+?)\)\)/, inner: 1, render: (m, key, inner) => renderOoc(inner, key) },
+    { pattern: /\[ooc\]([\s\S]*?)\[\/ooc\]/i, inner: 1, render: (m, key, inner) => renderOoc(inner, key) },
+    { pattern: /\[ic\]([\s\S]*?)\[\/ic\]/i, inner: 1, render: (m, key, inner) => <span key={key} className="text-yellow-100 italic">{inner}</span> },
+];
+
+const renderInline = (text, keyPrefix = 'i') => {
+    const nodes = [];
+    let rest = text;
+    let position = 0;
+    while (rest) {
+        let best = null;
+        for (const rule of INLINE_RULES) {
+            const match = rule.pattern.exec(rest);
+            if (match && (!best || match.index < best.match.index)) best = { rule, match };
+        }
+        if (!best) {
+            nodes.push(rest);
+            break;
+        }
+        const { rule, match } = best;
+        if (match.index > 0) nodes.push(rest.substring(0, match.index));
+        const key = `${keyPrefix}-${position}`;
+        const inner = rule.inner ? renderInline(match[rule.inner], key) : null;
+        nodes.push(rule.render(match, key, inner));
+        position++;
+        rest = rest.substring(match.index + match[0].length);
+    }
+    return nodes;
+};
+
+const LEGACY_PREFIX = /^\[([BCIU]+)\]/i;
+const LIST_ITEM = /^\s*([-*]|\d+\.)\s+(.*)$/;
+
+// Groups lines into blocks: runs of list items or quotes become one block each, and
+// every other line stays its own paragraph like the old formatter did.
+const parseBlocks = (text) => {
     const lines = text.split('\n');
+    const blocks = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const last = blocks[blocks.length - 1];
+
+        if (line.trim().startsWith('```')) {
+            const code = [];
+            while (++i < lines.length && !lines[i].trim().startsWith('```')) code.push(lines[i]);
+            blocks.push({ type: 'code', text: code.join('\n') });
+            continue;
+        }
+        const centered = line.match(/^\s*\[center\]([\s\S]*?)\[\/center\]\s*$/i);
+        if (centered) {
+            blocks.push({ type: 'paragraph', text: centered[1], style: { textAlign: 'center' } });
+            continue;
+        }
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            continue;
+        }
+        if (/^\s*(-{3,}|\*{3,}|\[hr\])\s*$/i.test(line)) {
+            blocks.push({ type: 'rule' });
+            continue;
+        }
+        const quote = line.match(/^>\s?(.*)$/) || line.match(/^\s*\[quote\]([\s\S]*?)\[\/quote\]\s*$/i);
+        if (quote) {
+            if (last?.type === 'quote') last.lines.push(quote[1]);
+            else blocks.push({ type: 'quote', lines: [quote[1]] });
+            continue;
+        }
+        const item = line.match(LIST_ITEM);
+        if (item) {
+            const ordered = /\d/.test(item[1]);
+            if (last?.type === 'list' && last.ordered === ordered) last.items.push(item[2]);
+            else blocks.push({ type: 'list', ordered, items: [item[2]] });
+            continue;
+        }
+        // "[B]bold[/B] text" is BBCode, not a legacy prefix
+        const legacy = line.match(LEGACY_PREFIX);
+        if (legacy && !(legacy[1].length === 1 && line.toLowerCase().includes(`[/${legacy[1].toLowerCase()}]`))) {
+            const commands = legacy[1].toUpperCase();
+            const style = {};
+            if (commands.includes('B')) style.fontWeight = 'bold';
+            if (commands.includes('C')) style.textAlign = 'center';
+            if (commands.includes('I')) style.fontStyle = 'italic';
+            if (commands.includes('U')) style.textDecoration = 'underline';
+            blocks.push({ type: 'paragraph', text: line.substring(legacy[0].length), style });
+            continue;
+        }
+        blocks.push({ type: 'paragraph', text: line });
+    }
+    return blocks;
+};
+
+const HEADING_CLASSES = { 1: 'text-2xl', 2: 'text-xl', 3: 'text-lg' };
+
+const TextFormatter = ({ text }) => {
+    if (!text) return null;
 
     return (
         <div>
-            {lines.map((line, index) => {
-                const match = line.match(/^\[([BCIU]+)\]/i);
-                if (match) {
-                    const commands = match[1].toUpperCase();
-                    const style = {};
-                    if (commands.includes('B')) style.fontWeight = 'bold';
-                    if (commands.includes('C')) style.textAlign = 'center';
-                    if (commands.includes('I')) style.fontStyle = 'italic';
-                    if (commands.includes('U')) style.textDecoration = 'underline';
-                    
-                    const formattedLine = line.substring(match[0].length);
-                    return <p key={index} style={style}>{formattedLine || '\u00A0'}</p>; // Use non-breaking space for empty lines
+            {parseBlocks(text).map((block, index) => {
+                const key = `b${index}`;
+                switch (block.type) {
+                    case 'heading': {
+                        const Heading = `h${block.level + 1}`;
+                        return <Heading key={key} className={`${HEADING_CLASSES[block.level]} font-orbitron text-yellow-400 mt-3 mb-1`}>{renderInline(block.text, key)}</Heading>;
+                    }
+                    case 'list': {
+                        const List = block.ordered ? 'ol' : 'ul';
+                        return <List key={key} className={`${block.ordered ? 'list-decimal' : 'list-disc'} pl-6 my-1`}>{block.items.map((item, i) => <li key={i}>{renderInline(item, `${key}-${i}`)}</li>)}</List>;
+                    }
+                    case 'quote':
+                        return <blockquote key={key} className="border-l-4 border-yellow-400/60 pl-3 my-1 text-slate-300 italic">{block.lines.map((line, i) => <p key={i}>{renderInline(line, `${key}-${i}`) }</p>)}</blockquote>;
+                    case 'code':
+                        return <pre key={key} className="bg-slate-900 text-yellow-200 p-3 rounded-md overflow-x-auto my-1 text-sm">{block.text}</pre>;
+                    case 'rule':
+                        return <hr key={key} className="border-slate-600 my-2" />;
+                    default:
+                        // Use non-breaking space for empty lines
+                        return <p key={key} style={block.style}>{block.text ? renderInline(block.text, key) : '\u00A0'}</p>;
                 }
-                return <p key={index}>{line || '\u00A0'}</p>;
             })}
         </div>
     );
 };
 
+const FORMATTING_HELP = '**bold**  *italic*  ~~strike~~  # Heading  - list  > quote  [link](https://...)  ![image](https://...)  ||spoiler||  ((OOC))  [ic]in character[/ic]  [BC] legacy line styles';
 
 // --- Main App Component ---
 export default function App() {
     const [user, setUser] = useState(null);
     const [userData, setUserData] = useState({});
     const [isAuthReady, setIsAuthReady] = useState(false);
-    const [currentView, setCurrentView] = useState('home'); // home, chat, wiki, blogs, profile, map
+    const [currentView, setCurrentView] = useState('home'); // home, chat, wiki, blogs, profile, account, map
     const [activeChatroom, setActiveChatroom] = useState(null);
     const [activeWiki, setActiveWiki] = useState(null);
     const [activeBlog, setActiveBlog] = useState(null);
+    const [activeCategory, setActiveCategory] = useState(null);
+    const [focusMessage, setFocusMessage] = useState(null);
+    const [focusPointId, setFocusPointId] = useState(null);
+    const [wikiDraft, setWikiDraft] = useState(null);
+    const [wikis, setWikis] = useState([]);
+    const [roles, setRoles] = useState(null);
+    const [isGuest, setIsGuest] = useState(true);
+    const [chatrooms, setChatrooms] = useState([]);
+    const [readMarkers, setReadMarkers] = useState({});
+    const [notifications, setNotifications] = useState([]);
+    const seesAllChannels = isGameMaster(roles);
+    // Browser notifications are clicked long after the snapshot that created them
+    const openNotificationRef = useRef(null);
+
+    // Linking a guest to a real account keeps the same user object, so watch the token instead
+    useEffect(() => onIdTokenChanged(auth, (user) => setIsGuest(user?.isAnonymous ?? true)), []);
+
+    useEffect(() => {
+        if (!user) return;
+        let claimed = false;
+        const unsub = onSnapshot(doc(db, settingsCollectionPath, 'roles'), (d) => {
+            setRoles(d.exists() ? d.data() : null);
+            // An unowned campaign goes to the owner set for the deployment; the backend
+            // refuses everyone else.
+            if (!d.exists() && !d.metadata.fromCache && !claimed) {
+                claimed = true;
+                claimCampaign({ appId }).catch(error => {
+                    if (error.code !== 'functions/permission-denied') console.error("Error claiming campaign:", error);
+                });
+            }
+        }, (error) => {
+            console.error("Error listening to campaign roles:", error);
+        });
+        return () => unsub();
+    }, [user]);
+
+    // Every wiki entry, for resolving [[links]], backlinks and categories
+    useEffect(() => {
+        if (!user) return;
+        const unsub = onSnapshot(query(collection(db, `/artifacts/${appId}/public/data/wikis`)), (snapshot) => {
+            setWikis(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => console.error("Error listening to wikis:", error));
+        return () => unsub();
+    }, [user]);
 
     useEffect(() => {
+        let unsubscribeUser = null;
         const unsubscribe = onAuthStateChanged(auth, async (user) => {
+            // A sign-in, sign-out or merge switches to another profile
+            unsubscribeUser?.();
+            unsubscribeUser = null;
+            setUserData({});
             if (user) {
                 setUser(user);
                 const userDocRef = doc(db, `/artifacts/${appId}/users/${user.uid}/profile`, 'data');
-                const unsubscribeUser = onSnapshot(userDocRef, (doc) => {
+                unsubscribeUser = onSnapshot(userDocRef, (doc) => {
                     if (doc.exists()) {
                         setUserData(doc.data());
                     }
@@ -81,8 +1221,8 @@ export default function App() {
                         setIsAuthReady(true);
                      }
                 }
-                return () => unsubscribeUser();
             } else {
+                setUser(null);
                 try {
                     if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
                         await signInWithCustomToken(auth, __initial_auth_token);
@@ -95,14 +1235,134 @@ export default function App() {
                 if (!isAuthReady) setIsAuthReady(true);
             }
         });
-        return () => unsubscribe();
+        return () => { unsubscribe(); unsubscribeUser?.(); };
     }, [isAuthReady]);
 
-    const handleNavigation = (view) => {
+    // Links in the address bar are picked up once there is a signed-in session.
+    const isSignedIn = !!user;
+
+    // Coming back from an email sign-in link
+    useEffect(() => {
+        if (!isSignedIn || !isSignInWithEmailLink(auth, window.location.href)) return;
+        const email = window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) || window.prompt('Confirm the email address the sign-in link was sent to');
+        window.history.replaceState(null, '', window.location.pathname);
+        if (!email) return;
+        completeEmailLinkSignIn(email)
+            .then(() => setCurrentView('account'))
+            .catch(error => console.error("Error completing email link sign-in:", error));
+    }, [isSignedIn]);
+
+    // Channels and read markers, for the unread badges
+    useEffect(() => {
+        if (!user) return;
+        const roomsUnsub = subscribeToVisibleChatrooms(seesAllChannels, setChatrooms);
+        const markersUnsub = onSnapshot(collection(db, userDataPath(user.uid), 'readMarkers'), (snapshot) => {
+            setReadMarkers(Object.fromEntries(snapshot.docs.map(d => [d.id, d.data()])));
+        }, (error) => console.error("Error listening to read markers:", error));
+        return () => { roomsUnsub(); markersUnsub(); };
+    }, [user, seesAllChannels]);
+
+    // The inbox. New entries also pop up as browser notifications while the tab is in the background.
+    useEffect(() => {
+        if (!user) return;
+        let isFirstSnapshot = true;
+        const q = query(collection(db, userDataPath(user.uid), 'notifications'), orderBy('createdAt', 'desc'), limit(NOTIFICATION_INBOX_LIMIT));
+        const unsub = onSnapshot(q, (snapshot) => {
+            setNotifications(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+            if (!isFirstSnapshot && document.hidden && browserNotificationsEnabled()) {
+                snapshot.docChanges().filter(change => change.type === 'added' && !change.doc.data().read).forEach(change => {
+                    const notification = { id: change.doc.id, ...change.doc.data() };
+                    const popup = new window.Notification(describeNotification(notification), { body: notification.text || '', tag: notification.id });
+                    popup.onclick = () => {
+                        window.focus();
+                        openNotificationRef.current(notification);
+                    };
+                });
+            }
+            isFirstSnapshot = false;
+        }, (error) => console.error("Error listening to notifications:", error));
+        return () => unsub();
+    }, [user]);
+
+    const unreadByRoom = useMemo(() => countUnread(chatrooms, readMarkers), [chatrooms, readMarkers]);
+    const unreadNotificationCount = notifications.filter(n => !n.read).length;
+
+    // Keeps this player's entry in the directory used to pick direct message and channel members
+    useEffect(() => {
+        if (!user) return;
+        setDoc(doc(db, playersCollectionPath, user.uid), { displayName: userData.displayName || '', photoURL: userData.photoURL || '' }, { merge: true })
+            .catch(error => console.error("Error updating player directory:", error));
+    }, [user, userData.displayName, userData.photoURL]);
+
+    const handleNavigation = useCallback((view) => {
+        setFocusMessage(null);
+        setFocusPointId(null);
         setActiveChatroom(null);
         setActiveWiki(null);
         setActiveBlog(null);
+        setActiveCategory(null);
         setCurrentView(view);
+    }, []);
+
+    // Following an invite link to a private channel. The link is removed from the address
+    // right away, so only the first signed-in session picks it up.
+    useEffect(() => {
+        const invite = new URLSearchParams(window.location.search).get('invite');
+        if (!isSignedIn || !invite) return;
+        window.history.replaceState(null, '', window.location.pathname);
+        const [roomId, code] = invite.split('.');
+        joinWithInvite(roomId, code)
+            .then(room => {
+                handleNavigation('chat');
+                setActiveChatroom(room);
+            })
+            .catch(error => {
+                console.error("Error joining with invite:", error);
+                alert('This invite link is not valid anymore. Ask for a new one.');
+            });
+    }, [isSignedIn, handleNavigation]);
+
+    const handleOpenSearchResult = (target) => {
+        handleNavigation(target.view);
+        if (target.view === 'wiki') setActiveWiki(target.item);
+        if (target.view === 'blogs') setActiveBlog(target.item);
+        if (target.view === 'map') setFocusPointId(target.pointId);
+        if (target.view === 'chat') {
+            setFocusMessage({ roomId: target.room.id, messageId: target.messageId });
+            setActiveChatroom(target.room);
+        }
+    };
+
+    const handleOpenNotification = async (notification) => {
+        if (!notification.read) {
+            updateDoc(doc(db, userDataPath(), 'notifications', notification.id), { read: true })
+                .catch(error => console.error("Error marking notification read:", error));
+        }
+        if (notification.roomId) {
+            const room = chatrooms.find(c => c.id === notification.roomId);
+            if (room) handleOpenSearchResult({ view: 'chat', room, messageId: notification.messageId });
+        } else if (notification.wikiId) {
+            const entry = wikis.find(w => w.id === notification.wikiId);
+            if (entry) handleOpenSearchResult({ view: 'wiki', item: entry });
+        }
+    };
+    openNotificationRef.current = handleOpenNotification;
+
+    const wikiContext = {
+        wikis: wikis.filter(w => !w.deletedAt),
+        openWiki: (entry) => {
+            handleNavigation('wiki');
+            setActiveWiki(entry);
+        },
+        openCategory: (category) => {
+            handleNavigation('wiki');
+            setActiveCategory(category);
+        },
+        // Broken links open the create form with the missing name filled in
+        createWiki: (name) => {
+            handleNavigation('wiki');
+            setWikiDraft({ name });
+        },
     };
 
     const renderView = () => {
@@ -111,26 +1371,33 @@ export default function App() {
         }
 
         if (activeChatroom) {
-            return <Chatroom room={activeChatroom} goBack={() => setActiveChatroom(null)} userData={userData} />;
+            return <Chatroom key={activeChatroom.id} room={activeChatroom} goBack={() => { setActiveChatroom(null); setFocusMessage(null); }} userData={userData} roles={roles} focusMessageId={focusMessage?.roomId === activeChatroom.id ? focusMessage.messageId : null} onOpenBlog={(item) => handleOpenSearchResult({ view: 'blogs', item })} />;
         }
         if (activeWiki) {
-            return <WikiPage wiki={activeWiki} goBack={() => setActiveWiki(null)} />;
+            return <WikiPage wiki={activeWiki} goBack={() => setActiveWiki(null)} roles={roles} userData={userData} />;
         }
         if (activeBlog) {
-            return <BlogPost blog={activeBlog} goBack={() => setActiveBlog(null)} />;
+            return <BlogPost blog={activeBlog} goBack={() => setActiveBlog(null)} roles={roles} userData={userData} />;
+        }
+        if (activeCategory) {
+            return <CategoryPage category={activeCategory} goBack={() => setActiveCategory(null)} />;
         }
 
         switch (currentView) {
             case 'chat':
-                return <ChatSection onSelectChatroom={setActiveChatroom} />;
+                return <ChatSection onSelectChatroom={setActiveChatroom} roles={roles} unreadByRoom={unreadByRoom} />;
             case 'wiki':
-                return <WikiSection onSelectWiki={setActiveWiki} />;
+                return <WikiSection onSelectWiki={setActiveWiki} roles={roles} userData={userData} draft={wikiDraft} onDraftOpened={() => setWikiDraft(null)} />;
             case 'blogs':
-                return <BlogSection onSelectBlog={setActiveBlog} />;
+                return <BlogSection onSelectBlog={setActiveBlog} roles={roles} userData={userData} />;
             case 'profile':
-                return <ProfileSection user={user} userData={userData} />;
+                return <ProfileSection user={user} userData={userData} roles={roles} />;
+            case 'notifications':
+                return <NotificationsSection notifications={notifications} onOpen={handleOpenNotification} />;
+            case 'account':
+                return <AccountSection user={user} isGuest={isGuest} />;
             case 'map':
-                return <GalaxyMapSection onSelectChatroom={setActiveChatroom} />;
+                return <GalaxyMapSection onSelectChatroom={setActiveChatroom} onSelectWiki={(item) => handleOpenSearchResult({ view: 'wiki', item })} roles={roles} focusPointId={focusPointId} />;
             case 'home':
             default:
                 return <HomePage />;
@@ -154,9 +1421,16 @@ export default function App() {
                 currentView={currentView}
                 user={user}
                 userData={userData}
+                roles={roles}
+                isGuest={isGuest}
                 activeChatroom={activeChatroom}
                 activeWiki={activeWiki}
                 activeBlog={activeBlog}
+                activeCategory={activeCategory}
+                wikis={wikiContext.wikis}
+                onOpenSearchResult={handleOpenSearchResult}
+                unreadChannelCount={Object.keys(unreadByRoom).length}
+                unreadNotificationCount={unreadNotificationCount}
             />
 
             <main className="flex-1 flex flex-col bg-slate-900/50">
@@ -164,7 +1438,9 @@ export default function App() {
                      <div className="h-40 bg-cover bg-center" style={{backgroundImage: `url(${userData.bannerUrl})`}}></div>
                 )}
                 <div className="flex-1 p-4 sm:p-6 lg:p-8 overflow-y-auto">
-                    {renderView()}
+                    <WikiContext.Provider value={wikiContext}>
+                        {renderView()}
+                    </WikiContext.Provider>
                 </div>
             </main>
         </div>
@@ -172,16 +1448,17 @@ export default function App() {
 }
 
 // --- Sidebar/Navigation Component ---
-const Sidebar = ({ handleNavigation, currentView, user, userData, activeChatroom, activeWiki, activeBlog }) => {
-    const NavItem = ({ icon, text, viewName }) => (
+const Sidebar = ({ handleNavigation, currentView, user, userData, roles, isGuest, activeChatroom, activeWiki, activeBlog, activeCategory, wikis, onOpenSearchResult, unreadChannelCount, unreadNotificationCount }) => {
+    const NavItem = ({ icon, text, viewName, badge }) => (
         <button
             onClick={() => handleNavigation(viewName)}
             className={`flex items-center w-full text-left p-3 my-1 rounded-lg transition-all duration-200 ${
-                (currentView === viewName && !activeChatroom && !activeWiki && !activeBlog) ? 'bg-yellow-400 text-black shadow-lg' : 'hover:bg-slate-700'
+                (currentView === viewName && !activeChatroom && !activeWiki && !activeBlog && !activeCategory) ? 'bg-yellow-400 text-black shadow-lg' : 'hover:bg-slate-700'
             }`}
         >
             {icon}
             <span className="ml-4 font-semibold">{text}</span>
+            {badge > 0 && <span className="ml-auto min-w-[1.5rem] text-center text-xs font-bold bg-red-500 text-white rounded-full px-2 py-0.5">{badge > 99 ? '99+' : badge}</span>}
         </button>
     );
 
@@ -192,12 +1469,16 @@ const Sidebar = ({ handleNavigation, currentView, user, userData, activeChatroom
                     <h1 className="text-2xl font-bold text-yellow-400 font-orbitron">RP HUB</h1>
                     <p className="text-sm text-slate-400">Star Wars Universe</p>
                 </header>
+
+                <GlobalSearch wikis={wikis} roles={roles} onOpenResult={onOpenSearchResult} />
                 
-                <NavItem icon={<Map size={20} />} text="Galaxy Map" viewName="map" />
-                <NavItem icon={<MessageSquare size={20} />} text="Chat Channels" viewName="chat" />
+                <NavItem icon={<MapIcon size={20} />} text="Galaxy Map" viewName="map" />
+                <NavItem icon={<MessageSquare size={20} />} text="Chat Channels" viewName="chat" badge={unreadChannelCount} />
+                <NavItem icon={<Bell size={20} />} text="Inbox" viewName="notifications" badge={unreadNotificationCount} />
                 <NavItem icon={<BookOpen size={20} />} text="Holo-Wiki" viewName="wiki" />
                 <NavItem icon={<Newspaper size={20} />} text="Data Logs" viewName="blogs" />
                 <NavItem icon={<Settings size={20} />} text="Profile" viewName="profile" />
+                <NavItem icon={<KeyRound size={20} />} text="Account" viewName="account" />
             </div>
             
             {user && (
@@ -213,8 +1494,20 @@ const Sidebar = ({ handleNavigation, currentView, user, userData, activeChatroom
                              <p className="text-xs text-slate-400 break-words" title={getUserId()}>
                                  ID: {getUserId()?.substring(0,8)}...
                              </p>
+                             {getRole(roles) !== 'player' && (
+                                 <p className="text-xs text-yellow-400 flex items-center"><Shield size={12} className="mr-1"/>{ROLE_LABELS[getRole(roles)]}</p>
+                             )}
                         </div>
                      </div>
+                     {isGuest ? (
+                         <button onClick={() => handleNavigation('account')} className="flex items-center justify-center w-full text-xs bg-yellow-400 text-black rounded-md py-1 hover:bg-yellow-300">
+                             <LogIn size={14} className="mr-1"/> Sign in to keep your data
+                         </button>
+                     ) : (
+                         <button onClick={() => signOut(auth)} className="flex items-center justify-center w-full text-xs bg-slate-700 rounded-md py-1 hover:bg-slate-600">
+                             <LogOut size={14} className="mr-1"/> Sign Out
+                         </button>
+                     )}
                 </div>
             )}
         </nav>
@@ -222,6 +1515,68 @@ const Sidebar = ({ handleNavigation, currentView, user, userData, activeChatroom
 };
 
 
+// The index is rebuilt when the search box gains focus and the last build is stale.
+const SEARCH_INDEX_MAX_AGE_MS = 60 * 1000;
+
+const GlobalSearch = ({ wikis, roles, onOpenResult }) => {
+    const [queryText, setQueryText] = useState('');
+    const [index, setIndex] = useState(null);
+    const [isIndexing, setIsIndexing] = useState(false);
+    const [isOpen, setIsOpen] = useState(false);
+    const builtAtRef = useRef(0);
+
+    const refreshIndex = async () => {
+        if (isIndexing || Date.now() - builtAtRef.current < SEARCH_INDEX_MAX_AGE_MS) return;
+        setIsIndexing(true);
+        try {
+            setIndex(buildSearchIndex(await loadSearchDocuments(wikis, isGameMaster(roles))));
+            builtAtRef.current = Date.now();
+        } catch (error) {
+            console.error("Error building search index:", error);
+        }
+        setIsIndexing(false);
+    };
+
+    const groups = groupSearchResults(searchIndex(index, queryText));
+
+    const handleSelect = (result) => {
+        setIsOpen(false);
+        setQueryText('');
+        onOpenResult(result.target);
+    };
+
+    return (
+        <div className="relative mb-6">
+            <div className="flex items-center bg-slate-900 border border-slate-700 rounded-md px-2 focus-within:ring-2 focus-within:ring-yellow-400">
+                <Search size={16} className="text-slate-400" />
+                <input type="search" value={queryText} onChange={e => { setQueryText(e.target.value); setIsOpen(true); }}
+                    onFocus={() => { setIsOpen(true); refreshIndex(); }}
+                    onKeyDown={e => { if (e.key === 'Escape') setIsOpen(false); }}
+                    placeholder="Search the HoloNet..." className="flex-1 bg-transparent p-2 text-sm focus:outline-none" />
+            </div>
+            {isOpen && queryText.trim() && (
+                <div className="absolute left-0 top-full mt-1 w-96 max-h-[70vh] overflow-y-auto bg-slate-800 border border-slate-700 rounded-md shadow-xl z-40 p-2">
+                    {isIndexing && !index && <p className="text-sm text-slate-400 p-2 animate-pulse">Indexing...</p>}
+                    {index && groups.length === 0 && <p className="text-sm text-slate-400 p-2 italic">No matches.</p>}
+                    {groups.map(group => (
+                        <div key={group.type} className="mb-2">
+                            <p className="text-xs font-bold uppercase text-yellow-400 px-2 py-1">{SEARCH_TYPE_LABELS[group.type]}</p>
+                            {group.results.map(result => (
+                                <button key={`${result.type}-${result.id}`} onClick={() => handleSelect(result)} className="block w-full text-left px-2 py-1 rounded hover:bg-slate-700">
+                                    <span className="block text-sm text-slate-100 truncate">{result.title}</span>
+                                    <span className="block text-xs text-slate-400 truncate">{searchSnippet(result, queryText)}</span>
+                                </button>
+                            ))}
+                        </div>
+                    ))}
+                    <button onClick={() => setIsOpen(false)} className="text-xs text-slate-500 hover:text-slate-300 px-2">Close</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+
 // --- Home Page Component ---
 const HomePage = () => (
     <div className="text-center">
@@ -241,12 +1596,13 @@ const HomePage = () => (
 
 
 // --- Generic List Item Display ---
-const ItemCard = ({ item, onSelectItem, onEdit, onDelete }) => (
+const ItemCard = ({ item, onSelectItem, onEdit, onDelete, canModify, badge }) => (
     <div onClick={() => onSelectItem(item)} className="relative text-left bg-slate-800 h-24 rounded-lg border border-slate-700 hover:border-yellow-400 transition-colors group flex flex-col justify-between overflow-hidden cursor-pointer">
        {(item.coverUrl) && <img src={item.coverUrl} className="absolute top-0 left-0 w-full h-full object-cover opacity-30 group-hover:opacity-50 transition-opacity" alt="" onError={(e) => { e.target.style.display = 'none'; }} />}
        <div className="relative w-full h-full flex flex-col justify-between p-4 bg-gradient-to-t from-black/80 to-transparent">
-            <div className="flex-1">
+            <div className="flex-1 flex items-start gap-2">
                 <h3 className="text-xl font-semibold text-slate-100 group-hover:text-yellow-400 truncate">{item.name || "Untitled"}</h3>
+                {badge > 0 && <span title={`${badge} unread`} className="flex-shrink-0 mt-1 text-xs font-bold bg-red-500 text-white rounded-full px-2 py-0.5">{badge > 99 ? '99+' : badge}</span>}
             </div>
             <div className="flex-shrink-0 flex justify-between items-end">
                 <p className="text-xs text-slate-400">Creator ID: {item.creatorId?.substring(0, 8)}...</p>
@@ -264,38 +1620,56 @@ const ItemCard = ({ item, onSelectItem, onEdit, onDelete }) => (
                 )}
             </div>
        </div>
-        <div className="absolute top-2 right-2 flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity z-10">
-            <button onClick={(e) => { e.stopPropagation(); onEdit(item); }} className="text-slate-300 hover:text-yellow-400"><Edit size={16}/></button>
-            <button onClick={(e) => { e.stopPropagation(); onDelete(item.id); }} className="text-slate-300 hover:text-red-500"><Trash2 size={16}/></button>
-        </div>
+        {canModify && (
+            <div className="absolute top-2 right-2 flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity z-10">
+                <button onClick={(e) => { e.stopPropagation(); onEdit(item); }} className="text-slate-300 hover:text-yellow-400"><Edit size={16}/></button>
+                <button onClick={(e) => { e.stopPropagation(); onDelete(item.id); }} className="text-slate-300 hover:text-red-500"><Trash2 size={16}/></button>
+            </div>
+        )}
     </div>
 );
 
 
 // --- Chat Section ---
-const ChatSection = ({ onSelectChatroom }) => {
+const CHANNEL_GROUPS = [
+    { key: 'public', label: 'Channels', matches: room => !isDirectMessage(room) && !isPrivateRoom(room) },
+    { key: 'private', label: 'Private Channels', matches: room => !isDirectMessage(room) && room.visibility === 'private' },
+    { key: 'gm', label: 'GM Only', matches: room => !isDirectMessage(room) && room.visibility === 'gm' },
+    // Game masters may open any direct message, but only their own are listed
+    { key: 'dm', label: 'Direct Messages', matches: room => isDirectMessage(room) && (room.members || []).includes(getUserId()) },
+];
+
+const ChatSection = ({ onSelectChatroom, roles, unreadByRoom }) => {
     const [items, setItems] = useState([]);
     const [modalState, setModalState] = useState({ isOpen: false, item: null });
-    const collectionPath = `/artifacts/${appId}/public/data/chatrooms`;
+    const [isStartingDm, setIsStartingDm] = useState(false);
+    const seesAllChannels = isGameMaster(roles);
 
+    useEffect(() => subscribeToVisibleChatrooms(seesAllChannels, setItems), [seesAllChannels]);
+
+    // Channels from before visibility existed are public; marking them lets player queries find them.
     useEffect(() => {
-        const q = query(collection(db, collectionPath));
-        const unsub = onSnapshot(q, (snapshot) => setItems(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
-        return () => unsub();
-    }, [collectionPath]);
+        if (!seesAllChannels) return;
+        items.filter(item => !item.visibility).forEach(item => {
+            updateDoc(doc(db, chatroomsCollectionPath, item.id), { visibility: 'public' })
+                .catch(error => console.error("Error marking channel public:", error));
+        });
+    }, [items, seesAllChannels]);
 
     const handleSave = async (data) => {
         if (modalState.item) {
-            await setDoc(doc(db, collectionPath, modalState.item.id), data, { merge: true });
+            await setDoc(doc(db, chatroomsCollectionPath, modalState.item.id), data, { merge: true });
         } else {
-            await addDoc(collection(db, collectionPath), { ...data, creatorId: getUserId(), createdAt: new Date() });
+            await addDoc(collection(db, chatroomsCollectionPath), { ...data, kind: 'channel', members: [], creatorId: getUserId(), createdAt: new Date() });
         }
     };
 
     const handleDelete = async (itemId) => {
-        await deleteDoc(doc(db, collectionPath, itemId));
+        await deleteDoc(doc(db, chatroomsCollectionPath, itemId));
     };
 
+    const visibilityOptions = CHANNEL_VISIBILITY_OPTIONS.filter(option => option.value !== 'gm' || isGameMaster(roles));
+
     return (
         <div>
             <div className="flex justify-between items-center mb-6">
@@ -303,162 +1677,715 @@ const ChatSection = ({ onSelectChatroom }) => {
                     <MessageSquare size={32} className="text-yellow-400" />
                     <h2 className="text-3xl font-orbitron text-yellow-400 ml-3">Chat Channels</h2>
                 </div>
-                <button onClick={() => setModalState({ isOpen: true, item: null })} className="flex items-center bg-yellow-400 text-black px-4 py-2 rounded-md hover:bg-yellow-300 transition-colors">
-                    <Plus size={20} className="mr-2" /> Create Channel
-                </button>
+                <div className="flex gap-2">
+                    <button onClick={() => setIsStartingDm(true)} className="flex items-center bg-slate-700 text-slate-100 px-4 py-2 rounded-md hover:bg-slate-600 transition-colors">
+                        <Mail size={20} className="mr-2" /> Direct Message
+                    </button>
+                    <button onClick={() => setModalState({ isOpen: true, item: null })} className="flex items-center bg-yellow-400 text-black px-4 py-2 rounded-md hover:bg-yellow-300 transition-colors">
+                        <Plus size={20} className="mr-2" /> Create Channel
+                    </button>
+                </div>
             </div>
 
-            {modalState.isOpen && <CreateEditModal onFinish={() => setModalState({ isOpen: false, item: null })} onSave={handleSave} item={modalState.item} fields={[
+            {modalState.isOpen && <CreateEditModal onFinish={() => setModalState({ isOpen: false, item: null })} onSave={handleSave} item={modalState.item} defaults={{ visibility: 'public' }} fields={[
                 { name: 'name', placeholder: 'Channel Name (e.g., Mos Eisley Cantina)'},
+                { name: 'visibility', placeholder: 'Who can see this channel', type: 'select', options: visibilityOptions },
                 { name: 'coverUrl', placeholder: 'Cover Image URL (Optional)'},
-                { name: 'bgUrl', placeholder: 'Background Image URL (Optional)'}
+                { name: 'bgUrl', placeholder: 'Background Image URL (Optional)'},
+                { name: 'contextWindow', placeholder: `NPC Context: Recent Messages (Optional, default ${DEFAULT_CONTEXT_WINDOW}, max. ${MAX_CONTEXT_WINDOW})`, type: 'number' },
+                { name: 'contextTokenBudget', placeholder: `NPC Context: Token Budget (Optional, default ${DEFAULT_CONTEXT_TOKEN_BUDGET}, max. ${MAX_CONTEXT_TOKEN_BUDGET})`, type: 'number' }
             ]} title="Chat Channel" />}
 
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                {items.map(item => <ItemCard key={item.id} item={item} onSelectItem={onSelectChatroom} onEdit={(itemToEdit) => setModalState({ isOpen: true, item: itemToEdit })} onDelete={handleDelete} />)}
+            {isStartingDm && <DirectMessageModal rooms={items} onFinish={() => setIsStartingDm(false)} onOpen={onSelectChatroom} />}
+
+            {CHANNEL_GROUPS.map(group => {
+                const rooms = items.filter(group.matches);
+                if (rooms.length === 0) return null;
+                return (
+                    <div key={group.key} className="mb-8">
+                        <h3 className="text-lg font-orbitron text-slate-400 mb-3">{group.label}</h3>
+                        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                            {rooms.map(item => <ItemCard key={item.id} item={{ ...item, name: chatroomTitle(item) }} onSelectItem={() => onSelectChatroom(item)} onEdit={() => setModalState({ isOpen: true, item })} onDelete={handleDelete} canModify={!isDirectMessage(item) && canModify(item, roles)} badge={unreadByRoom[item.id]} />)}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+// Opens the direct message between the chosen players, starting one if there is none yet.
+const DirectMessageModal = ({ rooms, onFinish, onOpen }) => {
+    const players = usePlayers();
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [filter, setFilter] = useState('');
+    const [error, setError] = useState('');
+
+    const others = players
+        .filter(p => p.id !== getUserId() && playerLabel(p).toLowerCase().includes(filter.trim().toLowerCase()))
+        .sort((a, b) => playerLabel(a).localeCompare(playerLabel(b)));
+
+    const toggle = (playerId) => {
+        setSelectedIds(current => current.includes(playerId) ? current.filter(id => id !== playerId) : [...current, playerId].slice(0, MAX_DM_MEMBERS - 1));
+    };
+
+    const handleStart = async () => {
+        const members = [getUserId(), ...selectedIds].sort();
+        const existing = rooms.find(room => isDirectMessage(room) && [...(room.members || [])].sort().join() === members.join());
+        try {
+            if (existing) {
+                onOpen(existing);
+            } else {
+                const memberNames = Object.fromEntries(members.map(id => [id, playerLabel(players.find(p => p.id === id) || { id })]));
+                const room = { name: joinNames(Object.values(memberNames)), kind: 'dm', visibility: 'private', members, memberNames, creatorId: getUserId(), createdAt: new Date() };
+                const roomRef = await addDoc(collection(db, chatroomsCollectionPath), room);
+                onOpen({ id: roomRef.id, ...room });
+            }
+            onFinish();
+        } catch (err) {
+            console.error("Error starting direct message:", err);
+            setError('Could not start the conversation.');
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 overflow-y-auto">
+            <div className="bg-slate-800 p-6 rounded-lg w-full max-w-md border border-yellow-400 relative">
+                <button type="button" onClick={onFinish} className="absolute top-3 right-3 text-slate-400 hover:text-white"><X size={24} /></button>
+                <h3 className="text-2xl font-orbitron mb-4 text-yellow-400">Direct Message</h3>
+                <p className="text-sm text-slate-400 mb-2">Pick up to {MAX_DM_MEMBERS - 1} players. Only you and them will see the conversation.</p>
+                <input value={filter} onChange={e => setFilter(e.target.value)} placeholder="Find a player" className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 mb-2 focus:outline-none focus:ring-2 focus:ring-yellow-400" />
+                <div className="max-h-64 overflow-y-auto">
+                    {others.map(player => (
+                        <label key={player.id} className="flex items-center gap-2 py-1 text-sm cursor-pointer">
+                            <input type="checkbox" checked={selectedIds.includes(player.id)} onChange={() => toggle(player.id)} />
+                            <span className="text-slate-200">{playerLabel(player)}</span>
+                        </label>
+                    ))}
+                    {others.length === 0 && <p className="text-sm text-slate-500 italic">No other players found.</p>}
+                </div>
+                {error && <p className="text-sm text-red-400 mt-2">{error}</p>}
+                <div className="flex justify-end gap-4 mt-6">
+                    <button type="button" onClick={onFinish} className="px-4 py-2 rounded-md bg-slate-600 hover:bg-slate-500">Cancel</button>
+                    <button type="button" disabled={selectedIds.length === 0} onClick={handleStart} className="px-4 py-2 rounded-md bg-yellow-400 text-black hover:bg-yellow-300 disabled:opacity-50">Open</button>
+                </div>
             </div>
         </div>
     );
 };
 
-const Chatroom = ({ room, goBack, userData }) => {
-    const [messages, setMessages] = useState([]);
+// --- Message List ---
+// Only the messages in (or near) the viewport are rendered. Row heights are measured after
+// render and start from an estimate, so messages of any length work.
+const MESSAGE_PAGE_SIZE = 50;
+const ESTIMATED_MESSAGE_HEIGHT = 72;
+const MESSAGE_OVERSCAN_PX = 600;
+const LOAD_OLDER_THRESHOLD_PX = 200;
+const STICK_TO_BOTTOM_PX = 48;
+
+const VirtualMessageList = ({ items, renderItem, footer, hasMore, isLoadingOlder, onLoadOlder, focusId, scrollToBottomSignal }) => {
+    const containerRef = useRef(null);
+    const rowRefs = useRef(new Map());
+    const atBottomRef = useRef(true);
+    const distanceFromBottomRef = useRef(0);
+    const firstIdRef = useRef(null);
+    const focusedIdRef = useRef(null);
+    const [scrollTop, setScrollTop] = useState(0);
+    const [viewportHeight, setViewportHeight] = useState(600);
+    // Measured row heights by item id; rows not rendered yet are estimated
+    const [heights, setHeights] = useState(() => new Map());
+
+    const { tops, totalHeight } = useMemo(() => {
+        const offsets = [];
+        let total = 0;
+        items.forEach(item => {
+            offsets.push(total);
+            total += heights.get(item.id) ?? ESTIMATED_MESSAGE_HEIGHT;
+        });
+        return { tops: offsets, totalHeight: total };
+    }, [items, heights]);
+    let start = 0;
+    while (start < items.length - 1 && tops[start + 1] < scrollTop - MESSAGE_OVERSCAN_PX) start++;
+    let end = start;
+    while (end < items.length && tops[end] < scrollTop + viewportHeight + MESSAGE_OVERSCAN_PX) end++;
+    const visible = useMemo(() => items.slice(start, end), [items, start, end]);
+
+    const handleScroll = () => {
+        const el = containerRef.current;
+        distanceFromBottomRef.current = el.scrollHeight - el.scrollTop - el.clientHeight;
+        atBottomRef.current = distanceFromBottomRef.current < STICK_TO_BOTTOM_PX;
+        setScrollTop(el.scrollTop);
+        setViewportHeight(el.clientHeight);
+        if (el.scrollTop < LOAD_OLDER_THRESHOLD_PX && hasMore && !isLoadingOlder) onLoadOlder();
+    };
+
+    // Measure what was just rendered. Rows above the viewport that changed height would shift
+    // what the player is reading, so the scroll position absorbs the difference. Only updates
+    // state when a height actually changed.
+    useLayoutEffect(() => {
+        const el = containerRef.current;
+        const measured = [];
+        let shiftAbove = 0;
+        visible.forEach((item, i) => {
+            const row = rowRefs.current.get(item.id);
+            if (!row) return;
+            const height = row.offsetHeight;
+            const previous = heights.get(item.id) ?? ESTIMATED_MESSAGE_HEIGHT;
+            if (height === previous) return;
+            measured.push([item.id, height]);
+            if (tops[start + i] < el.scrollTop) shiftAbove += height - previous;
+        });
+        if (shiftAbove && !atBottomRef.current) el.scrollTop += shiftAbove;
+        if (measured.length > 0) setHeights(current => new Map([...current, ...measured]));
+    }, [visible, tops, start, heights, renderItem]);
+
+    // Keep the view where it was when older pages are prepended, follow new messages at the bottom.
+    useLayoutEffect(() => {
+        const el = containerRef.current;
+        const firstId = items[0]?.id ?? null;
+        const prepended = firstIdRef.current !== null && firstId !== firstIdRef.current && items.some(item => item.id === firstIdRef.current);
+        firstIdRef.current = firstId;
+        if (prepended && !atBottomRef.current) {
+            el.scrollTop = el.scrollHeight - el.clientHeight - distanceFromBottomRef.current;
+        } else if (atBottomRef.current) {
+            el.scrollTop = el.scrollHeight;
+        }
+        setScrollTop(el.scrollTop);
+        setViewportHeight(el.clientHeight);
+    }, [items, footer, totalHeight]);
+
+    useLayoutEffect(() => {
+        atBottomRef.current = true;
+        const el = containerRef.current;
+        el.scrollTop = el.scrollHeight;
+    }, [scrollToBottomSignal]);
+
+    // Jump to a message once it has been loaded.
+    useLayoutEffect(() => {
+        const index = items.findIndex(item => item.id === focusId);
+        if (!focusId || index === -1 || focusedIdRef.current === focusId) return;
+        focusedIdRef.current = focusId;
+        const el = containerRef.current;
+        el.scrollTop = Math.max(0, tops[index] - el.clientHeight / 2);
+        atBottomRef.current = false;
+        distanceFromBottomRef.current = el.scrollHeight - el.scrollTop - el.clientHeight;
+        setScrollTop(el.scrollTop);
+    }, [items, focusId, tops]);
+
+    return (
+        <div ref={containerRef} onScroll={handleScroll} className="flex-1 bg-slate-900/70 p-4 rounded-lg overflow-y-auto mb-4 border border-slate-700">
+            {hasMore && <p className="text-center text-xs text-slate-400 mb-2">{isLoadingOlder ? 'Loading older messages...' : <button onClick={onLoadOlder} className="hover:text-yellow-400">Load older messages</button>}</p>}
+            {!hasMore && items.length > 0 && <p className="text-center text-xs text-slate-500 mb-2">Beginning of the channel.</p>}
+            <div style={{ height: tops[start] || 0 }} />
+            {visible.map(item => (
+                <div key={item.id} ref={el => el ? rowRefs.current.set(item.id, el) : rowRefs.current.delete(item.id)} className="pb-4">
+                    {renderItem(item)}
+                </div>
+            ))}
+            <div style={{ height: totalHeight - (tops[end] ?? totalHeight) }} />
+            {footer}
+        </div>
+    );
+};
+
+// Reactions are stored per player as { reactions: { [uid]: [emoji, ...] } } so the rules can
+// make sure everyone only changes their own.
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '⚔️'];
+const REPLY_EXCERPT_LENGTH = 120;
+
+const countReactions = (reactions) => {
+    const counts = {};
+    Object.entries(reactions || {}).forEach(([uid, emojis]) => (emojis || []).forEach(emoji => {
+        counts[emoji] = counts[emoji] || { count: 0, mine: false };
+        counts[emoji].count++;
+        if (uid === getUserId()) counts[emoji].mine = true;
+    }));
+    return counts;
+};
+
+// Dice results are posted by the backend (functions/src/dice.js) with the full breakdown in
+// `roll`; players cannot write or delete these messages.
+const NARRATIVE_DIE_CLASSES = {
+    ability: 'bg-green-600', proficiency: 'bg-yellow-400 text-black', boost: 'bg-sky-400 text-black',
+    difficulty: 'bg-purple-700', challenge: 'bg-red-700', setback: 'bg-black border border-slate-500', force: 'bg-white text-black',
+};
+const NARRATIVE_SYMBOL_LABELS = { success: 'S', advantage: 'A', triumph: 'T!', failure: 'F', threat: 'Th', despair: 'D!', light: 'L', dark: 'Dk' };
+
+const DiceRoll = ({ roll, rolledByName }) => (
+    <div className="bg-slate-800/80 border border-slate-600 rounded-md p-2 mt-1 inline-block">
+        <p className="text-sm text-slate-300">{rolledByName} rolled {roll.check && <span className="font-bold">{roll.check} </span>}<span className="font-mono">{roll.expression}</span></p>
+        {roll.type === 'standard' ? (
+            <div className="flex flex-wrap items-center gap-1 mt-1">
+                {roll.terms.map((term, i) => (
+                    <React.Fragment key={i}>
+                        {(i > 0 || term.sign < 0) && <span className="text-slate-400">{term.sign < 0 ? '-' : '+'}</span>}
+                        {term.results
+                            ? term.results.map((result, j) => <span key={j} title={`d${term.sides}`} className="w-7 h-7 flex items-center justify-center rounded bg-slate-700 border border-slate-500 text-sm">{result}</span>)
+                            : <span className="text-sm">{term.value}</span>}
+                    </React.Fragment>
+                ))}
+                <span className="ml-2 text-xl font-bold text-yellow-400">= {roll.total}</span>
+            </div>
+        ) : (
+            <>
+                <div className="flex flex-wrap gap-1 mt-1">
+                    {roll.dice.map((die, i) => (
+                        <span key={i} title={die.die} className={`min-w-[1.75rem] h-7 px-1 flex items-center justify-center rounded text-xs font-bold ${NARRATIVE_DIE_CLASSES[die.die]}`}>
+                            {die.face.map(symbol => NARRATIVE_SYMBOL_LABELS[symbol]).join(' ') || '-'}
+                        </span>
+                    ))}
+                </div>
+                <p className={`mt-1 font-bold ${roll.outcome === 'success' ? 'text-green-400' : 'text-red-400'}`}>
+                    {roll.outcome === 'success' ? 'Success' : 'Failure'}
+                    <span className="ml-2 text-sm font-normal text-slate-300">
+                        {roll.net.success > 0 ? `${roll.net.success} success` : `${-roll.net.success} failure`}, {roll.net.advantage >= 0 ? `${roll.net.advantage} advantage` : `${-roll.net.advantage} threat`}
+                        {roll.totals.triumph > 0 && `, ${roll.totals.triumph} triumph`}
+                        {roll.totals.despair > 0 && `, ${roll.totals.despair} despair`}
+                        {(roll.totals.light > 0 || roll.totals.dark > 0) && `, ${roll.totals.light} light / ${roll.totals.dark} dark side`}
+                    </span>
+                </p>
+            </>
+        )}
+    </div>
+);
+
+const Chatroom = ({ room, goBack, userData, roles, focusMessageId, onOpenBlog }) => {
+    const { wikis, openWiki } = useContext(WikiContext);
+    const sheetTemplate = useSheetTemplate();
+    const [liveMessages, setLiveMessages] = useState([]);
+    const [olderMessages, setOlderMessages] = useState([]);
+    // The oldest message loaded so far; the next older page starts after it
+    const [oldestDoc, setOldestDoc] = useState(null);
     const [newMessage, setNewMessage] = useState("");
-    const [isAiThinking, setIsAiThinking] = useState(false);
-    const messagesEndRef = useRef(null);
+    const [roomData, setRoomData] = useState(room);
+    const [npcDocs, setNpcDocs] = useState([]);
+    const [linkedPointIds, setLinkedPointIds] = useState([]);
+    const [activeScene, setActiveScene] = useState(null);
+    const [showNpcPanel, setShowNpcPanel] = useState(false);
+    const [showMembersPanel, setShowMembersPanel] = useState(false);
+    const [showTranscript, setShowTranscript] = useState(false);
+    const [pendingMentionId, setPendingMentionId] = useState(null);
+    const [notice, setNotice] = useState('');
+    const [hasMoreMessages, setHasMoreMessages] = useState(false);
+    const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+    const [sentCount, setSentCount] = useState(0);
+    const [replyingTo, setReplyingTo] = useState(null);
+    const [editing, setEditing] = useState(null);
+    const [reactingToId, setReactingToId] = useState(null);
+    // The player's own character entry to speak as, or '' to post under their own name
+    const [speakingAsId, setSpeakingAsId] = useState('');
+    const [whispers, setWhispers] = useState([]);
+    // A search result to show instead of the newest messages, until the player posts
+    const [highlightId, setHighlightId] = useState(focusMessageId);
     
+    const roomPath = `/artifacts/${appId}/public/data/chatrooms/${room.id}`;
     const messagesCollectionPath = `/artifacts/${appId}/public/data/chatrooms/${room.id}/messages`;
     const wikisCollectionPath = `/artifacts/${appId}/public/data/wikis`;
+    const mapPointsCollectionPath = `/artifacts/${appId}/public/data/mappoints`;
+
+    const assignedNpcs = npcDocs.filter(d => isNpcAssignedToRoom(d.data(), room.id, linkedPointIds));
+    const myCharacters = wikis.filter(w => w.type === 'character' && w.creatorId === getUserId());
+    const speakingAs = myCharacters.find(c => c.id === speakingAsId) || null;
 
     useEffect(() => {
-        const q = query(collection(db, messagesCollectionPath));
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const fetchedMessages = snapshot.docs
-                .map(d => ({ id: d.id, ...d.data() }))
-                .sort((a,b) => (a.createdAt?.toMillis() || 0) - (b.createdAt?.toMillis() || 0));
-            setMessages(fetchedMessages);
-        }, (error) => {
-             console.error("Error fetching messages:", error);
+        const roomUnsub = onSnapshot(doc(db, roomPath), (d) => {
+            if (d.exists()) setRoomData({ id: d.id, ...d.data() });
         });
-        return () => unsubscribe();
+        const npcUnsub = onSnapshot(query(collection(db, wikisCollectionPath), where("type", "==", "npc")), (snapshot) => setNpcDocs(snapshot.docs.filter(d => !d.data().deletedAt)));
+        // Planets list their channels in `linkedChatroomIds`; older ones only have `linkedChatroomId`.
+        const pointIds = { linked: [], legacy: [] };
+        const updatePointIds = (key) => (snapshot) => {
+            pointIds[key] = snapshot.docs.map(d => d.id);
+            setLinkedPointIds([...new Set([...pointIds.linked, ...pointIds.legacy])]);
+        };
+        const linkedUnsub = onSnapshot(query(collection(db, mapPointsCollectionPath), where("linkedChatroomIds", "array-contains", room.id)), updatePointIds('linked'));
+        const legacyUnsub = onSnapshot(query(collection(db, mapPointsCollectionPath), where("linkedChatroomId", "==", room.id)), updatePointIds('legacy'));
+        const pointsUnsub = () => { linkedUnsub(); legacyUnsub(); };
+        const sceneUnsub = onSnapshot(query(collection(db, roomPath, 'scenes'), where("status", "in", ["running", "stopped"])), (snapshot) => {
+            setActiveScene(snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() });
+        });
+        return () => { roomUnsub(); npcUnsub(); pointsUnsub(); sceneUnsub(); };
+    }, [roomPath, wikisCollectionPath, mapPointsCollectionPath, room.id]);
+
+    // Everything posted so far counts as read while the channel is open.
+    useEffect(() => {
+        markRoomRead({ id: room.id, messageCount: roomData.messageCount })
+            .catch(error => console.error("Error saving read marker:", error));
+    }, [room.id, roomData.messageCount]);
+
+    // Let the backend know a player arrived, so stationed NPCs can greet them. A later name
+    // change is no new arrival, so the name is read through a ref.
+    const displayNameRef = useRef(userData.displayName);
+    displayNameRef.current = userData.displayName;
+    useEffect(() => {
+        addDoc(collection(db, roomPath, 'events'), { type: 'join', userId: getUserId(), displayName: displayNameRef.current || 'A stranger', createdAt: new Date() })
+            .catch(error => console.error("Error announcing arrival:", error));
+    }, [roomPath]);
+
+    // The newest page, and everything posted while the channel is open, stays live. Older pages
+    // are fetched once, behind a cursor, so scrolling back never re-reads what is already loaded.
+    useEffect(() => {
+        let unsubscribe = () => {};
+        let cancelled = false;
+        (async () => {
+            const newest = collection(db, messagesCollectionPath);
+            const firstPage = await getDocs(query(newest, orderBy('createdAt', 'desc'), limit(MESSAGE_PAGE_SIZE)));
+            if (cancelled) return;
+            const anchor = firstPage.docs[firstPage.docs.length - 1];
+            setOldestDoc(anchor || null);
+            setHasMoreMessages(firstPage.size >= MESSAGE_PAGE_SIZE);
+            const live = anchor ? query(newest, orderBy('createdAt', 'desc'), endAt(anchor)) : query(newest, orderBy('createdAt', 'desc'));
+            unsubscribe = onSnapshot(live, (snapshot) => {
+                setLiveMessages(snapshot.docs.map(d => ({ id: d.id, ...d.data() })).reverse());
+            }, (error) => console.error("Error fetching messages:", error));
+        })().catch(error => console.error("Error fetching messages:", error));
+        return () => { cancelled = true; unsubscribe(); };
     }, [messagesCollectionPath]);
-    
+
+    const messages = useMemo(() => [...olderMessages, ...liveMessages], [olderMessages, liveMessages]);
+
     useEffect(() => {
-        messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-    }, [messages, isAiThinking]);
+        const q = query(collection(db, roomPath, 'whispers'), where('participants', 'array-contains', getUserId()), orderBy('createdAt', 'desc'), limit(MESSAGE_PAGE_SIZE + olderMessages.length));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setWhispers(snapshot.docs.map(d => ({ id: d.id, ...d.data(), isWhisper: true })));
+        }, (error) => console.error("Error fetching whispers:", error));
+        return () => unsubscribe();
+    }, [roomPath, olderMessages.length]);
+
+    // Whispers are shown in line with the messages, as far back as the messages are loaded.
+    const timeline = useMemo(() => {
+        const oldest = hasMoreMessages && messages.length > 0 ? toMillis(messages[0].createdAt) : 0;
+        return [...messages, ...whispers.filter(w => toMillis(w.createdAt) >= oldest)].sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
+    }, [messages, whispers, hasMoreMessages]);
+
+    const addOlderPage = useCallback((page, hasMore) => {
+        if (page.empty) {
+            setHasMoreMessages(false);
+            return;
+        }
+        setOlderMessages(current => [...page.docs.map(d => ({ id: d.id, ...d.data() })).reverse(), ...current]);
+        setOldestDoc(page.docs[page.docs.length - 1]);
+        setHasMoreMessages(hasMore);
+    }, []);
 
-    const callAiNpc = async (npcName, prompt) => {
-        setIsAiThinking(true);
-        let npcDoc = null;
+    // A message opened from search or a quoted reply may be older than the first page.
+    const shownHighlightRef = useRef(null);
+    useEffect(() => {
+        if (!highlightId || !oldestDoc || shownHighlightRef.current === highlightId) return;
+        shownHighlightRef.current = highlightId;
+        (async () => {
+            const focused = await getDoc(doc(db, messagesCollectionPath, highlightId));
+            if (!focused.exists() || !focused.data().createdAt) return;
+            if (toMillis(focused.data().createdAt) >= toMillis(oldestDoc.data().createdAt)) return;
+            const between = await getDocs(query(collection(db, messagesCollectionPath), orderBy('createdAt', 'desc'), startAfter(oldestDoc), endAt(focused)));
+            addOlderPage(between, true);
+        })().catch(error => console.error("Error loading the message to show:", error));
+    }, [messagesCollectionPath, highlightId, oldestDoc, addOlderPage]);
 
+    const handleLoadOlder = async () => {
+        if (!oldestDoc || isLoadingOlder) return;
+        setIsLoadingOlder(true);
         try {
-            // Find the NPC in the wiki
-            const q = query(collection(db, wikisCollectionPath), where("name", "==", npcName), where("type", "==", "npc"));
-            const querySnapshot = await getDocs(q);
+            const page = await getDocs(query(collection(db, messagesCollectionPath), orderBy('createdAt', 'desc'), startAfter(oldestDoc), limit(MESSAGE_PAGE_SIZE)));
+            addOlderPage(page, page.size >= MESSAGE_PAGE_SIZE);
+        } catch (error) {
+            console.error("Error fetching older messages:", error);
+        }
+        setIsLoadingOlder(false);
+    };
 
-            if (querySnapshot.empty) {
-                await addDoc(collection(db, messagesCollectionPath), { text: `[System] NPC named "${npcName}" not found in Holo-Wiki.`, authorId: 'system', authorName: 'System', createdAt: new Date() });
-                setIsAiThinking(false);
-                return;
-            }
-            
-            npcDoc = querySnapshot.docs[0];
-            const npcData = npcDoc.data();
-            const personality = npcData.personality || "a standard Star Wars character";
-            const history = npcData.interaction_history || "";
-
-            const fullPrompt = `You are roleplaying as an NPC named ${npcName}.
-            Your personality is: ${personality}.
-            Here is your memory of past interactions (don't repeat it, just use it for context):
-            --- MEMORY START ---
-            ${history}
-            --- MEMORY END ---
-            Based on your personality and memory, respond to the user's latest message. Keep your response in character and concise.
-            User's message: "${prompt}"`;
-
-            const payload = { contents: [{ role: "user", parts: [{ text: fullPrompt }] }] };
-            const apiKey = "";
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-            const response = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-            const result = await response.json();
-            
-            let aiResponse = "The AI seems to be offline... try again later.";
-            if (result.candidates && result.candidates[0]?.content?.parts[0]?.text) {
-                aiResponse = result.candidates[0].content.parts[0].text;
-            }
+    // Older pages are not live, so the player's own changes to them are read back.
+    const refreshOlderMessage = async (id) => {
+        if (!olderMessages.some(m => m.id === id)) return;
+        const snapshot = await getDoc(doc(db, messagesCollectionPath, id));
+        setOlderMessages(current => snapshot.exists()
+            ? current.map(m => m.id === id ? { id, ...snapshot.data() } : m)
+            : current.filter(m => m.id !== id));
+    };
+    
+    // NPC replies are created by the backend with IDs derived from the message that mentioned them.
+    const isAwaitingNpc = !!pendingMentionId && !messages.some(m => m.id.startsWith(`${pendingMentionId}-`));
 
-            // Post response to chat
-            await addDoc(collection(db, messagesCollectionPath), { text: aiResponse, authorId: `npc-${npcDoc.id}`, authorName: npcName, isNpc: true, createdAt: new Date() });
-            
-            // Update NPC memory
-            const newHistoryEntry = `User: ${prompt}\n${npcName}: ${aiResponse}\n\n`;
-            await updateDoc(npcDoc.ref, {
-                interaction_history: (history + newHistoryEntry)
-            });
+    useEffect(() => {
+        if (!pendingMentionId) return;
+        const timer = setTimeout(() => setPendingMentionId(null), 60 * 1000);
+        return () => clearTimeout(timer);
+    }, [pendingMentionId]);
+
+    const showNotice = (text) => {
+        setNotice(text);
+        setTimeout(() => setNotice(''), 5000);
+    };
 
+    const handleCancelReply = async (messageId) => {
+        await updateDoc(doc(db, messagesCollectionPath, messageId), { cancelRequested: true });
+    };
+
+    const handleToggleAutonomy = async (npcId) => {
+        await setDoc(doc(db, roomPath), { npcAutonomy: { [npcId]: !isAutonomyEnabled(roomData, npcId) } }, { merge: true });
+    };
+
+    const handleStopScene = async () => {
+        await updateDoc(doc(db, roomPath, 'scenes', activeScene.id), { status: 'stopped' });
+    };
+
+    const handleSaveEdit = async () => {
+        if (editing.text.trim() === '') return;
+        try {
+            await updateDoc(doc(db, messagesCollectionPath, editing.id), { text: editing.text, editedAt: new Date() });
+            await refreshOlderMessage(editing.id);
+            setEditing(null);
         } catch (error) {
-            console.error("Error calling/processing NPC response:", error);
-            await addDoc(collection(db, messagesCollectionPath), { text: "The AI failed to respond. It might be a network issue.", authorId: 'system', authorName: 'System', createdAt: new Date() });
-        } finally {
-            setIsAiThinking(false);
+            console.error("Error editing message:", error);
         }
-    }
+    };
+
+    const handleDeleteMessage = async (msg) => {
+        if (!window.confirm('Delete this message?')) return;
+        try {
+            await deleteDoc(doc(db, messagesCollectionPath, msg.id));
+            await refreshOlderMessage(msg.id);
+        } catch (error) {
+            console.error("Error deleting message:", error);
+        }
+    };
+
+    const handleToggleReaction = async (msg, emoji) => {
+        setReactingToId(null);
+        const mine = msg.reactions?.[getUserId()] || [];
+        try {
+            await updateDoc(doc(db, messagesCollectionPath, msg.id), { [`reactions.${getUserId()}`]: mine.includes(emoji) ? arrayRemove(emoji) : arrayUnion(emoji) });
+            await refreshOlderMessage(msg.id);
+        } catch (error) {
+            console.error("Error reacting to message:", error);
+        }
+    };
+
+    const playerName = userData.displayName || (auth.currentUser?.isAnonymous ? 'Anonymous' : getUserId()?.substring(0,8));
+    const authorName = speakingAs ? speakingAs.name : playerName;
+    const npcNames = npcDocs.map(d => d.data().name);
+
+    const postMessage = async (fields) => {
+        setHighlightId(null);
+        setSentCount(count => count + 1);
+        // The backend answers any NPC mentioned as @Name (or the old "@Name, ..." prefix).
+        const message = { ...fields, authorId: getUserId(), authorName: authorName, authorPhotoURL: speakingAs ? (speakingAs.coverUrl || '') : (userData.photoURL || ''), createdAt: new Date() };
+        if (speakingAs) {
+            message.characterId = speakingAs.id;
+            message.playerName = playerName;
+        }
+        if (replyingTo) {
+            message.replyTo = { id: replyingTo.id, authorName: replyingTo.authorName, excerpt: (replyingTo.text || '').substring(0, REPLY_EXCERPT_LENGTH), createdAt: replyingTo.createdAt };
+        }
+        const messageRef = await addDoc(collection(db, messagesCollectionPath), message);
+        if (fields.style !== 'ooc' && findNpcMentions(fields.text, npcNames).length > 0) {
+            setPendingMentionId(messageRef.id);
+        }
+        setReplyingTo(null);
+    };
+
+    // Players who posted in the loaded part of the channel, and the game masters.
+    const whisperRecipients = (() => {
+        const byId = new Map(Object.entries(roles?.gameMasters || {}).map(([id, name]) => [id, name]));
+        messages.forEach(m => {
+            if (!m.isNpc && m.authorId !== 'system' && !m.isWhisper) byId.set(m.authorId, m.playerName || m.authorName);
+        });
+        byId.delete(getUserId());
+        return [...byId].filter(([, name]) => name).map(([id, name]) => ({ id, name }));
+    })();
+
+    const chatCommandContext = {
+        npcNames,
+        recipients: whisperRecipients,
+        activeScene,
+        isGameMaster: isGameMaster(roles),
+        speakingAs,
+        sheetTemplate,
+        notice: showNotice,
+        post: postMessage,
+        requestRoll: (expression) => addDoc(collection(db, roomPath, 'rolls'), { userId: getUserId(), expression, createdAt: new Date() }),
+        requestCheck: (check, extra) => addDoc(collection(db, roomPath, 'rolls'), { userId: getUserId(), characterId: speakingAs.id, check: check.label, expression: extra, createdAt: new Date() }),
+        whisper: (recipient, text) => addDoc(collection(db, roomPath, 'whispers'), {
+            text, authorId: getUserId(), authorName: authorName, recipientId: recipient.id, recipientName: recipient.name,
+            participants: [getUserId(), recipient.id], createdAt: new Date(),
+        }),
+        startScene: (scene) => addDoc(collection(db, roomPath, 'scenes'), { npcNames: scene.names, premise: scene.premise, maxTurns: scene.turns, turn: 0, status: 'running', startedBy: getUserId(), createdAt: new Date() }),
+    };
 
     const handleSendMessage = async (e) => {
         e.preventDefault();
         const messageText = newMessage;
         if (messageText.trim() === "") return;
-        
-        const authorName = userData.displayName || (auth.currentUser?.isAnonymous ? 'Anonymous' : getUserId()?.substring(0,8));
-        const photoURL = userData.photoURL || '';
-        
-        // Check for NPC command e.g. @NPC_Name, message
-        const npcMatch = messageText.match(/^@([\w\s-]+),/);
 
         try {
-            if (npcMatch) {
-                const npcName = npcMatch[1].trim();
-                const prompt = messageText.substring(npcMatch[0].length).trim();
-                // Post user's message first
-                await addDoc(collection(db, messagesCollectionPath), { text: messageText, authorId: getUserId(), authorName: authorName, authorPhotoURL: photoURL, createdAt: new Date() });
-                // Then call the NPC
-                callAiNpc(npcName, prompt);
-            } else {
-                 await addDoc(collection(db, messagesCollectionPath), { text: messageText, authorId: getUserId(), authorName: authorName, authorPhotoURL: photoURL, createdAt: new Date() });
+            const command = parseChatCommand(messageText);
+            if (command) {
+                const handler = CHAT_COMMANDS.get(command.name);
+                if (!handler) {
+                    showNotice(`Unknown command "/${command.name}". Type /help for the list.`);
+                    return;
+                }
+                if ((await handler.run(command.args, chatCommandContext)) !== false) setNewMessage("");
+                return;
             }
+            await postMessage({ text: messageText });
             setNewMessage("");
         } catch (error) {
             console.error("Error sending message:", error);
         }
     };
     
+    // The quoted message is shown as it is now when it is loaded. Otherwise the excerpt saved
+    // with the reply is used, unless the original falls inside the loaded page and is gone.
+    const renderReplyPreview = (replyTo) => {
+        const original = messages.find(m => m.id === replyTo.id);
+        const isDeleted = !original && messages.length > 0 && toMillis(replyTo.createdAt) >= toMillis(messages[0].createdAt);
+        return (
+            <button onClick={() => !isDeleted && setHighlightId(replyTo.id)} className="block text-left text-xs border-l-2 border-slate-500 pl-2 mb-1 text-slate-400 hover:text-slate-200 max-w-full truncate">
+                {isDeleted ? <span className="italic">Original message was deleted.</span> : <><span className="font-bold">{original?.authorName || replyTo.authorName}</span>: {(original?.text ?? replyTo.excerpt).substring(0, REPLY_EXCERPT_LENGTH)}</>}
+            </button>
+        );
+    };
+
+    // Character posts link to the character's wiki entry. Moderators also see who is playing it.
+    const renderCharacterName = (msg) => {
+        const character = wikis.find(w => w.id === msg.characterId);
+        return (
+            <>
+                {character ? <button onClick={() => openWiki(character)} className="hover:underline">{msg.authorName}</button> : msg.authorName}
+                {isGameMaster(roles) && <span title={`Account ${msg.authorId}`} className="ml-2 text-xs font-normal text-slate-400">played by {msg.playerName || msg.authorId}</span>}
+            </>
+        );
+    };
+
+    const renderMessage = (msg) => {
+        const isNpc = msg.isNpc;
+        const isOwn = msg.authorId === getUserId();
+        const isSystem = msg.authorId === 'system';
+        const isRoll = isSystem && !!msg.roll;
+        const reactionCounts = countReactions(msg.reactions);
+        return (
+            <div id={`message-${msg.id}`} className={`group relative flex items-start ${isNpc ? 'ml-4' : ''} ${msg.isWhisper ? 'bg-pink-500/10 rounded-md' : ''} ${msg.id === highlightId ? 'bg-yellow-400/10 ring-1 ring-yellow-400 rounded-md' : ''}`}>
+                {msg.status !== 'streaming' && (!isSystem || isRoll) && !msg.isWhisper && editing?.id !== msg.id && (
+                    <div className="absolute right-0 top-0 hidden group-hover:flex items-center gap-2 bg-slate-800 border border-slate-700 rounded-md px-2 py-1 z-10">
+                        <button onClick={() => setReplyingTo(msg)} title="Reply" className="text-slate-300 hover:text-yellow-400"><Reply size={14} /></button>
+                        <button onClick={() => setReactingToId(reactingToId === msg.id ? null : msg.id)} title="React" className="text-slate-300 hover:text-yellow-400"><SmilePlus size={14} /></button>
+                        {isOwn && !isNpc && !isSystem && <button onClick={() => setEditing({ id: msg.id, text: msg.text })} title="Edit" className="text-slate-300 hover:text-yellow-400"><Edit size={14} /></button>}
+                        {(isGameMaster(roles) || (isOwn && !isRoll)) && <button onClick={() => handleDeleteMessage(msg)} title="Delete" className="text-slate-300 hover:text-red-500"><Trash2 size={14} /></button>}
+                    </div>
+                )}
+                {reactingToId === msg.id && (
+                    <div className="absolute right-0 top-8 flex gap-1 bg-slate-800 border border-slate-700 rounded-md p-1 z-20">
+                        {REACTION_EMOJIS.map(emoji => <button key={emoji} onClick={() => handleToggleReaction(msg, emoji)} className="px-1 rounded hover:bg-slate-700">{emoji}</button>)}
+                    </div>
+                )}
+                {isNpc ? (
+                    <BrainCircuit className="w-8 h-8 rounded-full mr-3 text-green-400 border border-green-400 p-1 flex-shrink-0" />
+                ) : isRoll ? (
+                    <Dices className="w-8 h-8 rounded-full mr-3 text-yellow-400 border border-yellow-400 p-1 flex-shrink-0" />
+                ) : (
+                    <img src={msg.authorPhotoURL} alt={msg.authorName} className={`w-8 h-8 rounded-full mr-3 border flex-shrink-0 object-cover ${msg.characterId ? 'border-purple-400' : 'border-yellow-400'}`} onError={(e) => { e.target.onerror = null; e.target.src='https://placehold.co/32x32/1e293b/facc15?text=??' }} />
+                )}
+                <div className="min-w-0 flex-1">
+                     {msg.replyTo && renderReplyPreview(msg.replyTo)}
+                     <p className={`font-bold ${isNpc ? 'text-green-400' : msg.characterId ? 'text-purple-300' : 'text-yellow-400'}`}>
+                         {msg.characterId ? renderCharacterName(msg) : msg.authorName}
+                         {msg.isWhisper && <span className="ml-2 text-xs font-normal text-pink-300">whispers to {msg.recipientId === getUserId() ? 'you' : msg.recipientName}</span>}
+                         {msg.style === 'ooc' && <span className="ml-2 text-xs font-normal text-slate-400 border border-slate-600 rounded px-1">OOC</span>}
+                         {isRoll && <span title="Rolled by the server. Players cannot change or remove this result." className="ml-2 inline-flex items-center text-xs font-normal text-slate-400"><Shield size={12} className="mr-1" />verified</span>}
+                         {msg.editedAt && <span title={`Edited ${new Date(toMillis(msg.editedAt)).toLocaleString()}`} className="ml-2 text-xs font-normal text-slate-500">(edited)</span>}
+                         {msg.status === 'streaming' && !msg.cancelRequested && (
+                             <button onClick={() => handleCancelReply(msg.id)} className="ml-2 text-xs font-normal text-slate-400 hover:text-red-400">stop</button>
+                         )}
+                     </p>
+                     {editing?.id === msg.id ? (
+                         <div>
+                             <textarea value={editing.text} onChange={e => setEditing({ ...editing, text: e.target.value })} className="w-full bg-slate-800 border border-slate-700 rounded-md p-2 text-white focus:outline-none focus:ring-2 focus:ring-yellow-400" rows="2" />
+                             <div className="flex gap-2 text-xs">
+                                 <button onClick={handleSaveEdit} className="text-yellow-400 hover:text-yellow-300">Save</button>
+                                 <button onClick={() => setEditing(null)} className="text-slate-400 hover:text-slate-200">Cancel</button>
+                             </div>
+                         </div>
+                     ) : isRoll ? (
+                         <DiceRoll roll={msg.roll} rolledByName={msg.rolledByName} />
+                     ) : msg.status === 'streaming' && !msg.text ? (
+                         <p className="text-slate-400 italic animate-pulse">is thinking...</p>
+                     ) : msg.style === 'emote' ? (
+                         <div className="text-yellow-100 italic break-words"><TextFormatter text={`${msg.authorName} ${msg.text}`}/></div>
+                     ) : (
+                         <div className={`break-words ${msg.style === 'ooc' ? 'text-slate-400 text-sm' : msg.isWhisper ? 'text-pink-100 italic' : 'text-slate-200'}`}><TextFormatter text={msg.text}/></div>
+                     )}
+                     {msg.status === 'streaming' && msg.text && <span className="inline-block w-2 h-4 bg-green-400 animate-pulse" />}
+                     {msg.status === 'cancelled' && <p className="text-xs text-slate-400 italic">Reply cancelled before it finished.</p>}
+                     {msg.status === 'failed' && <p className="text-xs text-red-400 italic">Reply interrupted{msg.error ? `: ${msg.error}` : '.'}</p>}
+                     {Object.keys(reactionCounts).length > 0 && (
+                         <div className="flex flex-wrap gap-1 mt-1">
+                             {Object.entries(reactionCounts).map(([emoji, { count, mine }]) => (
+                                 <button key={emoji} onClick={() => handleToggleReaction(msg, emoji)} className={`text-xs px-2 py-0.5 rounded-full border ${mine ? 'border-yellow-400 bg-yellow-400/20' : 'border-slate-600 bg-slate-800'}`}>{emoji} {count}</button>
+                             ))}
+                         </div>
+                     )}
+                </div>
+            </div>
+        );
+    };
+
     return (
         <div className="flex flex-col h-full bg-cover bg-center" style={{backgroundImage: room.bgUrl ? `url(${room.bgUrl})` : 'none'}}>
            <div className="flex-1 flex flex-col bg-black/50 p-4 min-h-0">
                 <div className="flex-shrink-0 flex items-center mb-4 text-white">
                     <button onClick={goBack} className="mr-4 p-2 rounded-full hover:bg-slate-700/50"><ChevronRight className="rotate-180" size={24} /></button>
-                    <Hash className="text-yellow-400" />
-                    <h2 className="text-2xl font-orbitron ml-2" style={{textShadow: '1px 1px 3px #000'}}>{room.name}</h2>
-                </div>
-                <div className="flex-1 bg-slate-900/70 p-4 rounded-lg overflow-y-auto mb-4 border border-slate-700">
-                    {messages.map(msg => {
-                        const isNpc = msg.isNpc;
-                        return (
-                            <div key={msg.id} className={`flex items-start mb-4 ${isNpc ? 'ml-4' : ''}`}>
-                                {isNpc ? (
-                                    <BrainCircuit className="w-8 h-8 rounded-full mr-3 text-green-400 border border-green-400 p-1 flex-shrink-0" />
-                                ) : (
-                                    <img src={msg.authorPhotoURL} alt={msg.authorName} className="w-8 h-8 rounded-full mr-3 border border-yellow-400 flex-shrink-0" onError={(e) => { e.target.onerror = null; e.target.src='https://placehold.co/32x32/1e293b/facc15?text=??' }} />
-                                )}
-                                <div>
-                                     <p className={`font-bold ${isNpc ? 'text-green-400' : 'text-yellow-400'}`}>{msg.authorName}</p>
-                                     <div className="text-slate-200 break-words"><TextFormatter text={msg.text}/></div>
+                    {roomData.visibility === 'gm' ? <EyeOff className="text-yellow-400" /> : isPrivateRoom(roomData) ? <Lock className="text-yellow-400" /> : <Hash className="text-yellow-400" />}
+                    <h2 className="text-2xl font-orbitron ml-2" style={{textShadow: '1px 1px 3px #000'}}>{chatroomTitle(roomData)}</h2>
+                    {isPrivateRoom(roomData) && (
+                        <div className="relative ml-auto">
+                            <button onClick={() => setShowMembersPanel(!showMembersPanel)} title="Members" className="flex items-center p-2 rounded-md hover:bg-slate-700/50 text-slate-200">
+                                <Users size={20} /><span className="ml-1 text-sm">{(roomData.members || []).length}</span>
+                            </button>
+                            {showMembersPanel && <ChannelMembers room={roomData} roles={roles} onLeave={goBack} />}
+                        </div>
+                    )}
+                    {assignedNpcs.length > 0 && (
+                        <div className={`relative ${isPrivateRoom(roomData) ? '' : 'ml-auto'}`}>
+                            <button onClick={() => setShowNpcPanel(!showNpcPanel)} title="NPCs in this channel" className="flex items-center p-2 rounded-md hover:bg-slate-700/50 text-green-400">
+                                <BrainCircuit size={20} /><span className="ml-1 text-sm">{assignedNpcs.length}</span>
+                            </button>
+                            {showNpcPanel && (
+                                <div className="absolute right-0 mt-2 w-64 bg-slate-800 border border-slate-700 rounded-md p-3 z-20">
+                                    <p className="text-xs text-slate-400 mb-2">{canModify(roomData, roles) ? 'Let these NPCs act on their own here:' : 'NPCs acting on their own here (set by the channel owner):'}</p>
+                                    {assignedNpcs.map(npcDoc => (
+                                        <label key={npcDoc.id} className="flex items-center justify-between py-1 text-sm cursor-pointer">
+                                            <span className="text-green-300">{npcDoc.data().name}</span>
+                                            <input type="checkbox" checked={isAutonomyEnabled(roomData, npcDoc.id)} disabled={!canModify(roomData, roles)} onChange={() => handleToggleAutonomy(npcDoc.id)} />
+                                        </label>
+                                    ))}
                                 </div>
-                            </div>
-                        )
-                    })}
-                    {isAiThinking && (
-                        <div className="flex items-start mb-4 ml-4">
+                            )}
+                        </div>
+                    )}
+                    <button onClick={() => setShowTranscript(true)} title="Export a transcript" className={`${isPrivateRoom(roomData) || assignedNpcs.length > 0 ? '' : 'ml-auto'} p-2 rounded-md hover:bg-slate-700/50 text-slate-200`}>
+                        <FileText size={20} />
+                    </button>
+                </div>
+                {showTranscript && <TranscriptExport room={roomData} userData={userData} onClose={() => setShowTranscript(false)} onOpenBlog={onOpenBlog} />}
+                {activeScene && (
+                    <div className="flex-shrink-0 flex items-center justify-between bg-green-900/40 border border-green-700 rounded-md px-3 py-2 mb-2 text-sm text-green-200">
+                        <span>Scene: {joinNames(activeScene.npcNames || [])} &middot; turn {activeScene.turn || 0}/{activeScene.maxTurns}{activeScene.status === 'stopped' && ' (stopping...)'}</span>
+                        {activeScene.status === 'running' && (
+                            <button onClick={handleStopScene} className="bg-red-500 text-white px-3 py-1 rounded-md hover:bg-red-400">Stop Scene</button>
+                        )}
+                    </div>
+                )}
+                <VirtualMessageList
+                    items={timeline}
+                    hasMore={hasMoreMessages}
+                    isLoadingOlder={isLoadingOlder}
+                    onLoadOlder={handleLoadOlder}
+                    focusId={highlightId}
+                    scrollToBottomSignal={sentCount}
+                    renderItem={renderMessage}
+                    footer={isAwaitingNpc && (
+                        <div className="flex items-start ml-4">
                             <Bot className="w-8 h-8 rounded-full mr-3 text-cyan-400 border border-cyan-400 p-1 animate-pulse flex-shrink-0" />
                             <div>
                                 <p className="font-bold text-cyan-400">AI NPC</p>
@@ -466,11 +2393,23 @@ const Chatroom = ({ room, goBack, userData }) => {
                             </div>
                         </div>
                     )}
-                    <div ref={messagesEndRef} />
-                </div>
+                />
+                {notice && <p className="flex-shrink-0 text-sm text-red-400 mb-2">{notice}</p>}
+                {replyingTo && (
+                    <div className="flex-shrink-0 flex items-center justify-between bg-slate-800 border-l-2 border-yellow-400 rounded-md px-3 py-1 mb-2 text-sm text-slate-300">
+                        <span className="truncate">Replying to <span className="font-bold">{replyingTo.authorName}</span>: {(replyingTo.text || '').substring(0, REPLY_EXCERPT_LENGTH)}</span>
+                        <button onClick={() => setReplyingTo(null)} className="ml-2 text-slate-400 hover:text-white"><X size={16} /></button>
+                    </div>
+                )}
                 <form onSubmit={handleSendMessage} className="flex-shrink-0 flex gap-4">
-                    <textarea value={newMessage} onChange={(e) => setNewMessage(e.target.value)} placeholder="Send a message, or talk to an NPC with @NpcName, ..." className="flex-grow bg-slate-800 border border-slate-700 rounded-md p-3 focus:outline-none focus:ring-2 focus:ring-yellow-400 text-white" disabled={isAiThinking} rows="2" />
-                    <button type="submit" className="bg-yellow-400 text-black font-bold px-6 py-3 rounded-md hover:bg-yellow-300 transition-colors disabled:bg-slate-500" disabled={isAiThinking}>Send</button>
+                    {myCharacters.length > 0 && (
+                        <select value={speakingAs ? speakingAs.id : ''} onChange={e => setSpeakingAsId(e.target.value)} title="Post as" className="bg-slate-800 border border-slate-700 rounded-md p-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-yellow-400 max-w-[10rem]">
+                            <option value="">{userData.displayName || 'Myself'}</option>
+                            {myCharacters.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                        </select>
+                    )}
+                    <textarea value={newMessage} onChange={(e) => setNewMessage(e.target.value)} placeholder="Send a message, talk to NPCs with @NpcName, or type /help for commands like /roll 2d6+3" className="flex-grow bg-slate-800 border border-slate-700 rounded-md p-3 focus:outline-none focus:ring-2 focus:ring-yellow-400 text-white" rows="2" />
+                    <button type="submit" className="bg-yellow-400 text-black font-bold px-6 py-3 rounded-md hover:bg-yellow-300 transition-colors">Send</button>
                 </form>
             </div>
         </div>
@@ -478,46 +2417,439 @@ const Chatroom = ({ room, goBack, userData }) => {
 };
 
 
-// --- Generic Create/Edit Modal ---
-const CreateEditModal = ({ onFinish, onSave, item, fields, title }) => {
-    const [state, setState] = useState(() => {
-        const initialState = {};
-        fields.forEach(field => {
-            initialState[field.name] = item?.[field.name] || '';
-        });
-        return initialState;
-    });
+// Members and invite links of a private channel or direct message. Whoever manages the
+// channel adds and removes members; everyone else may only leave.
+const ChannelMembers = ({ room, roles, onLeave }) => {
+    const players = usePlayers();
+    const [invites, setInvites] = useState([]);
+    const [addingId, setAddingId] = useState('');
+    const [copiedCode, setCopiedCode] = useState(null);
+    const roomRef = doc(db, chatroomsCollectionPath, room.id);
+    const canManage = canModify(room, roles);
+    const members = room.members || [];
+    const isDm = isDirectMessage(room);
 
-    const handleChange = (e) => {
-        const { name, value } = e.target;
-        setState(prevState => ({ ...prevState, [name]: value }));
+    useEffect(() => {
+        if (!canManage || isDm) return;
+        const unsub = onSnapshot(query(collection(db, chatroomsCollectionPath, room.id, 'invites'), orderBy('createdAt', 'desc')), (snapshot) => {
+            setInvites(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => console.error("Error listening to invites:", error));
+        return () => unsub();
+    }, [room.id, canManage, isDm]);
+
+    const nameOf = (uid) => room.memberNames?.[uid] || playerLabel(players.find(p => p.id === uid) || { id: uid });
+
+    const handleAdd = async () => {
+        if (!addingId) return;
+        const changes = { members: arrayUnion(addingId) };
+        if (isDm) changes[`memberNames.${addingId}`] = nameOf(addingId);
+        try {
+            await updateDoc(roomRef, changes);
+            setAddingId('');
+        } catch (error) {
+            console.error("Error adding member:", error);
+        }
     };
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        const hasName = state.name && state.name.trim() !== '';
-        if (!hasName) {
-            alert("Name/Title is required.");
-            return;
+    const handleRemove = async (uid) => {
+        try {
+            await updateDoc(roomRef, { members: arrayRemove(uid) });
+        } catch (error) {
+            console.error("Error removing member:", error);
         }
-        await onSave(state);
-        onFinish();
     };
 
-    return (
-        <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 overflow-y-auto">
-            <form onSubmit={handleSubmit} className="bg-slate-800 p-6 rounded-lg w-full max-w-2xl border border-yellow-400 relative">
-                <button type="button" onClick={onFinish} className="absolute top-3 right-3 text-slate-400 hover:text-white"><X size={24} /></button>
-                <h3 className="text-2xl font-orbitron mb-4 text-yellow-400">{item ? `Edit ${title}` : `Create ${title}`}</h3>
+    const handleLeave = async () => {
+        if (!window.confirm(`Leave ${chatroomTitle(room)}? You will need a new invite to come back.`)) return;
+        try {
+            await updateDoc(roomRef, { members: arrayRemove(getUserId()) });
+            onLeave();
+        } catch (error) {
+            console.error("Error leaving channel:", error);
+        }
+    };
+
+    const handleCreateInvite = async () => {
+        try {
+            await setDoc(doc(db, chatroomsCollectionPath, room.id, 'invites', createInviteCode()), { createdBy: getUserId(), createdAt: new Date() });
+        } catch (error) {
+            console.error("Error creating invite:", error);
+        }
+    };
+
+    const handleCopyInvite = async (code) => {
+        try {
+            await navigator.clipboard.writeText(inviteLink(room.id, code));
+            setCopiedCode(code);
+        } catch (error) {
+            console.error("Error copying invite link:", error);
+        }
+    };
+
+    const handleRevokeInvite = async (code) => {
+        await deleteDoc(doc(db, chatroomsCollectionPath, room.id, 'invites', code))
+            .catch(error => console.error("Error revoking invite:", error));
+    };
+
+    const candidates = players.filter(p => !members.includes(p.id) && p.id !== room.creatorId);
+
+    return (
+        <div className="absolute right-0 mt-2 w-72 bg-slate-800 border border-slate-700 rounded-md p-3 z-20 text-sm">
+            <p className="text-xs text-slate-400 mb-2">{room.visibility === 'gm' ? 'Game masters and these players can see this channel:' : 'Only these players can see this conversation:'}</p>
+            {!isDm && room.creatorId && <p className="py-1 text-slate-200">{nameOf(room.creatorId)} <span className="text-xs text-slate-500">creator</span></p>}
+            {members.filter(uid => isDm || uid !== room.creatorId).map(uid => (
+                <div key={uid} className="flex items-center justify-between py-1">
+                    <span className="text-slate-200">{nameOf(uid)}</span>
+                    {canManage && uid !== getUserId() && <button onClick={() => handleRemove(uid)} title="Remove" className="text-slate-400 hover:text-red-500"><X size={14} /></button>}
+                </div>
+            ))}
+            {canManage && members.length < (isDm ? MAX_DM_MEMBERS : MAX_CHANNEL_MEMBERS) && (
+                <div className="flex gap-2 mt-2">
+                    <select value={addingId} onChange={e => setAddingId(e.target.value)} className="flex-1 min-w-0 bg-slate-900 border border-slate-700 rounded-md p-1 text-white">
+                        <option value="">Add a player...</option>
+                        {candidates.map(p => <option key={p.id} value={p.id}>{playerLabel(p)}</option>)}
+                    </select>
+                    <button onClick={handleAdd} disabled={!addingId} title="Add" className="text-yellow-400 hover:text-yellow-300 disabled:opacity-50"><UserPlus size={18} /></button>
+                </div>
+            )}
+            {canManage && !isDm && (
+                <div className="mt-3 pt-3 border-t border-slate-700">
+                    <div className="flex items-center justify-between mb-1">
+                        <span className="text-xs text-slate-400">Invite links</span>
+                        <button onClick={handleCreateInvite} className="text-xs text-yellow-400 hover:text-yellow-300">New link</button>
+                    </div>
+                    {invites.map(invite => (
+                        <div key={invite.id} className="flex items-center justify-between py-1 text-xs">
+                            <span className="text-slate-400 truncate">...{invite.id.slice(-6)}</span>
+                            <span className="flex gap-2">
+                                <button onClick={() => handleCopyInvite(invite.id)} className="text-slate-300 hover:text-yellow-400">{copiedCode === invite.id ? 'Copied' : 'Copy'}</button>
+                                <button onClick={() => handleRevokeInvite(invite.id)} className="text-slate-300 hover:text-red-500">Revoke</button>
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {members.includes(getUserId()) && room.creatorId !== getUserId() && (
+                <button onClick={handleLeave} className="mt-3 text-xs text-red-400 hover:text-red-300">Leave</button>
+            )}
+        </div>
+    );
+};
+
+
+// --- Chat Transcripts ---
+// A stretch of a channel written up for reading: Markdown (which is also what a new Data Log
+// gets), a styled HTML page, or that page opened for printing or saving as a PDF. NPC lines
+// are set apart from player lines. Whispers, unfinished NPC replies and, if the writer asks,
+// OOC chatter stay out.
+const TRANSCRIPT_MAX_MESSAGES = 2000;
+const TRANSCRIPT_DEFAULT_HOURS = 4;
+
+// A message wholly wrapped in ((...)) or [ooc]...[/ooc] is as out of character as /ooc.
+const OOC_TEXT = /^\s*(\(\((?:(?!\)\))[\s\S])*\)\)|\[ooc\](?:(?!\[\/ooc\])[\s\S])*\[\/ooc\])\s*$/i;
+
+const isOocMessage = (msg) => msg.style === 'ooc' || OOC_TEXT.test(msg.text || '');
+
+// What a datetime-local input expects: local time as YYYY-MM-DDTHH:MM.
+const toDateTimeInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+const transcriptTime = (msg) => new Date(toMillis(msg.createdAt)).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const transcriptRange = (from, to) => `${from.toLocaleString()} – ${to.toLocaleString()}`;
+
+// Messages of `roomId` posted between `from` and `to`, oldest first. `truncated` says the
+// range held more than TRANSCRIPT_MAX_MESSAGES.
+const loadTranscriptMessages = async (roomId, from, to, includeOoc) => {
+    const q = query(collection(db, `/artifacts/${appId}/public/data/chatrooms/${roomId}/messages`),
+        where('createdAt', '>=', from), where('createdAt', '<=', to), orderBy('createdAt'), limit(TRANSCRIPT_MAX_MESSAGES));
+    const snapshot = await getDocs(q);
+    const messages = snapshot.docs.map(d => ({ id: d.id, ...d.data() }))
+        .filter(m => m.text && m.status !== 'streaming' && m.status !== 'failed' && (includeOoc || !isOocMessage(m)));
+    return { messages, truncated: snapshot.size >= TRANSCRIPT_MAX_MESSAGES };
+};
+
+const prefixLines = (text, prefix) => text.split('\n').map(line => `${prefix}${line}`).join('\n');
+
+// One paragraph per message, in the formatting TextFormatter understands. NPC lines are quoted.
+export const transcriptMarkdown = (messages, showTimes) => messages.map(msg => {
+    const time = showTimes ? `\`${transcriptTime(msg)}\` ` : '';
+    // System lines, dice results included, are written out in full by the backend.
+    if (msg.authorId === 'system') return `${time}— ${msg.text}`;
+    if (msg.isNpc) return prefixLines(`${time}**${msg.authorName}** *(NPC)*: ${msg.text}`, '> ');
+    if (msg.style === 'emote') return `${time}${msg.text.split('\n').map((line, i) => `*${i === 0 ? `${msg.authorName} ` : ''}${line}*`).join('\n')}`;
+    if (isOocMessage(msg)) return `${time}**${msg.authorName}** *(OOC)*: ${msg.text}`;
+    return `${time}**${msg.authorName}:** ${msg.text}`;
+}).join('\n\n');
+
+// Exported pages carry their own stylesheet, so they look the same offline and run no
+// third-party code: the few Tailwind classes the transcript markup uses, written out.
+// Printing drops the dark theme and reveals spoilers.
+const TRANSCRIPT_STYLES = `
+  *, ::before, ::after { box-sizing: border-box; }
+  body { margin: 0; font-family: 'Roboto', system-ui, sans-serif; line-height: 1.5; }
+  h1, h2, h3, h4, p, pre, blockquote, ul, ol { margin: 0; }
+  h1, h2, h3, h4, h5, h6, .font-orbitron { font-family: 'Orbitron', system-ui, sans-serif; }
+  a { color: inherit; }
+  button { font: inherit; background: none; border: 0; padding: 0; cursor: pointer; }
+  hr { border: 0; border-top: 1px solid; }
+  img { display: inline-block; max-width: 100%; }
+  .max-w-3xl { max-width: 48rem; } .mx-auto { margin-left: auto; margin-right: auto; }
+  .p-8 { padding: 2rem; } .p-3 { padding: 0.75rem; } .p-2 { padding: 0.5rem; } .px-1 { padding-left: 0.25rem; padding-right: 0.25rem; }
+  .pl-3 { padding-left: 0.75rem; } .pl-6 { padding-left: 1.5rem; } .ml-2 { margin-left: 0.5rem; } .ml-6 { margin-left: 1.5rem; } .mr-1 { margin-right: 0.25rem; } .mr-2 { margin-right: 0.5rem; }
+  .mt-1 { margin-top: 0.25rem; } .mt-3 { margin-top: 0.75rem; } .mb-1 { margin-bottom: 0.25rem; } .mb-6 { margin-bottom: 1.5rem; }
+  .my-1 { margin-top: 0.25rem; margin-bottom: 0.25rem; } .my-2 { margin-top: 0.5rem; margin-bottom: 0.5rem; } .my-3 { margin-top: 0.75rem; margin-bottom: 0.75rem; }
+  .inline-block { display: inline-block; } .flex { display: flex; } .flex-wrap { flex-wrap: wrap; } .items-center { align-items: center; } .justify-center { justify-content: center; }
+  .gap-1 { gap: 0.25rem; } .w-7 { width: 1.75rem; } .h-7 { height: 1.75rem; } .min-w-\\[1\\.75rem\\] { min-width: 1.75rem; } .max-w-full { max-width: 100%; } .max-h-96 { max-height: 24rem; }
+  .overflow-x-auto { overflow-x: auto; } .break-words { overflow-wrap: break-word; } .cursor-pointer { cursor: pointer; } .select-none { user-select: none; }
+  .list-disc { list-style-type: disc; } .list-decimal { list-style-type: decimal; }
+  .text-xs { font-size: 0.75rem; } .text-sm { font-size: 0.875rem; } .text-lg { font-size: 1.125rem; } .text-xl { font-size: 1.25rem; } .text-2xl { font-size: 1.5rem; } .text-3xl { font-size: 1.875rem; }
+  .font-normal { font-weight: 400; } .font-bold { font-weight: 700; } .italic { font-style: italic; } .uppercase { text-transform: uppercase; }
+  .underline { text-decoration: underline; } .decoration-dashed { text-decoration-style: dashed; } .font-mono { font-family: ui-monospace, monospace; }
+  .rounded { border-radius: 0.25rem; } .rounded-md { border-radius: 0.375rem; }
+  .border { border: 1px solid; } .border-l-2 { border-left: 2px solid; } .border-l-4 { border-left: 4px solid; }
+  .bg-slate-900 { background: #0f172a; } .bg-slate-800\\/80 { background: rgb(30 41 59 / 0.8); } .bg-slate-700 { background: #334155; } .bg-slate-700\\/60 { background: rgb(51 65 85 / 0.6); } .bg-slate-600 { background: #475569; }
+  .bg-black { background: #000; } .bg-white { background: #fff; } .bg-green-600 { background: #16a34a; } .bg-yellow-400 { background: #facc15; } .bg-sky-400 { background: #38bdf8; } .bg-purple-700 { background: #7e22ce; } .bg-red-700 { background: #b91c1c; }
+  .text-black { color: #000; } .text-transparent { color: transparent; } .text-slate-200 { color: #e2e8f0; } .text-slate-300 { color: #cbd5e1; } .text-slate-400 { color: #94a3b8; } .text-slate-500 { color: #64748b; }
+  .text-yellow-100 { color: #fef9c3; } .text-yellow-200 { color: #fef08a; } .text-yellow-400 { color: #facc15; } .text-green-400 { color: #4ade80; } .text-green-600 { color: #16a34a; }
+  .text-purple-300 { color: #d8b4fe; } .text-red-400 { color: #f87171; } .text-cyan-400 { color: #22d3ee; }
+  .border-slate-500 { border-color: #64748b; } .border-slate-600 { border-color: #475569; } .border-green-700 { border-color: #15803d; } .border-yellow-400\\/60 { border-color: rgb(250 204 21 / 0.6); }
+  .transcript-line .text-transparent:hover { color: inherit; }
+  @media print {
+    body, body * { background: transparent !important; color: #000 !important; }
+    .transcript-line { break-inside: avoid; }
+  }
+`;
+
+const TranscriptLine = ({ msg, showTimes }) => {
+    const time = showTimes && <span className="mr-2 text-xs font-normal text-slate-500">{transcriptTime(msg)}</span>;
+    if (msg.authorId === 'system') {
+        return (
+            <div className="transcript-line my-2 text-sm text-slate-400 italic">
+                {time}{msg.roll ? <DiceRoll roll={msg.roll} rolledByName={msg.rolledByName} /> : <TextFormatter text={msg.text} />}
+            </div>
+        );
+    }
+    const isOoc = isOocMessage(msg);
+    return (
+        <div className={`transcript-line my-3 ${msg.isNpc ? 'ml-6 pl-3 border-l-2 border-green-700' : ''}`}>
+            <p className={`font-bold ${msg.isNpc ? 'text-green-400' : msg.characterId ? 'text-purple-300' : 'text-yellow-400'}`}>
+                {time}{msg.authorName}
+                {msg.isNpc && <span className="ml-2 text-xs font-normal text-green-600 border border-green-700 rounded px-1">NPC</span>}
+                {isOoc && <span className="ml-2 text-xs font-normal text-slate-400 border border-slate-600 rounded px-1">OOC</span>}
+            </p>
+            {msg.style === 'emote' ? (
+                <div className="text-yellow-100 italic break-words"><TextFormatter text={`${msg.authorName} ${msg.text}`} /></div>
+            ) : (
+                <div className={`break-words ${isOoc ? 'text-slate-400 text-sm' : 'text-slate-200'}`}><TextFormatter text={msg.text} /></div>
+            )}
+        </div>
+    );
+};
+
+// A complete HTML page. React escapes every piece of chat text, as it does in the app itself.
+// Pages meant for printing open the print dialog once they have loaded.
+const transcriptHtml = ({ title, range, messages, showTimes, wikiContext, print = false }) => '<!DOCTYPE html>' + renderToStaticMarkup(
+    <html lang="en">
+        <head>
+            <meta charSet="utf-8" />
+            <meta name="viewport" content="width=device-width, initial-scale=1" />
+            <title>{title}</title>
+            <style dangerouslySetInnerHTML={{ __html: TRANSCRIPT_STYLES }} />
+            {print && <script dangerouslySetInnerHTML={{ __html: "window.addEventListener('load', () => window.print());" }} />}
+        </head>
+        <body className="bg-slate-900 text-slate-300">
+            <main className="max-w-3xl mx-auto p-8">
+                <h1 className="text-3xl font-orbitron text-yellow-400">{title}</h1>
+                <p className="text-sm text-slate-500 mb-6">{range}</p>
+                <WikiContext.Provider value={wikiContext}>
+                    {messages.map(msg => <TranscriptLine key={msg.id} msg={msg} showTimes={showTimes} />)}
+                </WikiContext.Provider>
+            </main>
+        </body>
+    </html>
+);
+
+const TranscriptExport = ({ room, userData, onClose, onOpenBlog }) => {
+    const wikiContext = useContext(WikiContext);
+    const [from, setFrom] = useState(() => toDateTimeInput(new Date(Date.now() - TRANSCRIPT_DEFAULT_HOURS * 3600000)));
+    const [to, setTo] = useState(() => toDateTimeInput(new Date()));
+    const [includeOoc, setIncludeOoc] = useState(false);
+    const [showTimes, setShowTimes] = useState(false);
+    const [postTitle, setPostTitle] = useState(() => `${chatroomTitle(room)} – ${new Date().toLocaleDateString()}`);
+    const [busy, setBusy] = useState('');
+    const [message, setMessage] = useState('');
+
+    const title = chatroomTitle(room);
+    const fileName = `${title.replace(/[^\w-]+/g, '-').toLowerCase()}-${from.slice(0, 10)}`;
+
+    // Runs `action` with the transcript, or explains why there is nothing to export.
+    // Resolves to whether `action` ran.
+    const withTranscript = async (kind, action) => {
+        const fromDate = new Date(from);
+        const toDate = new Date(to);
+        if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime()) || fromDate > toDate) {
+            setMessage('Error: Pick a start before the end.');
+            return false;
+        }
+        let done = false;
+        setBusy(kind);
+        setMessage('');
+        try {
+            const { messages, truncated } = await loadTranscriptMessages(room.id, fromDate, toDate, includeOoc);
+            if (messages.length === 0) {
+                setMessage('Error: Nothing was posted in that time.');
+            } else {
+                await action({ messages, range: transcriptRange(fromDate, toDate) });
+                done = true;
+                if (truncated) setMessage(`Only the first ${TRANSCRIPT_MAX_MESSAGES} messages were included. Export the rest separately.`);
+            }
+        } catch (error) {
+            console.error("Error exporting transcript:", error);
+            setMessage(`Error: ${error.message}`);
+        }
+        setBusy('');
+        return done;
+    };
+
+    const handleMarkdown = () => withTranscript('markdown', ({ messages, range }) => {
+        downloadFile(`${fileName}.md`, `# ${title}\n\n*${range}*\n\n${transcriptMarkdown(messages, showTimes)}\n`, 'text/markdown');
+    });
+
+    const handleHtml = () => withTranscript('html', ({ messages, range }) => {
+        downloadFile(`${fileName}.html`, transcriptHtml({ title, range, messages, showTimes, wikiContext }), 'text/html');
+    });
+
+    const handlePrint = () => {
+        // Opened right away: browsers only allow pop-ups in direct response to a click.
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            setMessage('Error: Allow pop-ups for this site to print transcripts.');
+            return;
+        }
+        withTranscript('print', ({ messages, range }) => {
+            printWindow.document.write(transcriptHtml({ title, range, messages, showTimes, wikiContext, print: true }));
+            printWindow.document.close();
+        }).then(done => {
+            if (!done) printWindow.close();
+        });
+    };
+
+    const handleDataLog = () => withTranscript('blog', async ({ messages, range }) => {
+        const name = postTitle.trim() || title;
+        const content = `*${range} in #${title}*\n\n${transcriptMarkdown(messages, showTimes)}`;
+        const data = { name, content, coverUrl: room.bgUrl || '', creatorId: getUserId(), createdAt: new Date() };
+        const itemRef = await saveWithRevision(`/artifacts/${appId}/public/data/blogs`, null, data, { action: 'create', authorName: userData.displayName || '' });
+        onOpenBlog({ id: itemRef.id, ...data });
+    });
+
+    const inputClasses = 'w-full bg-slate-900 border border-slate-700 rounded-md p-2 text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400';
+
+    return (
+        <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 overflow-y-auto">
+            <div className="bg-slate-800 p-6 rounded-lg w-full max-w-md border border-yellow-400 relative text-slate-300">
+                <button type="button" onClick={onClose} className="absolute top-3 right-3 text-slate-400 hover:text-white"><X size={24} /></button>
+                <h3 className="text-2xl font-orbitron mb-1 text-yellow-400">Transcript</h3>
+                <p className="text-sm text-slate-400 mb-4">Write up part of #{title} as a story. Whispers are never included.</p>
+
+                <div className="grid grid-cols-2 gap-2">
+                    <label className="text-sm text-yellow-400">From
+                        <input type="datetime-local" value={from} onChange={e => setFrom(e.target.value)} className={`${inputClasses} mt-1`} />
+                    </label>
+                    <label className="text-sm text-yellow-400">To
+                        <input type="datetime-local" value={to} onChange={e => setTo(e.target.value)} className={`${inputClasses} mt-1`} />
+                    </label>
+                </div>
+                <label className="flex items-center gap-2 text-sm mt-3">
+                    <input type="checkbox" checked={includeOoc} onChange={e => setIncludeOoc(e.target.checked)} /> Include OOC messages
+                </label>
+                <label className="flex items-center gap-2 text-sm mt-1">
+                    <input type="checkbox" checked={showTimes} onChange={e => setShowTimes(e.target.checked)} /> Show when each message was posted
+                </label>
+
+                <div className="grid grid-cols-3 gap-2 mt-4">
+                    <button onClick={handleMarkdown} disabled={!!busy} className="bg-slate-600 py-2 px-3 rounded-md hover:bg-slate-500 text-sm disabled:opacity-50">{busy === 'markdown' ? 'Exporting...' : 'Markdown'}</button>
+                    <button onClick={handleHtml} disabled={!!busy} className="bg-slate-600 py-2 px-3 rounded-md hover:bg-slate-500 text-sm disabled:opacity-50">{busy === 'html' ? 'Exporting...' : 'HTML'}</button>
+                    <button onClick={handlePrint} disabled={!!busy} title="Print, or save as PDF from the print dialog" className="bg-slate-600 py-2 px-3 rounded-md hover:bg-slate-500 text-sm disabled:opacity-50">{busy === 'print' ? 'Preparing...' : 'Print / PDF'}</button>
+                </div>
+
+                <label className="block text-sm text-yellow-400 mt-6 mb-1" htmlFor="transcript-title">Data Log title</label>
+                <input id="transcript-title" type="text" value={postTitle} onChange={e => setPostTitle(e.target.value)} className={inputClasses} />
+                <button onClick={handleDataLog} disabled={!!busy} className="w-full mt-2 bg-yellow-400 text-black font-bold py-2 px-4 rounded-md hover:bg-yellow-300 transition-colors disabled:opacity-50">
+                    {busy === 'blog' ? 'Posting...' : 'Create Data Log'}
+                </button>
+
+                {message && <p className={`mt-4 text-center text-sm ${message.startsWith('Error') ? 'text-red-400' : 'text-green-400'}`}>{message}</p>}
+            </div>
+        </div>
+    );
+};
+
+// --- Generic Create/Edit Modal ---
+const CreateEditModal = ({ onFinish, onSave, item, fields, title, defaults }) => {
+    const [state, setState] = useState(() => {
+        const initialState = {};
+        fields.forEach(field => {
+            initialState[field.name] = item?.[field.name] || defaults?.[field.name] || '';
+        });
+        return initialState;
+    });
+    const [hiddenPreviews, setHiddenPreviews] = useState([]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setState(prevState => ({ ...prevState, [name]: value }));
+    };
+
+    const togglePreview = (name) => {
+        setHiddenPreviews(prev => prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const hasName = state.name && state.name.trim() !== '';
+        if (!hasName) {
+            alert("Name/Title is required.");
+            return;
+        }
+        await onSave(state);
+        onFinish();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50 overflow-y-auto">
+            <form onSubmit={handleSubmit} className="bg-slate-800 p-6 rounded-lg w-full max-w-2xl border border-yellow-400 relative">
+                <button type="button" onClick={onFinish} className="absolute top-3 right-3 text-slate-400 hover:text-white"><X size={24} /></button>
+                <h3 className="text-2xl font-orbitron mb-4 text-yellow-400">{item ? `Edit ${title}` : `Create ${title}`}</h3>
                 {fields.map(field => {
+                    if (field.type === 'select') {
+                        return <div key={field.name}>
+                            <label className="block text-yellow-400 mb-1 mt-4 text-sm" htmlFor={field.name}>{field.placeholder}</label>
+                            <select id={field.name} name={field.name} value={state[field.name]} onChange={handleChange}
+                                className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-yellow-400">
+                                {field.options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                            </select>
+                        </div>
+                    }
                     const C = field.type === 'textarea' ? 'textarea' : 'input';
+                    const showPreview = C === 'textarea' && !hiddenPreviews.includes(field.name);
                     return <div key={field.name}>
-                        <label className="block text-yellow-400 mb-1 mt-4 text-sm" htmlFor={field.name}>{field.placeholder}</label>
+                        <div className="flex justify-between items-end">
+                            <label className="block text-yellow-400 mb-1 mt-4 text-sm" htmlFor={field.name}>{field.placeholder}</label>
+                            {C === 'textarea' && (
+                                <button type="button" onClick={() => togglePreview(field.name)} className="text-xs text-slate-400 hover:text-yellow-400 mb-1">{showPreview ? 'Hide preview' : 'Show preview'}</button>
+                            )}
+                        </div>
                         <C id={field.name} type={field.type || 'text'} name={field.name} value={state[field.name]} onChange={handleChange} placeholder={field.placeholder}
                            className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-yellow-400"
                            rows={field.name === 'personality' ? 5 : (C === 'textarea' ? 10 : undefined)}
                            readOnly={field.readOnly}
                            />
+                        {C === 'textarea' && <p className="text-xs text-slate-500 mt-1">{FORMATTING_HELP}</p>}
+                        {showPreview && (
+                            <div className="mt-2 p-3 bg-slate-900/60 border border-slate-700 rounded-md max-h-64 overflow-y-auto text-slate-200 break-words">
+                                {state[field.name] ? <TextFormatter text={state[field.name]} /> : <p className="text-slate-500 italic">Preview</p>}
+                            </div>
+                        )}
                     </div>
                 })}
                 <div className="flex justify-end gap-4 mt-6">
@@ -530,17 +2862,35 @@ const CreateEditModal = ({ onFinish, onSave, item, fields, title }) => {
 }
 
 // --- Wiki Section ---
-const WikiSection = ({ onSelectWiki }) => {
-    const [items, setItems] = useState([]);
+const WikiSection = ({ onSelectWiki, roles, userData, draft, onDraftOpened }) => {
+    const { openCategory } = useContext(WikiContext);
+    const [allItems, setAllItems] = useState([]);
+    const [showTrash, setShowTrash] = useState(false);
     const [modalState, setModalState] = useState({ isOpen: false, item: null, type: null });
+    const [chatrooms, setChatrooms] = useState([]);
+    const [mapPoints, setMapPoints] = useState([]);
     const collectionPath = `/artifacts/${appId}/public/data/wikis`;
+    const mapPointsCollectionPath = `/artifacts/${appId}/public/data/mappoints`;
+    const seesAllChannels = isGameMaster(roles);
 
     useEffect(() => {
         const q = query(collection(db, collectionPath));
-        const unsub = onSnapshot(q, (snapshot) => setItems(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
-        return () => unsub();
-    }, [collectionPath]);
+        const unsub = onSnapshot(q, (snapshot) => setAllItems(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
+        // Chatrooms and map points are offered as NPC assignments
+        const chatUnsub = subscribeToVisibleChatrooms(seesAllChannels, setChatrooms);
+        const mapUnsub = onSnapshot(query(collection(db, mapPointsCollectionPath)), (snapshot) => setMapPoints(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
+        return () => { unsub(); chatUnsub(); mapUnsub(); };
+    }, [collectionPath, mapPointsCollectionPath, seesAllChannels]);
     
+    const items = allItems.filter(item => !item.deletedAt);
+    const trashedItems = allItems.filter(item => item.deletedAt);
+
+    useEffect(() => {
+        if (!draft) return;
+        setModalState({ isOpen: true, item: null, type: 'wiki', defaults: draft });
+        onDraftOpened();
+    }, [draft, onDraftOpened]);
+
     const handleCreate = (type) => {
         setModalState({ isOpen: true, item: null, type: type });
     };
@@ -550,318 +2900,1808 @@ const WikiSection = ({ onSelectWiki }) => {
     };
     
     const handleSave = async (data) => {
+       const authorName = userData.displayName || '';
        if (modalState.item) {
-           await setDoc(doc(db, collectionPath, modalState.item.id), data, { merge: true });
+           await saveWithRevision(collectionPath, modalState.item.id, data, { action: 'edit', previous: modalState.item, authorName });
        } else {
-           const initialData = { ...data, type: modalState.type, creatorId: getUserId(), createdAt: new Date() };
-           if (modalState.type === 'npc') {
-               initialData.interaction_history = "NPC created.";
-           }
-           await addDoc(collection(db, collectionPath), initialData);
+           await saveWithRevision(collectionPath, null, { ...data, type: modalState.type, creatorId: getUserId(), createdAt: new Date() }, { action: 'create', authorName });
        }
     };
 
-    const handleDelete = async (itemId) => {
-        await deleteDoc(doc(db, collectionPath, itemId));
+    const handleDelete = async (itemId) => {
+        await moveToTrash(collectionPath, items.find(item => item.id === itemId), userData.displayName || '');
+    };
+    
+    const getFieldsForType = (type) => {
+        const baseFields = [
+            { name: 'name', placeholder: 'Name / Title'},
+            { name: 'coverUrl', placeholder: 'Cover Image URL (Optional)'},
+            { name: 'bgUrl', placeholder: 'Background Image URL (Optional)'},
+            { name: 'tags', placeholder: 'Categories (Optional, comma-separated, e.g. Rebel Alliance, Planets)'}
+        ];
+        if (type === 'npc') {
+            return [
+                ...baseFields,
+                { name: 'personality', placeholder: 'Personality & Backstory', type: 'textarea' },
+                // Only game masters pick the model an NPC runs on (see firestore.rules).
+                ...(isGameMaster(roles) ? [
+                    { name: 'llmProvider', placeholder: 'AI Provider', type: 'select', options: [
+                        { value: '', label: 'Deployment default' },
+                        ...NPC_PROVIDER_OPTIONS,
+                    ]},
+                    { name: 'llmModel', placeholder: 'AI Model (Optional, e.g. gemini-2.0-flash, llama3)' },
+                    { name: 'llmEndpoint', placeholder: 'AI Endpoint URL (Optional)' },
+                ] : []),
+                { name: 'assignedChatroomId', placeholder: 'Stationed in Chatroom (Optional)', type: 'select', options: [
+                    { value: '', label: 'None' },
+                    ...chatrooms.filter(room => !isDirectMessage(room)).map(room => ({ value: room.id, label: room.name })),
+                ]},
+                { name: 'assignedMapPointId', placeholder: "Stationed at Map Location (Optional, uses the location's chatrooms)", type: 'select', options: [
+                    { value: '', label: 'None' },
+                    ...mapPoints.map(point => ({ value: point.id, label: point.name })),
+                ]},
+                { name: 'greetOnJoin', placeholder: 'Greet players who enter', type: 'select', options: [
+                    { value: '', label: 'No' },
+                    { value: 'yes', label: 'Yes' },
+                ]},
+                { name: 'triggerKeywords', placeholder: 'React to Keywords (Optional, comma-separated, e.g. spice, bounty)' },
+                { name: 'ambientIntervalMinutes', placeholder: 'Ambient Line Every N Quiet Minutes (Optional)', type: 'number' },
+                { name: 'autonomyCooldownSeconds', placeholder: `Min. Seconds Between Unprompted Lines (Optional, default ${DEFAULT_AUTONOMY_COOLDOWN_SECONDS})`, type: 'number' },
+                { name: 'autonomyMaxPerHour', placeholder: `Max. Unprompted Lines per Hour (Optional, default ${DEFAULT_AUTONOMY_MAX_PER_HOUR})`, type: 'number' },
+            ]
+        }
+        return [...baseFields, { name: 'content', placeholder: 'Content / Biography', type: 'textarea' }];
+    }
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-6">
+                <div className="flex items-center">
+                    <BookOpen size={32} className="text-yellow-400" />
+                    <h2 className="text-3xl font-orbitron text-yellow-400 ml-3">Holo-Wiki</h2>
+                </div>
+                 <div className="flex gap-2">
+                    <button onClick={() => handleCreate('npc')} className="flex items-center bg-green-500 text-white px-4 py-2 rounded-md hover:bg-green-400 transition-colors">
+                        <BrainCircuit size={20} className="mr-2" /> Generate NPC
+                    </button>
+                    <button onClick={() => handleCreate('character')} className="flex items-center bg-purple-500 text-white px-4 py-2 rounded-md hover:bg-purple-400 transition-colors">
+                        <UserSquare size={20} className="mr-2" /> New Character
+                    </button>
+                    <button onClick={() => handleCreate('wiki')} className="flex items-center bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-400 transition-colors">
+                        <Library size={20} className="mr-2" /> New Wiki
+                    </button>
+                    <button onClick={() => setShowTrash(!showTrash)} title="Trash" className={`flex items-center px-3 py-2 rounded-md transition-colors ${showTrash ? 'bg-red-500 text-white' : 'bg-slate-700 hover:bg-slate-600'}`}>
+                        <Trash2 size={20} /><span className="ml-1 text-sm">{trashedItems.length}</span>
+                    </button>
+                </div>
+            </div>
+            
+            {modalState.isOpen && <CreateEditModal 
+                onFinish={() => setModalState({ isOpen: false, item: null, type: null })} 
+                onSave={handleSave} 
+                item={modalState.item}
+                defaults={modalState.defaults}
+                fields={getFieldsForType(modalState.type)}
+                title={modalState.type === 'character' ? 'Character' : modalState.type === 'npc' ? 'NPC' : 'Wiki Entry'}
+            />}
+            
+            {showTrash && <TrashBin items={trashedItems} collectionPath={collectionPath} roles={roles} userData={userData} />}
+
+            {getAllCategories(items).length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-4">
+                    {getAllCategories(items).map(([category, count]) => (
+                        <button key={category} onClick={() => openCategory(category)} className="text-xs bg-slate-800 border border-slate-700 rounded-full px-3 py-1 hover:border-yellow-400">{category} <span className="text-slate-500">{count}</span></button>
+                    ))}
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                {items.map(item => <ItemCard key={item.id} item={item} onSelectItem={onSelectWiki} onEdit={handleEdit} onDelete={handleDelete} canModify={canModify(item, roles)} />)}
+            </div>
+        </div>
+    );
+};
+
+const WikiPage = ({ wiki: initialWiki, goBack, roles, userData }) => {
+    const { wikis, openWiki, openCategory } = useContext(WikiContext);
+    const [showHistory, setShowHistory] = useState(false);
+    const [isEditingSheet, setIsEditingSheet] = useState(false);
+    const [isFollowing, setIsFollowing] = useState(false);
+    // Follow live edits of the open entry
+    const wiki = wikis.find(w => w.id === initialWiki.id) || initialWiki;
+    const followerPath = `/artifacts/${appId}/public/data/wikis/${wiki.id}/followers/${getUserId()}`;
+
+    useEffect(() => {
+        const unsub = onSnapshot(doc(db, followerPath), (d) => setIsFollowing(d.exists()), (error) => console.error("Error listening to follow state:", error));
+        return () => unsub();
+    }, [followerPath]);
+
+    // Followers get an inbox notification whenever someone else saves the entry.
+    const handleToggleFollow = async () => {
+        try {
+            if (isFollowing) {
+                await deleteDoc(doc(db, followerPath));
+            } else {
+                await setDoc(doc(db, followerPath), { uid: getUserId(), followedAt: new Date() });
+            }
+        } catch (error) {
+            console.error("Error changing follow state:", error);
+        }
+    };
+    const backlinks = findBacklinks(wikis, wiki);
+    const tags = parseTags(wiki.tags);
+
+    return (
+        <div className="bg-slate-900/50 rounded-lg overflow-hidden">
+            {wiki.coverUrl && <img src={wiki.coverUrl} alt="Cover Image" className="w-full h-48 object-cover" onError={(e) => { e.target.style.display = 'none'; }} />}
+            <div className="p-0 sm:p-6 bg-cover bg-center" style={{backgroundImage: wiki.bgUrl ? `url(${wiki.bgUrl})` : 'none'}}>
+                <div className="bg-slate-900/80 p-4 sm:p-6 rounded-lg">
+                    <div className="flex items-center mb-4">
+                        <button onClick={goBack} className="mr-4 p-2 rounded-full hover:bg-slate-700"><ChevronRight className="rotate-180" size={24} /></button>
+                        <h2 className="text-3xl font-orbitron text-yellow-400">{wiki.name}</h2>
+                        <button onClick={handleToggleFollow} title={isFollowing ? 'Stop getting notified about edits' : 'Get notified when someone edits this entry'} className={`ml-auto mr-4 flex items-center text-sm hover:text-yellow-400 ${isFollowing ? 'text-yellow-400' : 'text-slate-400'}`}>{isFollowing ? <BellOff size={18} className="mr-1"/> : <Bell size={18} className="mr-1"/>}{isFollowing ? 'Unfollow' : 'Follow'}</button>
+                        <button onClick={() => setShowHistory(!showHistory)} className="flex items-center text-sm text-slate-400 hover:text-yellow-400"><History size={18} className="mr-1"/>History</button>
+                    </div>
+                    {showHistory && <RevisionHistory item={wiki} collectionPath={`/artifacts/${appId}/public/data/wikis`} canRestore={canModify(wiki, roles)} userData={userData} />}
+                    {tags.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mb-4">
+                            {tags.map(tag => <button key={tag} onClick={() => openCategory(tag)} className="text-xs bg-slate-800 border border-slate-700 rounded-full px-3 py-1 hover:border-yellow-400">{tag}</button>)}
+                        </div>
+                    )}
+                    <div className="prose prose-invert prose-p:text-slate-300 prose-headings:text-yellow-400 max-w-none">
+                        {wiki.type === 'npc' ? (
+                            <>
+                                <h3 className="text-yellow-400">Personality & Backstory</h3>
+                                <TextFormatter text={wiki.personality} />
+                                <h3 className="text-yellow-400 mt-6">Memory</h3>
+                                <NpcMemoryTimeline npc={wiki} canForget={canModify(wiki, roles)} />
+                            </>
+                        ) : (
+                            <TextFormatter text={wiki.content} />
+                        )}
+                    </div>
+                    {wiki.type === 'character' && (
+                        <CharacterSheet wiki={wiki} canEdit={canModify(wiki, roles)} onEdit={() => setIsEditingSheet(true)} />
+                    )}
+                    {isEditingSheet && <CharacterSheetForm wiki={wiki} userData={userData} onFinish={() => setIsEditingSheet(false)} />}
+                    <div className="mt-6 pt-4 border-t border-slate-700">
+                        <h3 className="text-sm font-orbitron text-yellow-400 mb-2">Linked From</h3>
+                        {backlinks.length === 0 ? (
+                            <p className="text-sm text-slate-400 italic">No other entries link here yet.</p>
+                        ) : (
+                            <div className="flex flex-wrap gap-2">
+                                {backlinks.map(entry => <button key={entry.id} onClick={() => openWiki(entry)} className="text-sm text-cyan-400 hover:underline">{entry.name}</button>)}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const SheetStat = ({ label, value }) => (
+    <div className="bg-slate-900 border border-slate-700 rounded-md px-3 py-2 text-center">
+        <p className="text-xs uppercase text-slate-400">{label}</p>
+        <p className="text-lg font-bold text-slate-100">{value}</p>
+    </div>
+);
+
+const CharacterSheet = ({ wiki, canEdit, onEdit }) => {
+    const template = useSheetTemplate();
+    const sheet = wiki.sheet;
+
+    return (
+        <div className="mt-6 pt-4 border-t border-slate-700">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="text-xl font-orbitron text-yellow-400 flex items-center"><UserSquare size={20} className="mr-2"/>Character Sheet</h3>
+                {canEdit && <button onClick={onEdit} className="flex items-center text-sm text-slate-400 hover:text-yellow-400"><Edit size={16} className="mr-1"/>{sheet ? 'Edit Sheet' : 'Create Sheet'}</button>}
+            </div>
+            {!sheet ? (
+                <p className="text-sm text-slate-400 italic">No sheet yet.</p>
+            ) : (
+                <>
+                    <p className="text-sm text-slate-300 mb-3">
+                        {[sheet.species, sheet.faction].filter(Boolean).join(' \u00B7 ') || 'Unknown origins'}
+                        {sheet.forceSensitive && <span className="ml-2 text-xs bg-cyan-500/20 text-cyan-300 rounded-full px-2 py-0.5">Force sensitive</span>}
+                    </p>
+                    <div className="grid grid-cols-3 md:grid-cols-6 gap-2 mb-4">
+                        {template.attributes.map(a => <SheetStat key={a.key} label={a.label} value={sheet.attributes?.[a.key] ?? 0} />)}
+                    </div>
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-4">
+                        <SheetStat label="Wounds" value={`${sheet.wounds ?? 0} / ${sheet.woundThreshold ?? 0}`} />
+                        <SheetStat label="Strain" value={`${sheet.strain ?? 0} / ${sheet.strainThreshold ?? 0}`} />
+                        <SheetStat label="Credits" value={Number(sheet.credits || 0).toLocaleString()} />
+                    </div>
+                    <h4 className="text-sm font-bold text-yellow-400 mb-1">Skills</h4>
+                    <ul className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-x-4 text-sm mb-4">
+                        {template.skills.map(skill => (
+                            <li key={skill.key} className="flex justify-between border-b border-slate-800 py-0.5">
+                                <span>{skill.label} <span className="text-xs text-slate-500">({template.attributes.find(a => a.key === skill.attribute)?.label})</span></span>
+                                <span className="font-mono text-slate-200">{sheet.skills?.[skill.key] ?? 0}</span>
+                            </li>
+                        ))}
+                    </ul>
+                    <h4 className="text-sm font-bold text-yellow-400 mb-1">Inventory</h4>
+                    {(sheet.inventory || []).length === 0 ? (
+                        <p className="text-sm text-slate-400 italic">Empty-handed.</p>
+                    ) : (
+                        <ul className="text-sm">
+                            {sheet.inventory.map((entry, i) => (
+                                <li key={i}>{entry.quantity > 1 ? `${entry.quantity}x ` : ''}{entry.name}{entry.notes && <span className="text-slate-400"> &middot; {entry.notes}</span>}</li>
+                            ))}
+                        </ul>
+                    )}
+                    <p className="text-xs text-slate-500 mt-3">Roll from this sheet in chat with /check while posting as {wiki.name}.</p>
+                </>
+            )}
+        </div>
+    );
+};
+
+const CharacterSheetForm = ({ wiki, userData, onFinish }) => {
+    const template = useSheetTemplate();
+    const [sheet, setSheet] = useState(() => {
+        const base = emptySheet(template);
+        const saved = wiki.sheet || {};
+        return { ...base, ...saved, attributes: { ...base.attributes, ...saved.attributes }, skills: { ...base.skills, ...saved.skills }, inventory: saved.inventory || [] };
+    });
+    const [error, setError] = useState('');
+
+    const setField = (name, value) => setSheet(current => ({ ...current, [name]: value }));
+    const setNested = (group, key, value) => setSheet(current => ({ ...current, [group]: { ...current[group], [key]: value } }));
+    const setInventory = (index, changes) => setSheet(current => ({ ...current, inventory: current.inventory.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)) }));
+    const toNumber = (value) => Number(value) || 0;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const cleaned = {
+            ...sheet,
+            inventory: sheet.inventory.filter(entry => entry.name.trim()).map(entry => ({ name: entry.name.trim(), quantity: Math.max(1, toNumber(entry.quantity)), notes: (entry.notes || '').trim() })),
+        };
+        try {
+            await saveWithRevision(`/artifacts/${appId}/public/data/wikis`, wiki.id, { sheet: cleaned }, { action: 'edit', previous: wiki, authorName: userData.displayName || '' });
+            onFinish();
+        } catch (saveError) {
+            console.error("Error saving character sheet:", saveError);
+            setError('Error saving the sheet.');
+        }
+    };
+
+    const inputClass = "w-full bg-slate-900 border border-slate-700 rounded-md p-2 text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400";
+    const numberInput = (value, onChange) => <input type="number" value={value} onChange={e => onChange(toNumber(e.target.value))} className={inputClass} />;
+
+    return (
+        <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4">
+            <form onSubmit={handleSubmit} className="bg-slate-800 border border-slate-700 rounded-lg p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-2xl font-orbitron text-yellow-400">Character Sheet: {wiki.name}</h3>
+                    <button type="button" onClick={onFinish} className="text-slate-400 hover:text-white"><X size={24} /></button>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+                    <input type="text" value={sheet.species} onChange={e => setField('species', e.target.value)} placeholder="Species" className={inputClass} />
+                    <input type="text" value={sheet.faction} onChange={e => setField('faction', e.target.value)} placeholder="Faction" className={inputClass} />
+                    <label className="flex items-center text-sm"><input type="checkbox" checked={!!sheet.forceSensitive} onChange={e => setField('forceSensitive', e.target.checked)} className="mr-2" />Force sensitive</label>
+                </div>
+                <h4 className="text-sm font-bold text-yellow-400 mb-2">Attributes</h4>
+                <div className="grid grid-cols-3 md:grid-cols-6 gap-2 mb-4">
+                    {template.attributes.map(a => <label key={a.key} className="text-xs text-slate-400">{a.label}{numberInput(sheet.attributes[a.key] ?? 0, value => setNested('attributes', a.key, value))}</label>)}
+                </div>
+                <h4 className="text-sm font-bold text-yellow-400 mb-2">Skill Ranks</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4">
+                    {template.skills.map(s => <label key={s.key} className="text-xs text-slate-400">{s.label}{numberInput(sheet.skills[s.key] ?? 0, value => setNested('skills', s.key, value))}</label>)}
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-4">
+                    <label className="text-xs text-slate-400">Wounds{numberInput(sheet.wounds, value => setField('wounds', value))}</label>
+                    <label className="text-xs text-slate-400">Wound Threshold{numberInput(sheet.woundThreshold, value => setField('woundThreshold', value))}</label>
+                    <label className="text-xs text-slate-400">Strain{numberInput(sheet.strain, value => setField('strain', value))}</label>
+                    <label className="text-xs text-slate-400">Strain Threshold{numberInput(sheet.strainThreshold, value => setField('strainThreshold', value))}</label>
+                    <label className="text-xs text-slate-400">Credits{numberInput(sheet.credits, value => setField('credits', value))}</label>
+                </div>
+                <h4 className="text-sm font-bold text-yellow-400 mb-2">Inventory</h4>
+                {sheet.inventory.map((entry, i) => (
+                    <div key={i} className="flex gap-2 mb-2">
+                        <input type="number" min="1" value={entry.quantity} onChange={e => setInventory(i, { quantity: e.target.value })} className={`${inputClass} w-20 flex-none`} />
+                        <input type="text" value={entry.name} onChange={e => setInventory(i, { name: e.target.value })} placeholder="Item" className={inputClass} />
+                        <input type="text" value={entry.notes || ''} onChange={e => setInventory(i, { notes: e.target.value })} placeholder="Notes (Optional)" className={inputClass} />
+                        <button type="button" onClick={() => setField('inventory', sheet.inventory.filter((_, j) => j !== i))} className="text-slate-400 hover:text-red-500"><Trash2 size={16} /></button>
+                    </div>
+                ))}
+                <button type="button" onClick={() => setField('inventory', [...sheet.inventory, { name: '', quantity: 1, notes: '' }])} className="flex items-center text-sm text-slate-400 hover:text-yellow-400 mb-4"><Plus size={16} className="mr-1" />Add item</button>
+                {error && <p className="text-sm text-red-400 mb-2">{error}</p>}
+                <div className="flex justify-end gap-4">
+                    <button type="button" onClick={onFinish} className="px-4 py-2 rounded-md hover:bg-slate-700">Cancel</button>
+                    <button type="submit" className="bg-yellow-400 text-black font-bold px-4 py-2 rounded-md hover:bg-yellow-300">Save Sheet</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+const CategoryPage = ({ category, goBack }) => {
+    const { wikis, openWiki } = useContext(WikiContext);
+    const entries = getCategoryEntries(wikis, category).sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+    return (
+        <div>
+            <div className="flex items-center mb-6">
+                <button onClick={goBack} className="mr-4 p-2 rounded-full hover:bg-slate-700"><ChevronRight className="rotate-180" size={24} /></button>
+                <Library size={32} className="text-yellow-400" />
+                <h2 className="text-3xl font-orbitron text-yellow-400 ml-3">Category: {category}</h2>
+            </div>
+            {entries.length === 0 && <p className="text-slate-400 italic">No entries in this category yet.</p>}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                {entries.map(item => <ItemCard key={item.id} item={item} onSelectItem={openWiki} canModify={false} />)}
+            </div>
+        </div>
+    );
+};
+
+const NpcMemoryTimeline = ({ npc, canForget }) => {
+    const [memory, setMemory] = useState([]);
+    const [channelFilter, setChannelFilter] = useState('');
+    const memoryPath = `/artifacts/${appId}/public/data/wikis/${npc.id}/memory`;
+
+    useEffect(() => {
+        const q = query(collection(db, memoryPath), orderBy('createdAt'));
+        const unsub = onSnapshot(q, (snapshot) => setMemory(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))), (error) => {
+            console.error("Error loading NPC memory:", error);
+        });
+        return () => unsub();
+    }, [memoryPath]);
+
+    const handleDeleteEntry = async (entryId) => {
+        await deleteDoc(doc(db, memoryPath, entryId));
+    };
+
+    const channels = [...new Set(memory.filter(m => m.channelName).map(m => m.channelName))];
+    const visible = memory.filter(m => !channelFilter || m.kind === 'summary' || m.channelName === channelFilter);
+
+    return (
+        <div className="bg-slate-800/50 p-4 rounded-md">
+            {channels.length > 1 && (
+                <select value={channelFilter} onChange={e => setChannelFilter(e.target.value)} className="mb-3 bg-slate-900 border border-slate-700 rounded-md p-1 text-sm">
+                    <option value="">All channels</option>
+                    {channels.map(name => <option key={name} value={name}>#{name}</option>)}
+                </select>
+            )}
+            {typeof npc.interaction_history === 'string' && npc.interaction_history.trim() && (
+                <p className="text-xs text-slate-400 italic mb-3">Legacy history will be imported the next time this NPC speaks.</p>
+            )}
+            {visible.length === 0 && <p className="text-slate-400 italic">No memories yet.</p>}
+            <ol className="max-h-96 overflow-y-auto space-y-2 list-none p-0 m-0">
+                {visible.map(entry => (
+                    <li key={entry.id} className={`group flex items-start justify-between gap-3 p-2 rounded ${entry.kind === 'summary' ? 'bg-cyan-900/30 border border-cyan-800' : 'bg-slate-900/50'}`}>
+                        <div className="min-w-0">
+                            <p className="text-xs text-slate-400 m-0">
+                                {entry.kind === 'summary'
+                                    ? `Summary of ${entry.entryCount || 'earlier'} memories`
+                                    : <><span className="text-yellow-400 font-semibold">{entry.speakerName}</span> in #{entry.channelName || 'unknown'}</>}
+                                {' · '}{new Date(toMillis(entry.createdAt)).toLocaleString()}
+                            </p>
+                            <p className="text-sm text-slate-200 m-0 break-words">{entry.text}</p>
+                        </div>
+                        {canForget && <button onClick={() => handleDeleteEntry(entry.id)} title="Forget this memory" className="opacity-0 group-hover:opacity-100 text-slate-400 hover:text-red-500 flex-shrink-0"><Trash2 size={14}/></button>}
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+};
+
+
+// --- Blog Section ---
+const BlogSection = ({ onSelectBlog, roles, userData }) => {
+    const [allItems, setAllItems] = useState([]);
+    const [showTrash, setShowTrash] = useState(false);
+    const [modalState, setModalState] = useState({isOpen: false, item: null});
+    const collectionPath = `/artifacts/${appId}/public/data/blogs`;
+
+    useEffect(() => {
+        const q = query(collection(db, collectionPath));
+        const unsub = onSnapshot(q, (snapshot) => setAllItems(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
+        return () => unsub();
+    }, [collectionPath]);
+
+    const items = allItems.filter(item => !item.deletedAt);
+    const trashedItems = allItems.filter(item => item.deletedAt);
+
+    const handleSave = async (data) => {
+        const authorName = userData.displayName || '';
+        if(modalState.item){
+            await saveWithRevision(collectionPath, modalState.item.id, data, { action: 'edit', previous: modalState.item, authorName });
+        } else {
+            await saveWithRevision(collectionPath, null, { ...data, creatorId: getUserId(), createdAt: new Date() }, { action: 'create', authorName });
+        }
+    };
+
+    const handleDelete = async (itemId) => {
+        await moveToTrash(collectionPath, items.find(item => item.id === itemId), userData.displayName || '');
+    };
+    
+    const handleEdit = (item) => {
+        setModalState({isOpen: true, item: item})
+    }
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-6">
+                <div className="flex items-center">
+                    <Newspaper size={32} className="text-yellow-400" />
+                    <h2 className="text-3xl font-orbitron text-yellow-400 ml-3">Data Logs</h2>
+                </div>
+                <div className="flex gap-2">
+                    <button onClick={() => setModalState({isOpen: true, item: null})} className="flex items-center bg-yellow-400 text-black px-4 py-2 rounded-md hover:bg-yellow-300 transition-colors">
+                        <Plus size={20} className="mr-2" /> Create Post
+                    </button>
+                    <button onClick={() => setShowTrash(!showTrash)} title="Trash" className={`flex items-center px-3 py-2 rounded-md transition-colors ${showTrash ? 'bg-red-500 text-white' : 'bg-slate-700 hover:bg-slate-600'}`}>
+                        <Trash2 size={20} /><span className="ml-1 text-sm">{trashedItems.length}</span>
+                    </button>
+                </div>
+            </div>
+
+            {showTrash && <TrashBin items={trashedItems} collectionPath={collectionPath} roles={roles} userData={userData} />}
+
+            {modalState.isOpen && <CreateEditModal onFinish={() => setModalState({isOpen: false, item: null})} onSave={handleSave} item={modalState.item} fields={[
+                { name: 'name', placeholder: 'Post Title'},
+                { name: 'content', placeholder: 'Content', type: 'textarea' },
+                { name: 'coverUrl', placeholder: 'Cover Image URL (Optional)'}
+            ]} title="Data Log" />}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                {items.map(item => <ItemCard key={item.id} item={item} onSelectItem={onSelectBlog} onEdit={handleEdit} onDelete={handleDelete} canModify={canModify(item, roles)} />)}
+            </div>
+        </div>
+    );
+};
+
+const BlogPost = ({ blog: initialBlog, goBack, roles, userData }) => {
+    const [blog, setBlog] = useState(initialBlog);
+    const [showHistory, setShowHistory] = useState(false);
+    const collectionPath = `/artifacts/${appId}/public/data/blogs`;
+
+    // Follow live edits, e.g. a restored revision
+    useEffect(() => {
+        const unsub = onSnapshot(doc(db, collectionPath, initialBlog.id), (d) => {
+            if (d.exists()) setBlog({ id: d.id, ...d.data() });
+        });
+        return () => unsub();
+    }, [collectionPath, initialBlog.id]);
+
+    return (
+         <div>
+            <div className="flex items-center mb-4">
+                <button onClick={goBack} className="mr-4 p-2 rounded-full hover:bg-slate-700"><ChevronRight className="rotate-180" size={24} /></button>
+                <h2 className="text-3xl font-orbitron text-yellow-400">{blog.name}</h2>
+                <button onClick={() => setShowHistory(!showHistory)} className="ml-auto flex items-center text-sm text-slate-400 hover:text-yellow-400"><History size={18} className="mr-1"/>History</button>
+            </div>
+            <p className="text-sm text-slate-400 mb-4">By User: {blog.creatorId?.substring(0, 8)}</p>
+            {showHistory && <RevisionHistory item={blog} collectionPath={collectionPath} canRestore={canModify(blog, roles)} userData={userData} />}
+            <div className="prose prose-invert prose-p:text-slate-300 prose-headings:text-yellow-400 bg-slate-800/50 p-6 rounded-lg border border-slate-700">
+                 <TextFormatter text={blog.content}/>
+            </div>
+        </div>
+    );
+};
+
+// --- Revision History ---
+const RevisionHistory = ({ item, collectionPath, canRestore, userData }) => {
+    const [revisions, setRevisions] = useState([]);
+    const [selectedId, setSelectedId] = useState(null);
+    const [message, setMessage] = useState('');
+
+    useEffect(() => {
+        const q = query(collection(db, collectionPath, item.id, 'revisions'), orderBy('createdAt', 'desc'));
+        const unsub = onSnapshot(q, (snapshot) => setRevisions(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))), (error) => {
+            console.error("Error loading revisions:", error);
+        });
+        return () => unsub();
+    }, [collectionPath, item.id]);
+
+    const selected = revisions.find(r => r.id === selectedId);
+    const current = revisionSnapshot(item);
+    const changedFields = selected
+        ? [...new Set([...Object.keys(selected.data || {}), ...Object.keys(current)])].filter(field => revisionFieldText(selected.data?.[field]) !== revisionFieldText(current[field]))
+        : [];
+
+    const handleRestore = async () => {
+        // Fields the old revision did not have yet are cleared
+        const restored = Object.fromEntries(changedFields.map(field => [field, selected.data?.[field] ?? deleteField()]));
+        try {
+            await saveWithRevision(collectionPath, item.id, restored, { action: 'restore', previous: item, authorName: userData.displayName || '' });
+            setMessage(`Restored the revision from ${new Date(toMillis(selected.createdAt)).toLocaleString()}.`);
+            setSelectedId(null);
+        } catch (error) {
+            console.error("Error restoring revision:", error);
+            setMessage('Error restoring revision.');
+        }
+    };
+
+    return (
+        <div className="mb-6 p-4 bg-slate-800/70 border border-slate-700 rounded-lg">
+            <h3 className="text-lg font-orbitron text-yellow-400 mb-2">Revision History</h3>
+            {message && <p className={`text-sm mb-2 ${message.startsWith('Error') ? 'text-red-400' : 'text-green-400'}`}>{message}</p>}
+            {revisions.length === 0 && <p className="text-sm text-slate-400 italic">No revisions recorded yet. The next save starts the history.</p>}
+            <ol className="max-h-48 overflow-y-auto mb-3">
+                {revisions.map((revision, index) => (
+                    <li key={revision.id}>
+                        <button onClick={() => setSelectedId(revision.id === selectedId ? null : revision.id)} className={`w-full text-left text-sm px-2 py-1 rounded ${revision.id === selectedId ? 'bg-yellow-400/20 text-yellow-300' : 'hover:bg-slate-700'}`}>
+                            {new Date(toMillis(revision.createdAt)).toLocaleString()} &middot; {REVISION_ACTION_LABELS[revision.action] || revision.action} by {revision.authorName || revision.authorId?.substring(0, 8)}
+                            {index === 0 && item.revisionId === revision.id && <span className="ml-2 text-xs text-green-400">current</span>}
+                        </button>
+                    </li>
+                ))}
+            </ol>
+            {selected && (
+                <div>
+                    <div className="flex justify-between items-center mb-2">
+                        <p className="text-sm text-slate-400">{changedFields.length === 0 ? 'This revision matches the current version.' : 'Selected revision (left) against the current version (right):'}</p>
+                        {canRestore && changedFields.length > 0 && (
+                            <button onClick={handleRestore} className="flex items-center text-sm bg-yellow-400 text-black px-3 py-1 rounded-md hover:bg-yellow-300"><RotateCcw size={14} className="mr-1"/>Restore this revision</button>
+                        )}
+                    </div>
+                    {changedFields.map(field => (
+                        <div key={field} className="mb-3">
+                            <p className="text-xs font-bold text-yellow-400 mb-1">{field}</p>
+                            <div className="grid grid-cols-2 gap-px bg-slate-700 text-xs font-mono rounded overflow-hidden max-h-80 overflow-y-auto">
+                                {toSideBySide(diffLines(revisionFieldText(selected.data?.[field]), revisionFieldText(current[field]))).map((row, i) => (
+                                    <React.Fragment key={i}>
+                                        <div className={`px-2 py-0.5 whitespace-pre-wrap break-words ${row.changed && row.left !== null ? 'bg-red-900/50' : 'bg-slate-900'}`}>{row.left ?? ''}</div>
+                                        <div className={`px-2 py-0.5 whitespace-pre-wrap break-words ${row.changed && row.right !== null ? 'bg-green-900/50' : 'bg-slate-900'}`}>{row.right ?? ''}</div>
+                                    </React.Fragment>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const TrashBin = ({ items, collectionPath, roles, userData }) => {
+    const handleRestore = async (item) => {
+        try {
+            await restoreFromTrash(collectionPath, item, userData.displayName || '');
+        } catch (error) {
+            console.error("Error restoring from trash:", error);
+        }
+    };
+
+    const handlePurge = async (item) => {
+        if (!window.confirm(`Delete "${item.name}" forever? This cannot be undone.`)) return;
+        try {
+            await deleteDoc(doc(db, collectionPath, item.id));
+        } catch (error) {
+            console.error("Error deleting permanently:", error);
+        }
+    };
+
+    return (
+        <div className="mb-6 p-4 bg-slate-800/70 border border-red-900 rounded-lg">
+            <h3 className="text-lg font-orbitron text-red-400 mb-2">Trash</h3>
+            {items.length === 0 && <p className="text-sm text-slate-400 italic">The trash is empty.</p>}
+            {items.map(item => (
+                <div key={item.id} className="flex items-center justify-between py-1 text-sm">
+                    <span>{item.name || 'Untitled'} <span className="text-xs text-slate-500">deleted {new Date(toMillis(item.deletedAt)).toLocaleString()}</span></span>
+                    {canModify(item, roles) && (
+                        <span className="flex gap-3">
+                            <button onClick={() => handleRestore(item)} className="text-green-400 hover:text-green-300">Restore</button>
+                            <button onClick={() => handlePurge(item)} className="text-red-400 hover:text-red-300">Delete Forever</button>
+                        </span>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// --- Profile Section ---
+const ProfileSection = ({ user, userData, roles }) => {
+    const [displayName, setDisplayName] = useState(userData.displayName || '');
+    const [photoURL, setPhotoURL] = useState(userData.photoURL || '');
+    const [bannerUrl, setBannerUrl] = useState(userData.bannerUrl || '');
+    const [message, setMessage] = useState('');
+
+    useEffect(() => {
+        setDisplayName(userData.displayName || '');
+        setPhotoURL(userData.photoURL || '');
+        setBannerUrl(userData.bannerUrl || '');
+    }, [userData]);
+    
+    const handleProfileUpdate = async (e) => {
+        e.preventDefault();
+        if (!user) return;
+        
+        const userDocRef = doc(db, `/artifacts/${appId}/users/${user.uid}/profile`, 'data');
+        const profileData = {
+            displayName: displayName.trim(),
+            photoURL: photoURL.trim(),
+            bannerUrl: bannerUrl.trim(),
+        };
+
+        try {
+            await setDoc(userDocRef, profileData, { merge: true });
+            setMessage('Profile updated successfully!');
+            setTimeout(() => setMessage(''), 3000);
+        } catch (error) {
+            console.error("Error updating profile: ", error);
+            setMessage('Error updating profile.');
+            setTimeout(() => setMessage(''), 3000);
+        }
+    };
+
+    return (
+        <div>
+            <div className="flex items-center mb-6">
+                <Settings size={32} className="text-yellow-400" />
+                <h2 className="text-3xl font-orbitron text-yellow-400 ml-3">Customize Profile</h2>
+            </div>
+            <form onSubmit={handleProfileUpdate} className="max-w-xl mx-auto bg-slate-800 p-6 rounded-lg border border-slate-700">
+                <div className="mb-4">
+                    <label className="block text-yellow-400 mb-2" htmlFor="displayName">Display Name</label>
+                    <input id="displayName" type="text" value={displayName} onChange={e => setDisplayName(e.target.value)} placeholder="e.g., 'Han Solo'" className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-yellow-400" />
+                </div>
+                 <div className="mb-4">
+                    <label className="block text-yellow-400 mb-2" htmlFor="photoURL">Profile Picture URL</label>
+                    <input id="photoURL" type="text" value={photoURL} onChange={e => setPhotoURL(e.target.value)} placeholder="https://example.com/my-avatar.png" className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-yellow-400" />
+                </div>
+                 <div className="mb-6">
+                    <label className="block text-yellow-400 mb-2" htmlFor="bannerUrl">Banner URL</label>
+                    <input id="bannerUrl" type="text" value={bannerUrl} onChange={e => setBannerUrl(e.target.value)} placeholder="https://example.com/my-banner.png" className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-yellow-400" />
+                </div>
+                <button type="submit" className="w-full bg-yellow-400 text-black font-bold py-2 px-4 rounded-md hover:bg-yellow-300 transition-colors">Save Changes</button>
+                {message && <p className={`mt-4 text-center ${message.startsWith('Error') ? 'text-red-400' : 'text-green-400'}`}>{message}</p>}
+            </form>
+            <CampaignRoles roles={roles} />
+            {isGameMaster(roles) && <SheetTemplateEditor />}
+            {isGameMaster(roles) && <CampaignArchive />}
+        </div>
+    );
+};
+
+const CampaignRoles = ({ roles }) => {
+    const [newGmId, setNewGmId] = useState('');
+    const [newGmName, setNewGmName] = useState('');
+    const rolesRef = doc(db, settingsCollectionPath, 'roles');
+    const role = getRole(roles);
+
+    const handleAddGm = async (e) => {
+        e.preventDefault();
+        const userId = newGmId.trim();
+        if (!userId) return;
+        try {
+            await updateDoc(rolesRef, { [`gameMasters.${userId}`]: newGmName.trim() || userId.substring(0, 8) });
+            setNewGmId('');
+            setNewGmName('');
+        } catch (error) {
+            console.error("Error appointing game master:", error);
+        }
+    };
+
+    const handleRemoveGm = async (userId) => {
+        try {
+            await updateDoc(rolesRef, { [`gameMasters.${userId}`]: deleteField() });
+        } catch (error) {
+            console.error("Error removing game master:", error);
+        }
+    };
+
+    return (
+        <div className="max-w-xl mx-auto bg-slate-800 p-6 rounded-lg border border-slate-700 mt-6">
+            <h3 className="text-xl font-orbitron text-yellow-400 mb-2 flex items-center"><Shield size={20} className="mr-2"/>Campaign Roles</h3>
+            <p className="text-sm mb-4">Your role: <span className="text-yellow-400 font-semibold">{ROLE_LABELS[role]}</span></p>
+            {!roles && (
+                <div className="text-sm">
+                    <p className="text-slate-400 mb-2">This campaign has no owner yet. The owner appoints game masters, who can moderate every channel, wiki entry, data log and map point.</p>
+                    <p className="text-slate-400">It goes to the account set as <code>CAMPAIGN_OWNER_UID</code> when the backend is deployed, as soon as that account signs in. Your user ID is <code className="text-yellow-200">{getUserId()}</code>.</p>
+                </div>
+            )}
+            {roles && (
+                <>
+                    <p className="text-sm text-slate-400 mb-2">Game Masters:</p>
+                    {Object.keys(roles.gameMasters || {}).length === 0 && <p className="text-sm text-slate-400 italic mb-2">None yet.</p>}
+                    <ul className="mb-4">
+                        {Object.entries(roles.gameMasters || {}).map(([userId, name]) => (
+                            <li key={userId} className="flex items-center justify-between text-sm py-1">
+                                <span>{name} <span className="text-xs text-slate-400">({userId.substring(0, 8)}...)</span></span>
+                                {role === 'owner' && <button onClick={() => handleRemoveGm(userId)} title="Remove game master" className="text-slate-400 hover:text-red-500"><Trash2 size={14}/></button>}
+                            </li>
+                        ))}
+                    </ul>
+                    {role === 'owner' && (
+                        <form onSubmit={handleAddGm} className="flex gap-2">
+                            <input type="text" value={newGmId} onChange={e => setNewGmId(e.target.value)} placeholder="User ID" className="flex-1 bg-slate-900 border border-slate-700 rounded-md p-2 text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400" />
+                            <input type="text" value={newGmName} onChange={e => setNewGmName(e.target.value)} placeholder="Name (Optional)" className="flex-1 bg-slate-900 border border-slate-700 rounded-md p-2 text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400" />
+                            <button type="submit" className="bg-yellow-400 text-black px-3 rounded-md hover:bg-yellow-300"><Plus size={16}/></button>
+                        </form>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+const SheetTemplateEditor = () => {
+    const template = useSheetTemplate();
+    const [dice, setDice] = useState(template.dice);
+    const [attributesText, setAttributesText] = useState('');
+    const [skillsText, setSkillsText] = useState('');
+    const [message, setMessage] = useState('');
+
+    useEffect(() => {
+        const text = templateToText(template);
+        setDice(template.dice);
+        setAttributesText(text.attributes);
+        setSkillsText(text.skills);
+    }, [template]);
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const updated = textToTemplate(dice, attributesText, skillsText);
+        if (updated.attributes.length === 0) {
+            setMessage('Error: add at least one attribute.');
+            return;
+        }
+        try {
+            await setDoc(doc(db, settingsCollectionPath, 'characterSheet'), updated);
+            setMessage('Character sheet template saved.');
+        } catch (error) {
+            console.error("Error saving character sheet template:", error);
+            setMessage('Error saving the template.');
+        }
+        setTimeout(() => setMessage(''), 3000);
+    };
+
+    return (
+        <form onSubmit={handleSave} className="max-w-xl mx-auto bg-slate-800 p-6 rounded-lg border border-slate-700 mt-6">
+            <h3 className="text-xl font-orbitron text-yellow-400 mb-2 flex items-center"><UserSquare size={20} className="mr-2"/>Character Sheet Template</h3>
+            <p className="text-sm text-slate-400 mb-4">What every character sheet in this campaign tracks, and how /check rolls it.</p>
+            <label className="block text-sm text-yellow-400 mb-1">Checks</label>
+            <select value={dice} onChange={e => setDice(e.target.value)} className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 mb-4 text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400">
+                {SHEET_DICE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+            <label className="block text-sm text-yellow-400 mb-1">Attributes (one per line)</label>
+            <textarea value={attributesText} onChange={e => setAttributesText(e.target.value)} rows="6" className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 mb-4 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-yellow-400" />
+            <label className="block text-sm text-yellow-400 mb-1">Skills (one per line, as "Skill: Attribute")</label>
+            <textarea value={skillsText} onChange={e => setSkillsText(e.target.value)} rows="10" className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 mb-4 text-sm font-mono focus:outline-none focus:ring-2 focus:ring-yellow-400" />
+            <button type="submit" className="w-full bg-yellow-400 text-black font-bold py-2 px-4 rounded-md hover:bg-yellow-300 transition-colors">Save Template</button>
+            {message && <p className={`mt-4 text-center text-sm ${message.startsWith('Error') ? 'text-red-400' : 'text-green-400'}`}>{message}</p>}
+        </form>
+    );
+};
+
+// --- Campaign Archives ---
+// Game masters can download the whole campaign as one JSON archive and import archives into
+// this campaign (see functions/src/campaigns.js). Imports are previewed before anything is written.
+const exportCampaignArchive = httpsCallable(functions, 'exportCampaign');
+const importCampaignArchive = httpsCallable(functions, 'importCampaign');
+
+const ARCHIVE_CONFLICT_OPTIONS = [
+    { value: 'skip', label: 'Keep what is already here' },
+    { value: 'overwrite', label: 'Replace it with the archived version' },
+    { value: 'copy', label: 'Import a copy under a new ID' },
+];
+const ARCHIVE_ACTIONS = [['create', 'New'], ['overwrite', 'Replaced'], ['skip', 'Skipped'], ['copy', 'Copied']];
+
+const CampaignArchive = () => {
+    const [includeChat, setIncludeChat] = useState(false);
+    const [archive, setArchive] = useState(null);
+    const [onConflict, setOnConflict] = useState('skip');
+    const [report, setReport] = useState(null);
+    const [busy, setBusy] = useState('');
+    const [message, setMessage] = useState('');
+
+    const handleExport = async () => {
+        setBusy('export');
+        setMessage('');
+        try {
+            const result = await exportCampaignArchive({ appId, includeChat });
+            downloadFile(`campaign-${appId}-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(result.data, null, 2), 'application/json');
+        } catch (error) {
+            console.error("Error exporting campaign:", error);
+            setMessage(`Error: ${error.message}`);
+        }
+        setBusy('');
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        setReport(null);
+        setMessage('');
+        if (!file) return;
+        try {
+            setArchive({ fileName: file.name, data: JSON.parse(await file.text()) });
+        } catch (error) {
+            setArchive(null);
+            setMessage('Error: That file is not a JSON archive.');
+        }
+    };
+
+    const runImport = async (dryRun) => {
+        if (!dryRun && !window.confirm('Import this archive into the campaign now?')) return;
+        setBusy(dryRun ? 'preview' : 'import');
+        setMessage('');
+        try {
+            const result = await importCampaignArchive({ appId, archive: archive.data, onConflict, dryRun });
+            setReport(result.data);
+            if (!dryRun) setMessage('Campaign imported.');
+        } catch (error) {
+            console.error("Error importing campaign:", error);
+            setMessage(`Error: ${error.message}`);
+        }
+        setBusy('');
+    };
+
+    return (
+        <div className="max-w-xl mx-auto bg-slate-800 p-6 rounded-lg border border-slate-700 mt-6">
+            <h3 className="text-xl font-orbitron text-yellow-400 mb-2 flex items-center"><Library size={20} className="mr-2"/>Campaign Archive</h3>
+            <p className="text-sm text-slate-400 mb-4">Back up this campaign, or bring one over from another community. Campaign roles and private messages are never included.</p>
+
+            <label className="flex items-center gap-2 text-sm mb-2">
+                <input type="checkbox" checked={includeChat} onChange={e => setIncludeChat(e.target.checked)} /> Include chat logs
+            </label>
+            <button onClick={handleExport} disabled={!!busy} className="w-full bg-yellow-400 text-black font-bold py-2 px-4 rounded-md hover:bg-yellow-300 transition-colors disabled:opacity-50">
+                {busy === 'export' ? 'Exporting...' : 'Export Campaign'}
+            </button>
+
+            <label className="block text-sm text-yellow-400 mt-6 mb-1" htmlFor="archive-file">Import an archive</label>
+            <input id="archive-file" type="file" accept="application/json,.json" onChange={handleFile} className="w-full text-sm text-slate-300 mb-3" />
+            <label className="block text-sm text-yellow-400 mb-1" htmlFor="archive-conflict">When something already exists here</label>
+            <select id="archive-conflict" value={onConflict} onChange={e => { setOnConflict(e.target.value); setReport(null); }} className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 mb-3 text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400">
+                {ARCHIVE_CONFLICT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+            <div className="flex gap-2">
+                <button onClick={() => runImport(true)} disabled={!archive || !!busy} className="flex-1 bg-slate-600 py-2 px-4 rounded-md hover:bg-slate-500 disabled:opacity-50">
+                    {busy === 'preview' ? 'Checking...' : 'Preview Import'}
+                </button>
+                <button onClick={() => runImport(false)} disabled={!report?.dryRun || !!busy} className="flex-1 bg-yellow-400 text-black font-bold py-2 px-4 rounded-md hover:bg-yellow-300 disabled:opacity-50">
+                    {busy === 'import' ? 'Importing...' : 'Import'}
+                </button>
+            </div>
+
+            {report && (
+                <div className="mt-4 text-sm">
+                    <p className="text-slate-400 mb-2">{report.dryRun ? `Importing ${archive?.fileName} would do this:` : 'Imported:'}</p>
+                    <table className="w-full text-left">
+                        <thead>
+                            <tr className="text-slate-500">
+                                <th className="font-normal">Collection</th>
+                                {ARCHIVE_ACTIONS.map(([action, label]) => <th key={action} className="font-normal text-right">{label}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {Object.entries(report.counts).map(([name, counts]) => (
+                                <tr key={name} className="border-t border-slate-700">
+                                    <td className="py-1">{name}</td>
+                                    {ARCHIVE_ACTIONS.map(([action]) => <td key={action} className="text-right">{counts[action]}</td>)}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className="text-slate-500 mt-2">Plus {report.subdocuments} messages, NPC memories and revisions.{report.remapped.length > 0 && ` ${report.remapped.length} copies get new IDs, and links to them are updated.`}</p>
+                </div>
+            )}
+            {message && <p className={`mt-4 text-center text-sm ${message.startsWith('Error') ? 'text-red-400' : 'text-green-400'}`}>{message}</p>}
+        </div>
+    );
+};
+
+// --- Notifications Section ---
+const NotificationsSection = ({ notifications, onOpen }) => {
+    const [browserAlerts, setBrowserAlerts] = useState(browserNotificationsEnabled);
+    const inboxPath = `${userDataPath()}/notifications`;
+    const unread = notifications.filter(n => !n.read);
+
+    const handleToggleBrowserAlerts = async () => {
+        try {
+            setBrowserAlerts(await setBrowserNotifications(!browserAlerts));
+        } catch (error) {
+            console.error("Error changing browser notifications:", error);
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        const batch = writeBatch(db);
+        unread.forEach(n => batch.update(doc(db, inboxPath, n.id), { read: true }));
+        await batch.commit().catch(error => console.error("Error marking notifications read:", error));
+    };
+
+    const handleDelete = async (notification) => {
+        await deleteDoc(doc(db, inboxPath, notification.id)).catch(error => console.error("Error deleting notification:", error));
+    };
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-6">
+                <div className="flex items-center">
+                    <Bell size={32} className="text-yellow-400" />
+                    <h2 className="text-3xl font-orbitron text-yellow-400 ml-3">Inbox</h2>
+                </div>
+                <div className="flex items-center gap-4">
+                    {browserNotificationsSupported() && (
+                        <label className="flex items-center gap-2 text-sm text-slate-400 cursor-pointer" title="Show a desktop notification for new inbox entries while this tab is in the background">
+                            <input type="checkbox" checked={browserAlerts} onChange={handleToggleBrowserAlerts} />
+                            Browser notifications
+                        </label>
+                    )}
+                    <button onClick={handleMarkAllRead} disabled={unread.length === 0} className="bg-slate-700 text-slate-100 px-4 py-2 rounded-md hover:bg-slate-600 disabled:opacity-50">Mark all read</button>
+                </div>
+            </div>
+            {notifications.length === 0 ? (
+                <p className="text-slate-400 italic">Nothing yet. You will hear about @mentions of you or your characters, replies to your messages and edits to wiki entries you follow.</p>
+            ) : (
+                <div className="space-y-2">
+                    {notifications.map(notification => (
+                        <div key={notification.id} onClick={() => onOpen(notification)} className={`group flex items-start gap-3 p-3 rounded-lg border cursor-pointer hover:border-yellow-400 ${notification.read ? 'bg-slate-800/50 border-slate-700' : 'bg-slate-800 border-yellow-400/50'}`}>
+                            {notification.type === 'wiki' ? <BookOpen size={20} className="text-cyan-400 flex-shrink-0" /> : notification.type === 'reply' ? <Reply size={20} className="text-yellow-400 flex-shrink-0" /> : <MessageSquare size={20} className="text-yellow-400 flex-shrink-0" />}
+                            <div className="min-w-0 flex-1">
+                                <p className={`text-sm ${notification.read ? 'text-slate-400' : 'text-slate-100 font-semibold'}`}>{describeNotification(notification)}</p>
+                                {notification.text && <p className="text-sm text-slate-400 truncate">{notification.text}</p>}
+                                <p className="text-xs text-slate-500">{new Date(toMillis(notification.createdAt)).toLocaleString()}</p>
+                            </div>
+                            <button onClick={(e) => { e.stopPropagation(); handleDelete(notification); }} title="Remove" className="text-slate-500 hover:text-red-500 opacity-0 group-hover:opacity-100"><Trash2 size={16} /></button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Account Section ---
+const AccountSection = ({ user, isGuest }) => {
+    const [mode, setMode] = useState('signIn'); // signIn, signUp, emailLink
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [mergeEmail, setMergeEmail] = useState('');
+    const [mergePassword, setMergePassword] = useState('');
+    const [message, setMessage] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const run = async (action, success) => {
+        setBusy(true);
+        setMessage('');
+        try {
+            const result = await action();
+            setMessage(typeof success === 'function' ? success(result) : success);
+        } catch (error) {
+            console.error("Account error:", error);
+            setMessage(`Error: ${describeAuthError(error)}`);
+        }
+        setBusy(false);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const address = email.trim();
+        if (!address) return;
+        if (mode === 'emailLink') {
+            run(() => sendEmailSignInLink(address), `A sign-in link is on its way to ${address}. Open it in this browser.`);
+        } else if (mode === 'signUp') {
+            run(() => signUpWithEmail(address, password), 'Account created. Everything you made as a guest is yours to keep.');
+        } else {
+            run(() => signInWithEmail(address, password), 'Signed in.');
+        }
+    };
+
+    const handleMergeWithEmail = (e) => {
+        e.preventDefault();
+        if (!mergeEmail.trim()) return;
+        run(() => mergeOtherAccount(otherAuth => signInWithEmailAndPassword(otherAuth, mergeEmail.trim(), mergePassword)),
+            counts => `Merged: ${counts.documents} entries and ${counts.messages} messages now belong to this account.`);
+    };
+
+    const handleMergeWithGoogle = () => {
+        run(() => mergeOtherAccount(otherAuth => signInWithPopup(otherAuth, new GoogleAuthProvider())),
+            counts => `Merged: ${counts.documents} entries and ${counts.messages} messages now belong to this account.`);
+    };
+
+    const inputClass = "w-full bg-slate-900 border border-slate-700 rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-yellow-400";
+    const messageLine = message && <p className={`mt-4 text-center ${message.startsWith('Error') ? 'text-red-400' : 'text-green-400'}`}>{message}</p>;
+
+    return (
+        <div>
+            <div className="flex items-center mb-6">
+                <KeyRound size={32} className="text-yellow-400" />
+                <h2 className="text-3xl font-orbitron text-yellow-400 ml-3">Account</h2>
+            </div>
+            {isGuest ? (
+                <div className="max-w-xl mx-auto bg-slate-800 p-6 rounded-lg border border-slate-700">
+                    <p className="text-sm text-slate-400 mb-4">You are playing as a guest. Sign in or create an account to keep your profile, characters and posts across devices. Anything you made as a guest comes with you.</p>
+                    <div className="flex gap-2 mb-4">
+                        {[['signIn', 'Sign In'], ['signUp', 'Create Account'], ['emailLink', 'Email Link']].map(([value, label]) => (
+                            <button key={value} type="button" onClick={() => { setMode(value); setMessage(''); }} className={`flex-1 py-2 rounded-md text-sm ${mode === value ? 'bg-yellow-400 text-black' : 'bg-slate-700 hover:bg-slate-600'}`}>{label}</button>
+                        ))}
+                    </div>
+                    <form onSubmit={handleSubmit}>
+                        <label className="block text-yellow-400 mb-2" htmlFor="email">Email</label>
+                        <input id="email" type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="pilot@corellia.net" className={`${inputClass} mb-4`} />
+                        {mode !== 'emailLink' && (
+                            <>
+                                <label className="block text-yellow-400 mb-2" htmlFor="password">Password</label>
+                                <input id="password" type="password" value={password} onChange={e => setPassword(e.target.value)} className={`${inputClass} mb-4`} />
+                            </>
+                        )}
+                        <button type="submit" disabled={busy} className="w-full flex items-center justify-center bg-yellow-400 text-black font-bold py-2 px-4 rounded-md hover:bg-yellow-300 transition-colors disabled:opacity-50">
+                            {mode === 'emailLink' ? <><Mail size={18} className="mr-2"/>Send Sign-In Link</> : mode === 'signUp' ? 'Create Account' : 'Sign In'}
+                        </button>
+                    </form>
+                    <button onClick={() => run(signInWithGoogle, 'Signed in with Google.')} disabled={busy} className="w-full mt-3 bg-slate-100 text-black font-bold py-2 px-4 rounded-md hover:bg-white transition-colors disabled:opacity-50">Continue with Google</button>
+                    {messageLine}
+                </div>
+            ) : (
+                <div className="max-w-xl mx-auto">
+                    <div className="bg-slate-800 p-6 rounded-lg border border-slate-700">
+                        <p className="text-sm">Signed in as <span className="text-yellow-400 font-semibold">{user?.email || user?.displayName || getUserId()}</span></p>
+                        <p className="text-xs text-slate-400 mb-4">Sign-in methods: {user?.providerData.map(p => p.providerId === 'password' ? 'email' : p.providerId.replace('.com', '')).join(', ')}</p>
+                        <button onClick={() => signOut(auth)} className="flex items-center bg-slate-600 px-4 py-2 rounded-md hover:bg-slate-500"><LogOut size={18} className="mr-2"/>Sign Out</button>
+                    </div>
+                    <div className="bg-slate-800 p-6 rounded-lg border border-slate-700 mt-6">
+                        <h3 className="text-xl font-orbitron text-yellow-400 mb-2">Merge Another Account</h3>
+                        <p className="text-sm text-slate-400 mb-4">Sign into a second account you own to move its channels, wiki entries, data logs, map points, messages and profile into this one. The other account stays, but empty.</p>
+                        <form onSubmit={handleMergeWithEmail} className="flex gap-2 mb-3">
+                            <input type="email" value={mergeEmail} onChange={e => setMergeEmail(e.target.value)} placeholder="Other account's email" className={inputClass} />
+                            <input type="password" value={mergePassword} onChange={e => setMergePassword(e.target.value)} placeholder="Password" className={inputClass} />
+                            <button type="submit" disabled={busy} className="bg-yellow-400 text-black font-bold px-4 rounded-md hover:bg-yellow-300 disabled:opacity-50">Merge</button>
+                        </form>
+                        <button onClick={handleMergeWithGoogle} disabled={busy} className="w-full bg-slate-100 text-black font-bold py-2 px-4 rounded-md hover:bg-white transition-colors disabled:opacity-50">Merge a Google Account</button>
+                    </div>
+                    {messageLine}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Galaxy Map Section ---
+// view: planets lead to their channels. edit: drag planets and region corners, click to edit.
+// place: the next click on the map adds a planet. region: clicks add the corners of a new
+// region. lane: pick two planets to connect.
+const MAP_MODE_HINTS = {
+    place: 'Click on the map where the new planet goes.',
+    region: 'Click on the map to add corners, then finish the region.',
+    lane: 'Pick the planet the lane starts at, then the one it leads to.',
+};
+
+const GalaxyMapSection = ({ onSelectChatroom, onSelectWiki, roles, focusPointId }) => {
+    const mapSettings = useGalaxyMapSettings();
+    const [mapPoints, setMapPoints] = useState([]);
+    const [regions, setRegions] = useState([]);
+    const [lanes, setLanes] = useState([]);
+    const [wikis, setWikis] = useState([]);
+    const [locations, setLocations] = useState({});
+    const [chatrooms, setChatrooms] = useState([]);
+    const [modalState, setModalState] = useState({isOpen: false, item: null});
+    const [regionModal, setRegionModal] = useState(null);
+    const [mode, setMode] = useState('view');
+    const [draftRegion, setDraftRegion] = useState([]);
+    const [laneStartId, setLaneStartId] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [selectedPointId, setSelectedPointId] = useState(focusPointId || null);
+    const [isUploading, setIsUploading] = useState(false);
+    const [uploadError, setUploadError] = useState('');
+    
+    const mapPointsCollectionPath = `/artifacts/${appId}/public/data/mappoints`;
+    const regionsCollectionPath = `/artifacts/${appId}/public/data/mapregions`;
+    const lanesCollectionPath = `/artifacts/${appId}/public/data/maplanes`;
+    const wikisCollectionPath = `/artifacts/${appId}/public/data/wikis`;
+    const seesAllChannels = isGameMaster(roles);
+
+    useEffect(() => {
+        const mapUnsub = onSnapshot(query(collection(db, mapPointsCollectionPath)), (snapshot) => {
+            setMapPoints(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        });
+        const regionsUnsub = onSnapshot(query(collection(db, regionsCollectionPath)), (snapshot) => {
+            setRegions(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => console.error("Error listening to map regions:", error));
+        const lanesUnsub = onSnapshot(query(collection(db, lanesCollectionPath)), (snapshot) => {
+            setLanes(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (error) => console.error("Error listening to hyperspace lanes:", error));
+        const wikisUnsub = onSnapshot(query(collection(db, wikisCollectionPath)), (snapshot) => {
+            setWikis(snapshot.docs.map(d => ({ id: d.id, ...d.data() })).filter(w => !w.deletedAt));
+        }, (error) => console.error("Error listening to wiki entries:", error));
+        const locationsUnsub = onSnapshot(collection(db, locationsCollectionPath), (snapshot) => {
+            setLocations(Object.fromEntries(snapshot.docs.map(d => [d.id, d.data()])));
+        }, (error) => console.error("Error listening to character locations:", error));
+        // Planets can only lead to channels the player may see
+        const chatUnsub = subscribeToVisibleChatrooms(seesAllChannels, setChatrooms);
+        return () => { mapUnsub(); regionsUnsub(); lanesUnsub(); wikisUnsub(); locationsUnsub(); chatUnsub(); };
+    }, [mapPointsCollectionPath, regionsCollectionPath, lanesCollectionPath, wikisCollectionPath, seesAllChannels]);
+
+    useEffect(() => {
+        if (focusPointId) setSelectedPointId(focusPointId);
+    }, [focusPointId]);
+
+    const travellers = useMemo(() => wikis.filter(w => w.type === 'character' || w.type === 'npc'), [wikis]);
+
+    const presence = useMemo(() => {
+        const byPoint = {};
+        travellers.forEach(traveller => {
+            const pointId = locationOf(traveller, locations);
+            if (pointId) (byPoint[pointId] = byPoint[pointId] || []).push(traveller);
+        });
+        return byPoint;
+    }, [travellers, locations]);
+
+    const switchMode = (nextMode) => {
+        setMode(nextMode);
+        setDraftRegion([]);
+        setLaneStartId(null);
+        setSelected(null);
+    };
+
+    // Hyperspace lanes to the planet go with it (firestore.rules allows that to anyone).
+    const handleDeletePoint = async (e, pointId) => {
+        e.stopPropagation();
+        const point = mapPoints.find(p => p.id === pointId);
+        if (!window.confirm(`Remove ${point?.name || 'this planet'} from the map? Its hyperspace lanes go with it.`)) return;
+        const batch = writeBatch(db);
+        batch.delete(doc(db, mapPointsCollectionPath, pointId));
+        lanes.filter(l => l.fromId === pointId || l.toId === pointId).forEach(l => batch.delete(doc(db, lanesCollectionPath, l.id)));
+        try {
+            await batch.commit();
+            setSelectedPointId(null);
+        } catch (error) {
+            console.error("Error deleting map point:", error);
+        }
+    };
+
+    const handleLanePick = async (point) => {
+        if (!laneStartId || laneStartId === point.id) {
+            setLaneStartId(laneStartId === point.id ? null : point.id);
+            return;
+        }
+        const existing = lanes.find(l => (l.fromId === laneStartId && l.toId === point.id) || (l.fromId === point.id && l.toId === laneStartId));
+        setLaneStartId(null);
+        setMode('edit');
+        if (existing) {
+            setSelected({ type: 'lane', id: existing.id });
+            return;
+        }
+        const from = mapPoints.find(p => p.id === laneStartId);
+        try {
+            const laneRef = await addDoc(collection(db, lanesCollectionPath), {
+                name: '', fromId: from.id, toId: point.id, travelHours: estimateTravelHours(from, point, mapSettings.aspectRatio),
+                creatorId: getUserId(), createdAt: new Date(),
+            });
+            setSelected({ type: 'lane', id: laneRef.id });
+        } catch (error) {
+            console.error("Error adding hyperspace lane:", error);
+        }
+    };
+
+    const handlePointClick = (point) => {
+        if (mode === 'lane') handleLanePick(point);
+        else if (mode === 'edit') canModify(point, roles) && setModalState({ isOpen: true, item: point });
+        else if (mode === 'view') setSelectedPointId(point.id);
+    };
+
+    const handleMapClick = (position) => {
+        if (mode === 'place') {
+            setModalState({ isOpen: true, item: null, position });
+            setMode('edit');
+        } else if (mode === 'region') {
+            setDraftRegion(corners => [...corners, position]);
+        } else {
+            setSelected(null);
+        }
+    };
+
+    const handleMovePoint = async (point, position) => {
+        await setDoc(doc(db, mapPointsCollectionPath, point.id), position, { merge: true })
+            .catch(error => console.error("Error moving map point:", error));
+    };
+
+    const handleMoveCorner = async (region, index, position) => {
+        await updateDoc(doc(db, regionsCollectionPath, region.id), { points: region.points.map((corner, i) => (i === index ? position : corner)) })
+            .catch(error => console.error("Error reshaping map region:", error));
+    };
+
+    const handleSaveRegion = async (data) => {
+        const fields = { name: data.name.trim(), color: data.color || REGION_COLORS[0].value };
+        if (regionModal.item) {
+            await updateDoc(doc(db, regionsCollectionPath, regionModal.item.id), fields);
+        } else {
+            await addDoc(collection(db, regionsCollectionPath), { ...fields, points: draftRegion, creatorId: getUserId(), createdAt: new Date() });
+            switchMode('edit');
+        }
+    };
+
+    const handleDeleteRegion = async (region) => {
+        if (!window.confirm(`Remove the region ${region.name}?`)) return;
+        setSelected(null);
+        await deleteDoc(doc(db, regionsCollectionPath, region.id)).catch(error => console.error("Error deleting map region:", error));
     };
-    
-    const getFieldsForType = (type) => {
-        const baseFields = [
-            { name: 'name', placeholder: 'Name / Title'},
-            { name: 'coverUrl', placeholder: 'Cover Image URL (Optional)'},
-            { name: 'bgUrl', placeholder: 'Background Image URL (Optional)'}
-        ];
-        if (type === 'npc') {
-            return [
-                ...baseFields,
-                { name: 'personality', placeholder: 'Personality & Backstory', type: 'textarea' },
-            ]
+
+    const handleUploadBaseMap = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setUploadError('');
+        setIsUploading(true);
+        try {
+            await uploadBaseMap(file);
+        } catch (error) {
+            console.error("Error uploading base map:", error);
+            setUploadError(error.message);
         }
-        return [...baseFields, { name: 'content', placeholder: 'Content / Biography', type: 'textarea' }];
-    }
+        setIsUploading(false);
+    };
+
+    const handleResetBaseMap = async () => {
+        if (!window.confirm('Go back to the default galaxy map?')) return;
+        await resetBaseMap().catch(error => console.error("Error resetting base map:", error));
+    };
+
+    const selectedPoint = mapPoints.find(p => p.id === selectedPointId);
+    const selectedRegion = selected?.type === 'region' ? regions.find(r => r.id === selected.id) : null;
+    const selectedLane = selected?.type === 'lane' ? lanes.find(l => l.id === selected.id) : null;
+    const toolClass = (active) => `flex items-center px-3 py-2 rounded-md text-sm transition-colors ${active ? 'bg-yellow-400 text-black' : 'bg-slate-700 text-slate-100 hover:bg-slate-600'}`;
 
     return (
         <div>
-            <div className="flex justify-between items-center mb-6">
-                <div className="flex items-center">
-                    <BookOpen size={32} className="text-yellow-400" />
-                    <h2 className="text-3xl font-orbitron text-yellow-400 ml-3">Holo-Wiki</h2>
-                </div>
-                 <div className="flex gap-2">
-                    <button onClick={() => handleCreate('npc')} className="flex items-center bg-green-500 text-white px-4 py-2 rounded-md hover:bg-green-400 transition-colors">
-                        <BrainCircuit size={20} className="mr-2" /> Generate NPC
-                    </button>
-                    <button onClick={() => handleCreate('character')} className="flex items-center bg-purple-500 text-white px-4 py-2 rounded-md hover:bg-purple-400 transition-colors">
-                        <UserSquare size={20} className="mr-2" /> New Character
-                    </button>
-                    <button onClick={() => handleCreate('wiki')} className="flex items-center bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-400 transition-colors">
-                        <Library size={20} className="mr-2" /> New Wiki
-                    </button>
+            <div className="flex justify-between items-center mb-4">
+                 <div className="flex items-center">
+                    <MapIcon size={32} className="text-yellow-400" />
+                    <h2 className="text-3xl font-orbitron text-yellow-400 ml-3">Galaxy Map</h2>
                 </div>
+                <button onClick={() => switchMode(mode === 'view' ? 'edit' : 'view')} className="flex items-center bg-yellow-400 text-black px-4 py-2 rounded-md hover:bg-yellow-300 transition-colors">
+                    {mode === 'view' ? <><Edit size={20} className="mr-2" /> Edit Map</> : 'Done'}
+                </button>
             </div>
-            
-            {modalState.isOpen && <CreateEditModal 
-                onFinish={() => setModalState({ isOpen: false, item: null, type: null })} 
-                onSave={handleSave} 
-                item={modalState.item}
-                fields={getFieldsForType(modalState.type)}
-                title={modalState.type === 'character' ? 'Character' : modalState.type === 'npc' ? 'NPC' : 'Wiki Entry'}
-            />}
-            
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                {items.map(item => <ItemCard key={item.id} item={item} onSelectItem={onSelectWiki} onEdit={handleEdit} onDelete={handleDelete} />)}
-            </div>
-        </div>
-    );
-};
 
-const WikiPage = ({ wiki, goBack }) => (
-    <div className="bg-slate-900/50 rounded-lg overflow-hidden">
-        {wiki.coverUrl && <img src={wiki.coverUrl} alt="Cover Image" className="w-full h-48 object-cover" onError={(e) => { e.target.style.display = 'none'; }} />}
-        <div className="p-0 sm:p-6 bg-cover bg-center" style={{backgroundImage: wiki.bgUrl ? `url(${wiki.bgUrl})` : 'none'}}>
-            <div className="bg-slate-900/80 p-4 sm:p-6 rounded-lg">
-                <div className="flex items-center mb-4">
-                    <button onClick={goBack} className="mr-4 p-2 rounded-full hover:bg-slate-700"><ChevronRight className="rotate-180" size={24} /></button>
-                    <h2 className="text-3xl font-orbitron text-yellow-400">{wiki.name}</h2>
-                </div>
-                <div className="prose prose-invert prose-p:text-slate-300 prose-headings:text-yellow-400 max-w-none">
-                    {wiki.type === 'npc' ? (
+            {mode !== 'view' && (
+                <div className="flex flex-wrap items-center gap-2 mb-4">
+                    <button onClick={() => switchMode(mode === 'place' ? 'edit' : 'place')} className={toolClass(mode === 'place')}><Plus size={16} className="mr-1" /> Add Planet</button>
+                    {isGameMaster(roles) && (
                         <>
-                            <h3 className="text-yellow-400">Personality & Backstory</h3>
-                            <TextFormatter text={wiki.personality} />
-                            <h3 className="text-yellow-400 mt-6">Interaction History</h3>
-                            <div className="bg-slate-800/50 p-4 rounded-md max-h-60 overflow-y-auto">
-                                <TextFormatter text={wiki.interaction_history} />
-                            </div>
+                            <button onClick={() => switchMode(mode === 'region' ? 'edit' : 'region')} className={toolClass(mode === 'region')}>Draw Region</button>
+                            <button onClick={() => switchMode(mode === 'lane' ? 'edit' : 'lane')} className={toolClass(mode === 'lane')}>Add Hyperspace Lane</button>
+                            <label className={`${toolClass(false)} cursor-pointer`}>
+                                {isUploading ? 'Uploading...' : 'Upload Base Map'}
+                                <input type="file" accept="image/*" onChange={handleUploadBaseMap} disabled={isUploading} className="hidden" />
+                            </label>
+                            {mapSettings.storagePath && <button onClick={handleResetBaseMap} className={toolClass(false)}>Default Map</button>}
                         </>
-                    ) : (
-                        <TextFormatter text={wiki.content} />
                     )}
+                    <span className="text-sm text-slate-400 ml-2">{MAP_MODE_HINTS[mode] || 'Drag planets to move them. Click a planet, region or lane to edit it.'}</span>
+                    {mode === 'region' && (
+                        <>
+                            <button onClick={() => setRegionModal({ item: null })} disabled={draftRegion.length < 3} className="text-sm text-yellow-400 hover:text-yellow-300 disabled:opacity-50">Finish region ({draftRegion.length} corners)</button>
+                            <button onClick={() => setDraftRegion(corners => corners.slice(0, -1))} disabled={draftRegion.length === 0} className="text-sm text-slate-300 hover:text-white disabled:opacity-50">Undo corner</button>
+                        </>
+                    )}
+                </div>
+            )}
+            {uploadError && <p className="text-sm text-red-400 mb-2">{uploadError}</p>}
+
+            {modalState.isOpen && <CreateEditMapPoint onFinish={() => setModalState({isOpen: false, item: null})} chatrooms={chatrooms} wikis={wikis} pointToEdit={modalState.item} position={modalState.position} />}
+            {regionModal && <CreateEditModal onFinish={() => setRegionModal(null)} onSave={handleSaveRegion} item={regionModal.item} defaults={{ color: REGION_COLORS[0].value }} fields={[
+                { name: 'name', placeholder: 'Region Name (e.g., Outer Rim Territories)' },
+                { name: 'color', placeholder: 'Color', type: 'select', options: REGION_COLORS },
+            ]} title="Region" />}
+
+            <div className="flex flex-col lg:flex-row gap-4">
+                <div className="flex-1 min-w-0">
+                    <GalaxyMapCanvas
+                        mapSettings={mapSettings}
+                        points={mapPoints}
+                        regions={regions}
+                        lanes={lanes}
+                        mode={mode}
+                        focusPointId={focusPointId}
+                        selectedPointId={selectedPointId}
+                        selected={selected}
+                        draftRegion={draftRegion}
+                        laneStartId={laneStartId}
+                        presence={presence}
+                        canMovePoint={(point) => mode === 'edit' && canModify(point, roles)}
+                        canReshapeRegion={(region) => mode === 'edit' && canModify(region, roles)}
+                        onPointClick={handlePointClick}
+                        onMapClick={handleMapClick}
+                        onSelect={(target) => setSelected(isGameMaster(roles) ? target : null)}
+                        onMovePoint={handleMovePoint}
+                        onMoveCorner={handleMoveCorner}
+                    />
                 </div>
+                {selectedPoint && (
+                    <PlanetPanel
+                        key={selectedPoint.id}
+                        point={selectedPoint}
+                        chatrooms={chatrooms}
+                        wikis={wikis}
+                        present={presence[selectedPoint.id] || []}
+                        roles={roles}
+                        onSelectChatroom={onSelectChatroom}
+                        onSelectWiki={onSelectWiki}
+                        onEdit={() => setModalState({ isOpen: true, item: selectedPoint })}
+                        onDelete={(e) => handleDeletePoint(e, selectedPoint.id)}
+                        onClose={() => setSelectedPointId(null)}
+                    />
+                )}
             </div>
+
+            {selectedRegion && (
+                <div className="flex items-center gap-4 mt-4 bg-slate-800 border border-slate-700 rounded-md p-3 text-sm">
+                    <span className="w-3 h-3 rounded-full" style={{ backgroundColor: selectedRegion.color }} />
+                    <span className="font-semibold text-slate-100">{selectedRegion.name}</span>
+                    <span className="text-slate-400">Drag its corners to reshape it.</span>
+                    <button onClick={() => setRegionModal({ item: selectedRegion })} className="ml-auto text-yellow-400 hover:text-yellow-300">Edit</button>
+                    <button onClick={() => handleDeleteRegion(selectedRegion)} className="text-red-400 hover:text-red-300">Delete</button>
+                </div>
+            )}
+            {selectedLane && (
+                <MapLaneEditor key={selectedLane.id} lane={selectedLane} points={mapPoints} onClose={() => setSelected(null)} />
+            )}
+
+            <MapTravellersPanel travellers={travellers} locations={locations} points={mapPoints} lanes={lanes} roles={roles} />
         </div>
-    </div>
-);
+    );
+};
 
+const clampMapView = (view, mapHeight) => ({
+    k: view.k,
+    x: Math.min(0, Math.max(MAP_WIDTH * (1 - view.k), view.x)),
+    y: Math.min(0, Math.max(mapHeight * (1 - view.k), view.y)),
+});
 
-// --- Blog Section ---
-const BlogSection = ({ onSelectBlog }) => {
-    const [items, setItems] = useState([]);
-    const [modalState, setModalState] = useState({isOpen: false, item: null});
-    const collectionPath = `/artifacts/${appId}/public/data/blogs`;
+// Zooms by `factor`, keeping the map under `center` (in SVG viewport units) in place.
+const zoomMapView = (view, center, factor, mapHeight) => {
+    const k = Math.min(MAP_MAX_ZOOM, Math.max(1, view.k * factor));
+    return clampMapView({ k, x: center.x - (center.x - view.x) * k / view.k, y: center.y - (center.y - view.y) * k / view.k }, mapHeight);
+};
+
+// The zoomable, pannable SVG map. Everything inside is drawn in map units (MAP_WIDTH wide);
+// markers and labels are divided by the zoom so they keep their size on screen.
+const GalaxyMapCanvas = ({ mapSettings, points, regions, lanes, mode, focusPointId, selectedPointId, selected, draftRegion, laneStartId, presence, canMovePoint, canReshapeRegion, onPointClick, onMapClick, onSelect, onMovePoint, onMoveCorner }) => {
+    const mapHeight = MAP_WIDTH / mapSettings.aspectRatio;
+    const svgRef = useRef(null);
+    const dragRef = useRef(null);
+    const [view, setView] = useState({ x: 0, y: 0, k: 1 });
+    // Where a planet or region corner is being dragged to, until it is dropped
+    const [dragPosition, setDragPosition] = useState(null);
+    const u = 1 / view.k;
+
+    const toViewport = (event) => {
+        const pt = svgRef.current.createSVGPoint();
+        pt.x = event.clientX;
+        pt.y = event.clientY;
+        return pt.matrixTransform(svgRef.current.getScreenCTM().inverse());
+    };
+
+    const toMapPercent = (event) => {
+        const p = toViewport(event);
+        return { x: clampPercent((p.x - view.x) / view.k / MAP_WIDTH * 100), y: clampPercent((p.y - view.y) / view.k / mapHeight * 100) };
+    };
 
+    // React's wheel handler is passive, so zooming has to listen by hand to keep the page still.
     useEffect(() => {
-        const q = query(collection(db, collectionPath));
-        const unsub = onSnapshot(q, (snapshot) => setItems(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
-        return () => unsub();
-    }, [collectionPath]);
+        const svg = svgRef.current;
+        const handleWheel = (event) => {
+            event.preventDefault();
+            const pt = svg.createSVGPoint();
+            pt.x = event.clientX;
+            pt.y = event.clientY;
+            const center = pt.matrixTransform(svg.getScreenCTM().inverse());
+            setView(current => zoomMapView(current, center, event.deltaY < 0 ? 1.2 : 1 / 1.2, mapHeight));
+        };
+        svg.addEventListener('wheel', handleWheel, { passive: false });
+        return () => svg.removeEventListener('wheel', handleWheel);
+    }, [mapHeight]);
 
-    const handleSave = async (data) => {
-        if(modalState.item){
-            await setDoc(doc(db, collectionPath, modalState.item.id), data, {merge: true});
+    // A planet opened from search is zoomed in on, once: not again whenever it moves.
+    const focusPoint = points.find(p => p.id === focusPointId);
+    const zoomedToRef = useRef(null);
+    useEffect(() => {
+        const key = focusPoint ? `${focusPoint.id}:${mapHeight}` : null;
+        if (zoomedToRef.current === key) return;
+        zoomedToRef.current = key;
+        if (!focusPoint) return;
+        const k = 2;
+        setView(clampMapView({ k, x: MAP_WIDTH / 2 - focusPoint.x / 100 * MAP_WIDTH * k, y: mapHeight / 2 - focusPoint.y / 100 * mapHeight * k }, mapHeight));
+    }, [focusPoint, mapHeight]);
+
+    const zoomBy = (factor) => setView(current => zoomMapView(current, { x: MAP_WIDTH / 2, y: mapHeight / 2 }, factor, mapHeight));
+
+    const sx = (x) => Number(x) / 100 * MAP_WIDTH;
+    const sy = (y) => Number(y) / 100 * mapHeight;
+    const positionOf = (point) => (dragPosition?.kind === 'point' && dragPosition.id === point.id ? dragPosition : point);
+    const cornersOf = (region) => (region.points || []).map((corner, i) => (dragPosition?.kind === 'corner' && dragPosition.id === region.id && dragPosition.index === i ? dragPosition : corner));
+    const pointsById = Object.fromEntries(points.map(p => [p.id, positionOf(p)]));
+
+    const handlePointerDown = (event, target) => {
+        if (event.button !== 0) return;
+        event.stopPropagation();
+        svgRef.current.setPointerCapture(event.pointerId);
+        dragRef.current = { target, startX: event.clientX, startY: event.clientY, startView: view, moved: false };
+    };
+
+    const handlePointerMove = (event) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        if (!drag.moved && Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) < MAP_DRAG_THRESHOLD_PX) return;
+        drag.moved = true;
+        const { target } = drag;
+        if (target.kind === 'point' && canMovePoint(target.point)) {
+            setDragPosition({ kind: 'point', id: target.point.id, ...toMapPercent(event) });
+        } else if (target.kind === 'corner') {
+            setDragPosition({ kind: 'corner', id: target.region.id, index: target.index, ...toMapPercent(event) });
         } else {
-            await addDoc(collection(db, collectionPath), { ...data, creatorId: getUserId(), createdAt: new Date() });
+            const scale = MAP_WIDTH / svgRef.current.getBoundingClientRect().width;
+            setView(clampMapView({ ...drag.startView, x: drag.startView.x + (event.clientX - drag.startX) * scale, y: drag.startView.y + (event.clientY - drag.startY) * scale }, mapHeight));
         }
     };
 
-    const handleDelete = async (itemId) => {
-        await deleteDoc(doc(db, collectionPath, itemId));
+    const handlePointerUp = (event) => {
+        const drag = dragRef.current;
+        dragRef.current = null;
+        if (!drag) return;
+        const { target } = drag;
+        if (drag.moved) {
+            if (dragPosition?.kind === 'point') onMovePoint(target.point, { x: dragPosition.x, y: dragPosition.y });
+            if (dragPosition?.kind === 'corner') onMoveCorner(target.region, target.index, { x: dragPosition.x, y: dragPosition.y });
+            setDragPosition(null);
+            return;
+        }
+        if (target.kind === 'point') onPointClick(target.point);
+        else if (mode === 'edit' && (target.kind === 'region' || target.kind === 'lane')) onSelect({ type: target.kind, id: target[target.kind].id });
+        else onMapClick(toMapPercent(event));
+    };
+
+    const handlePointerCancel = () => {
+        dragRef.current = null;
+        setDragPosition(null);
     };
-    
-    const handleEdit = (item) => {
-        setModalState({isOpen: true, item: item})
-    }
 
     return (
-        <div>
-            <div className="flex justify-between items-center mb-6">
-                <div className="flex items-center">
-                    <Newspaper size={32} className="text-yellow-400" />
-                    <h2 className="text-3xl font-orbitron text-yellow-400 ml-3">Data Logs</h2>
-                </div>
-                <button onClick={() => setModalState({isOpen: true, item: null})} className="flex items-center bg-yellow-400 text-black px-4 py-2 rounded-md hover:bg-yellow-300 transition-colors">
-                    <Plus size={20} className="mr-2" /> Create Post
-                </button>
+        <div className="relative w-full bg-slate-900 rounded-lg overflow-hidden border border-slate-700" style={{ aspectRatio: mapSettings.aspectRatio }}>
+            <svg
+                ref={svgRef}
+                viewBox={`0 0 ${MAP_WIDTH} ${mapHeight}`}
+                className={`absolute top-0 left-0 w-full h-full touch-none select-none ${mode === 'place' || mode === 'region' ? 'cursor-crosshair' : 'cursor-grab'}`}
+                onPointerDown={(e) => handlePointerDown(e, { kind: 'map' })}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerCancel}
+            >
+                <g transform={`translate(${view.x} ${view.y}) scale(${view.k})`}>
+                    <image href={mapSettings.imageUrl} width={MAP_WIDTH} height={mapHeight} preserveAspectRatio="xMidYMid slice" />
+                    {regions.filter(region => (region.points || []).length >= 3).map(region => {
+                        const corners = cornersOf(region);
+                        const center = regionCentroid(corners);
+                        const isSelected = selected?.type === 'region' && selected.id === region.id;
+                        return (
+                            <g key={region.id} onPointerDown={(e) => handlePointerDown(e, { kind: 'region', region })}>
+                                <polygon points={corners.map(c => `${sx(c.x)},${sy(c.y)}`).join(' ')} fill={region.color} fillOpacity={isSelected ? 0.3 : 0.15} stroke={region.color} strokeWidth={(isSelected ? 3 : 1.5) * u} strokeDasharray={`${6 * u} ${4 * u}`} />
+                                <text x={sx(center.x)} y={sy(center.y)} textAnchor="middle" fill={region.color} fontSize={14 * u} className="font-orbitron pointer-events-none uppercase" style={{filter: 'drop-shadow(0 0 2px black)'}}>{region.name}</text>
+                            </g>
+                        );
+                    })}
+                    {lanes.map(lane => {
+                        const from = pointsById[lane.fromId];
+                        const to = pointsById[lane.toId];
+                        if (!from || !to) return null;
+                        const isSelected = selected?.type === 'lane' && selected.id === lane.id;
+                        return (
+                            <g key={lane.id} onPointerDown={(e) => handlePointerDown(e, { kind: 'lane', lane })}>
+                                <line x1={sx(from.x)} y1={sy(from.y)} x2={sx(to.x)} y2={sy(to.y)} stroke="transparent" strokeWidth={12 * u} />
+                                <line x1={sx(from.x)} y1={sy(from.y)} x2={sx(to.x)} y2={sy(to.y)} stroke={isSelected ? '#facc15' : '#67e8f9'} strokeOpacity="0.8" strokeWidth={(isSelected ? 3 : 2) * u} className="pointer-events-none" />
+                                <text x={(sx(from.x) + sx(to.x)) / 2} y={(sy(from.y) + sy(to.y)) / 2} dy={-6 * u} textAnchor="middle" fill="#a5f3fc" fontSize={11 * u} className="pointer-events-none" style={{filter: 'drop-shadow(0 0 2px black)'}}>
+                                    {lane.name ? `${lane.name} · ` : ''}{formatTravelTime(lane.travelHours)}
+                                </text>
+                            </g>
+                        );
+                    })}
+                    {draftRegion.length > 0 && (
+                        <g className="pointer-events-none">
+                            <polyline points={draftRegion.map(c => `${sx(c.x)},${sy(c.y)}`).join(' ')} fill="rgba(250, 204, 21, 0.15)" stroke="#facc15" strokeWidth={2 * u} />
+                            {draftRegion.map((c, i) => <circle key={i} cx={sx(c.x)} cy={sy(c.y)} r={4 * u} fill="#facc15" />)}
+                        </g>
+                    )}
+                    {points.map(point => {
+                        const position = positionOf(point);
+                        return (
+                            <g key={point.id} onPointerDown={(e) => handlePointerDown(e, { kind: 'point', point })} className={`group ${canMovePoint(point) ? 'cursor-move' : 'cursor-pointer'}`}>
+                                {point.id === selectedPointId && <circle cx={sx(position.x)} cy={sy(position.y)} r={16 * u} fill="none" stroke="#facc15" strokeWidth={2 * u} className="animate-pulse" />}
+                                {point.id === laneStartId && <circle cx={sx(position.x)} cy={sy(position.y)} r={14 * u} fill="none" stroke="#67e8f9" strokeWidth={2 * u} />}
+                                {(presence[point.id] || []).slice(0, MAP_PRESENCE_MARKERS).map((traveller, i) => {
+                                    const angle = (i / MAP_PRESENCE_MARKERS) * 2 * Math.PI - Math.PI / 2;
+                                    return <circle key={traveller.id} cx={sx(position.x) + Math.cos(angle) * 13 * u} cy={sy(position.y) + Math.sin(angle) * 13 * u} r={3 * u}
+                                        fill={traveller.type === 'npc' ? '#4ade80' : '#c084fc'} stroke="black" strokeWidth={0.5 * u} />;
+                                })}
+                                <circle cx={sx(position.x)} cy={sy(position.y)} r={8 * u} fill="rgba(255, 255, 0, 0.7)" stroke="white" strokeWidth={u} className="transition-colors duration-200 group-hover:fill-yellow-300">
+                                    {presence[point.id] && <title>{`${point.name}: ${presence[point.id].map(t => t.name).join(', ')}`}</title>}
+                                </circle>
+                                <text x={sx(position.x)} y={sy(position.y)} dy={-14 * u} textAnchor="middle" fill="white" fontSize={16 * u} className={`font-orbitron pointer-events-none transition-opacity duration-200 ${view.k >= 2 || mode !== 'view' ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'}`} style={{filter: 'drop-shadow(0 0 2px black)'}}>{point.name}</text>
+                            </g>
+                        );
+                    })}
+                    {regions.filter(canReshapeRegion).map(region => cornersOf(region).map((corner, index) => (
+                        <circle key={`${region.id}-${index}`} cx={sx(corner.x)} cy={sy(corner.y)} r={5 * u} fill="white" stroke={region.color} strokeWidth={2 * u} className="cursor-move"
+                            onPointerDown={(e) => handlePointerDown(e, { kind: 'corner', region, index })} />
+                    )))}
+                </g>
+            </svg>
+            <div className="absolute top-2 right-2 flex flex-col gap-1">
+                <button onClick={() => zoomBy(1.5)} title="Zoom in" className="w-8 h-8 rounded-md bg-slate-800/80 text-white hover:bg-slate-700">+</button>
+                <button onClick={() => zoomBy(1 / 1.5)} title="Zoom out" className="w-8 h-8 rounded-md bg-slate-800/80 text-white hover:bg-slate-700">-</button>
+                <button onClick={() => setView({ x: 0, y: 0, k: 1 })} title="Show the whole galaxy" className="w-8 h-8 rounded-md bg-slate-800/80 text-white hover:bg-slate-700"><RotateCcw size={14} className="mx-auto" /></button>
             </div>
+        </div>
+    );
+};
 
-            {modalState.isOpen && <CreateEditModal onFinish={() => setModalState({isOpen: false, item: null})} onSave={handleSave} item={modalState.item} fields={[
-                { name: 'name', placeholder: 'Post Title'},
-                { name: 'content', placeholder: 'Content', type: 'textarea' },
-                { name: 'coverUrl', placeholder: 'Cover Image URL (Optional)'}
-            ]} title="Data Log" />}
+// Name and travel time of the selected hyperspace lane.
+const MapLaneEditor = ({ lane, points, onClose }) => {
+    const [name, setName] = useState(lane.name || '');
+    const [travelHours, setTravelHours] = useState(lane.travelHours || 1);
+    const lanePath = `/artifacts/${appId}/public/data/maplanes/${lane.id}`;
+    const endpoints = [lane.fromId, lane.toId].map(id => points.find(p => p.id === id)?.name || 'Unknown');
 
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                {items.map(item => <ItemCard key={item.id} item={item} onSelectItem={onSelectBlog} onEdit={handleEdit} onDelete={handleDelete} />)}
-            </div>
-        </div>
+    const handleSave = async (e) => {
+        e.preventDefault();
+        try {
+            await updateDoc(doc(db, lanePath), { name: name.trim(), travelHours: Math.max(1, Math.round(Number(travelHours) || 1)) });
+            onClose();
+        } catch (error) {
+            console.error("Error saving hyperspace lane:", error);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Remove the lane between ${endpoints.join(' and ')}?`)) return;
+        onClose();
+        await deleteDoc(doc(db, lanePath)).catch(error => console.error("Error deleting hyperspace lane:", error));
+    };
+
+    return (
+        <form onSubmit={handleSave} className="flex flex-wrap items-center gap-3 mt-4 bg-slate-800 border border-slate-700 rounded-md p-3 text-sm">
+            <span className="font-semibold text-slate-100">{endpoints.join(' ⇄ ')}</span>
+            <input value={name} onChange={e => setName(e.target.value)} placeholder="Route name (optional)" className="bg-slate-900 border border-slate-700 rounded-md p-1 text-white focus:outline-none focus:ring-2 focus:ring-yellow-400" />
+            <label className="flex items-center gap-2 text-slate-400">
+                Travel time (hours)
+                <input type="number" min="1" value={travelHours} onChange={e => setTravelHours(e.target.value)} className="w-20 bg-slate-900 border border-slate-700 rounded-md p-1 text-white focus:outline-none focus:ring-2 focus:ring-yellow-400" />
+            </label>
+            <span className="text-slate-500">{formatTravelTime(Math.max(1, Math.round(Number(travelHours) || 1)))}</span>
+            <button type="submit" className="ml-auto text-yellow-400 hover:text-yellow-300">Save</button>
+            <button type="button" onClick={handleDelete} className="text-red-400 hover:text-red-300">Delete</button>
+        </form>
     );
 };
 
-const BlogPost = ({ blog, goBack }) => (
-     <div>
-        <div className="flex items-center mb-4">
-            <button onClick={goBack} className="mr-4 p-2 rounded-full hover:bg-slate-700"><ChevronRight className="rotate-180" size={24} /></button>
-            <h2 className="text-3xl font-orbitron text-yellow-400">{blog.name}</h2>
-        </div>
-        <p className="text-sm text-slate-400 mb-4">By User: {blog.authorId}</p>
-        <div className="prose prose-invert prose-p:text-slate-300 prose-headings:text-yellow-400 bg-slate-800/50 p-6 rounded-lg border border-slate-700">
-             <TextFormatter text={blog.content}/>
+// Where every character and NPC is. Players move their own; game masters move anyone, and may
+// skip the hyperspace lanes to put someone straight where the story needs them.
+const MapTravellersPanel = ({ travellers, locations, points, lanes, roles }) => {
+    const [showEveryone, setShowEveryone] = useState(false);
+    const [travelling, setTravelling] = useState(null);
+    const pointName = (id) => points.find(p => p.id === id)?.name || 'Unknown';
+    // Someone on a planet that was removed from the map counts as not on the map yet.
+    const placeOf = (traveller) => {
+        const pointId = locationOf(traveller, locations);
+        return points.some(p => p.id === pointId) ? pointId : null;
+    };
+    const isGm = isGameMaster(roles);
+    const listed = travellers
+        .filter(t => isGm || showEveryone || canModify(t, roles))
+        .sort((a, b) => (a.type === b.type ? (a.name || '').localeCompare(b.name || '') : a.type === 'character' ? -1 : 1));
+
+    return (
+        <div className="mt-6">
+            <div className="flex items-center justify-between mb-2">
+                <h3 className="text-xl font-orbitron text-yellow-400">{isGm || showEveryone ? "Who's Where" : 'Your Characters'}</h3>
+                {!isGm && (
+                    <label className="flex items-center gap-2 text-sm text-slate-400">
+                        <input type="checkbox" checked={showEveryone} onChange={e => setShowEveryone(e.target.checked)} /> Show everyone
+                    </label>
+                )}
+            </div>
+            {listed.length === 0 && <p className="text-slate-500 text-sm">No characters yet. Create one in the wiki to put it on the map.</p>}
+            <ul className="divide-y divide-slate-700 bg-slate-800 border border-slate-700 rounded-md">
+                {listed.map(traveller => {
+                    const pointId = placeOf(traveller);
+                    const arrival = traveller.type === 'character' ? locations[traveller.id] : null;
+                    return (
+                        <li key={traveller.id} className="flex items-center gap-3 p-3 text-sm">
+                            <span className={`w-2 h-2 rounded-full ${traveller.type === 'npc' ? 'bg-green-400' : 'bg-purple-400'}`} />
+                            <span className="font-semibold text-slate-100">{traveller.name}</span>
+                            {traveller.type === 'npc' && <span className="text-xs text-green-300">NPC</span>}
+                            <span className="text-slate-400">{pointId ? `at ${pointName(pointId)}` : 'not on the map yet'}</span>
+                            {arrival?.fromId && arrival.travelHours > 0 && <span className="text-slate-500">arrived from {pointName(arrival.fromId)} after {formatTravelTime(arrival.travelHours)}</span>}
+                            {canModify(traveller, roles) && (
+                                <button onClick={() => setTravelling(traveller)} className="ml-auto text-yellow-400 hover:text-yellow-300">Travel</button>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+            {travelling && <TravelModal traveller={travelling} fromId={placeOf(travelling)} points={points} lanes={lanes} roles={roles} onFinish={() => setTravelling(null)} />}
         </div>
-    </div>
-);
+    );
+};
 
-// --- Profile Section ---
-const ProfileSection = ({ user, userData }) => {
-    const [displayName, setDisplayName] = useState(userData.displayName || '');
-    const [photoURL, setPhotoURL] = useState(userData.photoURL || '');
-    const [bannerUrl, setBannerUrl] = useState(userData.bannerUrl || '');
-    const [message, setMessage] = useState('');
+const TravelModal = ({ traveller, fromId, points, lanes, roles, onFinish }) => {
+    const [toId, setToId] = useState('');
+    const [direct, setDirect] = useState(false);
+    const [isSending, setIsSending] = useState(false);
+    const pointName = (id) => points.find(p => p.id === id)?.name || 'Unknown';
+    const usesLanes = !!fromId && !direct;
+    const route = usesLanes && toId ? findRoute(lanes, fromId, toId) : null;
+    const canTravel = !!toId && (!usesLanes || !!route);
 
-    useEffect(() => {
-        setDisplayName(userData.displayName || '');
-        setPhotoURL(userData.photoURL || '');
-        setBannerUrl(userData.bannerUrl || '');
-    }, [userData]);
-    
-    const handleProfileUpdate = async (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        if (!user) return;
-        
-        const userDocRef = doc(db, `/artifacts/${appId}/users/${user.uid}/profile`, 'data');
-        const profileData = {
-            displayName: displayName.trim(),
-            photoURL: photoURL.trim(),
-            bannerUrl: bannerUrl.trim(),
-        };
-
+        if (!canTravel) return;
+        setIsSending(true);
         try {
-            await setDoc(userDocRef, profileData, { merge: true });
-            setMessage('Profile updated successfully!');
-            setTimeout(() => setMessage(''), 3000);
+            await addDoc(collection(db, travelsCollectionPath), { characterId: traveller.id, toId, direct: !!fromId && direct, userId: getUserId(), createdAt: new Date() });
+            onFinish();
         } catch (error) {
-            console.error("Error updating profile: ", error);
-            setMessage('Error updating profile.');
-            setTimeout(() => setMessage(''), 3000);
+            console.error("Error requesting travel:", error);
+            setIsSending(false);
         }
     };
 
     return (
-        <div>
-            <div className="flex items-center mb-6">
-                <Settings size={32} className="text-yellow-400" />
-                <h2 className="text-3xl font-orbitron text-yellow-400 ml-3">Customize Profile</h2>
-            </div>
-            <form onSubmit={handleProfileUpdate} className="max-w-xl mx-auto bg-slate-800 p-6 rounded-lg border border-slate-700">
-                <div className="mb-4">
-                    <label className="block text-yellow-400 mb-2" htmlFor="displayName">Display Name</label>
-                    <input id="displayName" type="text" value={displayName} onChange={e => setDisplayName(e.target.value)} placeholder="e.g., 'Han Solo'" className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-yellow-400" />
-                </div>
-                 <div className="mb-4">
-                    <label className="block text-yellow-400 mb-2" htmlFor="photoURL">Profile Picture URL</label>
-                    <input id="photoURL" type="text" value={photoURL} onChange={e => setPhotoURL(e.target.value)} placeholder="https://example.com/my-avatar.png" className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-yellow-400" />
-                </div>
-                 <div className="mb-6">
-                    <label className="block text-yellow-400 mb-2" htmlFor="bannerUrl">Banner URL</label>
-                    <input id="bannerUrl" type="text" value={bannerUrl} onChange={e => setBannerUrl(e.target.value)} placeholder="https://example.com/my-banner.png" className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-yellow-400" />
+        <div className="fixed inset-0 bg-black/80 flex items-center justify-center p-4 z-50">
+            <form onSubmit={handleSubmit} className="bg-slate-800 p-6 rounded-lg w-full max-w-md border border-yellow-400 relative">
+                <button type="button" onClick={onFinish} className="absolute top-3 right-3 text-slate-400 hover:text-white"><X size={24} /></button>
+                <h3 className="text-2xl font-orbitron mb-1 text-yellow-400">Travel</h3>
+                <p className="text-sm text-slate-400">{traveller.name} is {fromId ? `at ${pointName(fromId)}` : 'not on the map yet and may start anywhere'}.</p>
+
+                <label className="block text-yellow-400 mb-1 mt-4 text-sm" htmlFor="travel-destination">Destination</label>
+                <select id="travel-destination" value={toId} onChange={e => setToId(e.target.value)} className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-yellow-400">
+                    <option value="">Choose a planet</option>
+                    {points.filter(p => p.id !== fromId).sort((a, b) => (a.name || '').localeCompare(b.name || '')).map(point => (
+                        <option key={point.id} value={point.id}>{point.name}</option>
+                    ))}
+                </select>
+
+                {fromId && isGameMaster(roles) && (
+                    <label className="flex items-center gap-2 mt-3 text-sm text-slate-300">
+                        <input type="checkbox" checked={direct} onChange={e => setDirect(e.target.checked)} /> Move directly, ignoring hyperspace lanes
+                    </label>
+                )}
+                {usesLanes && toId && (
+                    <p className={`mt-3 text-sm ${route ? 'text-slate-300' : 'text-red-400'}`}>
+                        {route ? `${route.path.map(pointName).join(' → ')} · ${formatTravelTime(route.hours)}` : 'No hyperspace lanes lead there.'}
+                    </p>
+                )}
+                <p className="mt-3 text-xs text-slate-500">Departure and arrival are announced in the planets' chatrooms.</p>
+
+                <div className="flex justify-end gap-4 mt-6">
+                    <button type="button" onClick={onFinish} className="px-4 py-2 rounded-md bg-slate-600 hover:bg-slate-500">Cancel</button>
+                    <button type="submit" disabled={!canTravel || isSending} className="px-4 py-2 rounded-md bg-yellow-400 text-black hover:bg-yellow-300 disabled:opacity-50">Travel</button>
                 </div>
-                <button type="submit" className="w-full bg-yellow-400 text-black font-bold py-2 px-4 rounded-md hover:bg-yellow-300 transition-colors">Save Changes</button>
-                {message && <p className={`mt-4 text-center ${message.startsWith('Error') ? 'text-red-400' : 'text-green-400'}`}>{message}</p>}
             </form>
         </div>
     );
 };
 
-// --- Galaxy Map Section ---
-const GalaxyMapSection = ({ onSelectChatroom }) => {
-    const [mapPoints, setMapPoints] = useState([]);
-    const [chatrooms, setChatrooms] = useState([]);
-    const [modalState, setModalState] = useState({isOpen: false, item: null});
-    
-    const mapPointsCollectionPath = `/artifacts/${appId}/public/data/mappoints`;
-    const chatroomsCollectionPath = `/artifacts/${appId}/public/data/chatrooms`;
+// Everything about one planet: its lore, who is there, its channels and what was said there lately.
+const PlanetPanel = ({ point, chatrooms, wikis, present, roles, onSelectChatroom, onSelectWiki, onEdit, onDelete, onClose }) => {
+    const [activity, setActivity] = useState({});
+    const lore = wikis.find(w => w.id === point.wikiId);
+    // Channels the player may not see are left out, as are deleted ones.
+    const rooms = linkedChatroomIdsOf(point).map(id => chatrooms.find(c => c.id === id)).filter(Boolean);
+    const roomKey = rooms.map(room => room.id).join(',');
+    const npcs = present.filter(t => t.type === 'npc');
+    const characters = present.filter(t => t.type === 'character');
 
     useEffect(() => {
-        const mapUnsub = onSnapshot(query(collection(db, mapPointsCollectionPath)), (snapshot) => {
-            setMapPoints(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
-        });
-        const chatUnsub = onSnapshot(query(collection(db, chatroomsCollectionPath)), (snapshot) => {
-            setChatrooms(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
-        });
-        return () => { mapUnsub(); chatUnsub(); };
-    }, [mapPointsCollectionPath, chatroomsCollectionPath]);
-
-    const handlePlanetClick = (point) => {
-        if (point.linkedChatroomId) {
-            const chatroom = chatrooms.find(c => c.id === point.linkedChatroomId);
-            if (chatroom) {
-                onSelectChatroom(chatroom);
-            }
-        }
-    };
-    
-    const handleEditPoint = (e, point) => {
-        e.stopPropagation();
-        setModalState({ isOpen: true, item: point });
-    };
+        const unsubscribes = roomKey.split(',').filter(Boolean).map(roomId => onSnapshot(
+            query(collection(db, chatroomsCollectionPath, roomId, 'messages'), orderBy('createdAt', 'desc'), limit(PLANET_ACTIVITY_LIMIT)),
+            (snapshot) => setActivity(current => ({ ...current, [roomId]: snapshot.docs.map(d => ({ id: d.id, roomId, ...d.data() })) })),
+            (error) => console.error("Error loading planet activity:", error)));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [roomKey]);
 
-    const handleDeletePoint = async (e, pointId) => {
-        e.stopPropagation();
-        await deleteDoc(doc(db, mapPointsCollectionPath, pointId));
+    const recent = rooms
+        .flatMap(room => activity[room.id] || [])
+        .filter(m => !m.deletedAt && m.text)
+        .sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt))
+        .slice(0, PLANET_ACTIVITY_LIMIT);
+
+    const openRoom = (roomId) => {
+        const room = rooms.find(r => r.id === roomId);
+        if (room) onSelectChatroom(room);
     };
 
     return (
-        <div>
-            <div className="flex justify-between items-center mb-6">
-                 <div className="flex items-center">
-                    <Map size={32} className="text-yellow-400" />
-                    <h2 className="text-3xl font-orbitron text-yellow-400 ml-3">Galaxy Map</h2>
-                </div>
-                <button onClick={() => setModalState({isOpen: true, item: null})} className="flex items-center bg-yellow-400 text-black px-4 py-2 rounded-md hover:bg-yellow-300 transition-colors">
-                    <Plus size={20} className="mr-2" /> Add Planet
-                </button>
+        <aside className="lg:w-80 shrink-0 bg-slate-800 border border-slate-700 rounded-lg p-4 self-start">
+            <div className="flex items-start justify-between gap-2 mb-3">
+                <h3 className="text-2xl font-orbitron text-yellow-400 break-words">{point.name}</h3>
+                <button onClick={onClose} className="text-slate-400 hover:text-white" title="Close"><X size={20} /></button>
             </div>
+            {canModify(point, roles) && (
+                <div className="flex gap-4 text-sm mb-4">
+                    <button onClick={onEdit} className="flex items-center text-yellow-400 hover:text-yellow-300"><Edit size={14} className="mr-1" /> Edit</button>
+                    <button onClick={onDelete} className="flex items-center text-red-400 hover:text-red-300"><Trash2 size={14} className="mr-1" /> Delete</button>
+                </div>
+            )}
 
-            {modalState.isOpen && <CreateEditMapPoint onFinish={() => setModalState({isOpen: false, item: null})} chatrooms={chatrooms} pointToEdit={modalState.item} />}
-            
-            <div className="relative w-full aspect-video bg-slate-900 rounded-lg overflow-hidden border border-slate-700">
-                <img src="https://cdna.artstation.com/p/assets/images/images/027/099/014/large/alex-jay-perfect-galaxy-map-no-grid.jpg?1590597368" alt="Galaxy Map" className="absolute top-0 left-0 w-full h-full object-cover"/>
-                <svg viewBox="0 0 1000 562.5" className="absolute top-0 left-0 w-full h-full">
-                    {mapPoints.map(point => (
-                        <g key={point.id} onClick={() => handlePlanetClick(point)} className="cursor-pointer group">
-                            <circle cx={`${point.x}%`} cy={`${point.y}%`} r="8" fill="rgba(255, 255, 0, 0.7)" stroke="white" strokeWidth="1" className="transition-all duration-200 group-hover:r-12 group-hover:fill-yellow-300" />
-                            <text x={`${point.x}%`} y={`${point.y}%`} dy="-20" textAnchor="middle" fill="white" className="font-orbitron text-base pointer-events-none transition-all duration-200 opacity-0 group-hover:opacity-100" style={{filter: 'drop-shadow(0 0 2px black)'}}>{point.name}</text>
-                           <g className="opacity-0 group-hover:opacity-100 transition-opacity">
-                                <rect x={`${Number(point.x) + 1.5}%`} y={`${point.y-2}%`} width="30" height="15" rx="5" fill="rgba(0,0,0,0.5)" />
-                                <text x={`${Number(point.x) + 2.2}%`} y={`${point.y-0.8}%`} fill="white" className="pointer-events-none" fontSize="8">
-                                    <tspan className="cursor-pointer" onClick={(e) => handleEditPoint(e, point)}>Edit</tspan>
-                                </text>
-                           </g>
-                        </g>
+            <h4 className="text-xs uppercase tracking-wide text-slate-500 mb-1">Holo-Wiki</h4>
+            {lore ? (
+                <div className="mb-4">
+                    <div className="max-h-40 overflow-hidden text-sm text-slate-300"><TextFormatter text={lore.content || ''} /></div>
+                    <button onClick={() => onSelectWiki(lore)} className="flex items-center text-sm text-yellow-400 hover:text-yellow-300 mt-1"><BookOpen size={14} className="mr-1" /> Read {lore.name}</button>
+                </div>
+            ) : <p className="text-sm text-slate-500 mb-4">No article linked yet.</p>}
+
+            <h4 className="text-xs uppercase tracking-wide text-slate-500 mb-1">Channels</h4>
+            {rooms.length > 0 ? (
+                <ul className="mb-4 space-y-1">
+                    {rooms.map(room => (
+                        <li key={room.id}>
+                            <button onClick={() => onSelectChatroom(room)} className="flex items-center text-sm text-slate-200 hover:text-yellow-400">
+                                {isPrivateRoom(room) ? <Lock size={14} className="mr-1" /> : <Hash size={14} className="mr-1" />}{chatroomTitle(room)}
+                            </button>
+                        </li>
                     ))}
-                </svg>
-            </div>
-        </div>
+                </ul>
+            ) : <p className="text-sm text-slate-500 mb-4">No channels linked.</p>}
+
+            <h4 className="text-xs uppercase tracking-wide text-slate-500 mb-1">Stationed NPCs</h4>
+            {npcs.length > 0 ? (
+                <ul className="mb-4 space-y-1">
+                    {npcs.map(npc => (
+                        <li key={npc.id}>
+                            <button onClick={() => onSelectWiki(npc)} className="flex items-center text-sm text-green-300 hover:text-green-200"><Bot size={14} className="mr-1" />{npc.name}</button>
+                        </li>
+                    ))}
+                </ul>
+            ) : <p className="text-sm text-slate-500 mb-4">Nobody is stationed here.</p>}
+
+            {characters.length > 0 && (
+                <>
+                    <h4 className="text-xs uppercase tracking-wide text-slate-500 mb-1">Characters Here</h4>
+                    <p className="text-sm text-purple-300 mb-4">{characters.map(c => c.name).join(', ')}</p>
+                </>
+            )}
+
+            <h4 className="text-xs uppercase tracking-wide text-slate-500 mb-1">Recent Activity</h4>
+            {recent.length > 0 ? (
+                <ul className="space-y-2">
+                    {recent.map(message => (
+                        <li key={`${message.roomId}-${message.id}`}>
+                            <button onClick={() => openRoom(message.roomId)} className="text-left w-full text-sm hover:bg-slate-700/50 rounded-md p-1">
+                                <span className="font-semibold text-slate-200">{message.authorName}</span>
+                                <span className="text-slate-500"> in {chatroomTitle(rooms.find(r => r.id === message.roomId))}</span>
+                                <span className="block text-slate-400 truncate">{message.text}</span>
+                                <span className="block text-xs text-slate-600">{new Date(toMillis(message.createdAt)).toLocaleString()}</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            ) : <p className="text-sm text-slate-500">Nothing has happened here yet.</p>}
+        </aside>
     );
 };
 
-const CreateEditMapPoint = ({ onFinish, chatrooms, pointToEdit }) => {
+const CreateEditMapPoint = ({ onFinish, chatrooms, wikis, pointToEdit, position }) => {
     const [name, setName] = useState(pointToEdit?.name || '');
-    const [x, setX] = useState(pointToEdit?.x || 50);
-    const [y, setY] = useState(pointToEdit?.y || 50);
-    const [linkedChatroomId, setLinkedChatroomId] = useState(pointToEdit?.linkedChatroomId || '');
+    const [wikiId, setWikiId] = useState(pointToEdit?.wikiId || '');
+    const [linkedChatroomIds, setLinkedChatroomIds] = useState(pointToEdit ? linkedChatroomIdsOf(pointToEdit) : []);
     
     const mapPointsCollectionPath = `/artifacts/${appId}/public/data/mappoints`;
+    const channels = chatrooms.filter(room => !isDirectMessage(room));
+    const articles = [...wikis].sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+    const toggleChatroom = (roomId) => {
+        setLinkedChatroomIds(ids => (ids.includes(roomId) ? ids.filter(id => id !== roomId) : [...ids, roomId]));
+    };
 
     const handleSubmit = async (e) => {
         e.preventDefault();
-        const data = { name: name.trim(), x: Number(x), y: Number(y), linkedChatroomId };
+        // linkedChatroomId keeps the main channel for arrivals, departures and older clients.
+        const data = { name: name.trim(), wikiId, linkedChatroomIds, linkedChatroomId: linkedChatroomIds[0] || '' };
         if(!data.name) return;
 
         try {
             if (pointToEdit) {
                 await setDoc(doc(db, mapPointsCollectionPath, pointToEdit.id), data, { merge: true });
             } else {
-                await addDoc(collection(db, mapPointsCollectionPath), data);
+                await addDoc(collection(db, mapPointsCollectionPath), { ...data, x: position?.x ?? 50, y: position?.y ?? 50, creatorId: getUserId(), createdAt: new Date() });
             }
             onFinish();
         } catch (error) {
@@ -877,21 +4717,29 @@ const CreateEditMapPoint = ({ onFinish, chatrooms, pointToEdit }) => {
 
                  <label className="block text-yellow-400 mb-1 mt-4 text-sm" htmlFor="name">Planet Name</label>
                  <input id="name" type="text" value={name} onChange={e => setName(e.target.value)} placeholder="e.g., Tatooine" className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-yellow-400" />
-                 
-                 <label className="block text-yellow-400 mb-1 mt-4 text-sm" htmlFor="x-coord">X Coordinate (%)</label>
-                 <input id="x-coord" type="range" min="0" max="100" value={x} onChange={e => setX(e.target.value)} className="w-full"/>
-                 
-                 <label className="block text-yellow-400 mb-1 mt-4 text-sm" htmlFor="y-coord">Y Coordinate (%)</label>
-                 <input id="y-coord" type="range" min="0" max="100" value={y} onChange={e => setY(e.target.value)} className="w-full"/>
-
-                 <label className="block text-yellow-400 mb-1 mt-4 text-sm" htmlFor="chatroom-link">Link to Chatroom (Optional)</label>
-                 <select id="chatroom-link" value={linkedChatroomId} onChange={e => setLinkedChatroomId(e.target.value)} className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-yellow-400">
+                 <p className="text-xs text-slate-500 mt-1">Drag the planet on the map in edit mode to move it.</p>
+
+                 <label className="block text-yellow-400 mb-1 mt-4 text-sm" htmlFor="wiki-link">Holo-Wiki Article (Optional)</label>
+                 <select id="wiki-link" value={wikiId} onChange={e => setWikiId(e.target.value)} className="w-full bg-slate-900 border border-slate-700 rounded-md p-2 focus:outline-none focus:ring-2 focus:ring-yellow-400">
                     <option value="">None</option>
-                    {chatrooms.map(room => (
-                        <option key={room.id} value={room.id}>{room.name}</option>
+                    {articles.map(wiki => (
+                        <option key={wiki.id} value={wiki.id}>{wiki.name}</option>
                     ))}
                  </select>
 
+                 <span className="block text-yellow-400 mb-1 mt-4 text-sm">Linked Channels (Optional)</span>
+                 <div className="max-h-48 overflow-y-auto bg-slate-900 border border-slate-700 rounded-md p-2 space-y-1">
+                    {channels.length === 0 && <p className="text-sm text-slate-500">No channels yet.</p>}
+                    {channels.map(room => (
+                        <label key={room.id} className="flex items-center gap-2 text-sm text-slate-200">
+                            <input type="checkbox" checked={linkedChatroomIds.includes(room.id)} onChange={() => toggleChatroom(room.id)} />
+                            {room.name}
+                            {linkedChatroomIds[0] === room.id && <span className="text-xs text-yellow-400">main</span>}
+                        </label>
+                    ))}
+                 </div>
+                 <p className="text-xs text-slate-500 mt-1">Arrivals and departures are announced in the first channel you pick.</p>
+
                 <div className="flex justify-end gap-4 mt-6">
                     <button type="button" onClick={onFinish} className="px-4 py-2 rounded-md bg-slate-600 hover:bg-slate-500">Cancel</button>
                     <button type="submit" className="px-4 py-2 rounded-md bg-yellow-400 text-black hover:bg-yellow-300">Save</button>
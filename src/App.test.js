@@ -0,0 +1,20 @@
+import { transcriptMarkdown } from './App';
+
+// App.js sets up Firebase as it loads; the transcript helpers need none of it.
+jest.mock('firebase/app', () => ({ initializeApp: () => ({}) }));
+jest.mock('firebase/auth', () => ({ getAuth: () => ({}) }));
+jest.mock('firebase/functions', () => ({ getFunctions: () => ({}), httpsCallable: () => () => Promise.resolve({}) }));
+jest.mock('firebase/storage', () => ({ getStorage: () => ({}) }));
+jest.mock('firebase/firestore', () => ({ initializeFirestore: () => ({}), persistentLocalCache: () => ({}), persistentMultipleTabManager: () => ({}) }));
+
+describe('transcriptMarkdown', () => {
+    test('writes dice results once, as the backend worded them', () => {
+        const roll = { id: 'r1', authorId: 'system', authorName: 'Dice', text: 'Han rolled Piloting: 2g 1y: **Success**', roll: { total: 1, check: 'Piloting' }, rolledBy: 'han', rolledByName: 'Han' };
+        expect(transcriptMarkdown([roll], false)).toBe('— Han rolled Piloting: 2g 1y: **Success**');
+    });
+
+    test('writes other system messages as they are', () => {
+        const notice = { id: 'n1', authorId: 'system', authorName: 'Travel', text: 'Han Solo arrives from Tatooine.' };
+        expect(transcriptMarkdown([notice], false)).toBe('— Han Solo arrives from Tatooine.');
+    });
+});